@@ -0,0 +1,464 @@
+/**
+ * Daily analytics rollups (merchants/{m}/branches/{b}/analyticsDaily/{yyyy-mm-dd})
+ *
+ * One document per branch per local day (the branch's config/notifications
+ * `timezone`, default Asia/Bahrain), built from the orders created that day:
+ *
+ *   { date, timezone, start, end,
+ *     orderCount, completedOrders, cancelledOrders, itemCount,
+ *     revenue, loyaltyDiscount, netRevenue, averageOrderValue,
+ *     byStatus:      { pending: n, accepted: n, ... },
+ *     byFulfillment: { car_pickup: { orders, revenue }, ... },
+ *     items:   [{ productId, name, qty, revenue, orders }]   (by qty, desc)
+ *     hourly:  [{ hour, orders, revenue }] × 24               (local hours)
+ *     customers: { total, new, returning },
+ *     customerIds, newCustomerIds,
+ *     computedAt }
+ *
+ * "Completed" is accepted/preparing/ready/served, as the dashboard counts it;
+ * revenue, items and averageOrderValue only include completed orders, while
+ * hourly and byFulfillment count every order and the revenue of the completed
+ * ones. A customer (order.userId) is new on the day of their first order at
+ * the branch, returning otherwise. The id lists let the dashboard count
+ * distinct customers over a range.
+ *
+ * First orders are kept at customerFirstOrders/{uid} { userId, orderId,
+ * firstOrderAt }: placeOrder creates the document with the customer's first
+ * order, and a rollup fills it in from the customer's oldest order for
+ * anyone who ordered before it existed, so each customer is looked up once.
+ *
+ * A rollup is always rebuilt from scratch and overwrites the document, so
+ * recomputing a day is idempotent. The cron recomputes the last
+ * ANALYTICS_RECOMPUTE_DAYS completed days once per local day, plus any
+ * earlier day with an order whose updatedAt (set by every status change) is
+ * later than the day's computedAt. Orders are checked from where the last
+ * pass stopped (analyticsRuns/orderUpdates { checkedThrough }), so a late
+ * status change reaches its rollup on the next run. POST /analytics/rollup
+ * backfills older days.
+ *
+ * Optional vars:
+ * - ANALYTICS_RECOMPUTE_DAYS     completed days the cron keeps fresh (default 3)
+ * - ANALYTICS_TIME_BUDGET_MS     stop starting rollups after this long (default 20000)
+ */
+
+import { addDays, isValidTimezone, localDateKey, localMidnight, localParts } from "./dates.js";
+import {
+  firestoreBatchGet,
+  firestoreCommit,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  firestoreQueryAll,
+  firestoreQueryPages,
+  firestoreRunQuery,
+  serverTimestamp,
+  setWrite,
+  toFirestoreValue,
+} from "./firestore.js";
+import { DEFAULT_TIMEZONE } from "./recipients.js";
+
+export const ROLLUPS_COLLECTION = "analyticsDaily";
+export const FIRST_ORDERS_COLLECTION = "customerFirstOrders";
+export const RUNS_COLLECTION = "analyticsRuns";
+const ORDER_UPDATES_RUN = "orderUpdates";
+export const MAX_BACKFILL_DAYS = 93;
+
+const ORDER_STATUSES = ["pending", "accepted", "preparing", "ready", "served", "cancelled"];
+const COMPLETED_STATUSES = ["accepted", "preparing", "ready", "served"];
+
+const PAGE_SIZE = 300;
+const BATCH_GET_SIZE = 100;
+const COMMIT_SIZE = 400;
+
+const DEFAULT_RECOMPUTE_DAYS = 3;
+const DEFAULT_TIME_BUDGET_MS = 20 * 1000;
+
+// ============================================================================
+// ROLLUP
+// ============================================================================
+
+/**
+ * Rebuilds the rollup of `date` (yyyy-mm-dd, branch-local) and overwrites
+ * its document. Returns the summary that was written.
+ */
+export async function computeDailyRollup(projectId, token, { merchantId, branchId, date, timezone }) {
+  const branchPath = `merchants/${merchantId}/branches/${branchId}`;
+  const tz = timezone || (await getBranchTimezone(projectId, token, merchantId, branchId));
+  const start = localMidnight(date, tz);
+  const end = localMidnight(addDays(date, 1), tz);
+
+  const orders = await queryOrdersCreatedBetween(projectId, token, branchPath, start, end);
+  const rollup = summarizeOrders(orders, tz);
+
+  const { customerIds } = rollup;
+  const firstOrders = await getFirstOrderDates(projectId, token, branchPath, customerIds);
+  const newCustomerIds = customerIds.filter((uid) => firstOrders.get(uid) >= start);
+
+  const doc = {
+    date,
+    timezone: tz,
+    start,
+    end,
+    ...rollup,
+    customers: {
+      total: customerIds.length,
+      new: newCustomerIds.length,
+      returning: customerIds.length - newCustomerIds.length,
+    },
+    newCustomerIds,
+  };
+
+  await firestoreCommit(projectId, token, [
+    setWrite(firestoreDocName(projectId, `${branchPath}/${ROLLUPS_COLLECTION}/${date}`), {
+      ...doc,
+      computedAt: serverTimestamp(),
+    }),
+  ]);
+
+  console.log(
+    `[ANALYTICS] ${merchantId}/${branchId} ${date}: ${doc.orderCount} orders, ${doc.revenue.toFixed(3)} revenue, ` +
+      `${doc.customers.new} new / ${doc.customers.returning} returning`
+  );
+  return { date, orderCount: doc.orderCount, revenue: doc.revenue, customers: doc.customers };
+}
+
+/** Aggregates order documents of one day. Pure; `timezone` places orders in hourly buckets. */
+export function summarizeOrders(docs, timezone) {
+  const byStatus = Object.fromEntries(ORDER_STATUSES.map((s) => [s, 0]));
+  const byFulfillment = {};
+  const items = new Map();
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, revenue: 0 }));
+  const customers = new Set();
+
+  let completedOrders = 0;
+  let revenue = 0;
+  let loyaltyDiscount = 0;
+  let itemCount = 0;
+
+  for (const d of docs) {
+    const order = firestoreFields(d.fields);
+    const status = ORDER_STATUSES.includes(order.status) ? order.status : "pending";
+    const completed = COMPLETED_STATUSES.includes(status);
+    const subtotal = Number(order.subtotal || 0);
+
+    byStatus[status]++;
+
+    const type = order.fulfillmentType || "unknown";
+    byFulfillment[type] ??= { orders: 0, revenue: 0 };
+    byFulfillment[type].orders++;
+
+    const hour = order.createdAt instanceof Date ? localParts(order.createdAt, timezone).hour : 0;
+    hourly[hour].orders++;
+
+    if (order.userId) customers.add(order.userId);
+
+    if (!completed) continue;
+
+    completedOrders++;
+    revenue += subtotal;
+    loyaltyDiscount += Number(order.loyaltyDiscount || 0);
+    byFulfillment[type].revenue += subtotal;
+    hourly[hour].revenue += subtotal;
+
+    for (const it of Array.isArray(order.items) ? order.items : []) {
+      const productId = String(it?.productId || "");
+      if (!productId) continue;
+      const qty = Number(it.qty || 0);
+
+      const entry = items.get(productId) || { productId, name: String(it.name || productId), qty: 0, revenue: 0, orders: 0 };
+      entry.qty += qty;
+      entry.revenue += Number(it.price || 0) * qty;
+      entry.orders++;
+      items.set(productId, entry);
+      itemCount += qty;
+    }
+  }
+
+  for (const f of Object.values(byFulfillment)) f.revenue = round3(f.revenue);
+  for (const h of hourly) h.revenue = round3(h.revenue);
+
+  return {
+    orderCount: docs.length,
+    completedOrders,
+    cancelledOrders: byStatus.cancelled,
+    itemCount,
+    revenue: round3(revenue),
+    loyaltyDiscount: round3(loyaltyDiscount),
+    netRevenue: round3(Math.max(0, revenue - loyaltyDiscount)),
+    averageOrderValue: completedOrders > 0 ? round3(revenue / completedOrders) : 0,
+    byStatus,
+    byFulfillment,
+    items: [...items.values()]
+      .map((e) => ({ ...e, revenue: round3(e.revenue) }))
+      .sort((a, b) => b.qty - a.qty || b.revenue - a.revenue),
+    hourly,
+    customerIds: [...customers],
+  };
+}
+
+/**
+ * Backfill: recomputes every day from `from` to `to` (inclusive).
+ * Returns [{ date, orderCount, revenue, customers }].
+ */
+export async function backfillRollups(projectId, token, { merchantId, branchId, from, to }) {
+  const days = dateRange(from, to);
+  const timezone = await getBranchTimezone(projectId, token, merchantId, branchId);
+
+  const results = [];
+  for (const date of days) {
+    results.push(await computeDailyRollup(projectId, token, { merchantId, branchId, date, timezone }));
+  }
+  return results;
+}
+
+// ============================================================================
+// CRON
+// ============================================================================
+
+/**
+ * Keeps the completed days of each branch fresh. A day is recomputed when:
+ * - it is one of the last ANALYTICS_RECOMPUTE_DAYS and its rollup is missing
+ *   or was computed before the branch's current local day began;
+ * - an order created that day was updated after its rollup was computed.
+ * `branches` is [{ merchantId, branchId }]; empty means every branch with a
+ * config doc.
+ */
+export async function refreshRecentRollups(env, projectId, token, branches) {
+  const recomputeDays = Number(env.ANALYTICS_RECOMPUTE_DAYS) || DEFAULT_RECOMPUTE_DAYS;
+  const budgetMs = Number(env.ANALYTICS_TIME_BUDGET_MS) || DEFAULT_TIME_BUDGET_MS;
+  const startedAt = Date.now();
+
+  const targets = branches.length > 0 ? branches : await listConfiguredBranches(projectId, token);
+  let computed = 0;
+
+  for (const { merchantId, branchId } of targets) {
+    const branchPath = `merchants/${merchantId}/branches/${branchId}`;
+    const timezone = await getBranchTimezone(projectId, token, merchantId, branchId);
+    const today = localDateKey(new Date(), timezone);
+    const todayStart = localMidnight(today, timezone);
+    const recent = Array.from({ length: recomputeDays }, (_, i) => addDays(today, -(i + 1)));
+
+    // Days whose rollup must be newer than this: the recent ones, then those with updated orders
+    const staleBefore = new Map(recent.map((date) => [date, todayStart]));
+    const updates = await queryOrderUpdates(projectId, token, branchPath, {
+      timezone,
+      defaultSince: localMidnight(recent.at(-1) ?? today, timezone),
+    });
+    for (const [date, updatedAt] of updates.days) {
+      if (date >= today) continue;
+      if (!(staleBefore.get(date) >= updatedAt)) staleBefore.set(date, updatedAt);
+    }
+
+    const prefix = firestoreDocName(projectId, `${branchPath}/${ROLLUPS_COLLECTION}`);
+    const dates = [...staleBefore.keys()].sort().reverse();
+    const existing = new Map();
+    for (let i = 0; i < dates.length; i += BATCH_GET_SIZE) {
+      const docs = await firestoreBatchGet(projectId, token, dates.slice(i, i + BATCH_GET_SIZE).map((d) => `${prefix}/${d}`));
+      for (const [name, doc] of docs) existing.set(name, doc);
+    }
+
+    for (const date of dates) {
+      const doc = existing.get(`${prefix}/${date}`);
+      const computedAt = doc ? firestoreFields(doc.fields).computedAt : null;
+      if (computedAt instanceof Date && computedAt >= staleBefore.get(date)) continue;
+
+      if (Date.now() - startedAt > budgetMs) {
+        console.log(`[ANALYTICS] Time budget reached after ${computed} rollups; continuing next run`);
+        return computed;
+      }
+
+      await computeDailyRollup(projectId, token, { merchantId, branchId, date, timezone });
+      computed++;
+    }
+
+    if (updates.checkedThrough) {
+      await firestoreCommit(projectId, token, [
+        setWrite(firestoreDocName(projectId, `${branchPath}/${RUNS_COLLECTION}/${ORDER_UPDATES_RUN}`), {
+          checkedThrough: updates.checkedThrough,
+          updatedAt: serverTimestamp(),
+        }),
+      ]);
+    }
+  }
+
+  return computed;
+}
+
+/**
+ * Orders of the branch updated since the last pass (or `defaultSince` on the
+ * first one). Returns { days: Map of local createdAt date -> latest
+ * updatedAt, checkedThrough: latest updatedAt seen, or null for none }.
+ */
+async function queryOrderUpdates(projectId, token, branchPath, { timezone, defaultSince }) {
+  const run = await firestoreGetDocument(projectId, token, `${branchPath}/${RUNS_COLLECTION}/${ORDER_UPDATES_RUN}`);
+  const last = run ? firestoreFields(run.fields).checkedThrough : null;
+  const since = last instanceof Date ? last : defaultSince;
+
+  const query = {
+    structuredQuery: {
+      from: [{ collectionId: "orders" }],
+      where: {
+        fieldFilter: { field: { fieldPath: "updatedAt" }, op: "GREATER_THAN_OR_EQUAL", value: toFirestoreValue(since) },
+      },
+      orderBy: [{ field: { fieldPath: "updatedAt" }, direction: "ASCENDING" }],
+      select: { fields: [{ fieldPath: "createdAt" }, { fieldPath: "updatedAt" }] },
+    },
+  };
+
+  const days = new Map();
+  let checkedThrough = null;
+  for await (const page of firestoreQueryPages(projectId, token, query, branchPath, { pageSize: PAGE_SIZE })) {
+    for (const d of page) {
+      const { createdAt, updatedAt } = firestoreFields(d.fields);
+      if (!(updatedAt instanceof Date)) continue;
+      checkedThrough = updatedAt;
+      if (!(createdAt instanceof Date)) continue;
+
+      const date = localDateKey(createdAt, timezone);
+      if (!(days.get(date) >= updatedAt)) days.set(date, updatedAt);
+    }
+  }
+
+  return { days, checkedThrough };
+}
+
+/** Branches that have at least one config/* document (every branch set up in the console). */
+export async function listConfiguredBranches(projectId, token) {
+  const branches = new Map();
+  const query = {
+    structuredQuery: {
+      from: [{ collectionId: "config", allDescendants: true }],
+      select: { fields: [{ fieldPath: "__name__" }] },
+    },
+  };
+
+  for await (const page of firestoreQueryPages(projectId, token, query, null, { pageSize: PAGE_SIZE })) {
+    for (const d of page) {
+      const m = /\/documents\/merchants\/([^/]+)\/branches\/([^/]+)\/config\/[^/]+$/.exec(d.name);
+      if (m) branches.set(`${m[1]}/${m[2]}`, { merchantId: m[1], branchId: m[2] });
+    }
+  }
+
+  return [...branches.values()];
+}
+
+// ============================================================================
+// FIRESTORE
+// ============================================================================
+
+/** config/notifications.timezone, or DEFAULT_TIMEZONE when unset or unknown */
+export async function getBranchTimezone(projectId, token, merchantId, branchId) {
+  const doc = await firestoreGetDocument(projectId, token, `merchants/${merchantId}/branches/${branchId}/config/notifications`);
+  const timezone = doc ? firestoreFields(doc.fields).timezone : null;
+  if (typeof timezone !== "string" || !timezone) return DEFAULT_TIMEZONE;
+  if (isValidTimezone(timezone)) return timezone;
+
+  console.warn(`[ANALYTICS] Unknown timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+  return DEFAULT_TIMEZONE;
+}
+
+/** Orders of the branch with start <= createdAt < end, oldest first. */
+export async function queryOrdersCreatedBetween(projectId, token, branchPath, start, end) {
+  const structuredQuery = {
+    from: [{ collectionId: "orders" }],
+    where: {
+      compositeFilter: {
+        op: "AND",
+        filters: [
+          { fieldFilter: { field: { fieldPath: "createdAt" }, op: "GREATER_THAN_OR_EQUAL", value: toFirestoreValue(start) } },
+          { fieldFilter: { field: { fieldPath: "createdAt" }, op: "LESS_THAN", value: toFirestoreValue(end) } },
+        ],
+      },
+    },
+    orderBy: [{ field: { fieldPath: "createdAt" }, direction: "ASCENDING" }],
+  };
+
+  return firestoreQueryAll(projectId, token, { structuredQuery }, branchPath, { pageSize: PAGE_SIZE });
+}
+
+/** The customerFirstOrders document of `userId`'s first order at the branch (placeOrder). */
+export function firstOrderWrite(projectId, branchPath, userId, orderId, firstOrderAt = serverTimestamp()) {
+  return setWrite(firestoreDocName(projectId, `${branchPath}/${FIRST_ORDERS_COLLECTION}/${userId}`), {
+    userId,
+    orderId,
+    firstOrderAt,
+  });
+}
+
+/**
+ * Map of userId -> Date of their first order at the branch, read from
+ * customerFirstOrders. Customers without a document get one from their
+ * oldest order; users with no orders at all are left out.
+ */
+async function getFirstOrderDates(projectId, token, branchPath, userIds) {
+  const prefix = firestoreDocName(projectId, `${branchPath}/${FIRST_ORDERS_COLLECTION}`);
+  const out = new Map();
+  const missing = [];
+
+  for (let i = 0; i < userIds.length; i += BATCH_GET_SIZE) {
+    const chunk = userIds.slice(i, i + BATCH_GET_SIZE);
+    const docs = await firestoreBatchGet(projectId, token, chunk.map((uid) => `${prefix}/${uid}`));
+    for (const uid of chunk) {
+      const doc = docs.get(`${prefix}/${uid}`);
+      const firstOrderAt = doc ? firestoreFields(doc.fields).firstOrderAt : null;
+      if (firstOrderAt instanceof Date) out.set(uid, firstOrderAt);
+      else missing.push(uid);
+    }
+  }
+
+  const writes = [];
+  for (const uid of missing) {
+    const oldest = await queryOldestOrder(projectId, token, branchPath, uid);
+    const createdAt = oldest ? firestoreFields(oldest.fields).createdAt : null;
+    if (!(createdAt instanceof Date)) continue;
+    out.set(uid, createdAt);
+    writes.push(firstOrderWrite(projectId, branchPath, uid, oldest.name.split("/").pop(), createdAt));
+  }
+  for (let i = 0; i < writes.length; i += COMMIT_SIZE) {
+    await firestoreCommit(projectId, token, writes.slice(i, i + COMMIT_SIZE));
+  }
+  if (writes.length > 0) console.log(`[ANALYTICS] Recorded first orders of ${writes.length} existing customer(s)`);
+
+  return out;
+}
+
+/** Needs the orders (userId ASC, createdAt ASC) index. */
+async function queryOldestOrder(projectId, token, branchPath, userId) {
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    {
+      structuredQuery: {
+        from: [{ collectionId: "orders" }],
+        where: { fieldFilter: { field: { fieldPath: "userId" }, op: "EQUAL", value: toFirestoreValue(userId) } },
+        orderBy: [{ field: { fieldPath: "createdAt" }, direction: "ASCENDING" }],
+        select: { fields: [{ fieldPath: "createdAt" }] },
+        limit: 1,
+      },
+    },
+    branchPath
+  );
+  return docs[0] || null;
+}
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+/** Inclusive list of yyyy-mm-dd keys; throws RangeError past MAX_BACKFILL_DAYS. */
+export function dateRange(from, to) {
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    days.push(d);
+    if (days.length > MAX_BACKFILL_DAYS) throw new RangeError(`At most ${MAX_BACKFILL_DAYS} days per backfill`);
+  }
+  return days;
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
@@ -0,0 +1,211 @@
+/**
+ * HTTP caller authentication
+ *
+ * - Verifies Firebase Auth ID tokens (RS256) against Google's published JWKS
+ * - Looks up merchants/{m}/branches/{b}/roles/{uid} to enforce branch roles,
+ *   mirroring isAdmin/isStaff in firestore.rules
+ *
+ * Optional vars:
+ * - FIREBASE_AUTH_JWKS  JSON JWKS ({"keys":[...]}) used instead of Google's
+ *                       endpoint (tests / local dev)
+ */
+
+import { base64DecodeToArrayBuffer, getFirebaseOAuthToken, getFirebaseProjectId } from "./firebase.js";
+import { firestoreGetDocument, firestoreValue } from "./firestore.js";
+
+const GOOGLE_JWKS_URL =
+  "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+// Allowed clock skew when checking exp/iat
+const CLOCK_SKEW_SEC = 60;
+
+// JWKS cache (Google rotates keys; honour Cache-Control max-age)
+let cachedJwks = null;
+let jwksExpiryMs = 0;
+
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// AUTHORIZATION
+// ============================================================================
+
+/**
+ * Authenticates the request and enforces `access` for the given branch.
+ *
+ * access:
+ * - "signedIn" → any valid Firebase user (customers included)
+ * - "staff"    → role admin|staff on merchantId/branchId
+ * - "admin"    → role admin on merchantId/branchId
+ *
+ * Returns { uid, email, emailVerified, phoneNumber, role }. Throws
+ * AuthError (401/403) otherwise. phoneNumber is only set for users who signed
+ * in with (and so verified) their phone number.
+ */
+export async function authorizeRequest(request, env, { access, merchantId, branchId }) {
+  const idToken = getBearerToken(request);
+  if (!idToken) throw new AuthError(401, "Missing Authorization bearer token");
+
+  const user = await verifyFirebaseIdToken(env, idToken);
+  if (access === "signedIn") return { ...user, role: null };
+
+  return authorizeBranchRole(env, user, { access, merchantId, branchId });
+}
+
+/**
+ * The role check of authorizeRequest for an already verified `user`, for
+ * callers that only learn the branch after authenticating (e.g. from a slug).
+ */
+export async function authorizeBranchRole(env, user, { access, merchantId, branchId }) {
+  if (!isValidId(merchantId) || !isValidId(branchId)) {
+    throw new AuthError(400, "merchantId and branchId are required");
+  }
+
+  const role = await getBranchRole(env, merchantId, branchId, user.uid);
+  const allowed = access === "admin" ? role === "admin" : ["admin", "staff"].includes(role);
+  if (!allowed) {
+    console.warn(`[AUTH] ${user.uid} (${role || "no role"}) denied ${access} on ${merchantId}/${branchId}`);
+    throw new AuthError(403, "Insufficient role for this branch");
+  }
+
+  return { ...user, role };
+}
+
+export async function getBranchRole(env, merchantId, branchId, uid) {
+  const projectId = await getFirebaseProjectId(env);
+  const token = await getFirebaseOAuthToken(env);
+
+  const doc = await firestoreGetDocument(
+    projectId,
+    token,
+    `merchants/${merchantId}/branches/${branchId}/roles/${uid}`
+  );
+  if (!doc) return null;
+
+  return firestoreValue(doc.fields.role) || null;
+}
+
+function getBearerToken(request) {
+  const header = request.headers.get("Authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function isValidId(id) {
+  return typeof id === "string" && id.length > 0 && !id.includes("/");
+}
+
+// ============================================================================
+// ID TOKEN VERIFICATION
+// ============================================================================
+
+export async function verifyFirebaseIdToken(env, idToken) {
+  const parts = String(idToken).split(".");
+  if (parts.length !== 3) throw new AuthError(401, "Malformed ID token");
+
+  let header;
+  let payload;
+  let signature;
+  try {
+    header = JSON.parse(base64UrlDecodeToString(parts[0]));
+    payload = JSON.parse(base64UrlDecodeToString(parts[1]));
+    signature = base64UrlDecodeToArrayBuffer(parts[2]);
+  } catch {
+    throw new AuthError(401, "Malformed ID token");
+  }
+
+  if (header.alg !== "RS256" || !header.kid) {
+    throw new AuthError(401, "Unsupported ID token algorithm");
+  }
+
+  let jwk = (await getJwks(env)).find((k) => k.kid === header.kid);
+  if (!jwk) {
+    // Keys may have rotated since we cached them
+    jwk = (await getJwks(env, { force: true })).find((k) => k.kid === header.kid);
+  }
+  if (!jwk) throw new AuthError(401, "Unknown ID token signing key");
+
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    jwk,
+    { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    false,
+    ["verify"]
+  );
+
+  const valid = await crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    signature,
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) throw new AuthError(401, "Invalid ID token signature");
+
+  const projectId = await getFirebaseProjectId(env);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.aud !== projectId) throw new AuthError(401, "ID token has wrong audience");
+  if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthError(401, "ID token has wrong issuer");
+  }
+  if (typeof payload.sub !== "string" || !payload.sub) throw new AuthError(401, "ID token has no subject");
+  if (!(payload.exp > now - CLOCK_SKEW_SEC)) throw new AuthError(401, "ID token expired");
+  if (!(payload.iat <= now + CLOCK_SKEW_SEC)) throw new AuthError(401, "ID token issued in the future");
+  if (payload.auth_time !== undefined && !(payload.auth_time <= now + CLOCK_SKEW_SEC)) {
+    throw new AuthError(401, "ID token auth_time is in the future");
+  }
+
+  return {
+    uid: payload.sub,
+    email: payload.email || null,
+    emailVerified: payload.email_verified === true,
+    phoneNumber: payload.phone_number || null,
+  };
+}
+
+async function getJwks(env, { force = false } = {}) {
+  if (env.FIREBASE_AUTH_JWKS) {
+    return parseJwks(env.FIREBASE_AUTH_JWKS);
+  }
+
+  if (!force && cachedJwks && Date.now() < jwksExpiryMs) return cachedJwks;
+
+  const resp = await fetch(GOOGLE_JWKS_URL);
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`Fetching Firebase JWKS failed: ${t}`);
+  }
+
+  const data = await resp.json();
+  cachedJwks = data.keys || [];
+
+  const maxAge = /max-age=(\d+)/.exec(resp.headers.get("Cache-Control") || "");
+  jwksExpiryMs = Date.now() + (maxAge ? parseInt(maxAge[1], 10) : 3600) * 1000;
+
+  console.log(`[AUTH] Cached ${cachedJwks.length} Firebase signing keys`);
+  return cachedJwks;
+}
+
+function parseJwks(raw) {
+  try {
+    const data = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return data.keys || [];
+  } catch {
+    throw new Error("FIREBASE_AUTH_JWKS is not valid JSON");
+  }
+}
+
+function base64UrlDecodeToArrayBuffer(s) {
+  let b64 = String(s).replace(/-/g, "+").replace(/_/g, "/");
+  while (b64.length % 4) b64 += "=";
+  return base64DecodeToArrayBuffer(b64);
+}
+
+function base64UrlDecodeToString(s) {
+  return new TextDecoder().decode(base64UrlDecodeToArrayBuffer(s));
+}
@@ -0,0 +1,16 @@
+/**
+ * Error thrown by every channel provider.
+ *
+ * retryable === false means retrying cannot help (bad recipient, blocked bot,
+ * outside the messaging window, ...): the outbox dead-letters the job, or the
+ * branch's fallback channel is tried.
+ */
+export class ChannelError extends Error {
+  constructor(message, { channel = null, code = null, retryable = true } = {}) {
+    super(message);
+    this.name = "ChannelError";
+    this.channel = channel;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
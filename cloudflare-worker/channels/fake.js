@@ -0,0 +1,37 @@
+/**
+ * Local fake provider for tests and development: nothing leaves the worker.
+ *
+ * Enabled by FAKE_CHANNEL_ENABLED=true (so a branch cannot silently route
+ * real alerts into it). Messages are logged and kept in `fakeMessages`.
+ * Addresses containing "fail" throw a permanent error, "retry" a
+ * retryable one, to exercise dead-lettering and fallback.
+ */
+
+import { ChannelError } from "./errors.js";
+
+export const fakeMessages = [];
+
+export const fake = {
+  id: "fake",
+  label: "Fake (local)",
+  address: "any",
+  statusCallbacks: false,
+
+  missingCredentials(env) {
+    return env.FAKE_CHANNEL_ENABLED === "true" ? [] : ["FAKE_CHANNEL_ENABLED"];
+  },
+
+  async send(env, { to, body }) {
+    if (String(to).includes("fail")) {
+      throw new ChannelError("Fake permanent failure", { channel: this.id, code: "fake_permanent", retryable: false });
+    }
+    if (String(to).includes("retry")) {
+      throw new ChannelError("Fake transient failure", { channel: this.id, code: "fake_transient", retryable: true });
+    }
+
+    const messageId = `FAKE${fakeMessages.length + 1}`;
+    fakeMessages.push({ messageId, to, body, sentAt: new Date() });
+    console.log(`[FAKE] ${messageId} → ${to}: ${body.split("\n")[0]}`);
+    return { messageId };
+  },
+};
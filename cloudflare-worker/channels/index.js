@@ -0,0 +1,101 @@
+/**
+ * Notification channel providers
+ *
+ * Every provider implements:
+ *   id                        value used in config/notifications ("twilio_whatsapp", ...)
+ *   address                   what `to` is: "phone" (E.164), "telegram" (chat id) or "any"
+ *   statusCallbacks           whether delivery status callbacks are supported
+ *   missingCredentials(env)   names of unset env vars ([] when ready to send)
+ *   send(env, { to, body, statusCallback }) → { messageId }
+ *                             throws ChannelError { code, retryable }
+ *
+ * Optional var:
+ * - CHANNEL_OVERRIDE  send everything through this provider (e.g. "fake" in tests)
+ */
+
+import { ChannelError } from "./errors.js";
+import { fake } from "./fake.js";
+import { metaWhatsApp } from "./meta-whatsapp.js";
+import { telegram } from "./telegram.js";
+import { twilioSms, twilioWhatsApp } from "./twilio.js";
+
+export { ChannelError } from "./errors.js";
+
+export const CHANNELS = Object.fromEntries(
+  [twilioWhatsApp, twilioSms, metaWhatsApp, telegram, fake].map((p) => [p.id, p])
+);
+
+export const DEFAULT_CHANNEL = twilioWhatsApp.id;
+
+// Values stored before providers existed
+const CHANNEL_ALIASES = { whatsapp: twilioWhatsApp.id, sms: twilioSms.id };
+
+const TELEGRAM_CHAT_RE = /^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/;
+
+/** Provider id for a config value ("sms" → "twilio_sms"), or null if unknown. */
+export function normalizeChannel(value) {
+  const id = CHANNEL_ALIASES[value] || value;
+  return CHANNELS[id] ? id : null;
+}
+
+export function isValidTelegramChatId(value) {
+  return TELEGRAM_CHAT_RE.test(String(value ?? ""));
+}
+
+/**
+ * Where `channel` delivers for a contact { phone, telegramChatId }, or null
+ * when the contact cannot be reached on it.
+ */
+export function channelAddress(channel, { phone, telegramChatId } = {}) {
+  const provider = CHANNELS[channel];
+  if (!provider) return null;
+  if (provider.address === "telegram") return isValidTelegramChatId(telegramChatId) ? String(telegramChatId) : null;
+  if (provider.address === "any") return phone || (telegramChatId != null ? String(telegramChatId) : null);
+  return phone || null;
+}
+
+/** Sends one message. Returns { channel, messageId }. */
+export async function sendMessage(env, channel, { to, body, statusCallback = null }) {
+  const provider = CHANNELS[env.CHANNEL_OVERRIDE || channel];
+  if (!provider) {
+    throw new ChannelError(`Unknown channel: ${env.CHANNEL_OVERRIDE || channel}`, { channel, retryable: false });
+  }
+
+  const missing = provider.missingCredentials(env);
+  if (missing.length > 0) {
+    // Retryable: the jobs go through once the secrets are set
+    throw new ChannelError(`Missing credentials for ${provider.label}: ${missing.join(", ")}`, {
+      channel: provider.id,
+      code: "unconfigured",
+      retryable: true,
+    });
+  }
+
+  const result = await provider.send(env, {
+    to,
+    body,
+    statusCallback: provider.statusCallbacks ? statusCallback : null,
+  });
+  return { channel: provider.id, messageId: result.messageId };
+}
+
+/**
+ * Tries `routes` ([{ channel, to }], primary first) in order. The next route
+ * is only used when the current one cannot succeed by retrying later: a
+ * permanent error, missing credentials, or the job's last attempt.
+ * Otherwise the error is thrown so the outbox retries the primary channel.
+ */
+export async function sendWithFallback(env, routes, { body, statusCallback = null, lastAttempt = false }) {
+  for (let i = 0; i < routes.length; i++) {
+    const { channel, to } = routes[i];
+    try {
+      return await sendMessage(env, channel, { to, body, statusCallback });
+    } catch (e) {
+      const next = routes[i + 1];
+      const giveUp = e?.retryable === false || e?.code === "unconfigured" || lastAttempt;
+      if (!next || !giveUp) throw e;
+      console.warn(`[CHANNEL] ${channel} failed (${e?.message || e}), falling back to ${next.channel}`);
+    }
+  }
+  throw new ChannelError("No channel to send on", { retryable: false });
+}
@@ -0,0 +1,106 @@
+/**
+ * Meta WhatsApp Cloud API
+ * https://developers.facebook.com/docs/whatsapp/cloud-api/reference/messages
+ *
+ * Credentials:
+ * - META_WHATSAPP_TOKEN            system-user access token
+ * - META_WHATSAPP_PHONE_NUMBER_ID  id of the sending business number
+ * Optional:
+ * - META_GRAPH_VERSION             Graph API version (default v20.0)
+ */
+
+import { ChannelError } from "./errors.js";
+
+const DEFAULT_GRAPH_VERSION = "v20.0";
+
+// Graph/WhatsApp error codes that fail the same way on every retry
+const PERMANENT_META_CODES = new Set([
+  100, // invalid parameter
+  131008, // required parameter missing
+  131009, // parameter value not valid
+  131021, // recipient cannot be the sender
+  131026, // message undeliverable (not on WhatsApp, old app, ...)
+  131030, // recipient not in the test number's allowed list
+  131047, // re-engagement: more than 24h since the customer's last message
+  131051, // unsupported message type
+  133010, // phone number not registered
+]);
+
+// Throttling / transient platform errors
+const RETRYABLE_META_CODES = new Set([
+  1, // API unknown
+  2, // API service
+  4, // API too many calls
+  80007, // rate limit
+  130429, // throughput limit
+  131000, // something went wrong
+  131016, // service unavailable
+  131048, // spam rate limit
+  131056, // too many messages to this recipient
+  133004, // server temporarily unavailable
+]);
+
+export const metaWhatsApp = {
+  id: "meta_whatsapp",
+  label: "WhatsApp Cloud API",
+  address: "phone",
+  statusCallbacks: false,
+
+  missingCredentials(env) {
+    const missing = [];
+    if (!env.META_WHATSAPP_TOKEN) missing.push("META_WHATSAPP_TOKEN");
+    if (!env.META_WHATSAPP_PHONE_NUMBER_ID) missing.push("META_WHATSAPP_PHONE_NUMBER_ID");
+    return missing;
+  },
+
+  async send(env, { to, body }) {
+    const version = env.META_GRAPH_VERSION || DEFAULT_GRAPH_VERSION;
+    const url = `https://graph.facebook.com/${version}/${env.META_WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${env.META_WHATSAPP_TOKEN}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          messaging_product: "whatsapp",
+          recipient_type: "individual",
+          to: String(to).replace(/^\+/, ""),
+          type: "text",
+          text: { body, preview_url: false },
+        }),
+      });
+    } catch (e) {
+      throw new ChannelError(`WhatsApp Cloud API request failed: ${e?.message || e}`, {
+        channel: this.id,
+        retryable: true,
+      });
+    }
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data.error) {
+      const code = data.error?.code ?? null;
+      const detail = data.error?.error_data?.details || data.error?.message || `HTTP ${resp.status}`;
+      console.error("[META] Failed:", JSON.stringify(data.error || data));
+
+      throw new ChannelError(`WhatsApp Cloud API ${code || resp.status}: ${detail}`, {
+        channel: this.id,
+        code: code ?? resp.status,
+        retryable: isRetryableMetaError(resp.status, code),
+      });
+    }
+
+    return { messageId: data.messages?.[0]?.id || null };
+  },
+};
+
+/** Same policy as Twilio: expired/invalid tokens (401, 190) retry until fixed. */
+function isRetryableMetaError(httpStatus, code) {
+  if (code && PERMANENT_META_CODES.has(code)) return false;
+  if (code && RETRYABLE_META_CODES.has(code)) return true;
+  if (code === 190 || httpStatus === 401 || httpStatus === 429 || httpStatus >= 500) return true;
+  return false;
+}
@@ -0,0 +1,61 @@
+/**
+ * Telegram Bot API
+ * https://core.telegram.org/bots/api#sendmessage
+ *
+ * Credentials:
+ * - TELEGRAM_BOT_TOKEN  token from @BotFather
+ *
+ * Telegram addresses chats, not phone numbers: recipients need a
+ * `telegramChatId` (the chat/group id the bot was added to).
+ */
+
+import { ChannelError } from "./errors.js";
+
+// Telegram rejects longer texts
+const MAX_TEXT_LENGTH = 4096;
+
+export const telegram = {
+  id: "telegram",
+  label: "Telegram Bot",
+  address: "telegram",
+  statusCallbacks: false,
+
+  missingCredentials(env) {
+    return env.TELEGRAM_BOT_TOKEN ? [] : ["TELEGRAM_BOT_TOKEN"];
+  },
+
+  async send(env, { to, body }) {
+    const url = `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          chat_id: to,
+          text: body.slice(0, MAX_TEXT_LENGTH),
+          disable_web_page_preview: true,
+        }),
+      });
+    } catch (e) {
+      throw new ChannelError(`Telegram request failed: ${e?.message || e}`, { channel: this.id, retryable: true });
+    }
+
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data.ok === false) {
+      const code = data.error_code ?? resp.status;
+      console.error("[TELEGRAM] Failed:", data.description || resp.status);
+
+      // 400 chat not found / 403 bot blocked or kicked: permanent.
+      // 401 bad token, 429 flood control, 5xx: retry.
+      throw new ChannelError(`Telegram ${code}: ${data.description || "request failed"}`, {
+        channel: this.id,
+        code,
+        retryable: code === 401 || code === 429 || code >= 500,
+      });
+    }
+
+    return { messageId: data.result?.message_id != null ? String(data.result.message_id) : null };
+  },
+};
@@ -0,0 +1,140 @@
+/**
+ * Twilio Messages API: WhatsApp and SMS
+ *
+ * Credentials:
+ * - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+ * - TWILIO_WHATSAPP_NUMBER or TWILIO_WHATSAPP_FROM (+... or whatsapp:+...)  for twilio_whatsapp
+ * - TWILIO_SMS_FROM (+E.164 number or MG... messaging service SID)          for twilio_sms
+ */
+
+import { ChannelError } from "./errors.js";
+
+// Errors that will fail the same way however often we retry
+// (bad/unreachable recipient, sender not allowed, opted out, ...)
+const PERMANENT_TWILIO_CODES = new Set([
+  21211, // invalid 'To' number
+  21214, // 'To' number cannot be reached
+  21217, // phone number does not appear to be valid
+  21408, // permission to send to this region not enabled
+  21610, // recipient unsubscribed (STOP)
+  21612, // 'To' not reachable via this channel
+  21614, // 'To' is not a valid mobile number
+  21606, // 'From' is not a valid sender for this account
+  63003, // channel could not find the recipient
+  63016, // outside the WhatsApp 24h session window (needs a template)
+  63024, // invalid message recipient
+]);
+
+// Throttling / transient platform errors
+const RETRYABLE_TWILIO_CODES = new Set([
+  20429, // too many requests
+  20500, // internal server error
+  20503, // service unavailable
+  30001, // queue overflow
+  63018, // rate limit exceeded for WhatsApp sender
+]);
+
+export const twilioWhatsApp = {
+  id: "twilio_whatsapp",
+  label: "Twilio WhatsApp",
+  address: "phone",
+  statusCallbacks: true,
+
+  missingCredentials(env) {
+    return missingTwilioVars(env, env.TWILIO_WHATSAPP_FROM || env.TWILIO_WHATSAPP_NUMBER, "TWILIO_WHATSAPP_NUMBER");
+  },
+
+  send(env, message) {
+    const from = asWhatsAppAddress(env.TWILIO_WHATSAPP_FROM || env.TWILIO_WHATSAPP_NUMBER);
+    return sendTwilioMessage(env, this.id, { From: from }, asWhatsAppAddress(message.to), message);
+  },
+};
+
+export const twilioSms = {
+  id: "twilio_sms",
+  label: "Twilio SMS",
+  address: "phone",
+  statusCallbacks: true,
+
+  missingCredentials(env) {
+    return missingTwilioVars(env, env.TWILIO_SMS_FROM, "TWILIO_SMS_FROM");
+  },
+
+  send(env, message) {
+    const from = env.TWILIO_SMS_FROM;
+    const sender = from.startsWith("MG") ? { MessagingServiceSid: from } : { From: from };
+    return sendTwilioMessage(env, this.id, sender, message.to, message);
+  },
+};
+
+function missingTwilioVars(env, from, fromVar) {
+  const missing = [];
+  if (!env.TWILIO_ACCOUNT_SID) missing.push("TWILIO_ACCOUNT_SID");
+  if (!env.TWILIO_AUTH_TOKEN) missing.push("TWILIO_AUTH_TOKEN");
+  if (!from) missing.push(fromVar);
+  return missing;
+}
+
+async function sendTwilioMessage(env, channel, sender, to, { body, statusCallback }) {
+  const sid = env.TWILIO_ACCOUNT_SID;
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`;
+  const auth = btoa(`${sid}:${env.TWILIO_AUTH_TOKEN}`);
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        ...sender,
+        To: to,
+        Body: body,
+        ...(statusCallback ? { StatusCallback: statusCallback } : {}),
+      }),
+    });
+  } catch (e) {
+    throw new ChannelError(`Twilio request failed: ${e?.message || e}`, { channel, retryable: true });
+  }
+
+  if (!resp.ok) {
+    const t = await resp.text();
+    console.error("[TWILIO] Failed:", t);
+
+    let code = null;
+    let detail = t;
+    try {
+      const data = JSON.parse(t);
+      code = data.code ?? null;
+      detail = data.message || t;
+    } catch {}
+
+    throw new ChannelError(`Twilio ${code || resp.status}: ${detail}`, {
+      channel,
+      code: code ?? resp.status,
+      retryable: isRetryableTwilioError(resp.status, code),
+    });
+  }
+
+  const data = await resp.json();
+  return { messageId: data.sid };
+}
+
+/**
+ * 429/5xx and known transient codes are retried; known permanent codes and
+ * other 4xx are not. Auth failures (401) are retried so jobs recover once
+ * the credentials are fixed.
+ */
+function isRetryableTwilioError(httpStatus, code) {
+  if (code && PERMANENT_TWILIO_CODES.has(code)) return false;
+  if (code && RETRYABLE_TWILIO_CODES.has(code)) return true;
+  if (httpStatus === 429 || httpStatus === 401 || httpStatus >= 500) return true;
+  return false;
+}
+
+function asWhatsAppAddress(n) {
+  if (!n) return n;
+  return n.startsWith("whatsapp:") ? n : `whatsapp:${n}`;
+}
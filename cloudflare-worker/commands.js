@@ -0,0 +1,223 @@
+/**
+ * Inbound WhatsApp commands (Twilio incoming-message webhook)
+ *
+ * Staff reply to the branch alerts to move an order along without opening
+ * the merchant console:
+ *
+ *   accept ORD-042
+ *   preparing ORD-042           (also: prep, start)
+ *   ready ORD-042
+ *   cancel ORD-042 out of stock (everything after the order number is the reason)
+ *   help
+ *
+ * "42", "042" and "ord-42" all mean ORD-042. A number linked to several
+ * branches can add the branch id: "ready ORD-042 @main".
+ *
+ * The sender must be linked to a role:
+ *   merchants/{m}/branches/{b}/roles/{uid}.whatsappNumber == From (E.164)
+ * with role admin or staff. The change goes through updateOrderStatus
+ * (orders.js) like a console update: the same transitions
+ * (ORDER_TRANSITIONS in history.js), the same order fields, a history entry (history.js) with source
+ * "whatsapp", and cancelling refunds points reserved at checkout.
+ */
+
+import { firestoreFields, firestoreRunQuery, toFirestoreValue } from "./firestore.js";
+import { OrderRequestError, updateOrderStatus } from "./orders.js";
+
+// Command → target status; which moves are allowed is ORDER_TRANSITIONS
+// (history.js). "served" stays in the console.
+const COMMANDS = {
+  accept: "accepted",
+  preparing: "preparing",
+  ready: "ready",
+  cancel: "cancelled",
+};
+
+const ALIASES = {
+  accept: "accept",
+  accepted: "accept",
+  preparing: "preparing",
+  prepare: "preparing",
+  prep: "preparing",
+  start: "preparing",
+  ready: "ready",
+  cancel: "cancel",
+  cancelled: "cancel",
+  reject: "cancel",
+};
+
+// Which command to suggest when the order is not ready for the one sent
+const NEXT_COMMAND = { pending: "accept", accepted: "preparing", preparing: "ready" };
+
+const MAX_REASON_LENGTH = 200;
+
+const HELP_TEXT = [
+  "Reply with:",
+  "• accept ORD-042",
+  "• preparing ORD-042",
+  "• ready ORD-042",
+  "• cancel ORD-042 <reason>",
+].join("\n");
+
+/**
+ * Runs one inbound message. Returns the reply text for the sender.
+ * `enabledBranches` (ENABLED_BRANCHES) limits which branches can be
+ * controlled; empty means all.
+ */
+export async function runWhatsAppCommand(projectId, token, { from, body }, { enabledBranches = [] } = {}) {
+  const phone = String(from || "").replace(/^whatsapp:/, "").trim();
+
+  let roles = await findSenderRoles(projectId, token, phone);
+  if (enabledBranches.length > 0) {
+    roles = roles.filter((r) => enabledBranches.some((b) => b.merchantId === r.merchantId && b.branchId === r.branchId));
+  }
+  if (roles.length === 0) {
+    console.warn(`[COMMAND] Rejected message from unlinked number ${maskPhone(phone)}`);
+    return "This number is not linked to a staff account. Ask your branch admin to add it under Team Members.";
+  }
+
+  const parsed = parseCommand(body);
+  if (parsed.error) return parsed.error;
+  if (parsed.help) return HELP_TEXT;
+
+  const branchRoles = parsed.branchId ? roles.filter((r) => r.branchId === parsed.branchId) : roles;
+  if (branchRoles.length === 0) return `You are not staff at branch "${parsed.branchId}".`;
+
+  const matches = [];
+  for (const role of branchRoles) {
+    const doc = await findOrder(projectId, token, role, parsed.orderNo);
+    if (doc) matches.push({ role, doc });
+  }
+  if (matches.length === 0) return `Order ${parsed.orderNo} not found.`;
+  if (matches.length > 1) {
+    const branches = matches.map((m) => `@${m.role.branchId}`).join(", ");
+    return `${parsed.orderNo} exists in several branches (${branches}). Add the branch, e.g. "${parsed.command} ${parsed.orderNo} @${matches[0].role.branchId}".`;
+  }
+
+  const [{ role, doc }] = matches;
+  return applyCommand(projectId, token, role, doc, parsed);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * "cancel ord-42 out of stock @main" →
+ *   { command: "cancel", orderNo: "ORD-042", reason: "out of stock", branchId: "main" }
+ */
+export function parseCommand(text) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || /^(help|\?)$/i.test(words[0])) return { help: true };
+
+  const command = ALIASES[words[0].toLowerCase()];
+  if (!command) return { error: `Unknown command "${words[0]}".\n\n${HELP_TEXT}` };
+
+  const orderNo = normalizeOrderNo(words[1]);
+  if (!orderNo) return { error: `Which order? e.g. "${words[0].toLowerCase()} ORD-042"` };
+
+  let branchId = null;
+  const rest = [];
+  for (const w of words.slice(2)) {
+    if (!branchId && /^@[^/]+$/.test(w)) branchId = w.slice(1);
+    else rest.push(w);
+  }
+
+  const reason = command === "cancel" ? rest.join(" ").slice(0, MAX_REASON_LENGTH) || null : null;
+  return { command, orderNo, reason, branchId };
+}
+
+function normalizeOrderNo(raw) {
+  const m = /^(?:ord-?)?#?(\d{1,9})$/i.exec(String(raw || ""));
+  if (!m) return null;
+  return `ORD-${String(parseInt(m[1], 10)).padStart(3, "0")}`;
+}
+
+// ============================================================================
+// FIRESTORE
+// ============================================================================
+
+/** Roles (any branch) whose whatsappNumber is `phone`: [{ merchantId, branchId, uid, role, email }] */
+async function findSenderRoles(projectId, token, phone) {
+  if (!/^\+[1-9]\d{7,14}$/.test(phone)) return [];
+
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    {
+      structuredQuery: {
+        from: [{ collectionId: "roles", allDescendants: true }],
+        where: {
+          fieldFilter: {
+            field: { fieldPath: "whatsappNumber" },
+            op: "EQUAL",
+            value: toFirestoreValue(phone),
+          },
+        },
+        limit: 20,
+      },
+    },
+    null
+  );
+
+  return docs
+    .map((d) => {
+      const m = /merchants\/([^/]+)\/branches\/([^/]+)\/roles\/([^/]+)$/.exec(d.name);
+      const data = firestoreFields(d.fields);
+      return m && { merchantId: m[1], branchId: m[2], uid: m[3], role: data.role, email: data.email || null };
+    })
+    .filter((r) => r && ["admin", "staff"].includes(r.role));
+}
+
+async function findOrder(projectId, token, { merchantId, branchId }, orderNo) {
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    {
+      structuredQuery: {
+        from: [{ collectionId: "orders" }],
+        where: {
+          fieldFilter: {
+            field: { fieldPath: "orderNo" },
+            op: "EQUAL",
+            value: toFirestoreValue(orderNo),
+          },
+        },
+        limit: 1,
+      },
+    },
+    `merchants/${merchantId}/branches/${branchId}`
+  );
+  return docs[0] || null;
+}
+
+/** Moves the order as the sender and returns the reply. */
+async function applyCommand(projectId, token, role, doc, { command, orderNo, reason }) {
+  const status = COMMANDS[command];
+  const body = { merchantId: role.merchantId, branchId: role.branchId, orderId: doc.name.split("/").pop(), status, reason };
+
+  let result;
+  try {
+    result = await updateOrderStatus(projectId, token, role, body, { source: "whatsapp" });
+  } catch (e) {
+    if (!(e instanceof OrderRequestError)) throw e;
+    if (e.status === 404) return `Order ${orderNo} not found.`;
+    if (e.status !== 409) throw e;
+
+    const next = NEXT_COMMAND[e.details.status];
+    const hint = next ? ` Send "${next} ${orderNo}" first.` : "";
+    return `Cannot mark ${orderNo} ${status}: it is ${e.details.status}.${hint}`;
+  }
+
+  if (!result.changed) return `${orderNo} is already ${status}.`;
+  if (command === "cancel") return `❌ ${orderNo} cancelled${reason ? `: ${reason}` : ""}.`;
+  return `✅ ${orderNo} ${status}.`;
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+function maskPhone(phone) {
+  return phone.length > 4 ? `${"*".repeat(phone.length - 4)}${phone.slice(-4)}` : "****";
+}
@@ -0,0 +1,78 @@
+/**
+ * Calendar days in a branch's timezone
+ *
+ * Days are "yyyy-mm-dd" keys (also the analyticsDaily document ids).
+ * Conversions go through Intl, so DST zones work as well as Asia/Bahrain.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function isValidDateKey(s) {
+  const m = DATE_RE.exec(String(s || ""));
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.toISOString().slice(0, 10) === s;
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function addDays(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** 0 = Sunday … 6 = Saturday */
+export function weekdayOf(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/** yyyy-mm-dd of `date` in `timezone` */
+export function localDateKey(date, timezone) {
+  const p = localParts(date, timezone);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+
+/** The instant `date` (yyyy-mm-dd) begins in `timezone`. */
+export function localMidnight(date, timezone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  // Offsets can differ on either side of midnight (DST), so settle it at the result
+  const first = guess - offsetMs(new Date(guess), timezone);
+  return new Date(guess - offsetMs(new Date(first), timezone));
+}
+
+/** { year, month, day, hour, minute, second } of `date` in `timezone` */
+export function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+function offsetMs(date, timezone) {
+  const p = localParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
@@ -0,0 +1,618 @@
+/**
+ * Email HTTP API (action-based)
+ *
+ * The Flutter EmailService POSTs { action, data } to the worker root:
+ * - order-notification     → merchant "new order" email
+ * - order-cancellation     → merchant "order cancelled" email
+ * - customer-confirmation  → customer receipt email for the caller's own
+ *                            order; data is just { orderId }, everything else
+ *                            comes from the order (customerConfirmationData)
+ * - report                 → sales report email
+ *
+ * Scheduled reports (reports.js) render with renderScheduledReport and go
+ * out through sendMail, with the orders as a CSV attachment.
+ *
+ * Every request carries a Firebase ID token and, for merchant actions,
+ * top-level merchantId/branchId (see EMAIL_ACTION_ACCESS). Merchant emails
+ * go to the branch's config/reports recipients, which worker.js puts in
+ * data.toEmail; a report may go to one of them or the caller's own verified
+ * email instead. data.dashboardUrl must be https on a DASHBOARD_ORIGINS
+ * origin.
+ *
+ * Response contract (what lib/core/services/email_service.dart expects):
+ * - { success: true, messageId }
+ * - { success: false, error }
+ *
+ * Secrets / vars:
+ * - RESEND_API_KEY   (required when MAIL_PROVIDER=resend, the default)
+ * - EMAIL_FROM       e.g. "SweetWeb <orders@sweetweb.app>"
+ * - MAIL_PROVIDER    "resend" (default) | "log" (no network, logs + fake id)
+ * - RESEND_API_URL   override for a local stub server
+ * - DASHBOARD_ORIGINS comma-separated origins dashboard links may point to
+ *                     (default: APP_ORIGIN)
+ */
+
+import { localDateKey, localParts } from "./dates.js";
+
+const DEFAULT_FROM = "SweetWeb <onboarding@resend.dev>";
+const DEFAULT_RESEND_API_URL = "https://api.resend.com/emails";
+
+export class EmailValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmailValidationError";
+  }
+}
+
+// ============================================================================
+// REQUEST HANDLER
+// ============================================================================
+
+/**
+ * Handles a parsed { action, data } body and returns { status, body }.
+ * `provider` is injectable so tests (or a local dev setup) can swap in a stub.
+ */
+export async function handleEmailAction(body, env, provider = createMailProvider(env)) {
+  const action = body?.action;
+  const handler = ACTIONS[action];
+  if (!handler) {
+    return { status: 400, body: { success: false, error: `Unknown action: ${action}` } };
+  }
+
+  let email;
+  try {
+    const data = handler.validate(body.data, env);
+    email = handler.render(data);
+    email.to = data.toEmail;
+  } catch (e) {
+    if (e instanceof EmailValidationError) {
+      console.warn(`[EMAIL] Invalid ${action} payload: ${e.message}`);
+      return { status: 400, body: { success: false, error: e.message } };
+    }
+    throw e;
+  }
+
+  try {
+    const messageId = await sendMail(env, email, provider);
+    console.log(`[EMAIL] ✅ ${action} sent to ${email.to} (ID: ${messageId})`);
+    return { status: 200, body: { success: true, messageId } };
+  } catch (e) {
+    console.error(`[EMAIL] ${action} failed:`, e?.message || e);
+    return { status: 502, body: { success: false, error: e?.message || "Email provider error" } };
+  }
+}
+
+/**
+ * Who may call each action (see auth.js). Merchant emails need a branch
+ * role; customer confirmations only need a signed-in (possibly anonymous)
+ * user, but worker.js only sends them for an order that user placed.
+ */
+export const EMAIL_ACTION_ACCESS = {
+  "order-notification": "staff",
+  "order-cancellation": "staff",
+  "customer-confirmation": "signedIn",
+  report: "admin",
+};
+
+const ACTIONS = {
+  "order-notification": {
+    validate: (d, env) => validateOrderPayload(d, env),
+    render: (d) => renderOrderNotification(d),
+  },
+  "order-cancellation": {
+    validate: (d, env) => validateOrderPayload(d, env),
+    render: (d) => renderOrderCancellation(d),
+  },
+  "customer-confirmation": {
+    validate: (d, env) => validateOrderPayload(d, env, { requireDashboardUrl: false }),
+    render: (d) => renderCustomerConfirmation(d),
+  },
+  report: {
+    validate: (d) => validateReportPayload(d),
+    render: (d) => renderReport(d),
+  },
+};
+
+/**
+ * customer-confirmation data for an order document: the recipient is the
+ * customerEmail given at checkout, never something the caller sends.
+ */
+export function customerConfirmationData(order, { merchantName, timezone }) {
+  const createdAt = order.createdAt instanceof Date ? order.createdAt : new Date();
+  const { hour, minute } = localParts(createdAt, timezone);
+  return {
+    orderNo: order.orderNo,
+    merchantName,
+    timestamp: `${localDateKey(createdAt, timezone)} ${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`,
+    table: order.table || null,
+    items: (order.items || []).map(({ name, qty, price, note }) => ({ name, qty, price, note })),
+    subtotal: order.subtotal,
+    toEmail: order.customerEmail,
+  };
+}
+
+// ============================================================================
+// MAIL PROVIDERS
+// ============================================================================
+
+/**
+ * Sends { to, subject, html, text, attachments? } from EMAIL_FROM.
+ * `to` may be a list; attachments are [{ filename, content }] with text
+ * content. Returns the provider's message id.
+ */
+export function sendMail(env, { to, subject, html, text, attachments }, provider = createMailProvider(env)) {
+  const message = { from: env.EMAIL_FROM || DEFAULT_FROM, to, subject, html, text };
+  if (attachments?.length) message.attachments = attachments;
+  return provider.send(message);
+}
+
+export function createMailProvider(env) {
+  const kind = String(env.MAIL_PROVIDER || "resend").trim().toLowerCase();
+  if (kind === "log") return createLogMailProvider();
+  if (kind === "resend") return createResendMailProvider(env);
+  throw new Error(`Unsupported MAIL_PROVIDER: ${kind}`);
+}
+
+function createResendMailProvider(env) {
+  return {
+    async send({ from, to, subject, html, text, attachments }) {
+      if (!env.RESEND_API_KEY) throw new Error("Missing RESEND_API_KEY secret");
+
+      const body = { from, to: Array.isArray(to) ? to : [to], subject, html, text };
+      if (attachments) {
+        body.attachments = attachments.map((a) => ({ filename: a.filename, content: base64Utf8(a.content) }));
+      }
+
+      const resp = await fetch(env.RESEND_API_URL || DEFAULT_RESEND_API_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${env.RESEND_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!resp.ok) {
+        const t = await resp.text();
+        throw new Error(`Resend failed (${resp.status}): ${t}`);
+      }
+
+      const data = await resp.json();
+      return data.id;
+    },
+  };
+}
+
+/**
+ * Provider that never touches the network. `sent` keeps every message so a
+ * test can assert on what would have been delivered.
+ */
+export function createLogMailProvider() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      const id = `log-${sent.length}`;
+      console.log(`[EMAIL] (log provider) ${id} → ${message.to}: ${message.subject}`);
+      return id;
+    },
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function validateOrderPayload(data, env, { requireDashboardUrl = true } = {}) {
+  const d = requireObject(data, "data");
+  requireString(d, "orderNo");
+  requireString(d, "merchantName");
+  requireString(d, "timestamp");
+  requireRecipients(d, "toEmail");
+  requireNumber(d, "subtotal");
+  if (requireDashboardUrl) requireDashboardLink(d, "dashboardUrl", env);
+
+  if (!Array.isArray(d.items) || d.items.length === 0) {
+    throw new EmailValidationError("data.items must be a non-empty array");
+  }
+  d.items.forEach((it, i) => {
+    const item = requireObject(it, `data.items[${i}]`);
+    requireString(item, "name", `data.items[${i}]`);
+    requireNumber(item, "qty", `data.items[${i}]`);
+    requireNumber(item, "price", `data.items[${i}]`);
+  });
+
+  return d;
+}
+
+function validateReportPayload(data) {
+  const d = requireObject(data, "data");
+  requireString(d, "merchantName");
+  requireString(d, "dateRange");
+  requireRecipients(d, "toEmail");
+  for (const k of ["totalOrders", "totalRevenue", "servedOrders", "cancelledOrders", "averageOrder"]) {
+    requireNumber(d, k);
+  }
+  if (!Array.isArray(d.topItems)) throw new EmailValidationError("data.topItems must be an array");
+  if (!Array.isArray(d.ordersByStatus)) throw new EmailValidationError("data.ordersByStatus must be an array");
+  return d;
+}
+
+function requireObject(v, label) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) {
+    throw new EmailValidationError(`${label} must be an object`);
+  }
+  return v;
+}
+
+function requireString(obj, key, label = "data") {
+  if (typeof obj[key] !== "string" || !obj[key].trim()) {
+    throw new EmailValidationError(`${label}.${key} is required`);
+  }
+}
+
+function requireNumber(obj, key, label = "data") {
+  if (typeof obj[key] !== "number" || !Number.isFinite(obj[key])) {
+    throw new EmailValidationError(`${label}.${key} must be a number`);
+  }
+}
+
+/** An email address or a non-empty list of them. */
+function requireRecipients(obj, key) {
+  const list = Array.isArray(obj[key]) ? obj[key] : [obj[key]];
+  if (list.length === 0 || !list.every((e) => typeof e === "string" && EMAIL_RE.test(e))) {
+    throw new EmailValidationError(`data.${key} is not a valid email address`);
+  }
+}
+
+function requireDashboardLink(obj, key, env) {
+  requireString(obj, key);
+  let url;
+  try {
+    url = new URL(obj[key]);
+  } catch {
+    throw new EmailValidationError(`data.${key} is not a valid URL`);
+  }
+  if (url.protocol !== "https:" || !dashboardOrigins(env).includes(url.origin)) {
+    throw new EmailValidationError(`data.${key} must be an https link to the dashboard`);
+  }
+}
+
+/** DASHBOARD_ORIGINS (comma-separated), else APP_ORIGIN. */
+function dashboardOrigins(env) {
+  return String(env.DASHBOARD_ORIGINS || env.APP_ORIGIN || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+function renderOrderNotification(d) {
+  const subject = `🔔 New Order ${d.orderNo} - ${d.merchantName}`;
+  const details = orderDetailRows(d);
+
+  const html = layout(
+    `New Order: ${d.orderNo}`,
+    `${detailTable(details)}
+     ${itemsTable(d.items, d.subtotal)}
+     ${button("Open Dashboard", d.dashboardUrl)}`
+  );
+
+  const text = [
+    `New Order: ${d.orderNo}`,
+    "",
+    ...details.map(([k, v]) => `${k}: ${v}`),
+    "",
+    ...itemsText(d.items, d.subtotal),
+    "",
+    `Dashboard: ${d.dashboardUrl}`,
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+function renderOrderCancellation(d) {
+  const subject = `❌ Order Cancelled ${d.orderNo} - ${d.merchantName}`;
+  const details = orderDetailRows(d);
+  if (d.cancellationReason) details.push(["Reason", d.cancellationReason]);
+
+  const html = layout(
+    `Order Cancelled: ${d.orderNo}`,
+    `${detailTable(details)}
+     ${itemsTable(d.items, d.subtotal)}
+     ${button("Open Dashboard", d.dashboardUrl)}`
+  );
+
+  const text = [
+    `Order Cancelled: ${d.orderNo}`,
+    "",
+    ...details.map(([k, v]) => `${k}: ${v}`),
+    "",
+    ...itemsText(d.items, d.subtotal),
+    "",
+    `Dashboard: ${d.dashboardUrl}`,
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+function renderCustomerConfirmation(d) {
+  const subject = `Your order ${d.orderNo} at ${d.merchantName}`;
+  const details = [["Order", d.orderNo], ["Placed", d.timestamp]];
+  if (d.table) details.push(["Table", d.table]);
+
+  const html = layout(
+    `Thank you for your order!`,
+    `<p style="margin:0 0 16px">We've received your order at <strong>${escapeHtml(d.merchantName)}</strong>.</p>
+     ${detailTable(details)}
+     ${itemsTable(d.items, d.subtotal)}`
+  );
+
+  const text = [
+    `Thank you for your order at ${d.merchantName}!`,
+    "",
+    ...details.map(([k, v]) => `${k}: ${v}`),
+    "",
+    ...itemsText(d.items, d.subtotal),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+function renderReport(d) {
+  const subject = `📊 Sales Report - ${d.merchantName} (${d.dateRange})`;
+
+  const summary = [
+    ["Total orders", String(d.totalOrders)],
+    ["Total revenue", `${formatBhd(d.totalRevenue)} BHD`],
+    ["Served", String(d.servedOrders)],
+    ["Cancelled", String(d.cancelledOrders)],
+    ["Average order", `${formatBhd(d.averageOrder)} BHD`],
+  ];
+
+  const topRows = d.topItems
+    .map(
+      (it, i) => `<tr>
+        <td style="padding:6px 8px">${i + 1}. ${escapeHtml(it?.name || "Unknown")}</td>
+        <td style="padding:6px 8px;text-align:right">${Number(it?.count || 0)}</td>
+        <td style="padding:6px 8px;text-align:right">${formatBhd(it?.revenue)} BHD</td>
+      </tr>`
+    )
+    .join("");
+
+  const statusRows = d.ordersByStatus
+    .map((s) => [capitalize(s?.status || "unknown"), String(Number(s?.count || 0))]);
+
+  const html = layout(
+    `Sales Report: ${d.merchantName}`,
+    `<p style="margin:0 0 16px;color:#666">${escapeHtml(d.dateRange)}</p>
+     ${detailTable(summary)}
+     <h3 style="margin:24px 0 8px">Top Items</h3>
+     <table width="100%" cellspacing="0" style="border-collapse:collapse">
+       <tr style="background:#f5f5f5">
+         <th style="padding:6px 8px;text-align:left">Item</th>
+         <th style="padding:6px 8px;text-align:right">Qty</th>
+         <th style="padding:6px 8px;text-align:right">Revenue</th>
+       </tr>
+       ${topRows || `<tr><td colspan="3" style="padding:6px 8px;color:#999">No items</td></tr>`}
+     </table>
+     <h3 style="margin:24px 0 8px">Orders by Status</h3>
+     ${detailTable(statusRows)}`
+  );
+
+  const text = [
+    `Sales Report: ${d.merchantName}`,
+    d.dateRange,
+    "",
+    ...summary.map(([k, v]) => `${k}: ${v}`),
+    "",
+    "Top Items:",
+    ...d.topItems.map(
+      (it, i) => `${i + 1}. ${it?.name || "Unknown"} x${Number(it?.count || 0)} - ${formatBhd(it?.revenue)} BHD`
+    ),
+    "",
+    "Orders by Status:",
+    ...statusRows.map(([k, v]) => `${k}: ${v}`),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Scheduled report (see reports.js). `r` is { merchantName, kind, periodLabel,
+ * timezone, summary (summarizeOrders in analytics.js), busiestHour }.
+ */
+export function renderScheduledReport(r) {
+  const s = r.summary;
+  const title = r.kind === "weekly" ? "Weekly Sales Report" : "Daily Sales Report";
+  const subject = `📊 ${title} - ${r.merchantName} (${r.periodLabel})`;
+
+  const summary = [
+    ["Orders", String(s.orderCount)],
+    ["Completed", String(s.completedOrders)],
+    ["Cancelled", String(s.cancelledOrders)],
+    ["Revenue", `${formatBhd(s.revenue)} BHD`],
+    ["Loyalty discounts", `${formatBhd(s.loyaltyDiscount)} BHD`],
+    ["Net revenue", `${formatBhd(s.netRevenue)} BHD`],
+    ["Average order", `${formatBhd(s.averageOrderValue)} BHD`],
+    ["Items sold", String(s.itemCount)],
+    ["Customers", String(s.customerIds.length)],
+  ];
+  if (r.busiestHour) {
+    summary.push(["Busiest hour", `${String(r.busiestHour.hour).padStart(2, "0")}:00 (${r.busiestHour.orders} orders)`]);
+  }
+
+  const fulfillmentRows = Object.entries(s.byFulfillment).map(([type, f]) => [
+    fulfillmentLabel(type),
+    `${f.orders} orders, ${formatBhd(f.revenue)} BHD`,
+  ]);
+  const statusRows = Object.entries(s.byStatus)
+    .filter(([, n]) => n > 0)
+    .map(([status, n]) => [capitalize(status), String(n)]);
+  const topItems = s.items.slice(0, 10);
+
+  const topRows = topItems
+    .map(
+      (it, i) => `<tr>
+        <td style="padding:6px 8px">${i + 1}. ${escapeHtml(it.name)}</td>
+        <td style="padding:6px 8px;text-align:right">${it.qty}</td>
+        <td style="padding:6px 8px;text-align:right">${formatBhd(it.revenue)} BHD</td>
+      </tr>`
+    )
+    .join("");
+
+  const html = layout(
+    `${title}: ${r.merchantName}`,
+    `<p style="margin:0 0 16px;color:#666">${escapeHtml(r.periodLabel)} (${escapeHtml(r.timezone)})</p>
+     ${detailTable(summary)}
+     <h3 style="margin:24px 0 8px">Top Items</h3>
+     <table width="100%" cellspacing="0" style="border-collapse:collapse">
+       <tr style="background:#f5f5f5">
+         <th style="padding:6px 8px;text-align:left">Item</th>
+         <th style="padding:6px 8px;text-align:right">Qty</th>
+         <th style="padding:6px 8px;text-align:right">Revenue</th>
+       </tr>
+       ${topRows || `<tr><td colspan="3" style="padding:6px 8px;color:#999">No items</td></tr>`}
+     </table>
+     <h3 style="margin:24px 0 8px">By Fulfillment</h3>
+     ${fulfillmentRows.length ? detailTable(fulfillmentRows) : `<p style="color:#999">No orders</p>`}
+     <h3 style="margin:24px 0 8px">Orders by Status</h3>
+     ${statusRows.length ? detailTable(statusRows) : `<p style="color:#999">No orders</p>`}
+     <p style="margin:24px 0 0;color:#999;font-size:12px">Every order of the period is in the attached CSV.</p>`
+  );
+
+  const text = [
+    `${title}: ${r.merchantName}`,
+    `${r.periodLabel} (${r.timezone})`,
+    "",
+    ...summary.map(([k, v]) => `${k}: ${v}`),
+    "",
+    "Top Items:",
+    ...topItems.map((it, i) => `${i + 1}. ${it.name} x${it.qty} - ${formatBhd(it.revenue)} BHD`),
+    "",
+    "By Fulfillment:",
+    ...fulfillmentRows.map(([k, v]) => `${k}: ${v}`),
+    "",
+    "Orders by Status:",
+    ...statusRows.map(([k, v]) => `${k}: ${v}`),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+function orderDetailRows(d) {
+  const rows = [["Store", d.merchantName], ["Time", d.timestamp]];
+  if (d.fulfillmentType) rows.push(["Fulfillment", fulfillmentLabel(d.fulfillmentType)]);
+  if (d.table) rows.push(["Table", d.table]);
+  if (d.carPlate) rows.push(["Car plate", d.carPlate]);
+  if (d.deliveryAddress) rows.push(["Address", d.deliveryAddress]);
+  return rows;
+}
+
+function fulfillmentLabel(type) {
+  switch (type) {
+    case "car_pickup":
+      return "Car pickup";
+    case "delivery":
+      return "Delivery";
+    case "dine_in":
+      return "Dine-in";
+    default:
+      return String(type);
+  }
+}
+
+// ============================================================================
+// HTML HELPERS
+// ============================================================================
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#222">
+  <div style="max-width:600px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+    <h2 style="margin:0 0 16px">${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function detailTable(rows) {
+  const trs = rows
+    .map(
+      ([k, v]) => `<tr>
+        <td style="padding:4px 8px;color:#666">${escapeHtml(k)}</td>
+        <td style="padding:4px 8px">${escapeHtml(v)}</td>
+      </tr>`
+    )
+    .join("");
+  return `<table cellspacing="0" style="border-collapse:collapse;margin-bottom:16px">${trs}</table>`;
+}
+
+function itemsTable(items, subtotal) {
+  const rows = items
+    .map((it) => {
+      const note = it.note ? `<br><em style="color:#888">Note: ${escapeHtml(it.note)}</em>` : "";
+      return `<tr>
+        <td style="padding:6px 8px;border-bottom:1px solid #eee">${escapeHtml(it.name)} (x${it.qty})${note}</td>
+        <td style="padding:6px 8px;border-bottom:1px solid #eee;text-align:right">${formatBhd(it.price * it.qty)} BHD</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `<table width="100%" cellspacing="0" style="border-collapse:collapse">
+    ${rows}
+    <tr>
+      <td style="padding:8px;font-weight:bold">Total</td>
+      <td style="padding:8px;font-weight:bold;text-align:right">${formatBhd(subtotal)} BHD</td>
+    </tr>
+  </table>`;
+}
+
+function itemsText(items, subtotal) {
+  const lines = ["Items:"];
+  for (const it of items) {
+    lines.push(`• ${it.name} (x${it.qty}) - ${formatBhd(it.price * it.qty)} BHD`);
+    if (it.note) lines.push(`  Note: ${it.note}`);
+  }
+  lines.push("", `Total: ${formatBhd(subtotal)} BHD`);
+  return lines;
+}
+
+function button(label, href) {
+  return `<p style="margin:24px 0 0"><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 18px;background:#222;color:#fff;text-decoration:none;border-radius:6px">${escapeHtml(label)}</a></p>`;
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function base64Utf8(text) {
+  const bytes = new TextEncoder().encode(String(text));
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function formatBhd(n) {
+  return Number(n || 0).toFixed(3);
+}
+
+function capitalize(s) {
+  const str = String(s);
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
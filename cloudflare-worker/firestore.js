@@ -0,0 +1,520 @@
+/**
+ * Firestore REST client shared by the worker modules
+ *
+ * Every call takes (projectId, token, ...) with the token from
+ * getFirebaseOAuthToken (firebase.js). Documents come back as
+ * { name, fields, updateTime } with `fields` still encoded; decode them with
+ * firestoreFields().
+ *
+ * Codec (toFirestoreValue / firestoreValue):
+ *
+ *   null / undefined      nullValue        (undefined fields are left out)
+ *   boolean               booleanValue
+ *   safe integer, bigint  integerValue     (beyond 2^53 decodes to a bigint)
+ *   other number          doubleValue      (NaN / ±Infinity included)
+ *   string                stringValue
+ *   Date                  timestampValue   (millisecond precision)
+ *   Uint8Array            bytesValue
+ *   DocumentReference     referenceValue
+ *   GeoPoint              geoPointValue
+ *   array                 arrayValue
+ *   plain object          mapValue
+ *
+ * A double with an integral value (3.0) decodes to 3 and is written back as
+ * an integer; JS numbers cannot tell the two apart.
+ *
+ * Writes: setWrite / updateWrite / createWrite / deleteWrite build the Write
+ * objects firestoreCommit takes. Their data may hold transforms
+ * (serverTimestamp(), increment(n), maximum(n), minimum(n), arrayUnion(...),
+ * arrayRemove(...)) and deleteField().
+ *
+ * Errors: a failed call throws FirestoreError (`code` is the RPC status, e.g.
+ * "PERMISSION_DENIED"). A commit rejected by a precondition (updateTime,
+ * exists) throws FirestorePreconditionError instead, so callers can tell
+ * "someone else wrote first" from an outage.
+ *
+ * Emulator: useFirestoreEmulator("127.0.0.1:8081") (FIRESTORE_EMULATOR_HOST)
+ * sends every call to the emulator; getFirebaseOAuthToken then returns the
+ * emulator's "owner" token.
+ */
+
+import { base64DecodeToArrayBuffer } from "./firebase.js";
+
+const PRODUCTION_ORIGIN = "https://firestore.googleapis.com";
+const DEFAULT_PAGE_SIZE = 300;
+
+// Commit failures that mean a precondition did not hold
+const PRECONDITION_CODES = ["FAILED_PRECONDITION", "ALREADY_EXISTS", "NOT_FOUND"];
+
+const RPC_CODES = [
+  "CANCELLED",
+  "UNKNOWN",
+  "INVALID_ARGUMENT",
+  "DEADLINE_EXCEEDED",
+  "NOT_FOUND",
+  "ALREADY_EXISTS",
+  "PERMISSION_DENIED",
+  "RESOURCE_EXHAUSTED",
+  "FAILED_PRECONDITION",
+  "ABORTED",
+  "OUT_OF_RANGE",
+  "UNIMPLEMENTED",
+  "INTERNAL",
+  "UNAVAILABLE",
+  "DATA_LOSS",
+  "UNAUTHENTICATED",
+];
+
+let emulatorHost = null;
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export class FirestoreError extends Error {
+  constructor(message, { status = 0, code = null } = {}) {
+    super(message);
+    this.name = "FirestoreError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** The commit was rejected by a currentDocument precondition; nothing was written. */
+export class FirestorePreconditionError extends FirestoreError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "FirestorePreconditionError";
+  }
+}
+
+async function errorFromResponse(operation, resp) {
+  const text = await resp.text();
+  let code = null;
+  let message = text;
+  try {
+    const error = JSON.parse(text)?.error;
+    code = error?.status || null;
+    message = error?.message || text;
+  } catch {
+    // Not JSON (proxy or emulator error page)
+  }
+  code ||= RPC_CODES.find((c) => text.includes(c)) || null;
+
+  // FAILED_PRECONDITION on a query means a missing index, not a stale write
+  const Type = operation === "commit" && PRECONDITION_CODES.includes(code) ? FirestorePreconditionError : FirestoreError;
+  return new Type(`Firestore ${operation} failed: ${message}`, { status: resp.status, code });
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+/** "host:port" of the Firestore emulator, or null/empty for production. */
+export function useFirestoreEmulator(host) {
+  emulatorHost = host ? String(host).replace(/^https?:\/\//, "").replace(/\/+$/, "") : null;
+}
+
+export function firestoreBaseUrl(projectId) {
+  const origin = emulatorHost ? `http://${emulatorHost}` : PRODUCTION_ORIGIN;
+  return `${origin}/v1/projects/${projectId}/databases/(default)/documents`;
+}
+
+/** Full resource name of the document at `path` (merchants/m/branches/b/...). */
+export function firestoreDocName(projectId, path) {
+  return `projects/${projectId}/databases/(default)/documents/${path}`;
+}
+
+async function post(operation, url, token, body) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!resp.ok) throw await errorFromResponse(operation, resp);
+  return resp.json();
+}
+
+function toDoc(d) {
+  return { name: d.name, fields: d.fields || {}, updateTime: d.updateTime };
+}
+
+// ============================================================================
+// READS
+// ============================================================================
+
+/** The document at `documentPath`, or null when it does not exist. */
+export async function firestoreGetDocument(projectId, token, documentPath, { transaction } = {}) {
+  let url = `${firestoreBaseUrl(projectId)}/${documentPath}`;
+  if (transaction) url += `?transaction=${encodeURIComponent(transaction)}`;
+
+  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw await errorFromResponse("get", resp);
+
+  return toDoc(await resp.json());
+}
+
+/**
+ * Reads several documents in one call. `documentNames` are full resource
+ * names (see firestoreDocName). Returns a Map name → doc|null.
+ * Pass `transaction` to read inside a read-write transaction.
+ */
+export async function firestoreBatchGet(projectId, token, documentNames, { transaction } = {}) {
+  const out = new Map();
+  if (documentNames.length === 0) return out;
+
+  const results = await post(
+    "batchGet",
+    `${firestoreBaseUrl(projectId)}:batchGet`,
+    token,
+    transaction ? { documents: documentNames, transaction } : { documents: documentNames }
+  );
+
+  for (const r of results) {
+    if (r.found) out.set(r.found.name, toDoc(r.found));
+    else if (r.missing) out.set(r.missing, null);
+  }
+  return out;
+}
+
+/** One runQuery call. `parentPathOrNull` scopes the query; null is the database root. */
+export async function firestoreRunQuery(projectId, token, query, parentPathOrNull, { transaction } = {}) {
+  const base = firestoreBaseUrl(projectId);
+  const url = parentPathOrNull ? `${base}/${parentPathOrNull}:runQuery` : `${base}:runQuery`;
+
+  const results = await post("runQuery", url, token, transaction ? { ...query, transaction } : query);
+  return (results || []).filter((r) => r.document).map((r) => toDoc(r.document));
+}
+
+/**
+ * Runs `query` page by page with a startAt cursor on the last document seen,
+ * yielding each non-empty page. __name__ is appended to orderBy when missing
+ * so the cursor is unique; `limit` is replaced by `pageSize`. Every orderBy
+ * field must be a plain (unquoted) path and, with `select`, selected.
+ */
+export async function* firestoreQueryPages(projectId, token, { structuredQuery }, parentPathOrNull, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const orderBy = [...(structuredQuery.orderBy || [])];
+  if (orderBy[orderBy.length - 1]?.field.fieldPath !== "__name__") {
+    orderBy.push({ field: { fieldPath: "__name__" }, direction: orderBy[orderBy.length - 1]?.direction || "ASCENDING" });
+  }
+
+  let startAt = structuredQuery.startAt;
+  for (;;) {
+    const query = { structuredQuery: { ...structuredQuery, orderBy, limit: pageSize, ...(startAt ? { startAt } : {}) } };
+    const page = await firestoreRunQuery(projectId, token, query, parentPathOrNull);
+    if (page.length > 0) yield page;
+    if (page.length < pageSize) return;
+
+    const last = page[page.length - 1];
+    startAt = { values: orderBy.map((o) => cursorValue(last, o.field.fieldPath)), before: false };
+  }
+}
+
+/** Every document `query` matches, fetched with firestoreQueryPages. */
+export async function firestoreQueryAll(projectId, token, query, parentPathOrNull, options) {
+  const docs = [];
+  for await (const page of firestoreQueryPages(projectId, token, query, parentPathOrNull, options)) docs.push(...page);
+  return docs;
+}
+
+function cursorValue(doc, fieldPath) {
+  if (fieldPath === "__name__") return { referenceValue: doc.name };
+
+  let value = { mapValue: { fields: doc.fields } };
+  for (const segment of fieldPath.split(".")) value = value?.mapValue?.fields?.[segment];
+  return value || { nullValue: null };
+}
+
+// ============================================================================
+// COMMIT + TRANSACTIONS
+// ============================================================================
+
+/**
+ * Commits `writes` atomically. Pass `transaction` (from
+ * firestoreBeginTransaction) to commit a read-write transaction.
+ * Throws FirestorePreconditionError when a precondition fails, and
+ * FirestoreError with code "ABORTED" when the transaction lost to contention.
+ */
+export async function firestoreCommit(projectId, token, writes, { transaction } = {}) {
+  return post("commit", `${firestoreBaseUrl(projectId)}:commit`, token, transaction ? { writes, transaction } : { writes });
+}
+
+/** Starts a read-write transaction. Returns the transaction id for reads and commit. */
+export async function firestoreBeginTransaction(projectId, token) {
+  const res = await post("beginTransaction", `${firestoreBaseUrl(projectId)}:beginTransaction`, token, {
+    options: { readWrite: {} },
+  });
+  return res.transaction;
+}
+
+export async function firestoreRollback(projectId, token, transaction) {
+  try {
+    await post("rollback", `${firestoreBaseUrl(projectId)}:rollback`, token, { transaction });
+  } catch (e) {
+    console.warn(`[FIRESTORE] ${e.message}`);
+  }
+}
+
+/**
+ * Runs `build(transaction)` and commits the writes it returns in the same
+ * read-write transaction, starting over when Firestore aborts it because of
+ * contention. `build` resolves { writes, result }; `result` is returned.
+ * If `build` throws, the transaction is rolled back and the error rethrown.
+ */
+export async function firestoreRunTransaction(projectId, token, build, { attempts = 5 } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const transaction = await firestoreBeginTransaction(projectId, token);
+
+    try {
+      const built = await build(transaction);
+      await firestoreCommit(projectId, token, built.writes || [], { transaction });
+      return built.result;
+    } catch (e) {
+      if (!(e instanceof FirestoreError && e.code === "ABORTED")) {
+        await firestoreRollback(projectId, token, transaction);
+        throw e;
+      }
+    }
+    console.warn(`[FIRESTORE] Transaction attempt ${attempt}/${attempts} aborted, retrying`);
+  }
+
+  throw new FirestoreError(`Firestore transaction did not commit after ${attempts} attempts`, { code: "ABORTED" });
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Writes `data` as the whole document, or with `merge` only the fields it
+ * contains (nested maps are merged key by key).
+ */
+export function setWrite(name, data, { merge = false, currentDocument } = {}) {
+  const acc = { leaves: merge ? [] : null, transforms: [], deletes: [] };
+  const encoded = extractWriteValue(data, [], acc);
+  if (!merge && acc.deletes.length > 0) throw new TypeError("deleteField() needs setWrite(..., { merge: true }) or updateWrite");
+
+  return writeOf(name, encoded.mapValue.fields, merge ? [...acc.leaves, ...acc.deletes] : null, acc.transforms, currentDocument);
+}
+
+/**
+ * Updates the given field paths of an existing document. Keys are dotted
+ * paths ("notifications.waNewTo.kitchen"); each value replaces whatever is at
+ * its path and leaves the siblings alone. Fails with
+ * FirestorePreconditionError when the document does not exist (unless
+ * `currentDocument` says otherwise).
+ */
+export function updateWrite(name, data, { currentDocument = { exists: true } } = {}) {
+  const acc = { leaves: null, transforms: [], deletes: [] };
+  const fields = {};
+  const mask = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    const segments = key.split(".");
+    const encoded = extractWriteValue(value, segments, acc);
+    if (encoded === undefined) continue;
+
+    mask.push(fieldPath(segments));
+    let target = fields;
+    for (const segment of segments.slice(0, -1)) {
+      target[segment] ??= { mapValue: { fields: {} } };
+      target = target[segment].mapValue.fields;
+    }
+    target[segments[segments.length - 1]] = encoded;
+  }
+
+  return writeOf(name, fields, [...mask, ...acc.deletes], acc.transforms, currentDocument);
+}
+
+/** Creates the document; fails with FirestorePreconditionError if it already exists. */
+export function createWrite(name, data) {
+  return setWrite(name, data, { currentDocument: { exists: false } });
+}
+
+export function deleteWrite(name, { currentDocument } = {}) {
+  return currentDocument ? { delete: name, currentDocument } : { delete: name };
+}
+
+function writeOf(name, fields, mask, transforms, currentDocument) {
+  const write = { update: { name, fields } };
+  if (mask) write.updateMask = { fieldPaths: mask };
+  if (transforms.length > 0) write.updateTransforms = transforms;
+  // currentDocument is a oneof (exists OR updateTime); callers pass one
+  if (currentDocument) write.currentDocument = currentDocument;
+  return write;
+}
+
+/** Encodes a write value, moving transforms and deletes out into `acc`. Undefined means "not in fields". */
+function extractWriteValue(value, segments, acc) {
+  if (value === undefined) return undefined;
+
+  if (value instanceof FieldTransform) {
+    if (segments.length === 0) throw new TypeError(`${value.method}() must be the value of a field`);
+    if (value.method === "deleteField") acc.deletes.push(fieldPath(segments));
+    else acc.transforms.push({ fieldPath: fieldPath(segments), ...value.transform });
+    return undefined;
+  }
+
+  if (isPlainObject(value)) {
+    const fields = {};
+    for (const [k, v] of Object.entries(value)) {
+      const encoded = extractWriteValue(v, [...segments, k], acc);
+      if (encoded !== undefined) fields[k] = encoded;
+    }
+    if (acc.leaves && segments.length > 0 && Object.keys(value).length === 0) acc.leaves.push(fieldPath(segments));
+    return { mapValue: { fields } };
+  }
+
+  if (segments.length === 0) throw new TypeError("Write data must be a plain object");
+  if (acc.leaves) acc.leaves.push(fieldPath(segments));
+  return toFirestoreValue(value);
+}
+
+/** Field path for a mask or transform; segments that are not plain identifiers are backquoted. */
+function fieldPath(segments) {
+  return segments
+    .map((s) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(s) ? s : `\`${s.replace(/[`\\]/g, "\\$&")}\``))
+    .join(".");
+}
+
+// ============================================================================
+// TRANSFORMS
+// ============================================================================
+
+class FieldTransform {
+  constructor(method, transform = null) {
+    this.method = method;
+    this.transform = transform;
+  }
+}
+
+/** Set to the commit time on the server. */
+export function serverTimestamp() {
+  return new FieldTransform("serverTimestamp", { setToServerValue: "REQUEST_TIME" });
+}
+
+/** Add `n` (a missing field counts as 0). */
+export function increment(n) {
+  return new FieldTransform("increment", { increment: toFirestoreValue(n) });
+}
+
+export function maximum(n) {
+  return new FieldTransform("maximum", { maximum: toFirestoreValue(n) });
+}
+
+export function minimum(n) {
+  return new FieldTransform("minimum", { minimum: toFirestoreValue(n) });
+}
+
+/** Append each value not already in the array. */
+export function arrayUnion(...values) {
+  return new FieldTransform("arrayUnion", { appendMissingElements: { values: values.map(toFirestoreValue) } });
+}
+
+/** Remove every occurrence of each value. */
+export function arrayRemove(...values) {
+  return new FieldTransform("arrayRemove", { removeAllFromArray: { values: values.map(toFirestoreValue) } });
+}
+
+/** Remove the field (updateWrite, or setWrite with merge). */
+export function deleteField() {
+  return new FieldTransform("deleteField");
+}
+
+// ============================================================================
+// CODEC
+// ============================================================================
+
+/** A referenceValue. `name` is the full resource name (projects/.../documents/...). */
+export class DocumentReference {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /** Path below the database root, e.g. merchants/m/branches/b */
+  get path() {
+    return this.name.split("/documents/")[1] ?? this.name;
+  }
+
+  get id() {
+    return this.name.slice(this.name.lastIndexOf("/") + 1);
+  }
+}
+
+export class GeoPoint {
+  constructor(latitude, longitude) {
+    this.latitude = latitude;
+    this.longitude = longitude;
+  }
+}
+
+export function firestoreValue(field) {
+  if (!field) return null;
+  if (field.nullValue !== undefined) return null;
+  if (field.booleanValue !== undefined) return field.booleanValue;
+  if (field.integerValue !== undefined) {
+    const n = Number(field.integerValue);
+    return Number.isSafeInteger(n) ? n : BigInt(field.integerValue);
+  }
+  // NaN and ±Infinity arrive as strings
+  if (field.doubleValue !== undefined) return Number(field.doubleValue);
+  if (field.timestampValue !== undefined) return new Date(field.timestampValue);
+  if (field.stringValue !== undefined) return field.stringValue;
+  if (field.bytesValue !== undefined) return new Uint8Array(base64DecodeToArrayBuffer(field.bytesValue));
+  if (field.referenceValue !== undefined) return new DocumentReference(field.referenceValue);
+  // Zero coordinates are omitted from the JSON
+  if (field.geoPointValue !== undefined) {
+    return new GeoPoint(field.geoPointValue.latitude ?? 0, field.geoPointValue.longitude ?? 0);
+  }
+  if (field.arrayValue !== undefined) return (field.arrayValue.values || []).map(firestoreValue);
+  if (field.mapValue !== undefined) return firestoreFields(field.mapValue.fields);
+  return null;
+}
+
+/** Encodes a JS value as a Firestore REST value (see the table at the top). */
+export function toFirestoreValue(v) {
+  if (v === null || v === undefined) return { nullValue: null };
+  if (v instanceof FieldTransform) throw new TypeError(`${v.method}() is only allowed in setWrite / updateWrite data`);
+  if (v instanceof Date) return { timestampValue: v.toISOString() };
+  if (typeof v === "boolean") return { booleanValue: v };
+  if (typeof v === "bigint") return { integerValue: v.toString() };
+  if (typeof v === "number") {
+    if (Number.isSafeInteger(v)) return { integerValue: String(v) };
+    return { doubleValue: Number.isFinite(v) ? v : String(v) };
+  }
+  if (typeof v === "string") return { stringValue: v };
+  if (v instanceof Uint8Array) return { bytesValue: bytesToBase64(v) };
+  if (v instanceof DocumentReference) return { referenceValue: v.name };
+  if (v instanceof GeoPoint) return { geoPointValue: { latitude: v.latitude, longitude: v.longitude } };
+  if (Array.isArray(v)) return { arrayValue: { values: v.map(toFirestoreValue) } };
+  if (isPlainObject(v)) return { mapValue: { fields: toFirestoreFields(v) } };
+  throw new TypeError(`Cannot encode ${v?.constructor?.name || typeof v} as a Firestore value`);
+}
+
+export function toFirestoreFields(obj) {
+  const fields = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v !== undefined) fields[k] = toFirestoreValue(v);
+  }
+  return fields;
+}
+
+export function firestoreFields(fields) {
+  const obj = {};
+  for (const [k, v] of Object.entries(fields || {})) obj[k] = firestoreValue(v);
+  return obj;
+}
+
+function isPlainObject(v) {
+  if (v === null || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
@@ -0,0 +1,252 @@
+/**
+ * Order history (merchants/{m}/branches/{b}/orders/{id}/history/{status})
+ *
+ * Orders keep only the last updatedByUid/Role/Email, so every status an
+ * order reaches also gets an entry of its own:
+ *
+ *   { merchantId, branchId, orderId, orderNo, from, to, at, recordedAt,
+ *     actorUid, actorRole, actorEmail, reason, source }
+ *
+ * Orders only move forward (see ORDER_TRANSITIONS), so each status is
+ * reached at most once and the entry id is the status.
+ * Entries are created with a must-not-exist precondition and never updated.
+ *
+ * source says who wrote the entry:
+ *   checkout  POST /orders, in the order's own transaction
+ *   console   POST /orders/status, in the same commit as the status change
+ *   whatsapp  staff commands (commands.js), likewise
+ *   watchdog  pending orders the watchdog auto-cancels (watchdog.js), likewise
+ *   sweep     the cron pass, for changes written straight to Firestore (older
+ *             apps): it replays the {status}At fields of recently updated
+ *             orders. Only the latest status knows its actor there (the
+ *             order's updatedBy* fields); earlier ones are left without one.
+ *
+ * GET /orders/history reads one order's timeline, or one actor's entries
+ * over a date range (see queryOrderHistory / queryActorHistory).
+ */
+
+import { getBranchTimezone } from "./analytics.js";
+import { addDays, localMidnight } from "./dates.js";
+import {
+  createWrite,
+  firestoreBatchGet,
+  firestoreCommit,
+  firestoreFields,
+  FirestorePreconditionError,
+  firestoreQueryPages,
+  firestoreRunQuery,
+  serverTimestamp,
+  toFirestoreValue,
+} from "./firestore.js";
+
+export const ORDER_STATUSES = ["pending", "accepted", "preparing", "ready", "served", "cancelled"];
+
+// When the order reached each status (set with the status by every writer)
+export const STATUS_TIME_FIELDS = {
+  pending: "createdAt",
+  accepted: "acceptedAt",
+  preparing: "preparingAt",
+  ready: "readyAt",
+  served: "servedAt",
+  cancelled: "cancelledAt",
+};
+
+// The moves staff can make (POST /orders/status); firestore.rules leaves
+// status changes to the worker
+export const ORDER_TRANSITIONS = {
+  pending: ["accepted", "preparing", "cancelled"],
+  accepted: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["served", "cancelled"],
+  served: [],
+  cancelled: [],
+};
+
+const SWEEP_PAGE_SIZE = 100;
+const MAX_TIMELINE_ENTRIES = ORDER_STATUSES.length;
+const MAX_ACTOR_ENTRIES = 500;
+export const MAX_HISTORY_DAYS = 31;
+
+/**
+ * The create write of one history entry. `orderName` is the order's full
+ * document name; `at` defaults to the commit time.
+ */
+export function historyWrite(orderName, { merchantId, branchId, orderId, orderNo, from, to, at, actor, reason, source }) {
+  return createWrite(`${orderName}/history/${to}`, {
+    merchantId,
+    branchId,
+    orderId,
+    orderNo: orderNo || null,
+    from: from || null,
+    to,
+    at: at || serverTimestamp(),
+    recordedAt: serverTimestamp(),
+    actorUid: actor?.uid || null,
+    actorRole: actor?.role || null,
+    actorEmail: actor?.email || null,
+    reason: reason || null,
+    source,
+  });
+}
+
+/**
+ * The entries an order's fields imply that aren't in `recorded` (a Set of
+ * statuses), oldest first: pending, then every status with its time field
+ * set, then the current status.
+ */
+export function missingHistoryEntries(order, recorded) {
+  const reached = ORDER_STATUSES.filter(
+    (status) => status === "pending" || status === order.status || order[STATUS_TIME_FIELDS[status]]
+  );
+
+  const entries = [];
+  let from = null;
+  for (const status of reached) {
+    if (!recorded.has(status)) {
+      const current = status === order.status;
+      let actor = null;
+      if (status === "pending" && order.userId) actor = { uid: order.userId, role: "customer" };
+      else if (current && status !== "pending" && order.updatedByUid) {
+        actor = { uid: order.updatedByUid, role: order.updatedByRole, email: order.updatedByEmail };
+      }
+      entries.push({
+        from,
+        to: status,
+        at: order[STATUS_TIME_FIELDS[status]] || (current ? order.updatedAt : null) || null,
+        actor,
+        reason: status === "cancelled" ? order.cancellationReason : null,
+      });
+    }
+    from = status;
+  }
+  return entries;
+}
+
+// ============================================================================
+// SWEEP
+// ============================================================================
+
+/**
+ * Records the history of orders updated since `since` under each parent (a
+ * branch path, or null for every branch). Returns the number of entries
+ * written. An order whose entries race another writer is retried next pass.
+ */
+export async function sweepOrderHistory(projectId, token, parents, since) {
+  let written = 0;
+  for (const parent of parents) {
+    const query = {
+      structuredQuery: {
+        from: [{ collectionId: "orders", allDescendants: !parent }],
+        where: {
+          fieldFilter: { field: { fieldPath: "updatedAt" }, op: "GREATER_THAN_OR_EQUAL", value: toFirestoreValue(since) },
+        },
+        orderBy: [{ field: { fieldPath: "updatedAt" }, direction: "ASCENDING" }],
+      },
+    };
+
+    for await (const page of firestoreQueryPages(projectId, token, query, parent, { pageSize: SWEEP_PAGE_SIZE })) {
+      const names = page.flatMap((d) => ORDER_STATUSES.map((status) => `${d.name}/history/${status}`));
+      const existing = await firestoreBatchGet(projectId, token, names);
+
+      for (const doc of page) {
+        const info = /merchants\/([^/]+)\/branches\/([^/]+)\/orders\/([^/]+)$/.exec(doc.name);
+        if (!info) continue;
+        const order = firestoreFields(doc.fields);
+        const recorded = new Set(ORDER_STATUSES.filter((status) => existing.get(`${doc.name}/history/${status}`)));
+        const entries = missingHistoryEntries(order, recorded);
+        if (entries.length === 0) continue;
+
+        const [, merchantId, branchId, orderId] = info;
+        const writes = entries.map((e) =>
+          historyWrite(doc.name, { ...e, merchantId, branchId, orderId, orderNo: order.orderNo, source: "sweep" })
+        );
+        try {
+          await firestoreCommit(projectId, token, writes);
+          written += writes.length;
+        } catch (e) {
+          if (!(e instanceof FirestorePreconditionError)) throw e;
+          console.warn(`[HISTORY] ${orderId} was recorded concurrently; retrying next pass`);
+        }
+      }
+    }
+  }
+  if (written > 0) console.log(`[HISTORY] Recorded ${written} missed status change(s)`);
+  return written;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/** One order's entries, oldest first. */
+export async function queryOrderHistory(projectId, token, { merchantId, branchId, orderId }) {
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    {
+      structuredQuery: {
+        from: [{ collectionId: "history" }],
+        orderBy: [{ field: { fieldPath: "at" }, direction: "ASCENDING" }],
+        limit: MAX_TIMELINE_ENTRIES,
+      },
+    },
+    `merchants/${merchantId}/branches/${branchId}/orders/${orderId}`
+  );
+  return docs.map(historyEntryOf);
+}
+
+/**
+ * Every entry `actorUid` made on the branch from `from` to `to` (yyyy-mm-dd,
+ * inclusive, branch-local), oldest first: at most MAX_ACTOR_ENTRIES, with
+ * `truncated` set when there were more. Throws RangeError past
+ * MAX_HISTORY_DAYS days.
+ */
+export async function queryActorHistory(projectId, token, { merchantId, branchId, actorUid, from, to }) {
+  if (addDays(from, MAX_HISTORY_DAYS) <= to) throw new RangeError(`At most ${MAX_HISTORY_DAYS} days per query`);
+
+  const timezone = await getBranchTimezone(projectId, token, merchantId, branchId);
+  const start = localMidnight(from, timezone);
+  const end = localMidnight(addDays(to, 1), timezone);
+
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    {
+      structuredQuery: {
+        from: [{ collectionId: "history", allDescendants: true }],
+        where: {
+          compositeFilter: {
+            op: "AND",
+            filters: [
+              { fieldFilter: { field: { fieldPath: "actorUid" }, op: "EQUAL", value: toFirestoreValue(actorUid) } },
+              { fieldFilter: { field: { fieldPath: "at" }, op: "GREATER_THAN_OR_EQUAL", value: toFirestoreValue(start) } },
+              { fieldFilter: { field: { fieldPath: "at" }, op: "LESS_THAN", value: toFirestoreValue(end) } },
+            ],
+          },
+        },
+        orderBy: [{ field: { fieldPath: "at" }, direction: "ASCENDING" }],
+        limit: MAX_ACTOR_ENTRIES + 1,
+      },
+    },
+    `merchants/${merchantId}/branches/${branchId}`
+  );
+  return {
+    entries: docs.slice(0, MAX_ACTOR_ENTRIES).map(historyEntryOf),
+    truncated: docs.length > MAX_ACTOR_ENTRIES,
+  };
+}
+
+function historyEntryOf(doc) {
+  const e = firestoreFields(doc.fields);
+  return {
+    orderId: e.orderId,
+    orderNo: e.orderNo ?? null,
+    from: e.from ?? null,
+    to: e.to,
+    at: e.at ?? null,
+    recordedAt: e.recordedAt ?? null,
+    actor: e.actorUid ? { uid: e.actorUid, role: e.actorRole ?? null, email: e.actorEmail ?? null } : null,
+    reason: e.reason ?? null,
+    source: e.source,
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Product and branding images (Cloudinary)
+ *
+ * POST /images/sign  { merchantId, branchId, kind: "product" | "logo" | "banner" }
+ *   Signed upload parameters for a branch admin, so the apps no longer ship
+ *   an unsigned preset anyone could upload with. The signature pins the
+ *   folder (sweets/{m}/{b}/products or .../branding) and the image formats,
+ *   and expires UPLOAD_SIGNATURE_TTL seconds from now (default 600):
+ *
+ *     { uploadUrl, fields: { api_key, timestamp, signature, folder, allowed_formats },
+ *       expiresAt }
+ *
+ *   Cloudinary accepts a signature for an hour after its timestamp, so the
+ *   timestamp is backdated to make it expire sooner.
+ *
+ * GET /img/{variant}?src=<image URL>[&dpr=2]
+ *   A resized copy of a menu image, logo or banner: thumb (160px wide), card
+ *   (480px) or hero (1200px), times dpr (1-3). The format follows the
+ *   browser's Accept header (AVIF, else WebP, else the original format).
+ *   Images in our Cloudinary cloud are resized by Cloudinary (a transformation
+ *   in the delivery URL); hosts listed in IMAGE_HOSTS by Cloudflare Image
+ *   Resizing. Variants are immutable and cached for a year, at the edge and
+ *   in the browser.
+ *
+ * Secrets: CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
+ * Vars: CLOUDINARY_CLOUD_NAME, UPLOAD_SIGNATURE_TTL, IMAGE_HOSTS (comma-separated)
+ */
+
+export const IMAGE_VARIANTS = { thumb: 160, card: 480, hero: 1200 };
+
+const UPLOAD_FOLDERS = { product: "products", logo: "branding", banner: "branding" };
+const ALLOWED_FORMATS = "jpg,jpeg,png,webp,avif";
+const CLOUDINARY_SIGNATURE_WINDOW = 3600; // seconds Cloudinary accepts a signed timestamp
+const DEFAULT_SIGNATURE_TTL = 600;
+const MAX_DPR = 3;
+
+export const IMAGE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+export const IMAGE_ERROR_CACHE_CONTROL = "public, max-age=60";
+
+export class ImageRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ImageRequestError";
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// SIGNED UPLOADS
+// ============================================================================
+
+/**
+ * Upload parameters for one image of `kind` on a branch. Throws
+ * ImageRequestError (400 bad kind, 503 Cloudinary not configured).
+ */
+export async function signImageUpload(env, { merchantId, branchId, kind }, now = new Date()) {
+  const folder = UPLOAD_FOLDERS[kind];
+  if (!folder) throw new ImageRequestError(400, `kind must be one of ${Object.keys(UPLOAD_FOLDERS).join(", ")}`);
+
+  const cloudName = String(env.CLOUDINARY_CLOUD_NAME || "").trim();
+  if (!cloudName || !env.CLOUDINARY_API_KEY || !env.CLOUDINARY_API_SECRET) {
+    throw new ImageRequestError(503, "Image uploads are not configured");
+  }
+
+  const ttl = Math.min(signatureTtl(env), CLOUDINARY_SIGNATURE_WINDOW);
+  const timestamp = Math.floor(now.getTime() / 1000) - CLOUDINARY_SIGNATURE_WINDOW + ttl;
+  const params = {
+    allowed_formats: ALLOWED_FORMATS,
+    folder: `sweets/${merchantId}/${branchId}/${folder}`,
+    timestamp: String(timestamp),
+  };
+
+  return {
+    uploadUrl: `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
+    fields: {
+      ...params,
+      api_key: String(env.CLOUDINARY_API_KEY),
+      signature: await cloudinarySignature(params, env.CLOUDINARY_API_SECRET),
+    },
+    expiresAt: new Date((timestamp + CLOUDINARY_SIGNATURE_WINDOW) * 1000).toISOString(),
+  };
+}
+
+/** Cloudinary's request signature: SHA-1 hex of the sorted "k=v&..." params followed by the secret. */
+export async function cloudinarySignature(params, apiSecret) {
+  const payload = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(`${payload}${apiSecret}`));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function signatureTtl(env) {
+  const ttl = Number.parseInt(env.UPLOAD_SIGNATURE_TTL || "", 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_SIGNATURE_TTL;
+}
+
+// ============================================================================
+// VARIANTS
+// ============================================================================
+
+/** "/img/card" → "card"; null when the path is not /img/{variant}. */
+export function imageVariantFromPath(pathname) {
+  const match = /^\/img\/([^/]+)\/?$/.exec(pathname);
+  return match ? match[1] : null;
+}
+
+/** Pixel width of `variant` at ?dpr= (1 when absent). Throws ImageRequestError. */
+export function imageWidth(variant, rawDpr) {
+  const base = Object.hasOwn(IMAGE_VARIANTS, variant) ? IMAGE_VARIANTS[variant] : null;
+  if (!base) throw new ImageRequestError(404, `Unknown image variant; use ${Object.keys(IMAGE_VARIANTS).join(", ")}`);
+
+  const dpr = rawDpr === null || rawDpr === undefined || rawDpr === "" ? 1 : Number(rawDpr);
+  if (!Number.isFinite(dpr) || dpr < 1 || dpr > MAX_DPR) throw new ImageRequestError(400, `dpr must be between 1 and ${MAX_DPR}`);
+  return Math.round(base * dpr);
+}
+
+/** "avif" or "webp" when the Accept header lists it, else null (keep the source format). */
+export function negotiateImageFormat(accept) {
+  const types = String(accept || "").toLowerCase();
+  if (types.includes("image/avif")) return "avif";
+  if (types.includes("image/webp")) return "webp";
+  return null;
+}
+
+/**
+ * ?src= as { url, via: "cloudinary" | "resizing" }: an https image in our
+ * Cloudinary cloud, or on a host in IMAGE_HOSTS. Anything else is a 400, so
+ * the route can't be used as an open proxy.
+ */
+export function imageSource(env, rawSrc) {
+  let url;
+  try {
+    url = new URL(String(rawSrc || ""));
+  } catch {
+    throw new ImageRequestError(400, "src must be an https image URL");
+  }
+  if (url.protocol !== "https:") throw new ImageRequestError(400, "src must be an https image URL");
+
+  const cloudName = String(env.CLOUDINARY_CLOUD_NAME || "").trim();
+  if (cloudName && url.host === "res.cloudinary.com" && url.pathname.startsWith(`/${cloudName}/image/upload/`)) {
+    return { url: url.href, via: "cloudinary" };
+  }
+  const hosts = String(env.IMAGE_HOSTS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (hosts.includes(url.host)) return { url: url.href, via: "resizing" };
+
+  throw new ImageRequestError(400, "src is not an image host this worker serves");
+}
+
+/** `src` through this worker's /img/{variant} route when it serves that host, else `src` as is. */
+export function imageVariantUrl(env, origin, variant, src) {
+  try {
+    imageSource(env, src);
+  } catch (e) {
+    if (e instanceof ImageRequestError) return src;
+    throw e;
+  }
+  return `${origin}/img/${variant}?${new URLSearchParams({ src })}`;
+}
+
+/**
+ * The Cloudinary delivery URL with a resize step added last, before the
+ * version (v1712345678) or, unversioned, before the public id:
+ *   .../image/upload/v17/sweets/x.jpg → .../image/upload/c_limit,w_480,q_auto,f_webp/v17/sweets/x.jpg
+ */
+export function cloudinaryVariantUrl(src, width, format) {
+  const url = new URL(src);
+  const marker = "/image/upload/";
+  const start = url.pathname.indexOf(marker) + marker.length;
+  const segments = url.pathname.slice(start).split("/");
+
+  let at = segments.findIndex((s) => /^v\d+$/.test(s));
+  if (at === -1) at = segments.findIndex((s) => !isTransformation(s));
+  if (at === -1) at = segments.length - 1;
+
+  const step = ["c_limit", `w_${width}`, "q_auto", format && `f_${format}`].filter(Boolean).join(",");
+  segments.splice(at, 0, step);
+  url.pathname = `${url.pathname.slice(0, start)}${segments.join("/")}`;
+  return url.href;
+}
+
+// Cloudinary's transformation parameter keys (w_300, c_fill, e_sepia, ...)
+const TRANSFORMATION_KEYS = new Set([
+  "a", "ac", "af", "ar", "b", "bo", "br", "c", "co", "cs", "d", "dl", "dn", "dpr", "du", "e", "eo", "f",
+  "fl", "fn", "fps", "g", "h", "if", "ki", "l", "o", "p", "pg", "q", "r", "so", "sp", "t", "u", "vc", "vs",
+  "w", "x", "y", "z",
+]);
+
+// "c_fill,w_300" or "e_sepia": comma-separated key_value pairs with known
+// keys ($name_value sets a variable); "my_photos" is a folder
+function isTransformation(segment) {
+  return segment.split(",").every((part) => {
+    const m = /^(\$?[a-z]+)_(.+)$/.exec(part);
+    return m !== null && (m[1].startsWith("$") || TRANSFORMATION_KEYS.has(m[1]));
+  });
+}
+
+/** Fetches the variant from Cloudinary, or through Cloudflare Image Resizing. */
+export async function fetchImageVariant(source, { width, format }) {
+  if (source.via === "cloudinary") {
+    return fetch(cloudinaryVariantUrl(source.url, width, format), { headers: { Accept: "image/*" } });
+  }
+  return fetch(source.url, {
+    headers: { Accept: "image/*" },
+    cf: { image: { width, fit: "scale-down", quality: 85, ...(format ? { format } : {}) } },
+  });
+}
@@ -0,0 +1,255 @@
+/**
+ * Loyalty ledger (customers/{phone} + pointsTransactions)
+ *
+ * Only the worker changes balances. Every change is one Firestore transaction
+ * that updates the customer and creates a ledger entry with a deterministic
+ * id, so each step happens at most once per order:
+ *
+ *   {orderId}_redeemed  -points  reserved at checkout (POST /orders)
+ *   {orderId}_refunded  +points  the reservation, returned when the order is cancelled
+ *   {orderId}_earned    +points  round(net total × earnRate) when the order is served
+ *
+ * Entry fields: phone, type, points (signed), orderId, orderNo, balanceAfter,
+ * note, createdAt. The net total is subtotal minus loyaltyDiscount, as the
+ * console used to award it.
+ */
+
+import {
+  createWrite,
+  firestoreBatchGet,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  firestoreRunTransaction,
+  serverTimestamp,
+  setWrite,
+  updateWrite,
+} from "./firestore.js";
+
+export const LEDGER_COLLECTION = "pointsTransactions";
+
+// config/loyalty defaults, as LoyaltySettings.defaultSettings() in loyalty_models.dart
+const LOYALTY_DEFAULTS = {
+  enabled: false,
+  earnRate: 10,
+  redeemRate: 50,
+  minOrderAmount: 5,
+  maxDiscountAmount: 10,
+  minPointsToRedeem: 50,
+};
+
+export class LoyaltyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "LoyaltyError";
+    this.status = status;
+  }
+}
+
+export async function getLoyaltySettings(projectId, token, merchantId, branchId) {
+  const doc = await firestoreGetDocument(projectId, token, `merchants/${merchantId}/branches/${branchId}/config/loyalty`);
+  const data = doc ? firestoreFields(doc.fields) : {};
+
+  const settings = { ...LOYALTY_DEFAULTS };
+  for (const key of Object.keys(LOYALTY_DEFAULTS)) {
+    if (typeof data[key] === typeof LOYALTY_DEFAULTS[key]) settings[key] = data[key];
+  }
+  return settings;
+}
+
+/** loyalty_service.dart keys customers by the phone with everything but digits and + removed. */
+export function customerIdFor(phone) {
+  return String(phone || "").replace(/[^0-9+]/g, "");
+}
+
+// ============================================================================
+// REDEEM (CHECKOUT)
+// ============================================================================
+
+/**
+ * Discount for redeeming `points` on an order of `subtotal`, or throws
+ * LoyaltyError. Mirrors LoyaltySettings.canUsePoints / calculateDiscount.
+ */
+export function redemptionDiscount(settings, subtotal, points, balance) {
+  if (!settings.enabled) throw new LoyaltyError(400, "Loyalty program is not enabled");
+  if (subtotal < settings.minOrderAmount) {
+    throw new LoyaltyError(400, `Points can only be used on orders of ${settings.minOrderAmount.toFixed(3)} BHD or more`);
+  }
+  if (points < settings.minPointsToRedeem) {
+    throw new LoyaltyError(400, `Minimum ${settings.minPointsToRedeem} points required to redeem`);
+  }
+  if (points > balance) {
+    throw new LoyaltyError(400, `Insufficient points (have: ${balance}, need: ${points})`);
+  }
+
+  const discount = Math.floor(points / settings.redeemRate);
+  if (discount > settings.maxDiscountAmount) {
+    throw new LoyaltyError(400, `Discount cannot exceed ${settings.maxDiscountAmount.toFixed(3)} BHD`);
+  }
+  if (discount > subtotal) throw new LoyaltyError(400, "Discount cannot exceed the order total");
+  return discount;
+}
+
+/**
+ * Writes that reserve `points` from `customer` (a doc read in the caller's
+ * transaction, which already serialises concurrent reservations) for a new
+ * order. Commit them with the order.
+ */
+export function reservePointsWrites(projectId, branchPath, customer, { points, orderId, orderNo }) {
+  const data = firestoreFields(customer.fields);
+  const balanceAfter = Number(data.points || 0) - points;
+
+  return [
+    updateWrite(customer.name, { points: balanceAfter }),
+    ledgerEntryWrite(projectId, branchPath, {
+      phone: data.phone || customer.name.split("/").pop(),
+      type: "redeemed",
+      points: -points,
+      orderId,
+      orderNo,
+      balanceAfter,
+      note: `Redeemed ${points} points for order ${orderNo}`,
+    }),
+  ];
+}
+
+// ============================================================================
+// SETTLE (SERVED / CANCELLED)
+// ============================================================================
+
+/**
+ * Applies what the order's status means for the ledger:
+ * - served    → earn points (once)
+ * - cancelled → refund the checkout reservation (once)
+ * Safe to call repeatedly. Returns { status: "earned" | "refunded" | "skipped", points, balance, reason }.
+ */
+export async function settleOrderLoyalty(projectId, token, { merchantId, branchId, orderId }) {
+  const branchPath = `merchants/${merchantId}/branches/${branchId}`;
+  const settings = await getLoyaltySettings(projectId, token, merchantId, branchId);
+
+  const orderName = firestoreDocName(projectId, `${branchPath}/orders/${orderId}`);
+  const entryName = (type) => firestoreDocName(projectId, `${branchPath}/${LEDGER_COLLECTION}/${orderId}_${type}`);
+
+  const result = await firestoreRunTransaction(projectId, token, async (transaction) => {
+    const docs = await firestoreBatchGet(
+      projectId,
+      token,
+      [orderName, entryName("earned"), entryName("redeemed"), entryName("refunded")],
+      { transaction }
+    );
+
+    const orderDoc = docs.get(orderName);
+    if (!orderDoc) throw new LoyaltyError(404, "Order not found");
+    const order = firestoreFields(orderDoc.fields);
+
+    if (order.status === "served") {
+      if (docs.get(entryName("earned"))) return skipped("points already earned");
+      return earnTransaction(projectId, token, transaction, branchPath, settings, { orderId, order });
+    }
+
+    if (order.status === "cancelled") {
+      const redeemed = docs.get(entryName("redeemed"));
+      if (!redeemed) return skipped("no points reserved");
+      if (docs.get(entryName("refunded"))) return skipped("reservation already refunded");
+      return refundTransaction(projectId, token, transaction, branchPath, { orderId, order, redeemed });
+    }
+
+    return skipped(`order is ${order.status}`);
+  });
+
+  if (result.status === "skipped") {
+    console.log(`[LOYALTY] ${orderId} (${merchantId}/${branchId}): ${result.reason}`);
+  } else {
+    console.log(`[LOYALTY] ${orderId} (${merchantId}/${branchId}): ${result.status} ${result.points}, balance ${result.balance}`);
+  }
+  return result;
+}
+
+async function earnTransaction(projectId, token, transaction, branchPath, settings, { orderId, order }) {
+  if (!settings.enabled) return skipped("loyalty program is not enabled");
+
+  const customerId = customerIdFor(order.customerPhone);
+  if (!customerId) return skipped("order has no customer phone");
+
+  const net = Math.max(0, Number(order.subtotal || 0) - Number(order.loyaltyDiscount || 0));
+  const points = Math.round(net * settings.earnRate);
+  if (points <= 0) return skipped("no points for this amount");
+
+  const customerName = firestoreDocName(projectId, `${branchPath}/customers/${customerId}`);
+  const customerDoc = await firestoreGetDocument(projectId, token, `${branchPath}/customers/${customerId}`, { transaction });
+  const customer = customerDoc ? firestoreFields(customerDoc.fields) : {};
+
+  const balance = Number(customer.points || 0) + points;
+  const carPlate = String(order.customerCarPlate || "").trim().toUpperCase();
+  const update = {
+    phone: customerId,
+    points: balance,
+    totalSpent: round3(Number(customer.totalSpent || 0) + net),
+    orderCount: Number(customer.orderCount || 0) + 1,
+  };
+  if (carPlate) update.carPlate = carPlate;
+
+  return {
+    writes: [
+      setWrite(customerName, { ...update, lastOrderAt: serverTimestamp() }, { merge: true }),
+      ledgerEntryWrite(projectId, branchPath, {
+        phone: customerId,
+        type: "earned",
+        points,
+        orderId,
+        orderNo: order.orderNo || null,
+        balanceAfter: balance,
+        note: `Earned ${points} points from order ${order.orderNo || orderId}`,
+      }),
+    ],
+    result: { status: "earned", points, balance },
+  };
+}
+
+async function refundTransaction(projectId, token, transaction, branchPath, { orderId, order, redeemed }) {
+  const entry = firestoreFields(redeemed.fields);
+  const points = Math.abs(Number(entry.points || 0));
+  const customerId = customerIdFor(entry.phone);
+
+  const customerDoc = await firestoreGetDocument(projectId, token, `${branchPath}/customers/${customerId}`, { transaction });
+  const balance = Number(customerDoc ? firestoreFields(customerDoc.fields).points || 0 : 0) + points;
+
+  return {
+    writes: [
+      setWrite(
+        firestoreDocName(projectId, `${branchPath}/customers/${customerId}`),
+        { phone: customerId, points: balance },
+        { merge: true }
+      ),
+      ledgerEntryWrite(projectId, branchPath, {
+        phone: customerId,
+        type: "refunded",
+        points,
+        orderId,
+        orderNo: order.orderNo || null,
+        balanceAfter: balance,
+        note: `Refunded ${points} points from cancelled order ${order.orderNo || orderId}`,
+      }),
+    ],
+    result: { status: "refunded", points, balance },
+  };
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+function ledgerEntryWrite(projectId, branchPath, entry) {
+  return createWrite(firestoreDocName(projectId, `${branchPath}/${LEDGER_COLLECTION}/${entry.orderId}_${entry.type}`), {
+    ...entry,
+    createdAt: serverTimestamp(),
+  });
+}
+
+function skipped(reason) {
+  return { writes: [], result: { status: "skipped", reason } };
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
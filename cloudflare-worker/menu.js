@@ -0,0 +1,255 @@
+/**
+ * Public menu API (GET /api/v1/menu/{slug})
+ *
+ * A branch's menu as read-only JSON, for menu boards, aggregators and other
+ * integrations that can't read Firestore:
+ *
+ *   { slug, merchantId, branchId, title, currency: "BHD", lang,
+ *     categories: [{ id, name, sort, items: [item],
+ *                    subcategories: [{ id, name, sort, items: [item] }] }],
+ *     uncategorized: [item] }
+ *
+ *   item = { id, name, price, imageUrl, tags, sort,
+ *            nutrition: { calories, protein, carbs, fat, sugar } }
+ *
+ * Only active items in active categories are listed; an inactive top-level
+ * category hides its subcategories. Items without a (known) category end up
+ * in `uncategorized`. Everything is ordered by sort, then name.
+ *
+ * ?lang=ar takes item and category names from translations.ar.name (falling
+ * back to name); MENU_LANGUAGES lists the accepted codes (default "en,ar").
+ *
+ * Bodies carry a strong ETag and are cached per slug and language for
+ * MENU_CACHE_TTL seconds (default 60): in the MENU_CACHE KV namespace when
+ * one is bound (one copy for every edge location), else in the Cache API
+ * (per location). POST /api/v1/menu/{slug}/purge drops them after an edit.
+ */
+
+import {
+  firestoreFields,
+  firestoreQueryAll,
+  toFirestoreValue,
+} from "./firestore.js";
+import { normalizeSlug } from "./share.js";
+
+const DEFAULT_LANGUAGES = ["en", "ar"];
+const DEFAULT_CACHE_TTL = 60; // seconds
+const KV_MIN_TTL = 60; // KV rejects a shorter expirationTtl
+const PAGE_SIZE = 300;
+const CURRENCY = "BHD";
+const NUTRITION_FIELDS = ["calories", "protein", "carbs", "fat", "sugar"];
+
+export class MenuRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "MenuRequestError";
+    this.status = status;
+  }
+}
+
+/**
+ * "/api/v1/menu/Aziz-Burgers" → { slug: "aziz-burgers", purge: false }; the
+ * slug is "" when malformed. null when the path is not a menu route.
+ */
+export function menuRouteFromPath(pathname) {
+  const match = /^\/api\/v1\/menu\/([^/]+)(\/purge)?\/?$/.exec(pathname);
+  return match ? { slug: normalizeSlug(match[1]), purge: Boolean(match[2]) } : null;
+}
+
+/** MENU_LANGUAGES as a list of lowercase codes. */
+export function menuLanguages(env) {
+  const list = String(env.MENU_LANGUAGES || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length > 0 ? list : DEFAULT_LANGUAGES;
+}
+
+/** ?lang= as a code from MENU_LANGUAGES, or null when absent. Throws MenuRequestError(400) otherwise. */
+export function parseMenuLanguage(env, raw) {
+  if (raw === null || raw === undefined || raw.trim() === "") return null;
+  const lang = raw.trim().toLowerCase();
+  const languages = menuLanguages(env);
+  if (!languages.includes(lang)) {
+    throw new MenuRequestError(400, `lang must be one of ${languages.join(", ")}`);
+  }
+  return lang;
+}
+
+export function menuCacheTtl(env) {
+  const ttl = Number.parseInt(env.MENU_CACHE_TTL || "", 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+/** The public menu of `branch` (resolveSlug()'s { slug, merchantId, branchId, title }). */
+export async function loadPublicMenu(projectId, token, branch, lang = null) {
+  const branchPath = `merchants/${branch.merchantId}/branches/${branch.branchId}`;
+  const [itemDocs, categoryDocs] = await Promise.all([
+    firestoreQueryAll(
+      projectId,
+      token,
+      {
+        structuredQuery: {
+          from: [{ collectionId: "menuItems" }],
+          where: { fieldFilter: { field: { fieldPath: "isActive" }, op: "EQUAL", value: toFirestoreValue(true) } },
+        },
+      },
+      branchPath,
+      { pageSize: PAGE_SIZE }
+    ),
+    firestoreQueryAll(projectId, token, { structuredQuery: { from: [{ collectionId: "categories" }] } }, branchPath, {
+      pageSize: PAGE_SIZE,
+    }),
+  ]);
+
+  const toRecord = (doc) => ({ id: doc.name.split("/").pop(), ...firestoreFields(doc.fields) });
+  return {
+    slug: branch.slug,
+    merchantId: branch.merchantId,
+    branchId: branch.branchId,
+    title: branch.title,
+    currency: CURRENCY,
+    lang,
+    ...buildMenuTree(itemDocs.map(toRecord), categoryDocs.map(toRecord), lang),
+  };
+}
+
+/**
+ * Items and categories ([{ id, ...fields }]) as { categories, uncategorized }.
+ * A subcategory whose parent is gone is listed as a top-level category;
+ * categories nested deeper than two levels (which the console can't create)
+ * are left out with their items, like inactive ones.
+ */
+export function buildMenuTree(items, categories, lang = null) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  const isTopLevel = (c) => !c.parentId || !byId.has(c.parentId);
+
+  const nodes = new Map();
+  for (const category of categories) {
+    if (category.isActive === false) continue;
+    const parent = isTopLevel(category) ? null : byId.get(category.parentId);
+    if (parent && (parent.isActive === false || !isTopLevel(parent))) continue;
+    nodes.set(category.id, {
+      id: category.id,
+      name: localizedName(category, lang),
+      sort: sortKey(category.sort),
+      items: [],
+      ...(parent ? { parentId: parent.id } : { subcategories: [] }),
+    });
+  }
+
+  const uncategorized = [];
+  for (const item of items) {
+    if (item.isActive !== true) continue;
+    const entry = publicItem(item, lang);
+    if (!item.categoryId || !byId.has(item.categoryId)) uncategorized.push(entry);
+    else nodes.get(item.categoryId)?.items.push(entry);
+  }
+
+  const top = [];
+  for (const node of nodes.values()) {
+    if (node.parentId) nodes.get(node.parentId).subcategories.push(node);
+    else top.push(node);
+  }
+  for (const node of nodes.values()) {
+    node.items.sort(bySortThenName);
+    node.subcategories?.sort(bySortThenName);
+    delete node.parentId;
+  }
+  return { categories: top.sort(bySortThenName), uncategorized: uncategorized.sort(bySortThenName) };
+}
+
+function publicItem(item, lang) {
+  return {
+    id: item.id,
+    name: localizedName(item, lang),
+    price: typeof item.price === "number" ? item.price : Number(item.price) || 0,
+    imageUrl: typeof item.imageUrl === "string" && item.imageUrl.trim() ? item.imageUrl.trim() : null,
+    tags: Array.isArray(item.tags) ? item.tags.filter((t) => typeof t === "string") : [],
+    sort: sortKey(item.sort),
+    nutrition: Object.fromEntries(
+      NUTRITION_FIELDS.map((field) => [field, typeof item[field] === "number" ? item[field] : null])
+    ),
+  };
+}
+
+function localizedName(data, lang) {
+  const translated = lang ? data.translations?.[lang]?.name : null;
+  if (typeof translated === "string" && translated.trim()) return translated.trim();
+  return String(data.name || "").trim();
+}
+
+function sortKey(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : 0;
+}
+
+function bySortThenName(a, b) {
+  return a.sort - b.sort || a.name.localeCompare(b.name);
+}
+
+// ============================================================================
+// ETAG + CACHE
+// ============================================================================
+
+/** Strong ETag of a response body: a quoted hex SHA-256. */
+export async function menuEtag(body) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body));
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex}"`;
+}
+
+/** Whether If-None-Match (a list, weak tags or "*") matches `etag`. */
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+/** The cache key of one slug and language, shared by the Cache API and KV. */
+export function menuCacheKey(origin, slug, lang) {
+  return `${origin}/api/v1/menu/${slug}${lang ? `?lang=${lang}` : ""}`;
+}
+
+/** { body, etag } cached under `key`, or null. */
+export async function readCachedMenu(env, key) {
+  if (env.MENU_CACHE) {
+    const { value, metadata } = await env.MENU_CACHE.getWithMetadata(key);
+    return value !== null && metadata?.etag ? { body: value, etag: metadata.etag } : null;
+  }
+  const cache = globalThis.caches?.default; // Cache API (not there outside workerd, e.g. in tests)
+  const hit = cache ? await cache.match(new Request(key)) : null;
+  return hit ? { body: await hit.text(), etag: hit.headers.get("ETag") } : null;
+}
+
+export async function writeCachedMenu(env, key, { body, etag }) {
+  const ttl = menuCacheTtl(env);
+  if (ttl === 0) return;
+  if (env.MENU_CACHE) {
+    await env.MENU_CACHE.put(key, body, { expirationTtl: Math.max(KV_MIN_TTL, ttl), metadata: { etag } });
+    return;
+  }
+  const cache = globalThis.caches?.default;
+  if (!cache) return;
+  const headers = { "Content-Type": "application/json", ETag: etag, "Cache-Control": `public, s-maxage=${ttl}` };
+  await cache.put(new Request(key), new Response(body, { headers }));
+}
+
+/**
+ * Drops the cached menus of `slug` (no lang and every MENU_LANGUAGES code);
+ * returns the keys. With the Cache API this only reaches the edge location
+ * the purge request landed on; the others expire after MENU_CACHE_TTL.
+ */
+export async function purgeCachedMenus(env, origin, slug) {
+  const keys = [null, ...menuLanguages(env)].map((lang) => menuCacheKey(origin, slug, lang));
+  const cache = globalThis.caches?.default;
+  await Promise.all(
+    keys.map((key) => (env.MENU_CACHE ? env.MENU_CACHE.delete(key) : cache?.delete(new Request(key))))
+  );
+  return keys;
+}
@@ -0,0 +1,417 @@
+/**
+ * Server-side order placement (POST /orders) and staff status updates
+ * (POST /orders/status)
+ *
+ * The app sends what the customer picked, never prices:
+ *
+ *   { merchantId, branchId,
+ *     items: [{ productId, qty, note? }],
+ *     fulfillmentType: "car_pickup" | "delivery" | "dine_in",
+ *     table?, customerPhone?, customerCarPlate?, customerAddress?,
+ *     customerEmail?, loyaltyPointsUsed? }
+ *
+ * Prices and names come from menuItems (inactive or missing items are
+ * rejected), the loyalty discount is recomputed from config/loyalty and the
+ * customer's balance, and orderNo is allocated from counters/orders. The
+ * order, the counter and the points reservation (see loyalty.js) are one
+ * transaction, together with the order's first history entry (history.js)
+ * and, for the customer's first order at the branch, their
+ * customerFirstOrders document (analytics.js).
+ * Points are only redeemed for the caller's own, verified phone number.
+ * The order document has the shape order_service.dart used to write.
+ *
+ * Status updates take { merchantId, branchId, orderId, status, reason? } and
+ * make one of the staff transitions (ORDER_TRANSITIONS in history.js;
+ * firestore.rules leaves status changes to the worker), with the fields the console used to write (status,
+ * {status}At, updatedAt, updatedByUid/Role/Email, cancellationReason) and the
+ * history entry in the same transaction. Served and cancelled orders then
+ * have their loyalty points settled (see loyalty.js).
+ *
+ * getOwnOrder reads an order for the customer who placed it (the
+ * customer-confirmation email in worker.js).
+ */
+
+import { FIRST_ORDERS_COLLECTION, firstOrderWrite } from "./analytics.js";
+import {
+  createWrite,
+  firestoreBatchGet,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  firestoreRunTransaction,
+  serverTimestamp,
+  setWrite,
+  updateWrite,
+} from "./firestore.js";
+import { historyWrite, ORDER_TRANSITIONS, STATUS_TIME_FIELDS } from "./history.js";
+import {
+  customerIdFor,
+  getLoyaltySettings,
+  redemptionDiscount,
+  reservePointsWrites,
+  settleOrderLoyalty,
+} from "./loyalty.js";
+
+const FULFILLMENT_TYPES = ["car_pickup", "delivery", "dine_in"];
+const ADDRESS_FIELDS = ["home", "road", "block", "city"];
+
+// Bounds the old client-side order create rule enforced
+const MAX_LINES = 50;
+const MAX_SUBTOTAL = 1000;
+const MAX_QTY = 99;
+const MAX_NOTE_LENGTH = 200;
+const MAX_FIELD_LENGTH = 100;
+const MAX_REASON_LENGTH = 200;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class OrderRequestError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "OrderRequestError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Validates, prices and writes the order for `uid`.
+ * Returns { orderId, orderNo, items, subtotal, loyaltyDiscount, loyaltyPointsUsed }.
+ * Throws OrderRequestError for anything the customer has to fix.
+ *
+ * Points can only be redeemed from customerPhone when it is the caller's
+ * `verifiedPhone` (the ID token's phone_number, see auth.js).
+ */
+export async function placeOrder(projectId, token, uid, body, { verifiedPhone = null } = {}) {
+  const request = parseOrderRequest(body);
+  const { merchantId, branchId } = request;
+  const branchPath = `merchants/${merchantId}/branches/${branchId}`;
+
+  const items = await priceItems(projectId, token, branchPath, request.items);
+  const subtotal = round3(items.reduce((s, it) => s + it.price * it.qty, 0));
+  if (subtotal > MAX_SUBTOTAL) {
+    throw new OrderRequestError(400, `Order total exceeds ${MAX_SUBTOTAL} BHD`);
+  }
+
+  const points = request.loyaltyPointsUsed;
+  if (points > 0 && customerIdFor(verifiedPhone) !== customerIdFor(request.customerPhone)) {
+    throw new OrderRequestError(403, "Verify your phone number to use its loyalty points");
+  }
+  const loyalty = points > 0 ? await getLoyaltySettings(projectId, token, merchantId, branchId) : null;
+  const orderId = autoId();
+
+  const placed = await firestoreRunTransaction(projectId, token, async (transaction) => {
+    const counter = await firestoreGetDocument(projectId, token, `${branchPath}/counters/orders`, { transaction });
+    const count = (counter ? Number(firestoreFields(counter.fields).count || 0) : 0) + 1;
+    const orderNo = `ORD-${String(count).padStart(3, "0")}`;
+
+    const writes = [setWrite(firestoreDocName(projectId, `${branchPath}/counters/orders`), { count }, { merge: true })];
+
+    const firstOrder = await firestoreGetDocument(projectId, token, `${branchPath}/${FIRST_ORDERS_COLLECTION}/${uid}`, {
+      transaction,
+    });
+    if (!firstOrder) writes.push(firstOrderWrite(projectId, branchPath, uid, orderId));
+
+    let loyaltyDiscount = null;
+    if (loyalty) {
+      const customer = await firestoreGetDocument(
+        projectId,
+        token,
+        `${branchPath}/customers/${customerIdFor(request.customerPhone)}`,
+        { transaction }
+      );
+      const balance = customer ? Number(firestoreFields(customer.fields).points || 0) : 0;
+      loyaltyDiscount = redemptionDiscount(loyalty, subtotal, points, balance);
+      writes.push(...reservePointsWrites(projectId, branchPath, customer, { points, orderId, orderNo }));
+    }
+
+    const order = {
+      merchantId,
+      branchId,
+      userId: uid,
+      status: "pending",
+      fulfillmentType: request.fulfillmentType,
+      items: items.map(({ productId, name, price, qty, note }) => ({
+        productId,
+        name,
+        price,
+        qty,
+        ...(note ? { note } : {}),
+      })),
+      subtotal,
+      currency: "BHD",
+      table: request.table,
+      orderNo,
+      customerPhone: request.customerPhone ?? undefined,
+      customerCarPlate: request.customerCarPlate ?? undefined,
+      customerEmail: request.customerEmail ?? undefined,
+      customerAddress: request.customerAddress ?? undefined,
+      loyaltyDiscount: loyaltyDiscount ?? undefined,
+      loyaltyPointsUsed: loyalty ? points : undefined,
+      notifications: { waNewSent: false, waCancelSent: false },
+    };
+
+    const orderName = firestoreDocName(projectId, `${branchPath}/orders/${orderId}`);
+    writes.push(
+      createWrite(orderName, { ...order, createdAt: serverTimestamp() }),
+      historyWrite(orderName, {
+        merchantId,
+        branchId,
+        orderId,
+        orderNo,
+        to: "pending",
+        actor: { uid, role: "customer" },
+        source: "checkout",
+      })
+    );
+
+    return {
+      writes,
+      result: {
+        orderId,
+        orderNo,
+        items: order.items,
+        subtotal,
+        loyaltyDiscount,
+        loyaltyPointsUsed: order.loyaltyPointsUsed ?? null,
+      },
+    };
+  });
+
+  console.log(
+    `[ORDER] Placed ${placed.orderNo} (${orderId}) ${merchantId}/${branchId}: ${items.length} line(s), ${subtotal.toFixed(3)} BHD`
+  );
+  return placed;
+}
+
+// ============================================================================
+// STATUS UPDATES
+// ============================================================================
+
+/**
+ * Moves the order to `status` on behalf of `actor` ({ uid, role, email }).
+ * Returns { orderId, orderNo, from, status, changed }; asking for the status
+ * the order already has changes nothing. Throws OrderRequestError (404
+ * unknown order, 409 transition not allowed from the current status).
+ *
+ * `source` is the history entry's source; with `from`, an order that has
+ * since left that status is left alone (changed: false) instead.
+ */
+export async function updateOrderStatus(projectId, token, actor, body, { source = "console", from = null } = {}) {
+  const { merchantId, branchId, orderId, status, reason } = parseStatusRequest(body);
+  const orderPath = `merchants/${merchantId}/branches/${branchId}/orders/${orderId}`;
+  const orderName = firestoreDocName(projectId, orderPath);
+
+  const updated = await firestoreRunTransaction(projectId, token, async (transaction) => {
+    const doc = await firestoreGetDocument(projectId, token, orderPath, { transaction });
+    if (!doc) throw new OrderRequestError(404, "Order not found");
+
+    const order = firestoreFields(doc.fields);
+    const result = { orderId, orderNo: order.orderNo || null, from: order.status, status, changed: false };
+    if (order.status === status || (from && order.status !== from)) return { writes: [], result };
+    if (!ORDER_TRANSITIONS[order.status]?.includes(status)) {
+      throw new OrderRequestError(409, `Cannot mark the order ${status}: it is ${order.status}`, { status: order.status });
+    }
+
+    const data = {
+      status,
+      updatedAt: serverTimestamp(),
+      updatedByUid: actor.uid,
+      updatedByRole: actor.role,
+      updatedByEmail: actor.email || undefined,
+      [STATUS_TIME_FIELDS[status]]: serverTimestamp(),
+    };
+    if (status === "cancelled" && reason) data.cancellationReason = reason;
+
+    const entry = { merchantId, branchId, orderId, orderNo: order.orderNo, from: order.status, to: status };
+    return {
+      writes: [updateWrite(orderName, data), historyWrite(orderName, { ...entry, actor, reason, source })],
+      result: { ...result, changed: true },
+    };
+  });
+
+  if (!updated.changed) return updated;
+  console.log(`[ORDER] ${updated.orderNo || orderId} ${updated.from} → ${status} by ${actor.uid} (${merchantId}/${branchId})`);
+
+  if (status === "served" || status === "cancelled") {
+    // Earn points on served, refund the checkout reservation on cancel
+    await settleOrderLoyalty(projectId, token, { merchantId, branchId, orderId }).catch((e) =>
+      console.error(`[ORDER] Loyalty settle for ${orderId} failed:`, e?.message || e)
+    );
+  }
+  return updated;
+}
+
+/**
+ * The order `uid` placed, as its fields. Throws OrderRequestError (404
+ * unknown order, 403 someone else's order).
+ */
+export async function getOwnOrder(projectId, token, uid, { merchantId, branchId, orderId }) {
+  if (![merchantId, branchId, orderId].every(isValidId)) {
+    throw new OrderRequestError(400, "merchantId, branchId and orderId are required");
+  }
+  const doc = await firestoreGetDocument(projectId, token, `merchants/${merchantId}/branches/${branchId}/orders/${orderId}`);
+  if (!doc) throw new OrderRequestError(404, "Order not found");
+
+  const order = firestoreFields(doc.fields);
+  if (order.userId !== uid) throw new OrderRequestError(403, "Not your order");
+  return order;
+}
+
+function parseStatusRequest(body) {
+  const b = body && typeof body === "object" ? body : {};
+
+  if (![b.merchantId, b.branchId, b.orderId].every(isValidId)) {
+    throw new OrderRequestError(400, "merchantId, branchId and orderId are required");
+  }
+  const targets = [...new Set(Object.values(ORDER_TRANSITIONS).flat())];
+  if (!targets.includes(b.status)) {
+    throw new OrderRequestError(400, `status must be one of ${targets.join(", ")}`);
+  }
+
+  const reason = typeof b.reason === "string" ? b.reason.trim().slice(0, MAX_REASON_LENGTH) : "";
+  return { merchantId: b.merchantId, branchId: b.branchId, orderId: b.orderId, status: b.status, reason: reason || null };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function parseOrderRequest(body) {
+  const b = body && typeof body === "object" ? body : {};
+
+  if (![b.merchantId, b.branchId].every(isValidId)) {
+    throw new OrderRequestError(400, "merchantId and branchId are required");
+  }
+
+  if (!Array.isArray(b.items) || b.items.length === 0) throw new OrderRequestError(400, "Cart is empty");
+  if (b.items.length > MAX_LINES) throw new OrderRequestError(400, `At most ${MAX_LINES} lines per order`);
+
+  const items = b.items.map((it, i) => {
+    if (!it || !isValidId(it.productId)) throw new OrderRequestError(400, `items[${i}].productId is required`);
+    if (!Number.isInteger(it.qty) || it.qty < 1 || it.qty > MAX_QTY) {
+      throw new OrderRequestError(400, `items[${i}].qty must be a whole number from 1 to ${MAX_QTY}`);
+    }
+    const note = typeof it.note === "string" ? it.note.trim().slice(0, MAX_NOTE_LENGTH) : "";
+    return { productId: it.productId, qty: it.qty, note: note || null };
+  });
+
+  if (!FULFILLMENT_TYPES.includes(b.fulfillmentType)) {
+    throw new OrderRequestError(400, `fulfillmentType must be one of ${FULFILLMENT_TYPES.join(", ")}`);
+  }
+
+  const table = optionalString(b.table);
+  const customerPhone = optionalString(b.customerPhone);
+  const customerCarPlate = optionalString(b.customerCarPlate);
+  const customerEmail = optionalString(b.customerEmail);
+  let customerAddress = null;
+
+  if (customerEmail && !EMAIL_RE.test(customerEmail)) {
+    throw new OrderRequestError(400, "customerEmail is not a valid email address");
+  }
+
+  // Fulfillment requirements, as order_service.dart checked them
+  switch (b.fulfillmentType) {
+    case "car_pickup":
+      if (!customerCarPlate) throw new OrderRequestError(400, "Car plate is required for car pickup orders");
+      break;
+    case "delivery":
+      customerAddress = parseAddress(b.customerAddress);
+      break;
+    case "dine_in":
+      if (!table) throw new OrderRequestError(400, "Table number is required for dine-in orders");
+      break;
+  }
+
+  const loyaltyPointsUsed = b.loyaltyPointsUsed ?? 0;
+  if (!Number.isInteger(loyaltyPointsUsed) || loyaltyPointsUsed < 0) {
+    throw new OrderRequestError(400, "loyaltyPointsUsed must be a whole number");
+  }
+  if (loyaltyPointsUsed > 0 && !customerIdFor(customerPhone)) {
+    throw new OrderRequestError(400, "customerPhone is required to use loyalty points");
+  }
+
+  return {
+    merchantId: b.merchantId,
+    branchId: b.branchId,
+    items,
+    fulfillmentType: b.fulfillmentType,
+    table: b.fulfillmentType === "dine_in" ? table : null,
+    customerPhone,
+    customerCarPlate: b.fulfillmentType === "car_pickup" ? customerCarPlate : null,
+    customerAddress,
+    customerEmail,
+    loyaltyPointsUsed,
+  };
+}
+
+function parseAddress(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new OrderRequestError(400, "Delivery address is required for delivery orders");
+  }
+
+  const address = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (typeof v === "string" && v.trim()) address[k] = v.trim().slice(0, MAX_FIELD_LENGTH);
+  }
+  if (!ADDRESS_FIELDS.every((k) => address[k])) {
+    throw new OrderRequestError(400, "Complete address (Home, Road, Block, City) is required for delivery");
+  }
+  return address;
+}
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/** Joins the requested lines with their menu items; rejects missing or inactive items. */
+async function priceItems(projectId, token, branchPath, lines) {
+  const nameOf = (productId) => firestoreDocName(projectId, `${branchPath}/menuItems/${productId}`);
+  const names = [...new Set(lines.map((l) => nameOf(l.productId)))];
+  const docs = await firestoreBatchGet(projectId, token, names);
+
+  const unavailable = [];
+  const priced = lines.map((line) => {
+    const doc = docs.get(nameOf(line.productId));
+    const item = doc ? firestoreFields(doc.fields) : null;
+    const price = Number(item?.price);
+
+    if (!item || item.isActive !== true || !Number.isFinite(price) || price < 0) {
+      unavailable.push(line.productId);
+      return null;
+    }
+    return { ...line, name: String(item.name || line.productId), price: round3(price) };
+  });
+
+  if (unavailable.length > 0) {
+    throw new OrderRequestError(409, "Some items are no longer available", {
+      unavailableItems: [...new Set(unavailable)],
+    });
+  }
+  return priced;
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+/** Same alphabet and length as Firestore's client-side auto ids. */
+function autoId() {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  return Array.from(bytes, (b) => chars[b % chars.length]).join("");
+}
+
+function optionalString(v) {
+  if (typeof v !== "string") return null;
+  const s = v.trim().slice(0, MAX_FIELD_LENGTH);
+  return s || null;
+}
+
+function isValidId(id) {
+  return typeof id === "string" && id.length > 0 && id.length <= 1500 && !id.includes("/");
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
@@ -0,0 +1,321 @@
+/**
+ * Notification outbox (Firestore-backed job queue)
+ *
+ * Jobs live at merchants/{m}/branches/{b}/notificationJobs/{orderId}_{event}
+ * (or {orderId}_{event}_{recipientId} when an event fans out to several
+ * recipients). The deterministic id makes enqueueing idempotent: a second
+ * enqueue of the same order/event/recipient is a no-op.
+ *
+ * Job lifecycle:
+ *   queued → sending → sent | skipped
+ *                    → retry → sending → ...      (exponential backoff)
+ *                    → dead                        (maxAttempts reached or
+ *                                                   permanent error)
+ *
+ * "sending" is a lease: claiming a job pushes nextAttemptAt forward by
+ * LEASE_MS, so a job whose worker died mid-send is picked up again once the
+ * lease runs out.
+ *
+ * Optional vars:
+ * - OUTBOX_SEND_INTERVAL_MS  min gap between deliveries (default 250)
+ * - OUTBOX_TIME_BUDGET_MS    stop claiming after this long (default 45000)
+ * - OUTBOX_MAX_ATTEMPTS      attempts before dead-lettering (default 5)
+ */
+
+import {
+  createWrite,
+  firestoreCommit,
+  firestoreDocName,
+  firestoreFields,
+  FirestorePreconditionError,
+  firestoreQueryPages,
+  firestoreRunQuery,
+  toFirestoreValue,
+  updateWrite,
+} from "./firestore.js";
+
+export const JOBS_COLLECTION = "notificationJobs";
+
+const PAGE_SIZE = 25;
+const LEASE_MS = 2 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+const DEFAULT_SEND_INTERVAL_MS = 250;
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// ============================================================================
+// ENQUEUE
+// ============================================================================
+
+export function jobIdFor(orderId, event, recipientId = null) {
+  return recipientId ? `${orderId}_${event}_${recipientId}` : `${orderId}_${event}`;
+}
+
+export function jobDocumentName(projectId, merchantId, branchId, jobId) {
+  return firestoreDocName(projectId, `merchants/${merchantId}/branches/${branchId}/${JOBS_COLLECTION}/${jobId}`);
+}
+
+/**
+ * Creates the jobs in one commit: either all of them are queued (returns
+ * true) or, if any already exists, none are (returns false). An order's
+ * fan-out is therefore never left with only some of its recipients queued.
+ */
+export async function enqueueJobs(env, projectId, token, jobs) {
+  if (jobs.length === 0) return false;
+  const now = new Date();
+  const maxAttempts = intVar(env.OUTBOX_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+
+  const writes = jobs.map(({ merchantId, branchId, orderId, event, channel = "whatsapp", recipientId = null }) =>
+    createWrite(jobDocumentName(projectId, merchantId, branchId, jobIdFor(orderId, event, recipientId)), {
+      merchantId,
+      branchId,
+      orderId,
+      event,
+      channel,
+      recipientId,
+      status: "queued",
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    })
+  );
+
+  try {
+    await firestoreCommit(projectId, token, writes);
+  } catch (e) {
+    if (e instanceof FirestorePreconditionError) return false;
+    throw e;
+  }
+
+  for (const j of jobs) {
+    console.log(`[OUTBOX] Queued ${jobIdFor(j.orderId, j.event, j.recipientId)} (${j.merchantId}/${j.branchId})`);
+  }
+  return true;
+}
+
+// ============================================================================
+// CONSUMER
+// ============================================================================
+
+/**
+ * Claims due jobs page by page and hands each one to `deliver(job)`.
+ *
+ * deliver(job) resolves { status: "sent", sid } or { status: "skipped", reason }
+ * and throws on failure. An error with `retryable === false` is dead-lettered
+ * immediately; anything else is retried with backoff.
+ *
+ * hooks.onFailure(job, { error, dead, nextAttemptAt }) runs after a failed
+ * attempt has been recorded on the job.
+ */
+export async function drainOutbox(env, projectId, token, deliver, hooks = {}) {
+  const intervalMs = intVar(env.OUTBOX_SEND_INTERVAL_MS, DEFAULT_SEND_INTERVAL_MS);
+  const budgetMs = intVar(env.OUTBOX_TIME_BUDGET_MS, DEFAULT_TIME_BUDGET_MS);
+  const startedAt = Date.now();
+
+  const stats = { claimed: 0, sent: 0, skipped: 0, retried: 0, dead: 0 };
+  let lastSendAt = 0;
+
+  const pages = firestoreQueryPages(projectId, token, dueJobsQuery(new Date(startedAt)), null, { pageSize: PAGE_SIZE });
+  drain: for await (const page of pages) {
+    for (const doc of page) {
+      if (Date.now() - startedAt >= budgetMs) {
+        console.log("[OUTBOX] Time budget reached, leaving the rest for the next run");
+        break drain;
+      }
+
+      const job = await claimJob(projectId, token, doc);
+      if (!job) continue;
+      stats.claimed++;
+
+      const wait = lastSendAt + intervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastSendAt = Date.now();
+
+      const outcome = await runJob(projectId, token, job, deliver, hooks);
+      stats[outcome]++;
+    }
+  }
+
+  console.log(
+    `[OUTBOX] Drained: claimed=${stats.claimed} sent=${stats.sent} skipped=${stats.skipped} retried=${stats.retried} dead=${stats.dead}`
+  );
+  return stats;
+}
+
+function dueJobsQuery(now) {
+  return {
+    structuredQuery: {
+      from: [{ collectionId: JOBS_COLLECTION, allDescendants: true }],
+      where: {
+        compositeFilter: {
+          op: "AND",
+          filters: [
+            {
+              fieldFilter: {
+                field: { fieldPath: "status" },
+                op: "IN",
+                value: toFirestoreValue(["queued", "retry", "sending"]),
+              },
+            },
+            {
+              fieldFilter: {
+                field: { fieldPath: "nextAttemptAt" },
+                op: "LESS_THAN_OR_EQUAL",
+                value: toFirestoreValue(now),
+              },
+            },
+          ],
+        },
+      },
+      orderBy: [
+        { field: { fieldPath: "nextAttemptAt" }, direction: "ASCENDING" },
+        { field: { fieldPath: "__name__" }, direction: "ASCENDING" },
+      ],
+    },
+  };
+}
+
+/**
+ * Moves the job to "sending" guarded by its updateTime, so two concurrent
+ * drains never deliver the same job. Returns the decoded job or null.
+ */
+async function claimJob(projectId, token, doc) {
+  const job = { name: doc.name, ...firestoreFields(doc.fields) };
+  const now = new Date();
+  const attempts = (job.attempts || 0) + 1;
+
+  try {
+    await firestoreCommit(projectId, token, [
+      updateWrite(
+        doc.name,
+        { status: "sending", attempts, nextAttemptAt: new Date(now.getTime() + LEASE_MS), updatedAt: now },
+        { currentDocument: { updateTime: doc.updateTime } }
+      ),
+    ]);
+  } catch (e) {
+    if (e instanceof FirestorePreconditionError) return null;
+    throw e;
+  }
+
+  return { ...job, attempts };
+}
+
+async function runJob(projectId, token, job, deliver, hooks) {
+  const jobId = job.name.split("/").pop();
+  const now = new Date();
+
+  let result;
+  try {
+    result = await deliver(job);
+  } catch (e) {
+    const message = String(e?.message || e);
+    const maxAttempts = job.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    const dead = e?.retryable === false || job.attempts >= maxAttempts;
+
+    const nextAttemptAt = dead ? null : new Date(now.getTime() + backoffMs(job.attempts));
+
+    const update = dead
+      ? { status: "dead", lastError: message, lastErrorAt: now, deadAt: now, updatedAt: now }
+      : { status: "retry", lastError: message, lastErrorAt: now, nextAttemptAt, updatedAt: now };
+    if (e?.code !== undefined) update.lastErrorCode = e.code;
+
+    await updateJob(projectId, token, job.name, update);
+    if (hooks.onFailure) await hooks.onFailure(job, { error: e, dead, nextAttemptAt });
+
+    if (dead) {
+      console.error(`[OUTBOX] ☠️ ${jobId} dead after ${job.attempts} attempt(s): ${message}`);
+      return "dead";
+    }
+    console.warn(`[OUTBOX] ${jobId} attempt ${job.attempts} failed, retrying: ${message}`);
+    return "retried";
+  }
+
+  if (result?.status === "skipped") {
+    await updateJob(projectId, token, job.name, {
+      status: "skipped",
+      skipReason: result.reason || null,
+      updatedAt: now,
+    });
+    console.log(`[OUTBOX] ${jobId} skipped: ${result.reason}`);
+    return "skipped";
+  }
+
+  await updateJob(projectId, token, job.name, {
+    status: "sent",
+    sid: result?.sid || null,
+    sentAt: now,
+    lastError: null,
+    updatedAt: now,
+  });
+  return "sent";
+}
+
+async function updateJob(projectId, token, name, data) {
+  try {
+    await firestoreCommit(projectId, token, [updateWrite(name, data)]);
+  } catch (e) {
+    // The job was deleted while it was being sent; nothing left to record
+    if (!(e instanceof FirestorePreconditionError)) throw e;
+    console.warn(`[OUTBOX] ${name.split("/").pop()} no longer exists`);
+  }
+}
+
+/** 30s, 60s, 2m, 4m, ... capped at 30m, with ±20% jitter. */
+export function backoffMs(attempt) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1), BACKOFF_MAX_MS);
+  const jitter = base * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(base + jitter);
+}
+
+// ============================================================================
+// INSPECTION
+// ============================================================================
+
+export async function listJobs(projectId, token, merchantId, branchId, { status, orderId, limit = 50 } = {}) {
+  const filters = [];
+  if (status) {
+    filters.push({
+      fieldFilter: { field: { fieldPath: "status" }, op: "EQUAL", value: toFirestoreValue(status) },
+    });
+  }
+  if (orderId) {
+    filters.push({
+      fieldFilter: { field: { fieldPath: "orderId" }, op: "EQUAL", value: toFirestoreValue(orderId) },
+    });
+  }
+
+  const structuredQuery = {
+    from: [{ collectionId: JOBS_COLLECTION }],
+    orderBy: [{ field: { fieldPath: "createdAt" }, direction: "DESCENDING" }],
+    limit: Math.min(Math.max(1, limit), 200),
+  };
+  if (filters.length === 1) structuredQuery.where = filters[0];
+  if (filters.length > 1) structuredQuery.where = { compositeFilter: { op: "AND", filters } };
+
+  const docs = await firestoreRunQuery(
+    projectId,
+    token,
+    { structuredQuery },
+    `merchants/${merchantId}/branches/${branchId}`
+  );
+
+  return docs.map((d) => ({ id: d.name.split("/").pop(), ...firestoreFields(d.fields) }));
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+function intVar(raw, fallback) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
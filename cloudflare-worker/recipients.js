@@ -0,0 +1,183 @@
+/**
+ * Merchant alert recipients and their routing rules
+ *
+ * config/notifications.recipients is a list of phones that receive merchant
+ * alerts (new / cancelled orders, and overdue orders from the watchdog):
+ *
+ *   recipients: [
+ *     { id: "kitchen", name: "Kitchen", phone: "+973...", enabled: true,
+ *       events: ["new", "cancelled"] },
+ *     { id: "driver", name: "Driver", phone: "+973...",
+ *       events: ["new"], fulfillmentTypes: ["delivery"] },
+ *     { id: "manager", name: "Manager", phone: "+973...",
+ *       events: ["cancelled", "overdue"],
+ *       minTotal: 20, quietHours: { start: "23:00", end: "07:00" },
+ *       language: "ar" },
+ *     { id: "ops", name: "Ops group", telegramChatId: "-1001234567890" }
+ *   ]
+ *
+ * A recipient needs a phone, a telegramChatId (for the Telegram channel), or both.
+ *
+ * Rules (all optional): events (default new and cancelled; "overdue" alerts
+ * go only to recipients that list it), fulfillmentTypes,
+ * minTotal (net total after loyalty discount, BHD), quietHours in the branch's
+ * `timezone` (default Asia/Bahrain), language (overrides the branch language).
+ *
+ * Branches without a list keep working: whatsappNumber (and telegramChatId)
+ * becomes a single "primary" recipient for every event, overdue alerts included.
+ */
+
+import { isValidTelegramChatId } from "./channels/index.js";
+
+export const DEFAULT_TIMEZONE = "Asia/Bahrain";
+export const PRIMARY_RECIPIENT_ID = "primary";
+
+const MERCHANT_EVENTS = ["new", "cancelled"];
+const RECIPIENT_EVENTS = [...MERCHANT_EVENTS, "overdue"];
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Normalizes config/notifications into [{ id, name, phone, telegramChatId,
+ * enabled, events, fulfillmentTypes, minTotal, quietHours, language }].
+ * Entries with neither a valid E.164 phone nor a Telegram chat id are
+ * dropped; ids are made safe for job ids and field paths.
+ */
+export function normalizeRecipients(data) {
+  if (!Array.isArray(data?.recipients) || data.recipients.length === 0) {
+    const telegramChatId = isValidTelegramChatId(data?.telegramChatId) ? String(data.telegramChatId) : null;
+    if (!data?.whatsappNumber && !telegramChatId) return [];
+    return [
+      {
+        id: PRIMARY_RECIPIENT_ID,
+        name: null,
+        phone: data.whatsappNumber || null,
+        telegramChatId,
+        enabled: true,
+        events: RECIPIENT_EVENTS,
+        fulfillmentTypes: null,
+        minTotal: null,
+        quietHours: null,
+        language: null,
+      },
+    ];
+  }
+
+  const seen = new Set();
+  const recipients = [];
+
+  data.recipients.forEach((r, i) => {
+    if (!r || typeof r !== "object") return;
+    const phone = E164_RE.test(String(r.phone || "")) ? r.phone : null;
+    const telegramChatId = isValidTelegramChatId(r.telegramChatId) ? String(r.telegramChatId) : null;
+    if (!phone && !telegramChatId) return;
+
+    let id = recipientId(r.id || r.name || phone || `tg${telegramChatId}`) || `r${i}`;
+    while (seen.has(id)) id = `${id}_${i}`;
+    seen.add(id);
+
+    recipients.push({
+      id,
+      name: typeof r.name === "string" ? r.name : null,
+      phone,
+      telegramChatId,
+      enabled: r.enabled !== false,
+      events: Array.isArray(r.events) ? r.events.filter((e) => RECIPIENT_EVENTS.includes(e)) : MERCHANT_EVENTS,
+      fulfillmentTypes: Array.isArray(r.fulfillmentTypes) ? r.fulfillmentTypes : null,
+      minTotal: typeof r.minTotal === "number" && r.minTotal > 0 ? r.minTotal : null,
+      quietHours: parseQuietHours(r.quietHours),
+      language: typeof r.language === "string" ? r.language : null,
+    });
+  });
+
+  return recipients;
+}
+
+/**
+ * Why `recipient` should not get `event` ("new", "cancelled" or "overdue") for
+ * `order`, or null when it should. Quiet hours are judged at `eventTime` (when
+ * the order was placed, cancelled or escalated), so an alert held back at
+ * night is never sent the next morning.
+ */
+export function recipientSkipReason(recipient, event, order, { eventTime, timezone }) {
+  if (!recipient.enabled) return "recipient disabled";
+  if (!recipient.events.includes(event)) return `recipient does not take ${event} alerts`;
+
+  if (recipient.fulfillmentTypes && !recipient.fulfillmentTypes.includes(order.fulfillmentType)) {
+    return `recipient does not take ${order.fulfillmentType || "untyped"} orders`;
+  }
+
+  if (recipient.minTotal !== null && orderNetTotal(order) < recipient.minTotal) {
+    return `order total below ${recipient.minTotal.toFixed(3)}`;
+  }
+
+  if (recipient.quietHours && isWithinQuietHours(recipient.quietHours, eventTime, timezone)) {
+    return "quiet hours";
+  }
+
+  return null;
+}
+
+export function orderNetTotal(order) {
+  return Math.max(0, Number(order.subtotal || 0) - Number(order.loyaltyDiscount || 0));
+}
+
+// ============================================================================
+// QUIET HOURS
+// ============================================================================
+
+function parseQuietHours(q) {
+  if (!q || typeof q !== "object") return null;
+  const start = TIME_RE.exec(String(q.start || ""));
+  const end = TIME_RE.exec(String(q.end || ""));
+  if (!start || !end) return null;
+
+  return {
+    startMin: Number(start[1]) * 60 + Number(start[2]),
+    endMin: Number(end[1]) * 60 + Number(end[2]),
+  };
+}
+
+/** Windows may wrap midnight (23:00–07:00). start == end means no quiet hours. */
+function isWithinQuietHours({ startMin, endMin }, at, timezone) {
+  if (startMin === endMin) return false;
+
+  const minute = minuteOfDay(at || new Date(), timezone || DEFAULT_TIMEZONE);
+  return startMin < endMin
+    ? minute >= startMin && minute < endMin
+    : minute >= startMin || minute < endMin;
+}
+
+function minuteOfDay(date, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch {
+    console.warn(`[RECIPIENTS] Unknown timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+    return minuteOfDay(date, DEFAULT_TIMEZONE);
+  }
+
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+/** "Head Chef" → "head_chef", "+97333..." → "r97333..." (valid Firestore field name). */
+function recipientId(raw) {
+  const id = String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+  if (!id) return null;
+  return /^[a-z_]/.test(id) ? id : `r${id}`;
+}
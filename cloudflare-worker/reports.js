@@ -0,0 +1,297 @@
+/**
+ * Scheduled sales report emails
+ *
+ * A branch opts in with config/reports:
+ *
+ *   { enabled: true,
+ *     recipients: ["owner@example.com"],
+ *     daily: true,               // yesterday's orders, every day
+ *     weekly: true,              // the 7 days before weeklyDay
+ *     weeklyDay: "sunday",       // default sunday
+ *     sendTime: "08:00",         // local time, default 08:00
+ *     timezone: "Asia/Bahrain" } // default: config/notifications.timezone, then Asia/Bahrain
+ *
+ * The report is computed from the period's orders (same rules as the
+ * analytics rollups, see analytics.js), rendered by email.js and sent with
+ * every order as a CSV attachment.
+ *
+ * reportRuns/{daily|weekly} records the last period sent. A run claims the
+ * period with a precondition on that document before sending, so an
+ * overlapping cron run skips it instead of sending a duplicate:
+ *
+ *   { lastSentPeriod, lastSentAt, messageId,
+ *     period, status: "sending" | "sent" | "failed", attempts,
+ *     leaseUntil, lastError, recipients }
+ *
+ * A failed send is retried on later runs, at most MAX_ATTEMPTS times per period.
+ */
+
+import { getBranchTimezone, listConfiguredBranches, queryOrdersCreatedBetween, summarizeOrders } from "./analytics.js";
+import { addDays, isValidTimezone, localDateKey, localMidnight, localParts, weekdayOf } from "./dates.js";
+import { renderScheduledReport, sendMail } from "./email.js";
+import {
+  firestoreBatchGet,
+  firestoreCommit,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  FirestorePreconditionError,
+  serverTimestamp,
+  setWrite,
+  updateWrite,
+} from "./firestore.js";
+
+export const RUNS_COLLECTION = "reportRuns";
+
+const KINDS = ["daily", "weekly"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_SEND_TIME = "08:00";
+const DEFAULT_WEEKLY_DAY = "sunday";
+const MAX_RECIPIENTS = 10;
+const MAX_ATTEMPTS = 3;
+const LEASE_MS = 5 * 60 * 1000;
+const BATCH_GET_SIZE = 100;
+
+// ============================================================================
+// CRON
+// ============================================================================
+
+/**
+ * Sends every report that is due. `branches` is [{ merchantId, branchId }];
+ * empty means every branch with a config doc. Returns the number sent.
+ */
+export async function sendDueReports(env, projectId, token, branches, { now = new Date(), mailProvider } = {}) {
+  const targets = branches.length > 0 ? branches : await listConfiguredBranches(projectId, token);
+  let sent = 0;
+
+  for (let i = 0; i < targets.length; i += BATCH_GET_SIZE) {
+    const chunk = targets.slice(i, i + BATCH_GET_SIZE);
+    const names = chunk.map((b) => firestoreDocName(projectId, `${branchPath(b)}/config/reports`));
+    const configs = await firestoreBatchGet(projectId, token, names);
+
+    for (const [j, branch] of chunk.entries()) {
+      const doc = configs.get(names[j]);
+      if (!doc) continue;
+
+      const schedule = await normalizeSchedule(projectId, token, branch, firestoreFields(doc.fields));
+      if (!schedule) continue;
+
+      for (const kind of KINDS) {
+        if (!schedule[kind]) continue;
+        const period = duePeriod(kind, schedule, now);
+        try {
+          if (await sendReportOnce(env, projectId, token, branch, schedule, kind, period, { now, mailProvider })) sent++;
+        } catch (e) {
+          console.error(`[REPORT] ${branch.merchantId}/${branch.branchId} ${kind} ${period.key} failed:`, e?.message || e);
+        }
+      }
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * The branch's config/reports recipients, whether or not scheduled reports
+ * are enabled. Merchant emails sent on request (email.js) go to them too.
+ */
+export async function getReportRecipients(projectId, token, branch) {
+  const doc = await firestoreGetDocument(projectId, token, `${branchPath(branch)}/config/reports`);
+  return doc ? normalizeRecipients(firestoreFields(doc.fields).recipients) : [];
+}
+
+/**
+ * config/reports → { recipients, daily, weekly, weeklyDay, sendMinute, timezone },
+ * or null when the branch has nothing to send.
+ */
+async function normalizeSchedule(projectId, token, { merchantId, branchId }, data) {
+  if (data.enabled !== true) return null;
+
+  const recipients = normalizeRecipients(data.recipients);
+  if (recipients.length === 0) {
+    console.warn(`[REPORT] ${merchantId}/${branchId}: reports enabled without valid recipients`);
+    return null;
+  }
+
+  const time = TIME_RE.exec(String(data.sendTime || "")) || TIME_RE.exec(DEFAULT_SEND_TIME);
+  const timezone =
+    typeof data.timezone === "string" && isValidTimezone(data.timezone)
+      ? data.timezone
+      : await getBranchTimezone(projectId, token, merchantId, branchId);
+
+  return {
+    recipients,
+    daily: data.daily === true,
+    weekly: data.weekly === true,
+    weeklyDay: WEEKDAYS.includes(data.weeklyDay) ? data.weeklyDay : DEFAULT_WEEKLY_DAY,
+    sendMinute: Number(time[1]) * 60 + Number(time[2]),
+    timezone,
+  };
+}
+
+/** Valid, lowercased, de-duplicated emails, at most MAX_RECIPIENTS. */
+function normalizeRecipients(list) {
+  return [...new Set((Array.isArray(list) ? list : [])
+    .map((r) => String(r || "").trim().toLowerCase())
+    .filter((r) => EMAIL_RE.test(r)))].slice(0, MAX_RECIPIENTS);
+}
+
+/**
+ * The period the latest send slot at or before `now` reports on:
+ * - daily:  the day before the send day
+ * - weekly: the 7 days before the most recent weeklyDay
+ * A slot whose send time has not come yet counts from the previous one, so a
+ * run that was missed still sends later the same day (or week).
+ * Returns { key, from, to } with branch-local dates, `to` exclusive.
+ */
+export function duePeriod(kind, schedule, now) {
+  const today = localDateKey(now, schedule.timezone);
+  const local = localParts(now, schedule.timezone);
+  const pastSendTime = local.hour * 60 + local.minute >= schedule.sendMinute;
+
+  let sendDay = pastSendTime ? today : addDays(today, -1);
+  if (kind === "weekly") {
+    const target = WEEKDAYS.indexOf(schedule.weeklyDay);
+    while (weekdayOf(sendDay) !== target) sendDay = addDays(sendDay, -1);
+  }
+
+  const from = addDays(sendDay, kind === "weekly" ? -7 : -1);
+  return { key: from, from, to: sendDay };
+}
+
+// ============================================================================
+// SEND (ONCE PER PERIOD)
+// ============================================================================
+
+/** Claims, builds and sends one report. Returns true when it was sent by this call. */
+async function sendReportOnce(env, projectId, token, branch, schedule, kind, period, { now, mailProvider }) {
+  const label = `${branch.merchantId}/${branch.branchId} ${kind} ${period.key}`;
+  const runPath = `${branchPath(branch)}/${RUNS_COLLECTION}/${kind}`;
+  const runDoc = await firestoreGetDocument(projectId, token, runPath);
+  const run = runDoc ? firestoreFields(runDoc.fields) : {};
+
+  if (run.lastSentPeriod && run.lastSentPeriod >= period.key) return false;
+
+  const samePeriod = run.period === period.key;
+  if (samePeriod && run.status === "sending" && run.leaseUntil instanceof Date && run.leaseUntil > now) return false;
+  if (samePeriod && run.status === "failed" && Number(run.attempts || 0) >= MAX_ATTEMPTS) return false;
+
+  const claim = {
+    kind,
+    period: period.key,
+    status: "sending",
+    attempts: samePeriod ? Number(run.attempts || 0) + 1 : 1,
+    leaseUntil: new Date(now.getTime() + LEASE_MS),
+    recipients: schedule.recipients,
+  };
+  try {
+    await firestoreCommit(projectId, token, [
+      updateWrite(firestoreDocName(projectId, runPath), claim, {
+        currentDocument: runDoc ? { updateTime: runDoc.updateTime } : { exists: false },
+      }),
+    ]);
+  } catch (e) {
+    if (!(e instanceof FirestorePreconditionError)) throw e;
+    console.log(`[REPORT] ${label}: claimed by another run`);
+    return false;
+  }
+
+  let messageId;
+  try {
+    const email = await buildReportEmail(projectId, token, branch, schedule, kind, period);
+    messageId = await sendMail(env, { ...email, to: schedule.recipients }, mailProvider);
+  } catch (e) {
+    await recordRun(projectId, token, runPath, { status: "failed", lastError: String(e?.message || e).slice(0, 500) });
+    throw e;
+  }
+
+  await recordRun(projectId, token, runPath, {
+    status: "sent",
+    lastSentPeriod: period.key,
+    messageId,
+    lastError: null,
+    lastSentAt: serverTimestamp(),
+  });
+  console.log(`[REPORT] ✅ ${label} sent to ${schedule.recipients.length} recipient(s) (ID: ${messageId})`);
+  return true;
+}
+
+function recordRun(projectId, token, runPath, fields) {
+  return firestoreCommit(projectId, token, [setWrite(firestoreDocName(projectId, runPath), fields, { merge: true })]);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+async function buildReportEmail(projectId, token, branch, schedule, kind, period) {
+  const path = branchPath(branch);
+  const start = localMidnight(period.from, schedule.timezone);
+  const end = localMidnight(period.to, schedule.timezone);
+
+  const orders = await queryOrdersCreatedBetween(projectId, token, path, start, end);
+  const summary = summarizeOrders(orders, schedule.timezone);
+  const busiest = summary.hourly.reduce((best, h) => (h.orders > (best?.orders || 0) ? h : best), null);
+
+  const branding = await firestoreGetDocument(projectId, token, `${path}/config/branding`);
+  const merchantName = (branding && firestoreFields(branding.fields).title) || branch.merchantId;
+
+  const lastDay = addDays(period.to, -1);
+  const periodLabel = period.from === lastDay ? period.from : `${period.from} – ${lastDay}`;
+
+  const email = renderScheduledReport({ merchantName, kind, periodLabel, timezone: schedule.timezone, summary, busiestHour: busiest });
+  email.attachments = [
+    { filename: `orders-${branch.branchId}-${kind}-${period.key}.csv`, content: ordersCsv(orders, schedule.timezone) },
+  ];
+  return email;
+}
+
+const CSV_COLUMNS = ["Order No", "Created", "Status", "Fulfillment", "Items", "Qty", "Subtotal", "Loyalty Discount", "Net Total"];
+
+/** One row per order, times in the branch timezone. */
+export function ordersCsv(docs, timezone) {
+  const rows = docs.map((d) => {
+    const o = firestoreFields(d.fields);
+    const items = Array.isArray(o.items) ? o.items : [];
+    const subtotal = Number(o.subtotal || 0);
+    const discount = Number(o.loyaltyDiscount || 0);
+
+    return [
+      o.orderNo || d.name.split("/").pop(),
+      o.createdAt instanceof Date ? localTimestamp(o.createdAt, timezone) : "",
+      o.status || "",
+      o.fulfillmentType || "",
+      items.map((it) => `${Number(it?.qty || 0)}x ${it?.name || it?.productId || "?"}`).join("; "),
+      items.reduce((n, it) => n + Number(it?.qty || 0), 0),
+      subtotal.toFixed(3),
+      discount.toFixed(3),
+      Math.max(0, subtotal - discount).toFixed(3),
+    ];
+  });
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvCell(value) {
+  let s = String(value ?? "");
+  // Keep spreadsheets from evaluating item names as formulas
+  if (/^[=+\-@]/.test(s) && !/^-?\d/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function localTimestamp(date, timezone) {
+  const p = localParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// ============================================================================
+// UTILS
+// ============================================================================
+
+function branchPath({ merchantId, branchId }) {
+  return `merchants/${merchantId}/branches/${branchId}`;
+}
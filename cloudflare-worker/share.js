@@ -0,0 +1,227 @@
+/**
+ * Shared menu links (GET /s/{slug})
+ *
+ * Link previews (WhatsApp, Instagram, iMessage) never run the Flutter app,
+ * so the worker serves the app shell (web/index.html from APP_ORIGIN) with
+ * the branch's config/branding already in the <head>:
+ *
+ *   <title> / description / theme-color   title, headerText, primaryHex
+ *   og:* and twitter:* tags               bannerUrl (else logoUrl) as the image
+ *
+ * and a one-line script that adds the resolved ?m=&b= to the address bar
+ * before the app boots, so AppConfig.fromUrl() skips its own slug lookup
+ * (slug_routing.dart). Unknown slugs get a standalone 404 page.
+ *
+ * The rendered page is cached at the edge (Cache API) per slug; see
+ * slugPageCacheControl().
+ */
+
+import { escapeHtml } from "./email.js";
+import { firestoreFields, firestoreGetDocument } from "./firestore.js";
+
+// Same shape scripts/lib/slugs.js isValidSlug() accepts
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 64;
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const DEFAULT_CACHE_TTL = 300; // seconds
+const NOT_FOUND_CACHE_TTL = 60;
+const BROWSER_CACHE_TTL = 60;
+
+// Enough of web/index.html to boot the app when the real shell can't be fetched
+const FALLBACK_SHELL = `<!DOCTYPE html>
+<html lang="en"><head><base href="/" />
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover" />
+<link rel="manifest" href="manifest.json" />
+<link rel="icon" type="image/png" href="favicon.png" />
+<title>Menu</title>
+</head><body><script src="flutter_bootstrap.js" defer></script></body></html>`;
+
+/** "/s/Aziz-Burgers/" → "aziz-burgers"; "" for a malformed slug, null when the path is not /s/{slug}. */
+export function slugFromPath(pathname) {
+  const match = /^\/s\/([^/]+)\/?$/.exec(pathname);
+  return match ? normalizeSlug(match[1]) : null;
+}
+
+/** A URL path segment as a slug ("Aziz-Burgers" → "aziz-burgers"), or "" when malformed. */
+export function normalizeSlug(segment) {
+  let slug;
+  try {
+    slug = decodeURIComponent(segment).trim().toLowerCase();
+  } catch {
+    return "";
+  }
+  return slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug) ? slug : "";
+}
+
+/** slugs/{slug} as { slug, merchantId, branchId, title }, or null when unknown or incomplete. */
+export async function resolveSlug(projectId, token, slug) {
+  const slugDoc = await firestoreGetDocument(projectId, token, `slugs/${slug}`);
+  if (!slugDoc) return null;
+
+  const mapping = firestoreFields(slugDoc.fields);
+  const merchantId = String(mapping.merchantId || "").trim();
+  const branchId = String(mapping.branchId || "").trim();
+  if (!merchantId || !branchId) return null;
+  return { slug, merchantId, branchId, title: text(mapping.title) };
+}
+
+/**
+ * The branch behind `slug` with its branding, or null when the slug is
+ * unknown: { slug, merchantId, branchId, branding: { title, headerText,
+ * logoUrl, bannerUrl, primaryHex } } (missing fields are null).
+ */
+export async function resolveSlugPage(projectId, token, slug) {
+  const resolved = await resolveSlug(projectId, token, slug);
+  if (!resolved) return null;
+  const { merchantId, branchId } = resolved;
+
+  const brandingDoc = await firestoreGetDocument(
+    projectId,
+    token,
+    `merchants/${merchantId}/branches/${branchId}/config/branding`
+  );
+  const data = brandingDoc ? firestoreFields(brandingDoc.fields) : {};
+
+  return {
+    slug,
+    merchantId,
+    branchId,
+    branding: {
+      title: text(data.title) || resolved.title,
+      headerText: text(data.headerText),
+      logoUrl: httpsUrl(data.logoUrl),
+      bannerUrl: httpsUrl(data.bannerUrl),
+      primaryHex: HEX_COLOR.test(String(data.primaryHex || "")) ? data.primaryHex : null,
+    },
+  };
+}
+
+/**
+ * The app shell: { html, fallback } with index.html from APP_ORIGIN (else
+ * the worker's own origin, for a worker routed on /s/* only), or
+ * FALLBACK_SHELL with fallback: true when it can't be fetched.
+ */
+export async function fetchAppShell(env, requestUrl) {
+  const origin = String(env.APP_ORIGIN || new URL(requestUrl).origin).replace(/\/+$/, "");
+  try {
+    const resp = await fetch(`${origin}/index.html`, { headers: { Accept: "text/html" } });
+    if (resp.ok) return { html: await resp.text(), fallback: false };
+    console.warn(`[SHARE] App shell ${origin}/index.html returned ${resp.status}; using the fallback shell`);
+  } catch (e) {
+    console.warn(`[SHARE] App shell fetch failed: ${e?.message || e}; using the fallback shell`);
+  }
+  return { html: FALLBACK_SHELL, fallback: true };
+}
+
+/**
+ * `shell` with the page's title/description/theme-color replaced, and the
+ * OG/Twitter tags and the m/b script added at the end of the <head> (before
+ * the deferred app bootstrap runs).
+ */
+export function renderSlugPage(shell, page, pageUrl) {
+  const { title: rawTitle, headerText, logoUrl, bannerUrl, primaryHex } = page.branding;
+  const title = rawTitle || "Menu";
+  const description = headerText || `See the menu and order from ${title}.`;
+  const image = bannerUrl || logoUrl;
+
+  const tags = [
+    `<title>${escapeHtml(title)}</title>`,
+    meta("name", "description", description),
+    primaryHex && meta("name", "theme-color", primaryHex),
+    meta("name", "apple-mobile-web-app-title", title),
+    `<link rel="canonical" href="${escapeHtml(pageUrl)}" />`,
+    meta("property", "og:type", "website"),
+    meta("property", "og:site_name", title),
+    meta("property", "og:title", title),
+    meta("property", "og:description", description),
+    meta("property", "og:url", pageUrl),
+    image && meta("property", "og:image", image),
+    meta("name", "twitter:card", bannerUrl ? "summary_large_image" : "summary"),
+    meta("name", "twitter:title", title),
+    meta("name", "twitter:description", description),
+    image && meta("name", "twitter:image", image),
+    idsScript(page),
+  ].filter(Boolean);
+
+  const head = stripTags(shell, [
+    /<title>[\s\S]*?<\/title>\s*/gi,
+    /<meta\s+name="(?:description|theme-color|apple-mobile-web-app-title)"[^>]*>\s*/gi,
+    /<meta\s+property="og:[^"]*"[^>]*>\s*/gi,
+    /<meta\s+name="twitter:[^"]*"[^>]*>\s*/gi,
+    /<link\s+rel="canonical"[^>]*>\s*/gi,
+  ]);
+  const block = `${tags.join("\n")}\n`;
+  return /<\/head>/i.test(head) ? head.replace(/<\/head>/i, `${block}</head>`) : `${block}${head}`;
+}
+
+/** Standalone 404 for links whose slug does not exist (nothing for the app to load). */
+export function renderNotFoundPage(slug, env = {}) {
+  const brand = text(env.BRAND_NAME) || "Sweets";
+  const shown = slug ? `/s/${escapeHtml(slug)}` : "this link";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="robots" content="noindex" />
+<title>Menu not found · ${escapeHtml(brand)}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #fdf6f0; color: #3b2a20; }
+  main { max-width: 420px; padding: 32px; text-align: center; }
+  .brand { font-size: 14px; letter-spacing: .12em; text-transform: uppercase; color: #b07a55; }
+  h1 { font-size: 26px; margin: 12px 0; }
+  p { line-height: 1.5; color: #6b5446; }
+  a { display: inline-block; margin-top: 16px; padding: 10px 20px; border-radius: 999px; background: #3b2a20; color: #fff; text-decoration: none; }
+</style>
+</head>
+<body>
+<main>
+  <div class="brand">${escapeHtml(brand)}</div>
+  <h1>We couldn't find this menu</h1>
+  <p>There is no store at <strong>${shown}</strong>. The link may be mistyped or no longer in use; ask the store for its current link.</p>
+  <a href="/">Go to the home page</a>
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Cache-Control for a rendered page: browsers revalidate after a minute, the
+ * edge keeps found pages for SLUG_CACHE_TTL seconds (default 300) and
+ * unknown slugs for a minute, so a new slug goes live quickly.
+ */
+export function slugPageCacheControl(env, found) {
+  const ttl = Number.parseInt(env.SLUG_CACHE_TTL || "", 10);
+  const edge = found ? (Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL) : NOT_FOUND_CACHE_TTL;
+  return `public, max-age=${Math.min(BROWSER_CACHE_TTL, edge)}, s-maxage=${edge}`;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function idsScript({ merchantId, branchId }) {
+  // JSON inside <script>: "<" is escaped so a value can never close the tag
+  const ids = JSON.stringify({ m: merchantId, b: branchId }).replace(/</g, "\\u003c");
+  return `<script>(function(ids){var q=new URLSearchParams(location.search);for(var k in ids)q.set(k,ids[k]);history.replaceState(history.state,"",location.pathname+"?"+q+location.hash);})(${ids});</script>`;
+}
+
+function meta(attr, key, value) {
+  return `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`;
+}
+
+function stripTags(html, patterns) {
+  return patterns.reduce((out, pattern) => out.replace(pattern, ""), html);
+}
+
+function text(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function httpsUrl(value) {
+  const s = text(value);
+  return s && /^https:\/\/\S+$/i.test(s) ? s : null;
+}
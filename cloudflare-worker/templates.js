@@ -0,0 +1,553 @@
+/**
+ * WhatsApp / SMS message templates
+ *
+ * Every message is rendered from a template with {{placeholders}}. Built-in
+ * templates exist per event, fulfillment type and language; a branch can
+ * override them in config/notifications.templates:
+ *
+ *   templates: {
+ *     "new": "...",               // any fulfillment type
+ *     "new.delivery": "...",      // wins over "new" for delivery orders
+ *     "new:ar": "...",            // Arabic only; wins over "new" for Arabic
+ *     "cancelled": "...",
+ *     "overdue_preparing": "...",  // watchdog alerts: overdue_{pending,accepted,preparing,ready}
+ *     "customer_ready.car_pickup": "..."
+ *   }
+ *
+ * Language (config/notifications):
+ *   language      "en" (default) | "ar" | "both" (English, then Arabic)
+ *   arabicDigits  true → amounts, quantities and table numbers in Arabic
+ *                 text use ٠١٢٣٤٥٦٧٨٩ (phone numbers and order numbers stay
+ *                 Latin so they remain tappable / searchable)
+ *
+ * Syntax:
+ *   {{name}}              value (empty string when missing)
+ *   {{#name}}...{{/name}} section, rendered only when `name` is non-empty
+ *   {{^name}}...{{/name}} inverted section, rendered only when it is empty
+ *
+ * A custom template that is not a string, is too long, uses an unknown
+ * placeholder, has unbalanced sections or renders to nothing is ignored and
+ * the built-in template is used instead.
+ */
+
+const MAX_TEMPLATE_LENGTH = 1500;
+
+export const LANGUAGES = ["en", "ar", "both"];
+
+export const TEMPLATE_PLACEHOLDERS = [
+  "orderNo",
+  "branchName",
+  "status",
+  "fulfillment",
+  "phone",
+  "carPlate",
+  "table",
+  "address",
+  "addressNotes",
+  "items",
+  "itemCount",
+  "subtotal",
+  "discount",
+  "pointsUsed",
+  "total",
+  "currency",
+  "reason",
+  "cancelledBy",
+  "minutesInStatus",
+];
+
+const PLACEHOLDER_SET = new Set(TEMPLATE_PLACEHOLDERS);
+
+// Bidi controls: RLM starts Arabic lines right-to-left even when they open
+// with an emoji or a Latin value; LRM keeps Latin runs (phone, ORD-042,
+// e-mail) from being reordered inside Arabic text.
+const RLM = "\u200F";
+const LRM = "\u200E";
+
+const ARABIC_INDIC_DIGITS = "٠١٢٣٤٥٦٧٨٩";
+const ARABIC_DECIMAL_SEPARATOR = "٫";
+
+const BOTH_SEPARATOR = "\n\n— — —\n\n";
+
+// ============================================================================
+// STRINGS
+// ============================================================================
+
+const STRINGS = {
+  en: {
+    newOrder: "New Order",
+    orderCancelled: "Order Cancelled",
+    orderOverdue: "Order Overdue",
+    minutes: "min",
+    customerInfo: "Customer Info",
+    deliverTo: "Deliver To",
+    plate: "Plate",
+    phone: "Phone",
+    table: "Table",
+    items: "Items",
+    note: "Note",
+    subtotal: "Subtotal",
+    loyaltyDiscount: "Loyalty discount",
+    points: "pts",
+    total: "Total",
+    status: "Status",
+    cancelledBy: "Cancelled By",
+    reason: "Reason",
+    admin: "Admin",
+    staff: "Staff",
+    system: "Automatic",
+    user: "User",
+    unknownItem: "Unknown",
+    times: "x",
+    currency: "BHD",
+    fulfillment: { car_pickup: "Car pickup", delivery: "Delivery", dine_in: "Dine-in" },
+    statuses: {
+      pending: "PENDING",
+      accepted: "ACCEPTED",
+      preparing: "PREPARING",
+      ready: "READY",
+      served: "SERVED",
+      cancelled: "CANCELLED",
+    },
+    address: { flat: "Flat", home: "Home", road: "Road", block: "Block" },
+    reasons: {},
+    customer: {
+      accepted: "✅ Your order {{orderNo}} has been accepted. We'll let you know when it's ready.",
+      preparing: "👨‍🍳 We're preparing your order {{orderNo}} now.",
+      ready_car_pickup: "🚗 Your order {{orderNo}} is ready! We'll bring it out to your car{{#carPlate}} ({{carPlate}}){{/carPlate}}.",
+      ready_delivery: "🛵 Your order {{orderNo}} is ready and will be on its way shortly.",
+      ready_dine_in: "🍽️ Your order {{orderNo}} is ready and will be served {{#table}}at table {{table}}{{/table}}{{^table}}shortly{{/table}}.",
+      ready_default: "🔔 Your order {{orderNo}} is ready for pickup.",
+      served_delivery: "📦 Your order {{orderNo}} has been delivered. Enjoy!",
+      served_default: "🙏 Enjoy your order {{orderNo}}! Thank you for ordering with us.",
+      cancelled:
+        "😔 Sorry, your order {{orderNo}} has been cancelled{{#reason}} ({{reason}}){{/reason}}.{{#pointsUsed}} The {{pointsUsed}} points you used have been returned.{{/pointsUsed}}",
+    },
+  },
+
+  ar: {
+    newOrder: "طلب جديد",
+    orderCancelled: "تم إلغاء الطلب",
+    orderOverdue: "طلب متأخر",
+    minutes: "دقيقة",
+    customerInfo: "بيانات العميل",
+    deliverTo: "التوصيل إلى",
+    plate: "رقم اللوحة",
+    phone: "الهاتف",
+    table: "الطاولة",
+    items: "الأصناف",
+    note: "ملاحظة",
+    subtotal: "المجموع الفرعي",
+    loyaltyDiscount: "خصم الولاء",
+    points: "نقطة",
+    total: "الإجمالي",
+    status: "الحالة",
+    cancelledBy: "أُلغي بواسطة",
+    reason: "السبب",
+    admin: "المدير",
+    staff: "الموظف",
+    system: "تلقائي",
+    user: "المستخدم",
+    unknownItem: "غير معروف",
+    times: "×",
+    currency: "د.ب",
+    fulfillment: { car_pickup: "استلام من السيارة", delivery: "توصيل", dine_in: "داخل المطعم" },
+    statuses: {
+      pending: "قيد الانتظار",
+      accepted: "مقبول",
+      preparing: "قيد التحضير",
+      ready: "جاهز",
+      served: "تم التقديم",
+      cancelled: "ملغي",
+    },
+    address: { flat: "شقة", home: "مبنى", road: "طريق", block: "مجمع" },
+    // Common cancellation reasons typed by staff; anything else is shown as is
+    reasons: {
+      "out of stock": "نفدت الكمية",
+      "customer request": "بناءً على طلب العميل",
+      "customer requested": "بناءً على طلب العميل",
+      "closed": "الفرع مغلق",
+      "too busy": "ضغط كبير على الطلبات",
+      "duplicate order": "طلب مكرر",
+      "no show": "لم يحضر العميل",
+      "not accepted in time": "لم يُقبل في الوقت المحدد",
+    },
+    customer: {
+      accepted: "✅ تم قبول طلبك {{orderNo}}. سنبلغك عندما يصبح جاهزًا.",
+      preparing: "👨‍🍳 نقوم الآن بتحضير طلبك {{orderNo}}.",
+      ready_car_pickup: "🚗 طلبك {{orderNo}} جاهز! سنحضره إلى سيارتك{{#carPlate}} ({{carPlate}}){{/carPlate}}.",
+      ready_delivery: "🛵 طلبك {{orderNo}} جاهز وسيتم إرساله إليك قريبًا.",
+      ready_dine_in: "🍽️ طلبك {{orderNo}} جاهز وسيُقدَّم {{#table}}على الطاولة {{table}}{{/table}}{{^table}}قريبًا{{/table}}.",
+      ready_default: "🔔 طلبك {{orderNo}} جاهز للاستلام.",
+      served_delivery: "📦 تم توصيل طلبك {{orderNo}}. بالعافية!",
+      served_default: "🙏 بالعافية! شكرًا لطلبك {{orderNo}}.",
+      cancelled:
+        "😔 نعتذر، تم إلغاء طلبك {{orderNo}}{{#reason}} ({{reason}}){{/reason}}.{{#pointsUsed}} أعدنا إليك {{pointsUsed}} نقطة استخدمتها.{{/pointsUsed}}",
+    },
+  },
+};
+
+// ============================================================================
+// BUILT-IN TEMPLATES
+// ============================================================================
+
+const builtinCache = new Map();
+
+function builtinTemplates(lang) {
+  if (builtinCache.has(lang)) return builtinCache.get(lang);
+
+  const S = STRINGS[lang];
+
+  const totals = [
+    `{{#discount}}${S.subtotal}: {{subtotal}} {{currency}}`,
+    `🎁 ${S.loyaltyDiscount}{{#pointsUsed}} ({{pointsUsed}} ${S.points}){{/pointsUsed}}: -{{discount}} {{currency}}`,
+    `{{/discount}}*${S.total}: {{total}} {{currency}}*`,
+  ].join("\n");
+  const items = `*${S.items}:*\n{{items}}`;
+  const plateAndPhone = `{{#carPlate}}🚗 ${S.plate}: {{carPlate}}\n{{/carPlate}}{{#phone}}📱 ${S.phone}: {{phone}}\n{{/phone}}`;
+  const phone = `{{#phone}}📱 ${S.phone}: {{phone}}\n{{/phone}}`;
+  const reason = `{{#reason}}*${S.reason}:* {{reason}}\n\n{{/reason}}`;
+  const cancelledBy = `{{#cancelledBy}}*${S.cancelledBy}:*\n{{cancelledBy}}\n\n{{/cancelledBy}}`;
+  const statusLine = `⏰ ${S.status}: {{status}}`;
+  const dineIn = `🍽️ {{fulfillment}}{{#table}} · ${S.table} {{table}}{{/table}}`;
+  const from = "{{#branchName}}{{branchName}}\n{{/branchName}}";
+
+  // Watchdog escalation: how long the order has been stuck, then what it is
+  const overdue = {
+    default: [
+      `⏰ *${S.orderOverdue}: {{orderNo}}*`,
+      `{{status}} · {{minutesInStatus}} ${S.minutes}`,
+      `{{fulfillment}}{{#table}} · ${S.table} {{table}}{{/table}}`,
+      "",
+      plateAndPhone + items,
+      "",
+      totals,
+    ].join("\n"),
+  };
+
+  const templates = {
+    new: {
+      car_pickup: [
+        `🔔 *${S.newOrder}: {{orderNo}}*`,
+        "🚗 {{fulfillment}}",
+        "",
+        `*${S.customerInfo}:*`,
+        plateAndPhone,
+        items,
+        "",
+        totals,
+        "",
+        statusLine,
+      ].join("\n"),
+      delivery: [
+        `🔔 *${S.newOrder}: {{orderNo}}*`,
+        "🛵 {{fulfillment}}",
+        "",
+        `*${S.deliverTo}:*`,
+        "📍 {{address}}",
+        "{{#addressNotes}}📝 {{addressNotes}}\n{{/addressNotes}}" + phone,
+        items,
+        "",
+        totals,
+        "",
+        statusLine,
+      ].join("\n"),
+      dine_in: [
+        `🔔 *${S.newOrder}: {{orderNo}}*`,
+        dineIn,
+        "",
+        `{{#phone}}📱 ${S.phone}: {{phone}}\n\n{{/phone}}` + items,
+        "",
+        totals,
+        "",
+        statusLine,
+      ].join("\n"),
+      // Orders from before fulfillment types existed
+      default: [
+        `🔔 *${S.newOrder}: {{orderNo}}*`,
+        "",
+        plateAndPhone,
+        `{{#table}}📍 ${S.table}: {{table}}\n\n{{/table}}` + items,
+        "",
+        totals,
+        "",
+        statusLine,
+      ].join("\n"),
+    },
+
+    cancelled: {
+      car_pickup: [
+        `❌ *${S.orderCancelled}: {{orderNo}}*`,
+        "🚗 {{fulfillment}}",
+        "",
+        cancelledBy + `*${S.customerInfo}:*`,
+        plateAndPhone,
+        reason + items,
+        "",
+        totals,
+      ].join("\n"),
+      delivery: [
+        `❌ *${S.orderCancelled}: {{orderNo}}*`,
+        "🛵 {{fulfillment}}",
+        "",
+        cancelledBy + `*${S.deliverTo}:*`,
+        "📍 {{address}}",
+        phone,
+        reason + items,
+        "",
+        totals,
+      ].join("\n"),
+      dine_in: [
+        `❌ *${S.orderCancelled}: {{orderNo}}*`,
+        dineIn,
+        "",
+        cancelledBy + `{{#phone}}📱 ${S.phone}: {{phone}}\n\n{{/phone}}` + reason + items,
+        "",
+        totals,
+      ].join("\n"),
+      default: [
+        `❌ *${S.orderCancelled}: {{orderNo}}*`,
+        "",
+        cancelledBy + plateAndPhone,
+        `{{#table}}📍 ${S.table}: {{table}}\n\n{{/table}}` + reason + items,
+        "",
+        totals,
+      ].join("\n"),
+    },
+
+    overdue_pending: overdue,
+    overdue_accepted: overdue,
+    overdue_preparing: overdue,
+    overdue_ready: overdue,
+
+    // Customer updates: short enough to read well as an SMS
+    customer_accepted: { default: from + S.customer.accepted },
+    customer_preparing: { default: from + S.customer.preparing },
+    customer_ready: {
+      car_pickup: from + S.customer.ready_car_pickup,
+      delivery: from + S.customer.ready_delivery,
+      dine_in: from + S.customer.ready_dine_in,
+      default: from + S.customer.ready_default,
+    },
+    customer_served: {
+      delivery: from + S.customer.served_delivery,
+      default: from + S.customer.served_default,
+    },
+    // Sent when the watchdog cancels an order nobody accepted
+    customer_cancelled: { default: from + S.customer.cancelled },
+  };
+
+  builtinCache.set(lang, templates);
+  return templates;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders the message for `event` ("new", "cancelled", "customer_ready", ...).
+ * `templates` is config/notifications.templates (may be null).
+ */
+export function renderOrderMessage(
+  event,
+  order,
+  { templates = null, branchName = null, language = "en", arabicDigits = false } = {}
+) {
+  if (language !== "both") {
+    const lang = STRINGS[language] ? language : "en";
+    return renderForLanguage(event, order, lang, pickTemplate(event, order, lang, templates), {
+      branchName,
+      arabicDigits,
+    });
+  }
+
+  // One custom template for both languages: send it once rather than twice
+  const en = pickTemplate(event, order, "en", templates);
+  const ar = pickTemplate(event, order, "ar", templates);
+  if (en.custom && en.key === ar.key) {
+    return renderForLanguage(event, order, "en", en, { branchName, arabicDigits });
+  }
+
+  return [
+    renderForLanguage(event, order, "en", en, { branchName, arabicDigits }),
+    renderForLanguage(event, order, "ar", ar, { branchName, arabicDigits }),
+  ].join(BOTH_SEPARATOR);
+}
+
+/**
+ * Most specific usable custom template for `lang`, else the built-in one.
+ * Returns { key, template, custom }.
+ */
+function pickTemplate(event, order, lang, templates) {
+  const fulfillment = order.fulfillmentType || "default";
+  const keys = [`${event}.${fulfillment}:${lang}`, `${event}:${lang}`, `${event}.${fulfillment}`, event];
+
+  for (const key of keys) {
+    const custom = templates?.[key];
+    if (custom === undefined || custom === null || custom === "") continue;
+
+    const problem = templateProblem(custom);
+    if (problem) {
+      console.warn(`[TEMPLATE] Ignoring custom template "${key}": ${problem}`);
+      continue;
+    }
+    return { key, template: custom, custom: true };
+  }
+
+  const builtin = builtinTemplates(lang)[event];
+  if (!builtin) throw new Error(`No template for event: ${event}`);
+  return { key: null, template: builtin[fulfillment] || builtin.default, custom: false };
+}
+
+function renderForLanguage(event, order, lang, picked, { branchName, arabicDigits }) {
+  const vars = messageVars(order, branchName, lang, arabicDigits && lang === "ar");
+
+  let text = renderTemplate(picked.template, vars);
+  if (!text && picked.custom) {
+    console.warn(`[TEMPLATE] Custom template "${picked.key}" rendered empty, using built-in`);
+    const builtin = builtinTemplates(lang)[event];
+    text = renderTemplate(builtin[order.fulfillmentType] || builtin.default, vars);
+  }
+
+  return lang === "ar" ? rtlLines(text) : text;
+}
+
+/** Null when `template` is usable, otherwise a short description of why not. */
+export function templateProblem(template) {
+  if (typeof template !== "string") return "not a string";
+  if (template.length > MAX_TEMPLATE_LENGTH) return `longer than ${MAX_TEMPLATE_LENGTH} characters`;
+
+  const stack = [];
+  for (const [, kind, name] of template.matchAll(/\{\{\s*([#^/]?)\s*([^}]*?)\s*\}\}/g)) {
+    if (!PLACEHOLDER_SET.has(name)) return `unknown placeholder {{${kind}${name}}}`;
+    if (kind === "#" || kind === "^") stack.push(name);
+    if (kind === "/" && stack.pop() !== name) return `unbalanced section {{/${name}}}`;
+  }
+  if (stack.length > 0) return `unclosed section {{#${stack.pop()}}}`;
+  return null;
+}
+
+/**
+ * {{#name}}...{{/name}} renders when `name` is non-empty, {{^name}}...{{/name}}
+ * when it is empty. Sections may nest.
+ */
+function renderTemplate(template, vars) {
+  const sections = (s) =>
+    s.replace(/\{\{\s*([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g, (_, kind, name, inner) => {
+      const present = !isBlank(vars[name]);
+      return present === (kind === "#") ? sections(inner) : "";
+    });
+
+  return sections(template)
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (isBlank(vars[name]) ? "" : String(vars[name])))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function messageVars(order, branchName, lang, arabicDigits) {
+  const S = STRINGS[lang];
+  const rtl = lang === "ar";
+  const num = (s) => (arabicDigits ? toArabicDigits(s) : String(s));
+  const latin = (s) => (rtl && s ? `${LRM}${s}${LRM}` : s || "");
+
+  const subtotal = Number(order.subtotal || 0);
+  const discount = Number(order.loyaltyDiscount || 0);
+  const total = Math.max(0, subtotal - discount);
+  const items = order.items || [];
+
+  return {
+    orderNo: latin(order.orderNo || "N/A"),
+    branchName: branchName || "",
+    status: S.statuses[order.status] || String(order.status || "").toUpperCase(),
+    fulfillment: S.fulfillment[order.fulfillmentType] || "",
+    phone: latin(order.customerPhone),
+    carPlate: latin(order.customerCarPlate),
+    table: order.table ? num(order.table) : "",
+    address: formatAddress(order.customerAddress, S),
+    addressNotes: order.customerAddress?.notes || "",
+    items: formatItems(items, S, num),
+    itemCount: items.length ? num(items.reduce((n, it) => n + Number(it?.qty || 1), 0)) : "",
+    subtotal: num(formatAmount(subtotal)),
+    discount: discount > 0 ? num(formatAmount(discount)) : "",
+    pointsUsed: Number(order.loyaltyPointsUsed || 0) > 0 ? num(order.loyaltyPointsUsed) : "",
+    total: num(formatAmount(total)),
+    currency: lang === "en" ? order.currency || S.currency : S.currency,
+    reason: translateReason(order.cancellationReason, S),
+    cancelledBy: formatActor(order, S, latin),
+    minutesInStatus: num(minutesInStatus(order)),
+  };
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatItems(items, S, num) {
+  return items
+    .map((it) => {
+      const name = it?.name || S.unknownItem;
+      const qty = Number(it?.qty || 1);
+      const lineTotal = num(formatAmount(Number(it?.price || 0) * qty));
+      let line = `• ${name} (${S.times}${num(qty)}) - ${lineTotal} ${S.currency}`;
+      if (it?.note) line += `\n  _${S.note}: ${it.note}_`;
+      return line;
+    })
+    .join("\n");
+}
+
+/** Same order as BahrainAddress.toDisplayString(): "Flat 12, Home 45, Road 12, Block 340, Manama" */
+function formatAddress(address, S) {
+  if (!address || typeof address !== "object") return "";
+
+  const parts = [];
+  for (const key of ["flat", "home", "road", "block"]) {
+    if (address[key]) parts.push(`${S.address[key]} ${String(address[key]).trim()}`);
+  }
+  if (address.city) parts.push(String(address.city).trim());
+  return parts.join(S === STRINGS.ar ? "، " : ", ");
+}
+
+function formatActor(order, S, latin) {
+  if (order.updatedByRole === "system") return `⏱️ ${S.system}`;
+
+  const who = latin(order.updatedByEmail || order.updatedByUid || "");
+  if (order.updatedByRole) {
+    const roleLabel = order.updatedByRole === "admin" ? `👤 ${S.admin}` : `👥 ${S.staff}`;
+    return who ? `${roleLabel}: ${who}` : roleLabel;
+  }
+  return who ? `${S.user}: ${who}` : "";
+}
+
+/** Whole minutes since the order reached its current status ({status}At, createdAt for pending). */
+function minutesInStatus(order) {
+  const since = order.status === "pending" ? order.createdAt : order[`${order.status}At`];
+  if (!(since instanceof Date)) return "";
+  return Math.max(0, Math.floor((Date.now() - since.getTime()) / 60000));
+}
+
+function translateReason(reason, S) {
+  if (!reason) return "";
+  return S.reasons[String(reason).trim().toLowerCase()] || reason;
+}
+
+function formatAmount(n) {
+  return Number(n || 0).toFixed(3);
+}
+
+function toArabicDigits(value) {
+  return String(value)
+    .replace(/\./g, ARABIC_DECIMAL_SEPARATOR)
+    .replace(/[0-9]/g, (d) => ARABIC_INDIC_DIGITS[d]);
+}
+
+function rtlLines(text) {
+  return text
+    .split("\n")
+    .map((line) => (line ? RLM + line : line))
+    .join("\n");
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === "" || v === 0;
+}
@@ -0,0 +1,130 @@
+/**
+ * Daily analytics rollups: POST /analytics/rollup, new vs returning
+ * customers and the cron catching late order updates.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { addDays, localDateKey } from "../dates.js";
+import { NO_EMULATOR, readDocument, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+const PERIODIC_CRON = "*/15 * * * *";
+
+// One harness per file: the worker caches the fake's ID token keys
+let harness;
+before(async () => {
+  harness = await startHarness();
+});
+after(() => harness.stop());
+
+const order = (userId, createdAt, extra = {}) => ({
+  merchantId: "aziz-burgers",
+  branchId: "main",
+  userId,
+  status: "served",
+  fulfillmentType: "car_pickup",
+  items: [{ productId: "classic", name: "Classic Burger", price: 2.5, qty: 1 }],
+  subtotal: 2.5,
+  createdAt: new Date(createdAt),
+  ...extra,
+});
+
+describe("POST /analytics/rollup", { skip: NO_EMULATOR }, () => {
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+  });
+
+  const backfill = (from, to) =>
+    harness.request("POST", "/analytics/rollup", {
+      idToken: harness.google.signIdToken("admin-1"),
+      body: { merchantId: "aziz-burgers", branchId: "main", from, to },
+    });
+
+  test("counts customers new on the day of their first order at the branch", async () => {
+    await seedDocuments({
+      [`${BRANCH}/orders/o1`]: order("customer-1", "2026-03-01T09:00:00Z"),
+      [`${BRANCH}/orders/o2`]: order("customer-1", "2026-03-02T09:00:00Z"),
+      [`${BRANCH}/orders/o3`]: order("customer-2", "2026-03-02T10:00:00Z"),
+      [`${BRANCH}/orders/o4`]: order("customer-3", "2026-03-02T11:00:00Z", { status: "cancelled" }),
+      [`${BRANCH}/customerFirstOrders/customer-3`]: {
+        userId: "customer-3",
+        orderId: "gone",
+        firstOrderAt: new Date("2026-02-01T09:00:00Z"),
+      },
+    });
+
+    const res = await backfill("2026-03-02", "2026-03-02");
+    assert.equal(res.status, 200);
+
+    const rollup = await readDocument(`${BRANCH}/analyticsDaily/2026-03-02`);
+    assert.equal(rollup.orderCount, 3);
+    assert.equal(rollup.revenue, 5);
+    assert.deepEqual(rollup.customers, { total: 3, new: 1, returning: 2 });
+    assert.deepEqual(rollup.newCustomerIds, ["customer-2"]);
+
+    // Customers without a document get one from their oldest order
+    const first = await readDocument(`${BRANCH}/customerFirstOrders/customer-1`);
+    assert.equal(first.orderId, "o1");
+    assert.equal(first.firstOrderAt.toISOString(), "2026-03-01T09:00:00.000Z");
+    assert.equal((await readDocument(`${BRANCH}/customerFirstOrders/customer-3`)).orderId, "gone");
+  });
+
+  test("only branch admins can backfill", async () => {
+    const res = await harness.request("POST", "/analytics/rollup", {
+      idToken: harness.google.signIdToken("staff-1"),
+      body: { merchantId: "aziz-burgers", branchId: "main", from: "2026-03-02" },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(await readDocument(`${BRANCH}/analyticsDaily/2026-03-02`), null);
+  });
+});
+
+describe("rollup cron", { skip: NO_EMULATOR }, () => {
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+  });
+
+  test("recomputes older days whose orders changed after their rollup", async () => {
+    const now = Date.now();
+    const hoursAgo = (h) => new Date(now - h * 60 * 60 * 1000);
+    const today = localDateKey(new Date(now), "Asia/Bahrain");
+    const late = addDays(today, -10);
+    const checked = addDays(today, -20);
+    const createdOn = (date) => new Date(`${date}T09:00:00Z`);
+
+    await seedDocuments({
+      [`${BRANCH}/orders/late`]: order("customer-1", createdOn(late), { status: "cancelled", updatedAt: hoursAgo(0.1) }),
+      [`${BRANCH}/orders/checked`]: order("customer-2", createdOn(checked), { updatedAt: hoursAgo(3) }),
+      [`${BRANCH}/analyticsDaily/${late}`]: { date: late, orderCount: 1, cancelledOrders: 0, computedAt: hoursAgo(2) },
+      [`${BRANCH}/analyticsDaily/${checked}`]: { date: checked, orderCount: 7, computedAt: hoursAgo(4) },
+      [`${BRANCH}/analyticsRuns/orderUpdates`]: { checkedThrough: hoursAgo(1) },
+    });
+
+    await harness.runCron(PERIODIC_CRON);
+
+    const rollup = await readDocument(`${BRANCH}/analyticsDaily/${late}`);
+    assert.equal(rollup.cancelledOrders, 1);
+    assert.equal(rollup.revenue, 0);
+    assert.ok(rollup.computedAt.getTime() > hoursAgo(0.1).getTime());
+
+    // Updates before checkedThrough were rolled up by an earlier pass
+    assert.equal((await readDocument(`${BRANCH}/analyticsDaily/${checked}`)).orderCount, 7);
+    assert.equal(
+      (await readDocument(`${BRANCH}/analyticsRuns/orderUpdates`)).checkedThrough.getTime(),
+      hoursAgo(0.1).getTime()
+    );
+
+    // Nothing changed since: the next pass leaves the rollup alone
+    await harness.runCron(PERIODIC_CRON);
+    assert.equal(
+      (await readDocument(`${BRANCH}/analyticsDaily/${late}`)).computedAt.getTime(),
+      rollup.computedAt.getTime()
+    );
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Service-account OAuth against the fake token endpoint (no emulator needed).
+ */
+
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { getFirebaseOAuthToken } from "../firebase.js";
+import { fakeServiceAccount, routeFetch, startFakeGoogle } from "./support/fakes.js";
+
+const PROJECT_ID = "demo-worker-test";
+
+describe("getFirebaseOAuthToken", () => {
+  let google;
+  let restoreFetch;
+  let restoreLog;
+
+  before(async () => {
+    google = await startFakeGoogle(PROJECT_ID);
+    restoreFetch = routeFetch({ "oauth2.googleapis.com": google.origin });
+    const { log } = console;
+    console.log = () => {};
+    restoreLog = () => (console.log = log);
+  });
+  after(async () => {
+    restoreLog();
+    restoreFetch();
+    await google.close();
+  });
+
+  test("uses the emulator's admin token without a service account", async () => {
+    assert.equal(await getFirebaseOAuthToken({ FIRESTORE_EMULATOR_HOST: "127.0.0.1:8081" }), "owner");
+    assert.equal(google.tokenRequests.length, 0);
+  });
+
+  test("exchanges a signed service-account JWT and caches the token", async () => {
+    const env = { FIREBASE_SERVICE_ACCOUNT_BASE64: fakeServiceAccount(PROJECT_ID) };
+
+    assert.equal(await getFirebaseOAuthToken(env), "fake-access-token-1");
+    assert.equal(await getFirebaseOAuthToken(env), "fake-access-token-1");
+
+    assert.equal(google.tokenRequests.length, 1);
+    const [{ grantType, claims }] = google.tokenRequests;
+    assert.equal(grantType, "urn:ietf:params:oauth:grant-type:jwt-bearer");
+    assert.equal(claims.iss, `worker-test@${PROJECT_ID}.iam.gserviceaccount.com`);
+    assert.equal(claims.aud, "https://oauth2.googleapis.com/token");
+    assert.match(claims.scope, /datastore/);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Firestore REST codec and write builders (no emulator needed).
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import {
+  DocumentReference,
+  firestoreFields,
+  GeoPoint,
+  increment,
+  serverTimestamp,
+  setWrite,
+  toFirestoreFields,
+  updateWrite,
+} from "../firestore.js";
+
+const NAME = "projects/p/databases/(default)/documents/merchants/m/branches/b/orders/o1";
+
+describe("codec", () => {
+  test("round-trips every value type", () => {
+    const data = {
+      nothing: null,
+      flag: true,
+      count: 3,
+      price: 2.5,
+      big: 2n ** 63n - 1n,
+      at: new Date("2026-01-01T08:00:00.000Z"),
+      name: "Classic",
+      bytes: new Uint8Array([1, 2, 255]),
+      ref: new DocumentReference(NAME),
+      where: new GeoPoint(26.2, 50.6),
+      tags: ["a", 1],
+      nested: { deep: { ok: true } },
+    };
+
+    const decoded = firestoreFields(toFirestoreFields(data));
+    assert.deepEqual(decoded, data);
+    assert.equal(decoded.ref.id, "o1");
+  });
+
+  test("encodes whole numbers as integers and the rest as doubles", () => {
+    assert.deepEqual(toFirestoreFields({ a: 2, b: 2.5, c: NaN }), {
+      a: { integerValue: "2" },
+      b: { doubleValue: 2.5 },
+      c: { doubleValue: "NaN" },
+    });
+  });
+
+  test("skips undefined and decodes omitted geo coordinates as 0", () => {
+    assert.deepEqual(toFirestoreFields({ a: undefined, b: 1 }), { b: { integerValue: "1" } });
+    assert.deepEqual(firestoreFields({ p: { geoPointValue: { latitude: 26 } } }).p, new GeoPoint(26, 0));
+  });
+});
+
+describe("writes", () => {
+  test("updateWrite masks dotted paths and quotes odd segments", () => {
+    const write = updateWrite(NAME, { "notifications.waNewTo.kitchen-2.status": "sent", status: "accepted" });
+
+    assert.deepEqual(write.updateMask.fieldPaths, ["notifications.waNewTo.`kitchen-2`.status", "status"]);
+    assert.equal(write.update.fields.notifications.mapValue.fields.waNewTo.mapValue.fields["kitchen-2"].mapValue.fields.status.stringValue, "sent");
+    assert.deepEqual(write.currentDocument, { exists: true });
+  });
+
+  test("transforms are pulled out of the data", () => {
+    const write = setWrite(NAME, { count: increment(1), updatedAt: serverTimestamp(), name: "x" }, { merge: true });
+
+    assert.deepEqual(write.update.fields, { name: { stringValue: "x" } });
+    assert.deepEqual(write.updateMask.fieldPaths, ["name"]);
+    assert.deepEqual(write.updateTransforms, [
+      { fieldPath: "count", increment: { integerValue: "1" } },
+      { fieldPath: "updatedAt", setToServerValue: "REQUEST_TIME" },
+    ]);
+  });
+
+  test("a plain setWrite replaces the document", () => {
+    const write = setWrite(NAME, { a: 1 });
+    assert.equal(write.updateMask, undefined);
+    assert.equal(write.currentDocument, undefined);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Order history: entries written with each status change (checkout,
+ * POST /orders/status, WhatsApp commands), the cron catching changes made
+ * outside the worker, and GET /orders/history.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { addDays, localDateKey } from "../dates.js";
+import { missingHistoryEntries } from "../history.js";
+import { listDocuments, NO_EMULATOR, readDocument, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+const STAFF = "whatsapp:+97311110003";
+
+describe("missing history entries", () => {
+  const createdAt = new Date("2026-03-01T10:00:00Z");
+  const readyAt = new Date("2026-03-01T10:20:00Z");
+
+  test("replays the reached statuses; only the current one knows its actor", () => {
+    const order = {
+      status: "ready",
+      userId: "customer-1",
+      createdAt,
+      preparingAt: new Date("2026-03-01T10:05:00Z"),
+      readyAt,
+      updatedByUid: "staff-1",
+      updatedByRole: "staff",
+    };
+
+    const entries = missingHistoryEntries(order, new Set(["pending"]));
+    assert.deepEqual(
+      entries.map((e) => [e.from, e.to, e.actor?.uid ?? null]),
+      [
+        ["pending", "preparing", null],
+        ["preparing", "ready", "staff-1"],
+      ]
+    );
+    assert.equal(entries[1].at, readyAt);
+  });
+
+  test("pending belongs to the customer; cancellations keep their reason", () => {
+    const entries = missingHistoryEntries(
+      { status: "cancelled", userId: "customer-1", createdAt, cancellationReason: "Out of stock", updatedAt: readyAt },
+      new Set()
+    );
+    assert.deepEqual(entries[0].actor, { uid: "customer-1", role: "customer" });
+    assert.equal(entries[1].from, "pending");
+    assert.equal(entries[1].reason, "Out of stock");
+    assert.equal(entries[1].at, readyAt);
+    assert.deepEqual(missingHistoryEntries({ status: "pending", createdAt }, new Set(["pending"])), []);
+  });
+});
+
+describe("order history", { skip: NO_EMULATOR }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.stop());
+  beforeEach(async () => {
+    harness.twilio.reset();
+    await resetEmulator();
+    await seedFixtures("branch", "orders");
+  });
+
+  const setStatus = (uid, orderId, status, extra = {}) =>
+    harness.request("POST", "/orders/status", {
+      idToken: harness.google.signIdToken(uid, { email: `${uid}@aziz-burgers.test` }),
+      body: { merchantId: "aziz-burgers", branchId: "main", orderId, status, ...extra },
+    });
+  const history = (uid, query) =>
+    harness.request("GET", `/orders/history?${new URLSearchParams({ merchantId: "aziz-burgers", branchId: "main", ...query })}`, {
+      idToken: harness.google.signIdToken(uid),
+    });
+  const entriesOf = async (orderId) => {
+    const docs = await listDocuments(`${BRANCH}/orders/${orderId}/history`);
+    return Object.fromEntries(docs.map(({ id, ...data }) => [id, data]));
+  };
+
+  test("checkout records the pending entry for the customer", async () => {
+    const res = await harness.request("POST", "/orders", {
+      idToken: harness.google.signIdToken("customer-9"),
+      body: {
+        merchantId: "aziz-burgers",
+        branchId: "main",
+        fulfillmentType: "car_pickup",
+        customerCarPlate: "4321",
+        items: [{ productId: "fries", qty: 1 }],
+      },
+    });
+
+    const { pending } = await entriesOf(res.body.orderId);
+    assert.equal(pending.to, "pending");
+    assert.equal(pending.from, null);
+    assert.equal(pending.actorUid, "customer-9");
+    assert.equal(pending.actorRole, "customer");
+    assert.equal(pending.source, "checkout");
+    assert.equal(pending.orderNo, res.body.orderNo);
+  });
+
+  test("POST /orders/status moves the order and logs who did it", async () => {
+    const res = await setStatus("staff-1", "order-new", "accepted");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      { from: res.body.from, status: res.body.status, changed: res.body.changed },
+      { from: "pending", status: "accepted", changed: true }
+    );
+
+    const order = await readDocument(`${BRANCH}/orders/order-new`);
+    assert.equal(order.status, "accepted");
+    assert.ok(order.acceptedAt instanceof Date);
+    assert.equal(order.updatedByUid, "staff-1");
+    assert.equal(order.updatedByEmail, "staff-1@aziz-burgers.test");
+
+    const { accepted } = await entriesOf("order-new");
+    assert.deepEqual(
+      [accepted.from, accepted.to, accepted.actorUid, accepted.actorRole, accepted.actorEmail, accepted.source],
+      ["pending", "accepted", "staff-1", "staff", "staff-1@aziz-burgers.test", "console"]
+    );
+    assert.ok(accepted.at instanceof Date);
+
+    const again = await setStatus("staff-1", "order-new", "accepted");
+    assert.equal(again.body.changed, false);
+    assert.equal(Object.keys(await entriesOf("order-new")).length, 1);
+  });
+
+  test("refuses transitions the rules don't allow, and non-staff", async () => {
+    const backwards = await setStatus("staff-1", "order-ready", "preparing");
+    assert.equal(backwards.status, 409);
+    assert.equal(backwards.body.status, "ready");
+
+    assert.equal((await setStatus("staff-1", "order-new", "pending")).status, 400);
+    assert.equal((await setStatus("staff-1", "no-such-order", "accepted")).status, 404);
+    assert.equal((await setStatus("customer-1", "order-new", "cancelled")).status, 403);
+    assert.equal((await readDocument(`${BRANCH}/orders/order-new`)).status, "pending");
+  });
+
+  test("cancelling keeps the reason on the order and in the entry", async () => {
+    await setStatus("admin-1", "order-new", "cancelled", { reason: "  Customer left " });
+
+    const order = await readDocument(`${BRANCH}/orders/order-new`);
+    assert.equal(order.cancellationReason, "Customer left");
+    const { cancelled } = await entriesOf("order-new");
+    assert.equal(cancelled.reason, "Customer left");
+    assert.equal(cancelled.actorRole, "admin");
+  });
+
+  test("WhatsApp commands are logged with the order update", async () => {
+    await harness.twilioWebhook("/twilio/inbound", { From: STAFF, Body: "cancel ORD-003 burnt" });
+
+    const { cancelled } = await entriesOf("order-ready");
+    assert.deepEqual(
+      [cancelled.from, cancelled.actorUid, cancelled.reason, cancelled.source],
+      ["ready", "staff-1", "burnt", "whatsapp"]
+    );
+  });
+
+  test("the cron logs changes written straight to Firestore, once", async () => {
+    const now = Date.now();
+    await seedDocuments({
+      [`${BRANCH}/orders/order-direct`]: {
+        merchantId: "aziz-burgers",
+        branchId: "main",
+        userId: "customer-5",
+        status: "ready",
+        orderNo: "ORD-005",
+        createdAt: new Date(now - 20 * 60 * 1000),
+        preparingAt: new Date(now - 10 * 60 * 1000),
+        readyAt: new Date(now - 60 * 1000),
+        updatedAt: new Date(now - 60 * 1000),
+        updatedByUid: "staff-1",
+        updatedByRole: "staff",
+        notifications: { waNewSent: true, waCancelSent: false },
+      },
+    });
+
+    await harness.runCron();
+    const entries = await entriesOf("order-direct");
+    assert.deepEqual(Object.keys(entries).sort(), ["pending", "preparing", "ready"]);
+    assert.equal(entries.pending.actorUid, "customer-5");
+    assert.equal(entries.preparing.actorUid, null);
+    assert.equal(entries.ready.actorUid, "staff-1");
+    assert.equal(entries.ready.from, "preparing");
+    assert.equal(entries.ready.source, "sweep");
+    assert.equal(entries.ready.at.getTime(), now - 60 * 1000);
+
+    await harness.runCron();
+    assert.equal((await entriesOf("order-direct")).ready.recordedAt.getTime(), entries.ready.recordedAt.getTime());
+  });
+
+  test("GET /orders/history returns an order's timeline", async () => {
+    await setStatus("staff-1", "order-new", "preparing");
+    await setStatus("admin-1", "order-new", "ready");
+    await harness.runCron();
+
+    const res = await history("staff-1", { orderId: "order-new" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.entries.map((e) => [e.from, e.to, e.actor?.uid ?? null]),
+      [
+        [null, "pending", "customer-1"],
+        ["pending", "preparing", "staff-1"],
+        ["preparing", "ready", "admin-1"],
+      ]
+    );
+    assert.equal((await history("customer-1", { orderId: "order-new" })).status, 403);
+  });
+
+  test("GET /orders/history lists one staff member's actions over a date range", async () => {
+    await setStatus("staff-1", "order-new", "accepted");
+    await setStatus("staff-1", "order-ready", "served");
+    await setStatus("admin-1", "order-new", "preparing");
+    const today = localDateKey(new Date(), "Asia/Bahrain");
+
+    const res = await history("admin-1", { actorUid: "staff-1", from: addDays(today, -1), to: today });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.entries.map((e) => [e.orderId, e.to]), [
+      ["order-new", "accepted"],
+      ["order-ready", "served"],
+    ]);
+    assert.equal(res.body.truncated, false);
+
+    assert.equal((await history("staff-1", { actorUid: "staff-1", from: today })).body.entries.length, 2);
+    assert.deepEqual((await history("admin-1", { actorUid: "staff-1", from: addDays(today, 1) })).body.entries, []);
+    assert.equal((await history("staff-1", { actorUid: "admin-1", from: today })).status, 403);
+    assert.equal((await history("admin-1", { actorUid: "staff-1", from: "2026-01-01", to: "2026-03-01" })).status, 400);
+    assert.equal((await history("admin-1", { actorUid: "staff-1", from: "yesterday" })).status, 400);
+    assert.equal((await history("admin-1", {})).status, 400);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * POST /images/sign (signed Cloudinary uploads for branch admins) and
+ * GET /img/{variant} (resized, format-negotiated images).
+ */
+
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+
+import {
+  cloudinarySignature,
+  cloudinaryVariantUrl,
+  imageSource,
+  imageVariantUrl,
+  imageWidth,
+  negotiateImageFormat,
+  signImageUpload,
+} from "../images.js";
+import { NO_EMULATOR, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { routeFetch } from "./support/fakes.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const CLOUDINARY = {
+  CLOUDINARY_CLOUD_NAME: "demo-cloud",
+  CLOUDINARY_API_KEY: "1234567890",
+  CLOUDINARY_API_SECRET: "test-secret",
+};
+const PRODUCT_IMAGE = "https://res.cloudinary.com/demo-cloud/image/upload/v1712345678/sweets/aziz/main/products/classic.jpg";
+
+describe("image helpers", () => {
+  test("signs the sorted params followed by the secret (SHA-1)", async () => {
+    const params = { timestamp: "1700000000", folder: "sweets/a/b/products", allowed_formats: "jpg,png" };
+    const expected = createHash("sha1")
+      .update("allowed_formats=jpg,png&folder=sweets/a/b/products&timestamp=1700000000test-secret")
+      .digest("hex");
+    assert.equal(await cloudinarySignature(params, "test-secret"), expected);
+  });
+
+  test("upload signatures are pinned to the branch folder and expire after the TTL", async () => {
+    const now = new Date("2026-03-01T12:00:00Z");
+    const upload = await signImageUpload(CLOUDINARY, { merchantId: "aziz", branchId: "main", kind: "logo" }, now);
+
+    assert.equal(upload.uploadUrl, "https://api.cloudinary.com/v1_1/demo-cloud/image/upload");
+    assert.equal(upload.fields.folder, "sweets/aziz/main/branding");
+    assert.equal(upload.fields.api_key, "1234567890");
+    assert.equal(upload.expiresAt, "2026-03-01T12:10:00.000Z");
+    const { api_key: _key, signature, ...signed } = upload.fields;
+    assert.equal(signature, await cloudinarySignature(signed, "test-secret"));
+
+    await assert.rejects(signImageUpload(CLOUDINARY, { merchantId: "aziz", branchId: "main", kind: "avatar" }), { status: 400 });
+    await assert.rejects(signImageUpload({}, { merchantId: "aziz", branchId: "main", kind: "product" }), { status: 503 });
+  });
+
+  test("widths, formats and sources", () => {
+    assert.equal(imageWidth("card", null), 480);
+    assert.equal(imageWidth("thumb", "2"), 320);
+    assert.throws(() => imageWidth("huge", null), { status: 404 });
+    assert.throws(() => imageWidth("hero", "4"), { status: 400 });
+    assert.throws(() => imageWidth("toString", null), { status: 404 });
+
+    assert.equal(negotiateImageFormat("image/avif,image/webp,*/*"), "avif");
+    assert.equal(negotiateImageFormat("image/webp,*/*"), "webp");
+    assert.equal(negotiateImageFormat("*/*"), null);
+
+    assert.deepEqual(imageSource(CLOUDINARY, PRODUCT_IMAGE), { url: PRODUCT_IMAGE, via: "cloudinary" });
+    assert.equal(imageSource({ IMAGE_HOSTS: "cdn.test" }, "https://cdn.test/logo.png").via, "resizing");
+    assert.throws(() => imageSource(CLOUDINARY, "https://res.cloudinary.com/other-cloud/image/upload/x.jpg"), { status: 400 });
+    assert.throws(() => imageSource(CLOUDINARY, "http://res.cloudinary.com/demo-cloud/image/upload/x.jpg"), { status: 400 });
+    assert.throws(() => imageSource(CLOUDINARY, "not a url"), { status: 400 });
+
+    assert.equal(imageVariantUrl(CLOUDINARY, "https://w.test", "hero", PRODUCT_IMAGE), `https://w.test/img/hero?src=${encodeURIComponent(PRODUCT_IMAGE)}`);
+    assert.equal(imageVariantUrl(CLOUDINARY, "https://w.test", "hero", "https://cdn.test/b.jpg"), "https://cdn.test/b.jpg");
+  });
+
+  test("adds the resize step before the version or the public id", () => {
+    assert.equal(
+      cloudinaryVariantUrl(PRODUCT_IMAGE, 480, "webp"),
+      "https://res.cloudinary.com/demo-cloud/image/upload/c_limit,w_480,q_auto,f_webp/v1712345678/sweets/aziz/main/products/classic.jpg"
+    );
+    assert.equal(
+      cloudinaryVariantUrl("https://res.cloudinary.com/c/image/upload/e_sepia/logo.png", 160, null),
+      "https://res.cloudinary.com/c/image/upload/e_sepia/c_limit,w_160,q_auto/logo.png"
+    );
+  });
+
+  test("does not mistake underscored folders for transformations", () => {
+    assert.equal(
+      cloudinaryVariantUrl("https://res.cloudinary.com/c/image/upload/my_photos/x.jpg", 160, null),
+      "https://res.cloudinary.com/c/image/upload/c_limit,w_160,q_auto/my_photos/x.jpg"
+    );
+    assert.equal(
+      cloudinaryVariantUrl("https://res.cloudinary.com/c/image/upload/c_fill,w_300/ab_menu/tea_cup.png", 480, "webp"),
+      "https://res.cloudinary.com/c/image/upload/c_fill,w_300/c_limit,w_480,q_auto,f_webp/ab_menu/tea_cup.png"
+    );
+  });
+});
+
+describe("POST /images/sign", { skip: NO_EMULATOR }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ env: CLOUDINARY });
+  });
+  after(async () => {
+    await harness.stop();
+  });
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+  });
+
+  const sign = (uid, body = {}) =>
+    harness.request("POST", "/images/sign", {
+      idToken: uid && harness.google.signIdToken(uid),
+      body: { merchantId: "aziz-burgers", branchId: "main", kind: "product", ...body },
+    });
+
+  test("gives branch admins signed upload fields", async () => {
+    const res = await sign("admin-1");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.fields.folder, "sweets/aziz-burgers/main/products");
+    assert.match(res.body.fields.signature, /^[0-9a-f]{40}$/);
+    assert.ok(!JSON.stringify(res.body).includes("test-secret"));
+  });
+
+  test("refuses staff, customers and other branches", async () => {
+    assert.equal((await sign(null)).status, 401);
+    assert.equal((await sign("staff-1")).status, 403);
+    assert.equal((await sign("customer-9")).status, 403);
+    await seedDocuments({ "merchants/other/branches/main/roles/admin-1": { role: "staff" } });
+    assert.equal((await sign("admin-1", { merchantId: "other" })).status, 403);
+    assert.equal((await sign("admin-1", { kind: "avatar" })).status, 400);
+  });
+});
+
+describe("GET /img/{variant}", () => {
+  let harness;
+  let cloudinary;
+  let restoreFetch;
+  let cache;
+
+  before(async () => {
+    cloudinary = await startImageServer();
+    harness = await startHarness({ env: CLOUDINARY });
+    restoreFetch = routeFetch({ "res.cloudinary.com": cloudinary.origin });
+  });
+  after(async () => {
+    restoreFetch();
+    await harness.stop();
+    await cloudinary.close();
+  });
+  beforeEach(() => {
+    cloudinary.paths.length = 0;
+    cache = installCache();
+  });
+  afterEach(() => {
+    delete globalThis.caches;
+  });
+
+  const get = (variant, src, headers = {}) =>
+    harness.request("GET", `/img/${variant}?src=${encodeURIComponent(src)}`, { headers });
+
+  test("serves the negotiated variant with long-lived cache headers", async () => {
+    const res = await get("card", PRODUCT_IMAGE, { Accept: "image/avif,image/webp,*/*" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Cache-Control"), "public, max-age=31536000, immutable");
+    assert.equal(res.headers.get("Vary"), "Accept");
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), "*");
+    assert.equal(res.headers.get("Content-Type"), "image/avif");
+    assert.deepEqual(cloudinary.paths, ["/demo-cloud/image/upload/c_limit,w_480,q_auto,f_avif/v1712345678/sweets/aziz/main/products/classic.jpg"]);
+  });
+
+  test("caches each format separately and serves repeats from the cache", async () => {
+    await get("thumb", PRODUCT_IMAGE, { Accept: "image/webp" });
+    await get("thumb", PRODUCT_IMAGE, { Accept: "image/webp" });
+    await get("thumb", PRODUCT_IMAGE, { Accept: "image/jpeg" });
+
+    assert.equal(cloudinary.paths.length, 2);
+    assert.equal(cache.entries.size, 2);
+  });
+
+  test("rejects hosts it doesn't serve and unknown variants", async () => {
+    assert.equal((await get("card", "https://evil.test/x.jpg")).status, 400);
+    assert.equal((await get("poster", PRODUCT_IMAGE)).status, 404);
+    assert.equal(cloudinary.paths.length, 0);
+  });
+
+  test("missing images are a short-lived 404", async () => {
+    const res = await get("card", PRODUCT_IMAGE.replace("classic", "missing"));
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get("Cache-Control"), "public, max-age=60");
+  });
+});
+
+/** Answers Cloudinary delivery URLs: 404 for "missing", else bytes typed by the f_ step. */
+async function startImageServer() {
+  const paths = [];
+  const server = createServer((req, res) => {
+    paths.push(decodeURIComponent(req.url));
+    if (req.url.includes("missing")) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const format = /f_(\w+)/.exec(req.url)?.[1] || "jpeg";
+    res.writeHead(200, { "Content-Type": `image/${format}` });
+    res.end(Buffer.from("image-bytes"));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    paths,
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/** An in-memory caches.default, keyed by URL. */
+function installCache() {
+  const entries = new Map();
+  globalThis.caches = {
+    default: {
+      entries,
+      async match(request) {
+        const hit = entries.get(request.url);
+        return hit ? hit.clone() : undefined;
+      },
+      async put(request, response) {
+        entries.set(request.url, response.clone());
+      },
+    },
+  };
+  return globalThis.caches.default;
+}
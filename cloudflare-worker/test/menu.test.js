@@ -0,0 +1,265 @@
+/**
+ * GET /api/v1/menu/{slug}: the category tree, ?lang=, ETag revalidation, the
+ * menu cache (Cache API and KV) and its purge.
+ */
+
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+
+import { buildMenuTree, etagMatches, menuRouteFromPath, parseMenuLanguage } from "../menu.js";
+import { NO_EMULATOR, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+
+describe("menu tree", () => {
+  const categories = [
+    { id: "burgers", name: "Burgers", parentId: null, sort: 1 },
+    { id: "beef", name: "Beef", parentId: "burgers", sort: 2 },
+    { id: "chicken", name: "Chicken", parentId: "burgers", sort: 1, translations: { ar: { name: "دجاج" } } },
+    { id: "drinks", name: "Drinks", parentId: null, sort: 0 },
+    { id: "seasonal", name: "Seasonal", parentId: null, isActive: false },
+    { id: "autumn", name: "Autumn", parentId: "seasonal" },
+    { id: "orphan", name: "Orphan", parentId: "deleted-parent", sort: 5 },
+    { id: "deep", name: "Deep", parentId: "beef" },
+  ];
+  const item = (id, fields) => ({ id, name: id, price: 1, isActive: true, ...fields });
+
+  test("groups active items into two levels, ordered by sort then name", () => {
+    const { categories: tree, uncategorized } = buildMenuTree(
+      [
+        item("Zinger", { categoryId: "chicken", tags: ["spicy"], calories: 610, protein: 28.5 }),
+        item("Nuggets", { categoryId: "chicken" }),
+        item("Double", { categoryId: "beef", sort: -1 }),
+        item("Cola", { categoryId: "drinks" }),
+        item("Pumpkin", { categoryId: "autumn" }),
+        item("Tower", { categoryId: "deep" }),
+        item("Off", { categoryId: "drinks", isActive: false }),
+        item("Loose", {}),
+        item("Lost", { categoryId: "gone" }),
+      ],
+      categories
+    );
+
+    assert.deepEqual(
+      tree.map((c) => [c.id, c.items.map((i) => i.id), c.subcategories.map((s) => [s.id, s.items.map((i) => i.id)])]),
+      [
+        ["drinks", ["Cola"], []],
+        ["burgers", [], [["chicken", ["Nuggets", "Zinger"]], ["beef", ["Double"]]]],
+        ["orphan", [], []],
+      ]
+    );
+    assert.deepEqual(uncategorized.map((i) => i.id), ["Loose", "Lost"]);
+
+    const zinger = tree[1].subcategories[0].items[1];
+    assert.deepEqual(zinger, {
+      id: "Zinger",
+      name: "Zinger",
+      price: 1,
+      imageUrl: null,
+      tags: ["spicy"],
+      sort: 0,
+      nutrition: { calories: 610, protein: 28.5, carbs: null, fat: null, sugar: null },
+    });
+  });
+
+  test("lang picks translated names, falling back to name", () => {
+    const { categories: tree } = buildMenuTree(
+      [item("zinger", { name: "Zinger", categoryId: "chicken", translations: { ar: { name: "زنجر" } } })],
+      categories,
+      "ar"
+    );
+    const chicken = tree.find((c) => c.id === "burgers").subcategories[0];
+    assert.equal(chicken.name, "دجاج");
+    assert.equal(chicken.items[0].name, "زنجر");
+    assert.equal(tree.find((c) => c.id === "burgers").name, "Burgers");
+  });
+
+  test("routes, languages and If-None-Match", () => {
+    assert.deepEqual(menuRouteFromPath("/api/v1/menu/Aziz-Burgers"), { slug: "aziz-burgers", purge: false });
+    assert.deepEqual(menuRouteFromPath("/api/v1/menu/aziz-burgers/purge"), { slug: "aziz-burgers", purge: true });
+    assert.deepEqual(menuRouteFromPath("/api/v1/menu/a--b"), { slug: "", purge: false });
+    assert.equal(menuRouteFromPath("/api/v1/menu/a/b"), null);
+
+    assert.equal(parseMenuLanguage({}, null), null);
+    assert.equal(parseMenuLanguage({}, "AR"), "ar");
+    assert.throws(() => parseMenuLanguage({}, "fr"), { status: 400 });
+    assert.equal(parseMenuLanguage({ MENU_LANGUAGES: "en, fr" }, "fr"), "fr");
+
+    assert.ok(etagMatches('"a", W/"b"', '"b"'));
+    assert.ok(etagMatches("*", '"b"'));
+    assert.ok(!etagMatches('"a"', '"b"'));
+    assert.ok(!etagMatches(null, '"b"'));
+  });
+});
+
+describe("GET /api/v1/menu/{slug}", { skip: NO_EMULATOR }, () => {
+  let harness;
+  let cache;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(async () => {
+    await harness.stop();
+  });
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+    await seedDocuments({
+      "slugs/aziz-burgers": { merchantId: "aziz-burgers", branchId: "main", title: "Aziz Burgers" },
+      [`${BRANCH}/categories/burgers`]: { name: "Burgers", parentId: null, sort: 0, isActive: true },
+      [`${BRANCH}/categories/sides`]: {
+        name: "Sides",
+        parentId: "burgers",
+        sort: 1,
+        isActive: true,
+        translations: { ar: { name: "أطباق جانبية" } },
+      },
+      [`${BRANCH}/menuItems/classic`]: {
+        name: "Classic Burger",
+        price: 2.5,
+        isActive: true,
+        categoryId: "burgers",
+        tags: ["beef"],
+        calories: 540,
+      },
+      [`${BRANCH}/menuItems/fries`]: { name: "Fries", price: 0.8, isActive: true, categoryId: "sides" },
+    });
+    cache = installCache();
+  });
+  afterEach(() => {
+    delete globalThis.caches;
+  });
+
+  test("returns the branch's active menu with an ETag, readable from any origin", async () => {
+    const res = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), "*");
+    assert.match(res.headers.get("ETag"), /^"[0-9a-f]{64}"$/);
+    assert.equal(res.body.title, "Aziz Burgers");
+    assert.equal(res.body.currency, "BHD");
+    assert.deepEqual(
+      res.body.categories.map((c) => [c.id, c.items.map((i) => i.id), c.subcategories.map((s) => s.id)]),
+      [["burgers", ["classic"], ["sides"]]]
+    );
+    assert.deepEqual(res.body.categories[0].items[0].tags, ["beef"]);
+    assert.equal(res.body.categories[0].items[0].nutrition.calories, 540);
+    // The fixture's milkshake is switched off
+    assert.ok(!JSON.stringify(res.body).includes("shake"));
+  });
+
+  test("answers 304 when If-None-Match has the current ETag", async () => {
+    const first = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+    const etag = first.headers.get("ETag");
+
+    const res = await harness.request("GET", "/api/v1/menu/aziz-burgers", { headers: { "If-None-Match": etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.body, "");
+    assert.equal(res.headers.get("ETag"), etag);
+  });
+
+  test("?lang= localizes names and is cached separately", async () => {
+    const res = await harness.request("GET", "/api/v1/menu/aziz-burgers?lang=ar");
+    assert.equal(res.body.lang, "ar");
+    assert.equal(res.body.categories[0].subcategories[0].name, "أطباق جانبية");
+    assert.equal(res.body.categories[0].name, "Burgers");
+
+    assert.equal((await harness.request("GET", "/api/v1/menu/aziz-burgers?lang=fr")).status, 400);
+    assert.deepEqual([...cache.entries.keys()], ["https://worker.test/api/v1/menu/aziz-burgers?lang=ar"]);
+  });
+
+  test("serves the cached menu until staff purge it", async () => {
+    await harness.request("GET", "/api/v1/menu/aziz-burgers");
+    await seedDocuments({ [`${BRANCH}/menuItems/fries`]: { name: "Fries", price: 0.9, isActive: true, categoryId: "sides" } });
+
+    const cached = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+    assert.equal(cached.body.categories[0].subcategories[0].items[0].price, 0.8);
+
+    const anonymous = await harness.request("POST", "/api/v1/menu/aziz-burgers/purge");
+    assert.equal(anonymous.status, 401);
+    const anonymousUnknown = await harness.request("POST", "/api/v1/menu/no-such-menu/purge");
+    assert.equal(anonymousUnknown.status, 401);
+    const customer = await harness.request("POST", "/api/v1/menu/aziz-burgers/purge", {
+      idToken: harness.google.signIdToken("customer-9"),
+    });
+    assert.equal(customer.status, 403);
+
+    const purge = await harness.request("POST", "/api/v1/menu/aziz-burgers/purge", {
+      idToken: harness.google.signIdToken("staff-1"),
+    });
+    assert.equal(purge.status, 200);
+    assert.equal(cache.entries.size, 0);
+
+    const fresh = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+    assert.equal(fresh.body.categories[0].subcategories[0].items[0].price, 0.9);
+    assert.notEqual(fresh.headers.get("ETag"), cached.headers.get("ETag"));
+  });
+
+  test("uses the MENU_CACHE KV namespace when bound", async () => {
+    const kv = fakeKv();
+    harness.env.MENU_CACHE = kv;
+    try {
+      const first = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+      assert.deepEqual([...kv.entries.keys()], ["https://worker.test/api/v1/menu/aziz-burgers"]);
+      assert.equal(kv.entries.get("https://worker.test/api/v1/menu/aziz-burgers").options.expirationTtl, 60);
+      assert.equal(cache.entries.size, 0);
+
+      const again = await harness.request("GET", "/api/v1/menu/aziz-burgers");
+      assert.equal(again.headers.get("ETag"), first.headers.get("ETag"));
+
+      await harness.request("POST", "/api/v1/menu/aziz-burgers/purge", { idToken: harness.google.signIdToken("admin-1") });
+      assert.equal(kv.entries.size, 0);
+    } finally {
+      delete harness.env.MENU_CACHE;
+    }
+  });
+
+  test("unknown slugs are 404 and not cached", async () => {
+    const res = await harness.request("GET", "/api/v1/menu/no-such-store");
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, "Menu not found");
+    assert.equal(cache.entries.size, 0);
+  });
+});
+
+/** An in-memory caches.default, keyed by URL. */
+function installCache() {
+  const entries = new Map();
+  globalThis.caches = {
+    default: {
+      entries,
+      async match(request) {
+        const hit = entries.get(request.url);
+        return hit ? hit.clone() : undefined;
+      },
+      async put(request, response) {
+        entries.set(request.url, response.clone());
+      },
+      async delete(request) {
+        return entries.delete(request.url);
+      },
+    },
+  };
+  return globalThis.caches.default;
+}
+
+/** The part of a KV namespace binding the menu cache uses. */
+function fakeKv() {
+  const entries = new Map();
+  return {
+    entries,
+    async getWithMetadata(key) {
+      const entry = entries.get(key);
+      return entry ? { value: entry.value, metadata: entry.options.metadata ?? null } : { value: null, metadata: null };
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value, options });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Minute cron: the order sweep queues alerts and customer updates, the outbox
+ * sends them through Twilio and records the result on the order.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { listDocuments, NO_EMULATOR, readDocument, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { loadFixture, seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+const KITCHEN = "whatsapp:+97311110001";
+const MANAGER = "whatsapp:+97311110002";
+
+describe("order notifications", { skip: NO_EMULATOR }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.stop());
+  beforeEach(async () => {
+    harness.twilio.reset();
+    await resetEmulator();
+    await seedFixtures("branch", "orders");
+  });
+
+  const sentTo = (to) => harness.twilio.messages.filter((m) => m.to === to);
+  const notificationsOf = async (orderId) => (await readDocument(`${BRANCH}/orders/${orderId}`)).notifications;
+
+  test("alerts every recipient subscribed to new orders", async () => {
+    await harness.runCron();
+
+    const alerts = sentTo(KITCHEN).filter((m) => m.body.includes("New Order: ORD-001"));
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].from, "whatsapp:+15550000000");
+    assert.match(alerts[0].body, /Classic Burger/);
+    assert.equal(sentTo(MANAGER).filter((m) => m.body.includes("ORD-001")).length, 0);
+
+    const notifications = await notificationsOf("order-new");
+    assert.equal(notifications.waNewSent, true);
+    assert.equal(notifications.waNewSid, alerts[0].sid);
+    assert.equal(notifications.waNewTo.kitchen.status, "sent");
+    assert.equal(notifications.waNewTo.kitchen.sid, alerts[0].sid);
+    assert.equal(notifications.waNewTo.manager, undefined);
+  });
+
+  test("sends the cancellation to kitchen and manager", async () => {
+    await harness.runCron();
+
+    for (const to of [KITCHEN, MANAGER]) {
+      const messages = sentTo(to).filter((m) => m.body.includes("ORD-002"));
+      assert.equal(messages.length, 1, `one cancellation to ${to}`);
+      assert.match(messages[0].body, /Out of stock/);
+    }
+
+    const notifications = await notificationsOf("order-cancelled");
+    assert.equal(notifications.waCancelSent, true);
+    assert.equal(notifications.waCancelTo.kitchen.status, "sent");
+    assert.equal(notifications.waCancelTo.manager.status, "sent");
+  });
+
+  test("tells the customer their order is ready", async () => {
+    await harness.runCron();
+
+    const messages = sentTo("whatsapp:+97339990003");
+    assert.equal(messages.length, 1);
+    assert.match(messages[0].body, /ORD-003 is ready/);
+    assert.match(messages[0].body, /\(777\)/);
+
+    const notifications = await notificationsOf("order-ready");
+    assert.equal(notifications.custReadySent, true);
+    assert.equal(notifications.custReadySid, messages[0].sid);
+  });
+
+  test("leaves orders outside the sweep window alone", async () => {
+    await harness.runCron();
+
+    assert.equal(harness.twilio.messages.filter((m) => m.body.includes("ORD-004")).length, 0);
+    assert.equal((await notificationsOf("order-stale")).waNewSent, false);
+    const jobs = await listDocuments(`${BRANCH}/notificationJobs`);
+    assert.deepEqual(
+      jobs.filter((j) => j.orderId === "order-stale"),
+      []
+    );
+  });
+
+  test("sends nothing twice on the next run", async () => {
+    await harness.runCron();
+    const first = harness.twilio.messages.length;
+    assert.ok(first > 0);
+
+    await harness.runCron();
+    assert.equal(harness.twilio.messages.length, first);
+  });
+
+  test("tags the status callback with the order, event and recipient", async () => {
+    await harness.runCron();
+
+    const [alert] = sentTo(KITCHEN).filter((m) => m.body.includes("ORD-001"));
+    const callback = new URL(alert.statusCallback);
+    assert.equal(callback.pathname, "/twilio/status");
+    assert.deepEqual(Object.fromEntries(callback.searchParams), {
+      m: "aziz-burgers",
+      b: "main",
+      o: "order-new",
+      e: "new",
+      r: "kitchen",
+    });
+  });
+
+  test("dead-letters a permanent Twilio failure and marks the alert failed", async () => {
+    harness.twilio.fail("+97311110001", { status: 400, code: 21211, message: "Invalid 'To' Phone Number" });
+
+    await harness.runCron();
+
+    const job = await readDocument(`${BRANCH}/notificationJobs/order-new_new_kitchen`);
+    assert.equal(job.status, "dead");
+    assert.match(job.lastError, /21211/);
+
+    const notifications = await notificationsOf("order-new");
+    assert.equal(notifications.waNewSent, false);
+    assert.equal(notifications.waNewStatus, "failed");
+    assert.equal(notifications.waNewTo.kitchen.status, "failed");
+    assert.equal(notifications.waNewTo.kitchen.errorCode, 21211);
+  });
+
+  test("skips orders collections outside merchants/*/branches/*", async () => {
+    const order = loadFixture("orders")[`${BRANCH}/orders/order-new`];
+    await seedDocuments({ "users/customer-1/orders/order-copy": { ...order, orderNo: "ORD-900" } });
+
+    await harness.runCron();
+
+    assert.equal(harness.twilio.messages.filter((m) => m.body.includes("ORD-900")).length, 0);
+    assert.equal(harness.twilio.messages.filter((m) => m.body.includes("ORD-001")).length, 1);
+    assert.equal((await readDocument("users/customer-1/orders/order-copy")).notifications.waNewSent, false);
+  });
+
+  test("only sweeps branches in ENABLED_BRANCHES when it is set", async () => {
+    const other = "merchants/other/branches/main";
+    const order = loadFixture("orders")[`${BRANCH}/orders/order-new`];
+    await seedDocuments({
+      [`${other}/config/notifications`]: loadFixture("branch")[`${BRANCH}/config/notifications`],
+      [`${other}/orders/order-other`]: { ...order, merchantId: "other", orderNo: "ORD-101" },
+    });
+
+    const scoped = await startHarness({
+      env: { ENABLED_BRANCHES: JSON.stringify([{ merchantId: "aziz-burgers", branchId: "main" }]) },
+    });
+    try {
+      await scoped.runCron();
+      assert.equal(scoped.twilio.messages.filter((m) => m.body.includes("ORD-001")).length, 1);
+      assert.equal(scoped.twilio.messages.filter((m) => m.body.includes("ORD-101")).length, 0);
+    } finally {
+      await scoped.stop();
+    }
+  });
+});
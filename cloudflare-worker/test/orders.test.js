@@ -0,0 +1,258 @@
+/**
+ * POST /orders: server-side pricing, order numbers and the ID token check,
+ * plus the order emails (POST / actions).
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { NO_EMULATOR, readDocument, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+
+// One harness per file: the worker caches the fake's ID token keys
+let harness;
+before(async () => {
+  harness = await startHarness({ env: { DASHBOARD_ORIGINS: "https://app.test" } });
+});
+after(() => harness.stop());
+
+describe("POST /orders", { skip: NO_EMULATOR }, () => {
+  let idToken;
+
+  before(() => {
+    idToken = harness.google.signIdToken("customer-9");
+  });
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+  });
+
+  const cart = (items, extra = {}) => ({
+    merchantId: "aziz-burgers",
+    branchId: "main",
+    fulfillmentType: "car_pickup",
+    customerCarPlate: "4321",
+    items,
+    ...extra,
+  });
+
+  test("prices the order from the menu and numbers it", async () => {
+    const res = await harness.request("POST", "/orders", {
+      idToken,
+      body: cart([
+        { productId: "classic", qty: 2, price: 0.001 },
+        { productId: "fries", qty: 1, note: "extra salt" },
+      ]),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.orderNo, "ORD-001");
+    assert.equal(res.body.subtotal, 5.8);
+
+    const order = await readDocument(`${BRANCH}/orders/${res.body.orderId}`);
+    assert.equal(order.userId, "customer-9");
+    assert.equal(order.status, "pending");
+    assert.deepEqual(order.items, [
+      { productId: "classic", name: "Classic Burger", price: 2.5, qty: 2 },
+      { productId: "fries", name: "Fries", price: 0.8, qty: 1, note: "extra salt" },
+    ]);
+    assert.deepEqual(order.notifications, { waNewSent: false, waCancelSent: false });
+    assert.ok(order.createdAt instanceof Date);
+
+    const second = await harness.request("POST", "/orders", { idToken, body: cart([{ productId: "fries", qty: 1 }]) });
+    assert.equal(second.body.orderNo, "ORD-002");
+    assert.equal((await readDocument(`${BRANCH}/counters/orders`)).count, 2);
+
+    const firstOrder = await readDocument(`${BRANCH}/customerFirstOrders/customer-9`);
+    assert.equal(firstOrder.orderId, res.body.orderId);
+    assert.equal(firstOrder.firstOrderAt.getTime(), order.createdAt.getTime());
+  });
+
+  test("rejects inactive items", async () => {
+    const res = await harness.request("POST", "/orders", {
+      idToken,
+      body: cart([
+        { productId: "classic", qty: 1 },
+        { productId: "shake", qty: 1 },
+      ]),
+    });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.unavailableItems, ["shake"]);
+    assert.equal(await readDocument(`${BRANCH}/counters/orders`), null);
+  });
+
+  test("redeems points only for the caller's verified phone number", async () => {
+    await seedDocuments({
+      [`${BRANCH}/config/loyalty`]: { enabled: true, redeemRate: 50, minOrderAmount: 1, maxDiscountAmount: 10, minPointsToRedeem: 50 },
+      [`${BRANCH}/customers/+97339990009`]: { phone: "+97339990009", points: 120 },
+    });
+    const body = cart([{ productId: "classic", qty: 2 }], { customerPhone: "+973 3999 0009", loyaltyPointsUsed: 100 });
+
+    const anonymous = await harness.request("POST", "/orders", { idToken, body });
+    assert.equal(anonymous.status, 403);
+    const otherPhone = harness.google.signIdToken("customer-9", { phone_number: "+97339990001" });
+    assert.equal((await harness.request("POST", "/orders", { idToken: otherPhone, body })).status, 403);
+    assert.equal((await readDocument(`${BRANCH}/customers/+97339990009`)).points, 120);
+
+    const owner = harness.google.signIdToken("customer-9", { phone_number: "+97339990009" });
+    const res = await harness.request("POST", "/orders", { idToken: owner, body });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.loyaltyDiscount, 2);
+    assert.equal((await readDocument(`${BRANCH}/customers/+97339990009`)).points, 20);
+  });
+
+  test("requires a valid ID token", async () => {
+    const body = cart([{ productId: "classic", qty: 1 }]);
+
+    assert.equal((await harness.request("POST", "/orders", { body })).status, 401);
+
+    const expired = harness.google.signIdToken("customer-9", { exp: Math.floor(Date.now() / 1000) - 60 });
+    assert.equal((await harness.request("POST", "/orders", { body, idToken: expired })).status, 401);
+
+    const otherProject = harness.google.signIdToken("customer-9", { aud: "some-other-project" });
+    assert.equal((await harness.request("POST", "/orders", { body, idToken: otherProject })).status, 401);
+
+    const [header, payload] = harness.google.signIdToken("customer-9").split(".");
+    const badSignature = await harness.request("POST", "/orders", { body, idToken: `${header}.${payload}.not*base64!` });
+    assert.equal(badSignature.status, 401);
+    assert.equal(badSignature.body.error, "Malformed ID token");
+  });
+});
+
+describe("customer confirmation email", { skip: NO_EMULATOR }, () => {
+  beforeEach(async () => {
+    harness.resend.reset();
+    await resetEmulator();
+    await seedFixtures("branch", "orders");
+  });
+
+  const confirm = (idToken, orderId, data = {}) =>
+    harness.request("POST", "/", {
+      idToken,
+      body: { action: "customer-confirmation", merchantId: "aziz-burgers", branchId: "main", data: { ...data, orderId } },
+    });
+
+  test("emails the address given at checkout, built from the order", async () => {
+    const idToken = harness.google.signIdToken("customer-9");
+    const placed = await harness.request("POST", "/orders", {
+      idToken,
+      body: {
+        merchantId: "aziz-burgers",
+        branchId: "main",
+        fulfillmentType: "dine_in",
+        table: "4",
+        customerEmail: "sara@example.com",
+        items: [{ productId: "classic", qty: 2 }],
+      },
+    });
+    assert.equal(placed.status, 200);
+
+    const res = await confirm(idToken, placed.body.orderId, { toEmail: "victim@example.com", subtotal: 0 });
+
+    assert.equal(res.status, 200);
+    const [email] = harness.resend.emails;
+    assert.deepEqual(email.to, ["sara@example.com"]);
+    assert.equal(email.subject, "Your order ORD-001 at Aziz Burgers");
+    assert.match(email.text, /Table: 4/);
+    assert.match(email.text, /5\.000 BHD/);
+  });
+
+  test("refuses someone else's order and orders without an email", async () => {
+    const stranger = await confirm(harness.google.signIdToken("customer-9"), "order-new");
+    assert.equal(stranger.status, 403);
+
+    const owner = await confirm(harness.google.signIdToken("customer-1"), "order-new");
+    assert.equal(owner.status, 400);
+    assert.equal(harness.resend.emails.length, 0);
+  });
+
+  test("rejects a malformed customerEmail at checkout", async () => {
+    const res = await harness.request("POST", "/orders", {
+      idToken: harness.google.signIdToken("customer-9"),
+      body: {
+        merchantId: "aziz-burgers",
+        branchId: "main",
+        fulfillmentType: "dine_in",
+        table: "4",
+        customerEmail: "not-an-email",
+        items: [{ productId: "classic", qty: 1 }],
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /customerEmail/);
+  });
+});
+
+describe("merchant emails", { skip: NO_EMULATOR }, () => {
+  beforeEach(async () => {
+    harness.resend.reset();
+    await resetEmulator();
+    await seedFixtures("branch");
+  });
+
+  const send = (uid, action, data, claims = {}) =>
+    harness.request("POST", "/", {
+      idToken: harness.google.signIdToken(uid, claims),
+      body: { action, merchantId: "aziz-burgers", branchId: "main", data },
+    });
+  const notification = (extra = {}) => ({
+    orderNo: "ORD-001",
+    merchantName: "Aziz Burgers",
+    timestamp: "2026-03-01 12:00",
+    items: [{ name: "Classic Burger", qty: 1, price: 2.5 }],
+    subtotal: 2.5,
+    dashboardUrl: "https://app.test/merchant",
+    ...extra,
+  });
+  const report = (toEmail) => ({
+    merchantName: "Aziz Burgers",
+    dateRange: "03/01/2026 - 03/07/2026",
+    totalOrders: 0,
+    totalRevenue: 0,
+    servedOrders: 0,
+    cancelledOrders: 0,
+    averageOrder: 0,
+    topItems: [],
+    ordersByStatus: [],
+    toEmail,
+  });
+  const seedRecipients = () =>
+    seedDocuments({
+      [`${BRANCH}/config/reports`]: { enabled: false, recipients: ["Owner@Aziz-Burgers.test", "not-an-email"] },
+    });
+
+  test("go to the branch's report recipients, not the address in the request", async () => {
+    const missing = await send("staff-1", "order-notification", notification());
+    assert.equal(missing.status, 409);
+
+    await seedRecipients();
+    const res = await send("staff-1", "order-notification", notification({ toEmail: "someone@example.com" }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(harness.resend.emails.map((e) => e.to), [["owner@aziz-burgers.test"]]);
+  });
+
+  test("only link to the dashboard over https on an allowed origin", async () => {
+    await seedRecipients();
+    for (const dashboardUrl of ["http://app.test/merchant", "https://evil.test/merchant", "javascript:alert(1)"]) {
+      const res = await send("staff-1", "order-cancellation", notification({ dashboardUrl }));
+      assert.equal(res.status, 400, dashboardUrl);
+    }
+    assert.equal(harness.resend.emails.length, 0);
+  });
+
+  test("a report goes to the caller's verified email or a report recipient", async () => {
+    await seedRecipients();
+    const verified = { email: "admin@aziz-burgers.test", email_verified: true };
+
+    assert.equal((await send("admin-1", "report", report("admin@aziz-burgers.test"), verified)).status, 200);
+    assert.equal((await send("admin-1", "report", report("owner@aziz-burgers.test"))).status, 200);
+    assert.equal((await send("admin-1", "report", report("admin@aziz-burgers.test"), { email: verified.email })).status, 403);
+    assert.equal((await send("admin-1", "report", report("someone@example.com"), verified)).status, 403);
+
+    assert.deepEqual(harness.resend.emails.map((e) => e.to), [["admin@aziz-burgers.test"], ["owner@aziz-burgers.test"]]);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * GET /s/{slug}: branded link previews, the m/b hand-off to the app, the
+ * 404 page and the edge cache.
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+
+import { renderNotFoundPage, renderSlugPage, slugFromPath, slugPageCacheControl } from "../share.js";
+import { NO_EMULATOR, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const INDEX_HTML = readFileSync(new URL("../../web/index.html", import.meta.url), "utf8");
+const BRANDING = "merchants/aziz-burgers/branches/main/config/branding";
+
+const page = (branding = {}) => ({
+  slug: "aziz-burgers",
+  merchantId: "aziz-burgers",
+  branchId: "main",
+  branding: { title: null, headerText: null, logoUrl: null, bannerUrl: null, primaryHex: null, ...branding },
+});
+
+describe("share page rendering", () => {
+  test("slugFromPath normalizes slugs and rejects malformed ones", () => {
+    assert.equal(slugFromPath("/s/Aziz-Burgers/"), "aziz-burgers");
+    assert.equal(slugFromPath("/s/a--b"), "");
+    assert.equal(slugFromPath("/s/%E0%A4%A"), "");
+    assert.equal(slugFromPath("/s/a/b"), null);
+    assert.equal(slugFromPath("/orders"), null);
+  });
+
+  test("replaces the shell's title and description and adds OG tags", () => {
+    const html = renderSlugPage(
+      INDEX_HTML,
+      page({ title: "Aziz <Burgers>", headerText: "Best in Riffa", bannerUrl: "https://cdn.test/b.jpg", primaryHex: "#aa3300" }),
+      "https://menu.test/s/aziz-burgers"
+    );
+
+    assert.equal(html.match(/<title>/g).length, 1);
+    assert.match(html, /<title>Aziz &lt;Burgers&gt;<\/title>/);
+    assert.doesNotMatch(html, /Sweets PWA/);
+    assert.match(html, /<meta property="og:image" content="https:\/\/cdn.test\/b.jpg" \/>/);
+    assert.match(html, /<meta name="twitter:card" content="summary_large_image" \/>/);
+    assert.match(html, /<meta name="theme-color" content="#aa3300" \/>/);
+    assert.match(html, /<meta property="og:description" content="Best in Riffa" \/>/);
+    assert.match(html, /flutter_bootstrap\.js/);
+    assert.ok(html.indexOf("og:title") < html.indexOf("</head>"));
+  });
+
+  test("falls back to the logo and a generated description", () => {
+    const html = renderSlugPage(INDEX_HTML, page({ title: "Aziz", logoUrl: "https://cdn.test/l.png" }), "https://menu.test/s/aziz");
+    assert.match(html, /og:image" content="https:\/\/cdn.test\/l.png"/);
+    assert.match(html, /twitter:card" content="summary"/);
+    assert.match(html, /See the menu and order from Aziz\./);
+  });
+
+  test("the ids script cannot break out of its tag", () => {
+    const html = renderSlugPage(INDEX_HTML, { ...page(), merchantId: "</script><b>" }, "https://menu.test/s/x");
+    assert.doesNotMatch(html, /<\/script><b>/);
+    assert.match(html, /\\u003c\/script>\\u003cb>/);
+  });
+
+  test("404 page and cache headers", () => {
+    assert.match(renderNotFoundPage("nope", { BRAND_NAME: "Aziz" }), /\/s\/nope[\s\S]*Aziz|Aziz[\s\S]*\/s\/nope/);
+    assert.equal(slugPageCacheControl({}, true), "public, max-age=60, s-maxage=300");
+    assert.equal(slugPageCacheControl({ SLUG_CACHE_TTL: "30" }, true), "public, max-age=30, s-maxage=30");
+    assert.equal(slugPageCacheControl({ SLUG_CACHE_TTL: "3600" }, false), "public, max-age=60, s-maxage=60");
+  });
+});
+
+describe("GET /s/{slug}", { skip: NO_EMULATOR }, () => {
+  let harness;
+  let shell;
+  let cache;
+
+  before(async () => {
+    shell = await startShellServer();
+    harness = await startHarness({ env: { APP_ORIGIN: shell.origin, BRAND_NAME: "Sweets" } });
+  });
+  after(async () => {
+    await harness.stop();
+    await shell.close();
+  });
+  beforeEach(async () => {
+    await resetEmulator();
+    await seedFixtures("branch");
+    await seedDocuments({
+      "slugs/aziz-burgers": { merchantId: "aziz-burgers", branchId: "main", title: "Aziz Burgers" },
+      [BRANDING]: {
+        title: "Aziz Burgers",
+        headerText: "Smash burgers in Riffa",
+        logoUrl: "https://cdn.test/logo.png",
+        bannerUrl: "https://cdn.test/banner.jpg",
+        primaryHex: "#C62828",
+      },
+    });
+    cache = installCache();
+    shell.requests = 0;
+  });
+  afterEach(() => {
+    delete globalThis.caches;
+  });
+
+  test("serves the app shell with the branch's branding and ids", async () => {
+    const res = await harness.request("GET", "/s/aziz-burgers");
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("Content-Type"), /text\/html/);
+    assert.match(res.headers.get("Cache-Control"), /s-maxage=300/);
+    assert.match(res.body, /<title>Aziz Burgers<\/title>/);
+    assert.match(res.body, /<meta property="og:description" content="Smash burgers in Riffa" \/>/);
+    assert.match(res.body, /<meta property="og:image" content="https:\/\/cdn.test\/banner.jpg" \/>/);
+    assert.match(res.body, /<meta property="og:url" content="https:\/\/worker.test\/s\/aziz-burgers" \/>/);
+    assert.match(res.body, /\{"m":"aziz-burgers","b":"main"\}/);
+    assert.match(res.body, /<base href="\$FLUTTER_BASE_HREF" \/>/);
+  });
+
+  test("preview images go through /img when the worker resizes their host", async () => {
+    harness.env.IMAGE_HOSTS = "cdn.test";
+    try {
+      const res = await harness.request("GET", "/s/aziz-burgers");
+      const banner = encodeURIComponent("https://cdn.test/banner.jpg");
+      assert.match(res.body, new RegExp(`og:image" content="https://worker.test/img/hero\\?src=${banner}"`));
+    } finally {
+      delete harness.env.IMAGE_HOSTS;
+    }
+  });
+
+  test("caches the page per slug, ignoring the query string", async () => {
+    await harness.request("GET", "/s/aziz-burgers?t=12");
+    assert.deepEqual([...cache.entries.keys()], ["https://worker.test/s/aziz-burgers"]);
+
+    // Served from the cache: a branding change shows up only after the TTL
+    await seedDocuments({ [BRANDING]: { title: "Renamed" } });
+    const res = await harness.request("GET", "/s/aziz-burgers");
+    assert.match(res.body, /<title>Aziz Burgers<\/title>/);
+    assert.equal(shell.requests, 1);
+  });
+
+  test("unknown slugs get the branded 404 page", async () => {
+    const res = await harness.request("GET", "/s/no-such-store");
+
+    assert.equal(res.status, 404);
+    assert.match(res.body, /We couldn't find this menu/);
+    assert.match(res.body, /\/s\/no-such-store/);
+    assert.match(res.body, /noindex/);
+    assert.match(res.headers.get("Cache-Control"), /s-maxage=60/);
+    assert.equal(shell.requests, 0);
+  });
+
+  test("HEAD gets the headers without a body", async () => {
+    const res = await harness.request("HEAD", "/s/aziz-burgers");
+    assert.equal(res.status, 200);
+    assert.equal(res.body, "");
+  });
+
+  test("falls back to a minimal shell, uncached, when APP_ORIGIN is down", async () => {
+    const down = await startHarness({ env: { APP_ORIGIN: "http://127.0.0.1:9" } });
+    try {
+      const res = await down.request("GET", "/s/aziz-burgers");
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("Cache-Control"), "no-store");
+      assert.match(res.body, /flutter_bootstrap\.js/);
+      assert.match(res.body, /<title>Aziz Burgers<\/title>/);
+      assert.equal(cache.entries.size, 0);
+    } finally {
+      await down.stop();
+    }
+  });
+});
+
+/** Serves web/index.html like Firebase Hosting would; counts the requests. */
+async function startShellServer() {
+  const server = createServer((req, res) => {
+    state.requests++;
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(INDEX_HTML);
+  });
+  const state = { requests: 0 };
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return Object.assign(state, {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  });
+}
+
+/** An in-memory caches.default, keyed by URL. */
+function installCache() {
+  const entries = new Map();
+  globalThis.caches = {
+    default: {
+      entries,
+      async match(request) {
+        const hit = entries.get(request.url);
+        return hit ? hit.clone() : undefined;
+      },
+      async put(request, response) {
+        entries.set(request.url, response.clone());
+      },
+    },
+  };
+  return globalThis.caches.default;
+}
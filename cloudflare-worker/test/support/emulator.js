@@ -0,0 +1,73 @@
+/**
+ * Firestore emulator access for tests
+ *
+ * `npm test` starts the emulator through `firebase emulators:exec`, which
+ * sets FIRESTORE_EMULATOR_HOST and GCLOUD_PROJECT. Suites that need it pass
+ * `skip: NO_EMULATOR` so a plain `node --test` run still does the unit tests.
+ *
+ * Seeding and reads go through the worker's own client (firestore.js) with
+ * the emulator's admin token, so rules do not apply.
+ */
+
+import {
+  firestoreCommit,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  firestoreRunQuery,
+  setWrite,
+  useFirestoreEmulator,
+} from "../../firestore.js";
+
+export const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || null;
+// demo-* projects never reach production, even by accident
+export const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-worker-test";
+export const NO_EMULATOR = EMULATOR_HOST ? false : "FIRESTORE_EMULATOR_HOST is not set (run npm test)";
+
+const ADMIN_TOKEN = "owner";
+const MAX_WRITES_PER_COMMIT = 500;
+
+/** Deletes every document in the test project. */
+export async function resetEmulator() {
+  const url = `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  const resp = await fetch(url, { method: "DELETE" });
+  if (!resp.ok) throw new Error(`Emulator reset failed: ${resp.status} ${await resp.text()}`);
+}
+
+/** Writes { "merchants/m/branches/b/orders/o1": data, ... }, replacing existing documents. */
+export async function seedDocuments(docs) {
+  useFirestoreEmulator(EMULATOR_HOST);
+
+  const writes = Object.entries(docs).map(([path, data]) => setWrite(firestoreDocName(PROJECT_ID, path), data));
+  for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT) {
+    await firestoreCommit(PROJECT_ID, ADMIN_TOKEN, writes.slice(i, i + MAX_WRITES_PER_COMMIT));
+  }
+}
+
+/** Decoded document data, or null when it does not exist. */
+export async function readDocument(path) {
+  useFirestoreEmulator(EMULATOR_HOST);
+
+  const doc = await firestoreGetDocument(PROJECT_ID, ADMIN_TOKEN, path);
+  return doc ? firestoreFields(doc.fields) : null;
+}
+
+/** Every document of the collection at `collectionPath`, as [{ id, ...data }] ordered by id. */
+export async function listDocuments(collectionPath) {
+  useFirestoreEmulator(EMULATOR_HOST);
+
+  const segments = collectionPath.split("/");
+  const collectionId = segments.pop();
+  const docs = await firestoreRunQuery(
+    PROJECT_ID,
+    ADMIN_TOKEN,
+    {
+      structuredQuery: {
+        from: [{ collectionId }],
+        orderBy: [{ field: { fieldPath: "__name__" }, direction: "ASCENDING" }],
+      },
+    },
+    segments.length > 0 ? segments.join("/") : null
+  );
+  return docs.map((d) => ({ id: d.name.split("/").pop(), ...firestoreFields(d.fields) }));
+}
@@ -0,0 +1,246 @@
+/**
+ * Local stand-ins for the HTTP services the worker calls
+ *
+ * - startFakeTwilio()  Messages API; records every message, can fail on demand
+ * - startFakeGoogle()  OAuth token endpoint (service-account JWT exchange) and
+ *                      the securetoken JWKS, plus signIdToken() for callers
+ * - startFakeResend()  Resend emails API; records every email
+ * - routeFetch()       points the worker's fetch() at the fakes and refuses
+ *                      every other non-local host, so tests never touch the network
+ */
+
+import { createSign, generateKeyPairSync, randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+
+// ============================================================================
+// FETCH ROUTING
+// ============================================================================
+
+const LOCAL_HOSTS = ["127.0.0.1", "localhost", "[::1]", "::1"];
+
+/**
+ * Replaces globalThis.fetch: requests to a host in `routes`
+ * ({ "api.twilio.com": "http://127.0.0.1:1234" }) go to that origin with the
+ * same path and query, local hosts (the emulator) pass through, anything else
+ * throws. Returns a function that restores the original fetch.
+ */
+export function routeFetch(routes) {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init) => {
+    const request = input instanceof Request ? input : null;
+    const url = new URL(request ? request.url : String(input));
+
+    const origin = routes[url.host];
+    if (origin) {
+      const target = new URL(`${url.pathname}${url.search}`, origin);
+      return request ? realFetch(new Request(target, request), init) : realFetch(target, init);
+    }
+    if (LOCAL_HOSTS.includes(url.hostname)) return realFetch(input, init);
+
+    throw new TypeError(`Network access is disabled in tests (fetch ${url.origin})`);
+  };
+
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
+
+// ============================================================================
+// TWILIO
+// ============================================================================
+
+/**
+ * Fake Twilio Messages API. `messages` holds every accepted message as
+ * { to, from, body, statusCallback, sid }. fail("+973...", { status, code })
+ * makes sends to that address fail until reset().
+ */
+export async function startFakeTwilio() {
+  const messages = [];
+  const failures = new Map();
+
+  const server = await listen(async (req, res) => {
+    const m = /^\/2010-04-01\/Accounts\/([^/]+)\/Messages\.json$/.exec(req.url);
+    if (req.method !== "POST" || !m) return sendJson(res, 404, { code: 20404, message: "Not found" });
+    if (!req.headers.authorization?.startsWith("Basic ")) {
+      return sendJson(res, 401, { code: 20003, message: "Authenticate" });
+    }
+
+    const form = new URLSearchParams(await readBody(req));
+    const to = form.get("To") || "";
+    const failure = failures.get(to.replace(/^whatsapp:/, ""));
+    if (failure) {
+      return sendJson(res, failure.status || 400, { code: failure.code, message: failure.message || "Fake failure" });
+    }
+
+    const sid = `SM${randomUUID().replace(/-/g, "")}`;
+    messages.push({
+      to,
+      from: form.get("From") || form.get("MessagingServiceSid"),
+      body: form.get("Body") || "",
+      statusCallback: form.get("StatusCallback"),
+      sid,
+    });
+    sendJson(res, 201, { sid, status: "queued", to });
+  });
+
+  return {
+    origin: server.origin,
+    messages,
+    fail(address, failure) {
+      failures.set(address, failure);
+    },
+    reset() {
+      messages.length = 0;
+      failures.clear();
+    },
+    close: server.close,
+  };
+}
+
+// ============================================================================
+// RESEND
+// ============================================================================
+
+/** Fake Resend emails API. `emails` holds every accepted POST /emails body. */
+export async function startFakeResend() {
+  const emails = [];
+
+  const server = await listen(async (req, res) => {
+    if (req.method !== "POST" || req.url !== "/emails") return sendJson(res, 404, { message: "Not found" });
+    if (!req.headers.authorization?.startsWith("Bearer ")) return sendJson(res, 401, { message: "Missing API key" });
+
+    emails.push(JSON.parse(await readBody(req)));
+    sendJson(res, 200, { id: `email-${emails.length}` });
+  });
+
+  return {
+    origin: server.origin,
+    emails,
+    reset() {
+      emails.length = 0;
+    },
+    close: server.close,
+  };
+}
+
+// ============================================================================
+// GOOGLE (OAUTH + ID TOKENS)
+// ============================================================================
+
+const JWKS_PATH = "/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+/**
+ * Fake Google endpoints on one server: POST /token (records the assertion
+ * and returns an access token) and the securetoken JWKS the worker verifies
+ * ID tokens against. Route both oauth2.googleapis.com and www.googleapis.com
+ * to `origin`.
+ */
+export async function startFakeGoogle(projectId) {
+  const tokenRequests = [];
+  const signing = generateRsaKey();
+  const kid = "fake-key-1";
+
+  const server = await listen(async (req, res) => {
+    if (req.method === "POST" && req.url === "/token") {
+      const form = new URLSearchParams(await readBody(req));
+      const assertion = form.get("assertion") || "";
+      tokenRequests.push({ grantType: form.get("grant_type"), claims: decodeJwtPart(assertion.split(".")[1]) });
+      return sendJson(res, 200, { access_token: `fake-access-token-${tokenRequests.length}`, expires_in: 3600 });
+    }
+    if (req.method === "GET" && req.url === JWKS_PATH) {
+      const jwk = signing.publicKey.export({ format: "jwk" });
+      return sendJson(res, 200, { keys: [{ ...jwk, kid, alg: "RS256", use: "sig" }] });
+    }
+    sendJson(res, 404, { error: "not_found" });
+  });
+
+  return {
+    origin: server.origin,
+    tokenRequests,
+    /** A Firebase ID token for `uid` that the worker accepts. */
+    signIdToken(uid, claims = {}) {
+      const now = Math.floor(Date.now() / 1000);
+      return signJwt(
+        { alg: "RS256", typ: "JWT", kid },
+        {
+          iss: `https://securetoken.google.com/${projectId}`,
+          aud: projectId,
+          sub: uid,
+          iat: now,
+          exp: now + 3600,
+          auth_time: now,
+          ...claims,
+        },
+        signing.privateKey
+      );
+    },
+    close: server.close,
+  };
+}
+
+/** FIREBASE_SERVICE_ACCOUNT_BASE64 for a throwaway key. */
+export function fakeServiceAccount(projectId) {
+  const { privateKey } = generateRsaKey();
+  const sa = {
+    type: "service_account",
+    project_id: projectId,
+    client_email: `worker-test@${projectId}.iam.gserviceaccount.com`,
+    private_key: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+  return Buffer.from(JSON.stringify(sa)).toString("base64");
+}
+
+function generateRsaKey() {
+  return generateKeyPairSync("rsa", { modulusLength: 2048 });
+}
+
+function signJwt(header, payload, privateKey) {
+  const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const signature = createSign("RSA-SHA256").update(unsigned).sign(privateKey);
+  return `${unsigned}.${base64Url(signature)}`;
+}
+
+function base64Url(data) {
+  return Buffer.from(data).toString("base64url");
+}
+
+function decodeJwtPart(part) {
+  try {
+    return JSON.parse(Buffer.from(part || "", "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// HTTP UTILS
+// ============================================================================
+
+async function listen(handler) {
+  const server = createServer((req, res) => {
+    handler(req, res).catch((e) => sendJson(res, 500, { error: String(e?.message || e) }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        // fetch keeps connections alive; don't wait for them to idle out
+        server.closeAllConnections();
+      }),
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,42 @@
+/**
+ * Fixture loading
+ *
+ * test/fixtures/{name}.json maps document paths to data:
+ *
+ *   { "merchants/m/branches/b/orders/o1": { "status": "pending", ... } }
+ *
+ * Timestamps are written relative to the moment the fixture is loaded, so a
+ * sweep window always sees them the same way:
+ *
+ *   { "$minutesAgo": 5 }                → Date 5 minutes ago
+ *   { "$date": "2026-01-01T08:00:00Z" } → that Date
+ */
+
+import { readFileSync } from "node:fs";
+
+import { seedDocuments } from "./emulator.js";
+
+/** { path: data } of test/fixtures/{name}.json with dates revived. */
+export function loadFixture(name, { now = new Date() } = {}) {
+  const raw = JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), "utf8"));
+  return revive(raw, now);
+}
+
+/** Seeds each named fixture; later fixtures replace documents of earlier ones. */
+export async function seedFixtures(...names) {
+  const now = new Date();
+  const docs = {};
+  for (const name of names) Object.assign(docs, loadFixture(name, { now }));
+  await seedDocuments(docs);
+  return docs;
+}
+
+function revive(value, now) {
+  if (Array.isArray(value)) return value.map((v) => revive(v, now));
+  if (!value || typeof value !== "object") return value;
+
+  if (typeof value.$minutesAgo === "number") return new Date(now.getTime() - value.$minutesAgo * 60 * 1000);
+  if (typeof value.$date === "string") return new Date(value.$date);
+
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, revive(v, now)]));
+}
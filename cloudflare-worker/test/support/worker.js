@@ -0,0 +1,125 @@
+/**
+ * Runs the worker in-process: scheduled() and fetch() against the Firestore
+ * emulator, with Twilio, Resend and Google served by the fakes (see fakes.js).
+ *
+ *   const harness = await startHarness();
+ *   await harness.runCron();
+ *   harness.twilio.messages   // what was sent
+ *   await harness.stop();
+ *
+ * Worker logs are silenced unless WORKER_TEST_LOGS=1.
+ */
+
+import worker from "../../worker.js";
+import { twilioSignature } from "../../twilio.js";
+import { EMULATOR_HOST, PROJECT_ID } from "./emulator.js";
+import { routeFetch, startFakeGoogle, startFakeResend, startFakeTwilio } from "./fakes.js";
+
+export const WORKER_ORIGIN = "https://worker.test";
+export const MINUTE_CRON = "* * * * *";
+export const TWILIO_AUTH_TOKEN = "test-auth-token";
+export const TWILIO_WHATSAPP_NUMBER = "+15550000000";
+
+export function workerEnv(overrides = {}) {
+  return {
+    FIREBASE_PROJECT_ID: PROJECT_ID,
+    FIRESTORE_EMULATOR_HOST: EMULATOR_HOST,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN,
+    TWILIO_WHATSAPP_NUMBER,
+    TWILIO_STATUS_CALLBACK_URL: `${WORKER_ORIGIN}/twilio/status`,
+    OUTBOX_SEND_INTERVAL_MS: "0",
+    RESEND_API_KEY: "re_test",
+    ...overrides,
+  };
+}
+
+/** Starts the fakes, routes fetch() to them and returns the harness. */
+export async function startHarness({ env: envOverrides = {} } = {}) {
+  const twilio = await startFakeTwilio();
+  const google = await startFakeGoogle(PROJECT_ID);
+  const resend = await startFakeResend();
+  const restoreFetch = routeFetch({
+    "api.twilio.com": twilio.origin,
+    "api.resend.com": resend.origin,
+    "oauth2.googleapis.com": google.origin,
+    "www.googleapis.com": google.origin,
+  });
+  const restoreLogs = process.env.WORKER_TEST_LOGS ? () => {} : silenceLogs();
+  const env = workerEnv(envOverrides);
+
+  return {
+    env,
+    twilio,
+    resend,
+    google,
+
+    /** scheduled() for `cron`, including anything it passed to waitUntil. */
+    async runCron(cron = MINUTE_CRON) {
+      const ctx = executionContext();
+      await worker.scheduled({ cron, scheduledTime: Date.now() }, env, ctx);
+      await ctx.settle();
+    },
+
+    /**
+     * fetch() with a JSON body. `idToken` is sent as the bearer token (see
+     * google.signIdToken). Returns { status, body } with body parsed when JSON.
+     */
+    async request(method, path, { body, idToken, headers = {} } = {}) {
+      const init = { method, headers: { ...headers } };
+      if (body !== undefined) {
+        init.body = JSON.stringify(body);
+        init.headers["Content-Type"] = "application/json";
+      }
+      if (idToken) init.headers.Authorization = `Bearer ${idToken}`;
+      return dispatch(env, new Request(`${WORKER_ORIGIN}${path}`, init));
+    },
+
+    /** A form POST signed the way Twilio signs its webhooks. */
+    async twilioWebhook(path, params) {
+      const url = `${WORKER_ORIGIN}${path}`;
+      const form = new URLSearchParams(params);
+      const signature = await twilioSignature(TWILIO_AUTH_TOKEN, url, form);
+      return dispatch(
+        env,
+        new Request(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature },
+          body: form.toString(),
+        })
+      );
+    },
+
+    async stop() {
+      restoreFetch();
+      restoreLogs();
+      await Promise.all([twilio.close(), resend.close(), google.close()]);
+    },
+  };
+}
+
+async function dispatch(env, request) {
+  const ctx = executionContext();
+  const response = await worker.fetch(request, env, ctx);
+  await ctx.settle();
+
+  const text = await response.text();
+  let body = text;
+  if ((response.headers.get("Content-Type") || "").includes("application/json")) body = JSON.parse(text);
+  return { status: response.status, headers: response.headers, body };
+}
+
+function executionContext() {
+  const pending = [];
+  return {
+    waitUntil: (promise) => pending.push(promise),
+    passThroughOnException: () => {},
+    settle: () => Promise.all(pending),
+  };
+}
+
+function silenceLogs() {
+  const { error, info, log, warn } = console;
+  console.error = console.info = console.log = console.warn = () => {};
+  return () => Object.assign(console, { error, info, log, warn });
+}
@@ -0,0 +1,230 @@
+/**
+ * Order watchdog: overdue alerts per status, sent once per order and stage,
+ * and pending orders auto-cancelled with the customer told.
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { DEFAULT_CANCELLATION_REASON, DEFAULT_MINUTES, parseWatchdogConfig } from "../watchdog.js";
+import { listDocuments, NO_EMULATOR, readDocument, resetEmulator, seedDocuments } from "./support/emulator.js";
+import { loadFixture, seedFixtures } from "./support/fixtures.js";
+import { startHarness } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+const CONFIG = `${BRANCH}/config/notifications`;
+const KITCHEN = "whatsapp:+97311110001";
+const MANAGER = "whatsapp:+97311110002";
+
+describe("watchdog config", () => {
+  test("is off unless enabled; missing statuses use the defaults, 0 turns one off", () => {
+    assert.equal(parseWatchdogConfig(undefined), null);
+    assert.equal(parseWatchdogConfig({ minutes: { pending: 5 } }), null);
+
+    assert.deepEqual(parseWatchdogConfig({ enabled: true }), {
+      minutes: DEFAULT_MINUTES,
+      autoCancelPendingAfter: null,
+      cancellationReason: DEFAULT_CANCELLATION_REASON,
+    });
+
+    const parsed = parseWatchdogConfig({
+      enabled: true,
+      minutes: { pending: 5, ready: 0, accepted: "soon" },
+      autoCancelPendingAfter: 20,
+      cancellationReason: "  Kitchen closed ",
+    });
+    assert.deepEqual(parsed.minutes, { pending: 5, accepted: null, preparing: 40, ready: null });
+    assert.equal(parsed.autoCancelPendingAfter, 20);
+    assert.equal(parsed.cancellationReason, "Kitchen closed");
+  });
+});
+
+describe("order watchdog", { skip: NO_EMULATOR }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.stop());
+  beforeEach(async () => {
+    harness.twilio.reset();
+    await resetEmulator();
+    await seedFixtures("branch", "orders");
+  });
+
+  const sentTo = (to) => harness.twilio.messages.filter((m) => m.to === to);
+  const overdueAlerts = () => harness.twilio.messages.filter((m) => m.body.includes("Order Overdue"));
+
+  // The fixture branch, with the manager taking overdue alerts and `watchdog` set
+  const enableWatchdog = async (watchdog) => {
+    const config = loadFixture("branch")[CONFIG];
+    config.recipients = config.recipients.map((r) => (r.id === "manager" ? { ...r, events: ["cancelled", "overdue"] } : r));
+    await seedDocuments({ [CONFIG]: { ...config, watchdog } });
+  };
+
+  const seedOrder = (orderId, fields) => {
+    const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+    return seedDocuments({
+      [`${BRANCH}/orders/${orderId}`]: {
+        merchantId: "aziz-burgers",
+        branchId: "main",
+        userId: "customer-7",
+        fulfillmentType: "car_pickup",
+        customerCarPlate: "5555",
+        items: [{ productId: "classic", name: "Classic Burger", price: 2.5, qty: 1 }],
+        subtotal: 2.5,
+        currency: "BHD",
+        ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, k.endsWith("At") ? minutesAgo(v) : v])),
+        notifications: { waNewSent: true, waCancelSent: false },
+      },
+    });
+  };
+
+  test("alerts the manager once per order and status past its minutes", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 10, preparing: 40 } });
+    await seedOrder("order-slow", { status: "preparing", orderNo: "ORD-010", createdAt: 50, preparingAt: 45 });
+    await seedOrder("order-waiting", { status: "pending", orderNo: "ORD-011", createdAt: 12 });
+
+    await harness.runCron();
+
+    const alerts = sentTo(MANAGER).filter((m) => m.body.includes("Order Overdue"));
+    assert.deepEqual(alerts.map((m) => /ORD-\d+/.exec(m.body)[0]).sort(), ["ORD-010", "ORD-011"]);
+    assert.match(alerts.find((m) => m.body.includes("ORD-010")).body, /PREPARING · 45 min/);
+    assert.equal(sentTo(KITCHEN).filter((m) => m.body.includes("Order Overdue")).length, 0);
+    // order-new is only 2 minutes old; order-stale is outside the look-back
+    assert.equal(overdueAlerts().filter((m) => /ORD-00[14]/.test(m.body)).length, 0);
+
+    const { notifications } = await readDocument(`${BRANCH}/orders/order-slow`);
+    assert.ok(notifications.overduePreparingEscalatedAt instanceof Date);
+    assert.equal(notifications.overduePreparingTo.manager.status, "sent");
+
+    await harness.runCron();
+    assert.equal(overdueAlerts().length, 2);
+  });
+
+  test("starts from the last escalated order; a first run looks back three times the limit", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 0, preparing: 40 } });
+    await seedOrder("order-slow", { status: "preparing", orderNo: "ORD-010", createdAt: 60, preparingAt: 50 });
+    await seedOrder("order-forgotten", { status: "preparing", orderNo: "ORD-011", createdAt: 150, preparingAt: 130 });
+
+    await harness.runCron();
+
+    assert.deepEqual(overdueAlerts().map((m) => /ORD-\d+/.exec(m.body)[0]), ["ORD-010"]);
+    const { handledThrough } = await readDocument(`${BRANCH}/watchdogRuns/preparing`);
+    const { preparingAt } = await readDocument(`${BRANCH}/orders/order-slow`);
+    assert.equal(handledThrough.getTime(), preparingAt.getTime());
+
+    // An order older than the mark is not read again, even unmarked
+    await seedOrder("order-late", { status: "preparing", orderNo: "ORD-012", createdAt: 70, preparingAt: 55 });
+    await harness.runCron();
+    assert.equal(overdueAlerts().length, 1);
+  });
+
+  test("after an outage it resumes where it stopped, however long ago", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 0, preparing: 40 }, autoCancelPendingAfter: 30 });
+    const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000);
+    await seedDocuments({
+      [`${BRANCH}/watchdogRuns/preparing`]: { handledThrough: hoursAgo(6) },
+      [`${BRANCH}/watchdogRuns/autoCancel`]: { handledThrough: hoursAgo(6) },
+    });
+    await seedOrder("order-slow", { status: "preparing", orderNo: "ORD-010", createdAt: 320, preparingAt: 300 });
+    await seedOrder("order-forgotten", { status: "pending", orderNo: "ORD-011", createdAt: 280 });
+
+    await harness.runCron();
+
+    assert.deepEqual(overdueAlerts().map((m) => /ORD-\d+/.exec(m.body)[0]), ["ORD-010"]);
+    assert.equal((await readDocument(`${BRANCH}/orders/order-forgotten`)).status, "cancelled");
+    // order-stale (3 days, before the recorded run) stays as it is
+    assert.equal((await readDocument(`${BRANCH}/orders/order-stale`)).status, "pending");
+  });
+
+  test("a first run with nothing overdue still records where the next one starts", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 0, preparing: 40 }, autoCancelPendingAfter: 30 });
+
+    await harness.runCron();
+
+    assert.ok((await readDocument(`${BRANCH}/watchdogRuns/preparing`)).handledThrough instanceof Date);
+    assert.ok((await readDocument(`${BRANCH}/watchdogRuns/autoCancel`)).handledThrough instanceof Date);
+    assert.equal(await readDocument(`${BRANCH}/watchdogRuns/pending`), null);
+  });
+
+  test("a new status is a new stage; finished orders and disabled stages stay quiet", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 10, accepted: 0 } });
+    await seedOrder("order-slow", { status: "accepted", orderNo: "ORD-010", createdAt: 30, acceptedAt: 25 });
+    await seedOrder("order-done", { status: "served", orderNo: "ORD-012", createdAt: 90, servedAt: 60 });
+
+    await harness.runCron();
+    assert.equal(overdueAlerts().length, 0);
+
+    await seedOrder("order-slow", { status: "ready", orderNo: "ORD-010", createdAt: 30, readyAt: 21 });
+    // readyAt is backdated: put the last ready pass before it
+    await seedDocuments({ [`${BRANCH}/watchdogRuns/ready`]: { handledThrough: new Date(Date.now() - 60 * 60 * 1000) } });
+    await harness.runCron();
+    assert.equal(overdueAlerts().length, 1);
+    assert.match(overdueAlerts()[0].body, /READY · 21 min/);
+  });
+
+  test("does nothing for branches that have not turned it on", async () => {
+    await seedOrder("order-slow", { status: "preparing", orderNo: "ORD-010", createdAt: 50, preparingAt: 45 });
+
+    await harness.runCron();
+
+    assert.equal(overdueAlerts().length, 0);
+    const { notifications } = await readDocument(`${BRANCH}/orders/order-slow`);
+    assert.equal(notifications.overduePreparingEscalatedAt, undefined);
+  });
+
+  test("cancels pending orders past the hard timeout and tells the customer", async () => {
+    await enableWatchdog({ enabled: true, minutes: { pending: 10 }, autoCancelPendingAfter: 30 });
+    await seedOrder("order-forgotten", {
+      status: "pending",
+      orderNo: "ORD-013",
+      customerPhone: "+97339990013",
+      createdAt: 35,
+    });
+
+    await harness.runCron();
+
+    const order = await readDocument(`${BRANCH}/orders/order-forgotten`);
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.cancellationReason, "Not accepted in time");
+    assert.equal(order.updatedByUid, "watchdog");
+    assert.equal(order.updatedByRole, "system");
+    assert.ok(order.cancelledAt instanceof Date);
+
+    const [entry] = (await listDocuments(`${BRANCH}/orders/order-forgotten/history`)).filter((e) => e.id === "cancelled");
+    assert.deepEqual(
+      [entry.from, entry.actorUid, entry.actorRole, entry.reason, entry.source],
+      ["pending", "watchdog", "system", "Not accepted in time", "watchdog"]
+    );
+
+    const [customer] = sentTo("whatsapp:+97339990013");
+    assert.match(customer.body, /ORD-013 has been cancelled \(Not accepted in time\)/);
+    assert.equal(order.notifications.overduePendingEscalatedAt, undefined);
+
+    const [cancelled] = sentTo(KITCHEN).filter((m) => m.body.includes("Order Cancelled: ORD-013"));
+    assert.match(cancelled.body, /Automatic/);
+    assert.equal(sentTo(MANAGER).filter((m) => m.body.includes("ORD-013")).length, 1);
+
+    await harness.runCron();
+    assert.equal(sentTo("whatsapp:+97339990013").length, 1);
+  });
+
+  test("staff cancellations still don't message the customer", async () => {
+    await enableWatchdog({ enabled: true, autoCancelPendingAfter: 30 });
+    await seedOrder("order-gone", {
+      status: "cancelled",
+      orderNo: "ORD-014",
+      customerPhone: "+97339990014",
+      updatedByUid: "staff-1",
+      updatedByRole: "staff",
+      createdAt: 20,
+      cancelledAt: 3,
+    });
+
+    await harness.runCron();
+
+    assert.equal(sentTo("whatsapp:+97339990014").length, 0);
+    assert.equal(sentTo(KITCHEN).filter((m) => m.body.includes("Order Cancelled: ORD-014")).length, 1);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Twilio webhooks: staff commands sent over WhatsApp (/twilio/inbound) and
+ * delivery status callbacks (/twilio/status).
+ */
+
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { NO_EMULATOR, readDocument, resetEmulator } from "./support/emulator.js";
+import { seedFixtures } from "./support/fixtures.js";
+import { startHarness, WORKER_ORIGIN } from "./support/worker.js";
+
+const BRANCH = "merchants/aziz-burgers/branches/main";
+const STAFF = "whatsapp:+97311110003";
+
+describe("twilio webhooks", { skip: NO_EMULATOR }, () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.stop());
+  beforeEach(async () => {
+    harness.twilio.reset();
+    await resetEmulator();
+    await seedFixtures("branch", "orders");
+  });
+
+  const command = (body, from = STAFF) => harness.twilioWebhook("/twilio/inbound", { From: from, Body: body });
+
+  test("accepts an order on a staff command", async () => {
+    const res = await command("accept ORD-001");
+
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<Message>✅ ORD-001 accepted\.<\/Message>/);
+
+    const order = await readDocument(`${BRANCH}/orders/order-new`);
+    assert.equal(order.status, "accepted");
+    assert.ok(order.acceptedAt instanceof Date);
+    assert.equal(order.updatedByUid, "staff-1");
+    assert.equal(order.updatedByRole, "staff");
+    assert.equal(order.updatedByEmail, "staff@aziz-burgers.test");
+  });
+
+  test("refuses a transition the rules do not allow", async () => {
+    const res = await command("ready 1");
+
+    assert.match(res.body, /Cannot mark ORD-001 ready: it is pending\. Send "accept ORD-001" first\./);
+    assert.equal((await readDocument(`${BRANCH}/orders/order-new`)).status, "pending");
+  });
+
+  test("ignores numbers that are not linked to a role", async () => {
+    const res = await command("accept ORD-001", "whatsapp:+97399999999");
+
+    assert.match(res.body, /not linked to a staff account/);
+    assert.equal((await readDocument(`${BRANCH}/orders/order-new`)).status, "pending");
+  });
+
+  test("rejects a request with a bad signature", async () => {
+    const res = await harness.request("POST", "/twilio/inbound", {
+      headers: { "X-Twilio-Signature": "bm90LXZhbGlk" },
+      body: { From: STAFF, Body: "accept ORD-001" },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal((await readDocument(`${BRANCH}/orders/order-new`)).status, "pending");
+  });
+
+  test("records delivery status for the recipient and the order", async () => {
+    await harness.runCron();
+    const alert = harness.twilio.messages.find((m) => m.to === "whatsapp:+97311110001" && m.body.includes("ORD-001"));
+    const callback = new URL(alert.statusCallback);
+    assert.equal(callback.origin, WORKER_ORIGIN);
+
+    const path = `${callback.pathname}${callback.search}`;
+    const res = await harness.twilioWebhook(path, { MessageSid: alert.sid, MessageStatus: "delivered" });
+    assert.equal(res.status, 204);
+
+    let notifications = (await readDocument(`${BRANCH}/orders/order-new`)).notifications;
+    assert.equal(notifications.waNewTo.kitchen.deliveryStatus, "delivered");
+    assert.equal(notifications.waNewDeliveryStatus, "delivered");
+
+    // A late "sent" must not move the status backwards
+    await harness.twilioWebhook(path, { MessageSid: alert.sid, MessageStatus: "sent" });
+    notifications = (await readDocument(`${BRANCH}/orders/order-new`)).notifications;
+    assert.equal(notifications.waNewTo.kitchen.deliveryStatus, "delivered");
+  });
+
+  test("ignores a status callback for a SID it did not send", async () => {
+    await harness.runCron();
+    const alert = harness.twilio.messages.find((m) => m.body.includes("ORD-001"));
+    const callback = new URL(alert.statusCallback);
+
+    const res = await harness.twilioWebhook(`${callback.pathname}${callback.search}`, {
+      MessageSid: "SMnot-ours",
+      MessageStatus: "failed",
+      ErrorCode: "63016",
+    });
+    assert.equal(res.status, 204);
+
+    const notifications = (await readDocument(`${BRANCH}/orders/order-new`)).notifications;
+    assert.equal(notifications.waNewTo.kitchen.deliveryStatus, undefined);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Twilio webhooks (status callbacks, inbound messages)
+ *
+ * Twilio signs every webhook with X-Twilio-Signature:
+ *   base64(HMAC-SHA1(TWILIO_AUTH_TOKEN, url + sorted POST params as key+value))
+ * where url is exactly the URL Twilio called, query string included.
+ * https://www.twilio.com/docs/usage/security#validating-requests
+ *
+ * Required secret: TWILIO_AUTH_TOKEN
+ */
+
+/**
+ * Reads the form-encoded webhook body and checks its signature.
+ * Returns the params as URLSearchParams, or null when the request is not
+ * a genuine Twilio request.
+ */
+export async function readSignedTwilioForm(request, env) {
+  const authToken = env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error("[TWILIO] TWILIO_AUTH_TOKEN not set, rejecting webhook");
+    return null;
+  }
+
+  const signature = request.headers.get("X-Twilio-Signature");
+  if (!signature) return null;
+
+  const params = new URLSearchParams(await request.text());
+  const expected = await twilioSignature(authToken, request.url, params);
+  return timingSafeEqual(signature, expected) ? params : null;
+}
+
+export async function twilioSignature(authToken, url, params) {
+  let payload = url;
+  for (const key of [...new Set(params.keys())].sort()) {
+    for (const value of params.getAll(key)) payload += key + value;
+  }
+
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(authToken),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(payload));
+  return btoa(String.fromCharCode(...new Uint8Array(mac)));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
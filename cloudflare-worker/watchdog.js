@@ -0,0 +1,170 @@
+/**
+ * Stale order watchdog (minute cron)
+ *
+ * Escalates orders that sit in one status for too long, per branch:
+ *
+ *   config/notifications.watchdog = {
+ *     enabled: true,
+ *     minutes: { pending: 10, accepted: 10, preparing: 40, ready: 20 },
+ *     autoCancelPendingAfter: 30,                  // minutes; unset = never
+ *     cancellationReason: "Not accepted in time"
+ *   }
+ *
+ * `minutes` is how long an order may stay in each status (counted from its
+ * {status}At field, createdAt for pending); a missing status uses
+ * DEFAULT_MINUTES, 0 or null turns that status's alert off.
+ *
+ * An overdue order gets one overdue_{status} alert (see ORDER_EVENTS in
+ * worker.js) for every recipient that lists "overdue" in its events (see
+ * recipients.js), and order.notifications.overdue{Status}EscalatedAt records
+ * that it was escalated, so each stage fires at most once per order.
+ *
+ * watchdogRuns/{status}.handledThrough is the {status}At up to which every
+ * order has been escalated (it stops at the first order whose mark failed);
+ * the next pass only reads orders from there on, so escalated orders are not
+ * read again every minute. watchdogRuns/autoCancel does the same for
+ * auto-cancelled orders. A branch's first pass, before there is such a
+ * document, looks back LOOK_BACK_MULTIPLE times the limit; after that the
+ * watchdog always resumes where it stopped, however long the cron was down.
+ *
+ * With autoCancelPendingAfter, a pending order older than that is cancelled
+ * by the WATCHDOG_ACTOR with cancellationReason (updateOrderStatus in
+ * orders.js: history entry, loyalty refund). The cancelled alert and a
+ * customer_cancelled message to order.customerPhone then go out through the
+ * usual sweep, whether or not the branch sends other customer updates.
+ */
+
+import {
+  firestoreCommit,
+  firestoreDocName,
+  firestoreFields,
+  firestoreGetDocument,
+  firestoreQueryPages,
+  serverTimestamp,
+  setWrite,
+  toFirestoreValue,
+} from "./firestore.js";
+import { STATUS_TIME_FIELDS } from "./history.js";
+
+export const WATCHDOG_STATUSES = ["pending", "accepted", "preparing", "ready"];
+export const RUNS_COLLECTION = "watchdogRuns";
+export const AUTO_CANCEL_RUN = "autoCancel";
+
+// Who auto-cancelled an order (updatedByUid / history actor)
+export const WATCHDOG_ACTOR = { uid: "watchdog", role: "system" };
+
+export const DEFAULT_MINUTES = { pending: 10, accepted: 10, preparing: 40, ready: 20 };
+export const DEFAULT_CANCELLATION_REASON = "Not accepted in time";
+
+const MAX_MINUTES = 24 * 60;
+const LOOK_BACK_MULTIPLE = 3;
+const MAX_REASON_LENGTH = 200;
+const PAGE_SIZE = 50;
+
+/**
+ * config/notifications.watchdog as { minutes: { [status]: n | null },
+ * autoCancelPendingAfter, cancellationReason }, or null when it is off.
+ */
+export function parseWatchdogConfig(value) {
+  if (!value || typeof value !== "object" || value.enabled !== true) return null;
+
+  const given = value.minutes && typeof value.minutes === "object" ? value.minutes : {};
+  const minutes = {};
+  for (const status of WATCHDOG_STATUSES) {
+    const m = status in given ? given[status] : DEFAULT_MINUTES[status];
+    minutes[status] = typeof m === "number" && m > 0 ? Math.min(m, MAX_MINUTES) : null;
+  }
+
+  const cancelAfter = value.autoCancelPendingAfter;
+  const reason = typeof value.cancellationReason === "string" ? value.cancellationReason.trim() : "";
+
+  return {
+    minutes,
+    autoCancelPendingAfter: typeof cancelAfter === "number" && cancelAfter > 0 ? Math.min(cancelAfter, MAX_MINUTES) : null,
+    cancellationReason: reason.slice(0, MAX_REASON_LENGTH) || DEFAULT_CANCELLATION_REASON,
+  };
+}
+
+/**
+ * Branches whose config/notifications turns the watchdog on, as
+ * [{ merchantId, branchId }]; limited to `branches` when that is non-empty.
+ */
+export async function listWatchdogBranches(projectId, token, branches) {
+  const query = {
+    structuredQuery: {
+      from: [{ collectionId: "config", allDescendants: true }],
+      where: {
+        fieldFilter: { field: { fieldPath: "watchdog.enabled" }, op: "EQUAL", value: toFirestoreValue(true) },
+      },
+      select: { fields: [{ fieldPath: "__name__" }] },
+    },
+  };
+
+  const found = [];
+  for await (const page of firestoreQueryPages(projectId, token, query, null, { pageSize: PAGE_SIZE })) {
+    for (const d of page) {
+      const m = /\/documents\/merchants\/([^/]+)\/branches\/([^/]+)\/config\/notifications$/.exec(d.name);
+      if (!m) continue;
+      if (branches.length > 0 && !branches.some((b) => b.merchantId === m[1] && b.branchId === m[2])) continue;
+      found.push({ merchantId: m[1], branchId: m[2] });
+    }
+  }
+  return found;
+}
+
+/**
+ * Yields pages of { doc, order } for the branch's orders that have been in
+ * `status` since before `olderThan` (and after `since`), oldest first.
+ */
+export async function* overdueOrderPages(projectId, token, { merchantId, branchId }, status, olderThan, since) {
+  const timeField = STATUS_TIME_FIELDS[status];
+  const range = (op, date) => ({
+    fieldFilter: { field: { fieldPath: timeField }, op, value: toFirestoreValue(date) },
+  });
+  const query = {
+    structuredQuery: {
+      from: [{ collectionId: "orders" }],
+      where: {
+        compositeFilter: {
+          op: "AND",
+          filters: [
+            { fieldFilter: { field: { fieldPath: "status" }, op: "EQUAL", value: toFirestoreValue(status) } },
+            range("GREATER_THAN_OR_EQUAL", since),
+            range("LESS_THAN_OR_EQUAL", olderThan),
+          ],
+        },
+      },
+      orderBy: [
+        { field: { fieldPath: timeField }, direction: "ASCENDING" },
+        { field: { fieldPath: "__name__" }, direction: "ASCENDING" },
+      ],
+    },
+  };
+
+  const parent = `merchants/${merchantId}/branches/${branchId}`;
+  for await (const page of firestoreQueryPages(projectId, token, query, parent, { pageSize: PAGE_SIZE })) {
+    yield page.map((doc) => ({ doc, order: firestoreFields(doc.fields) }));
+  }
+}
+
+/**
+ * Where this pass of `run` (a status, or AUTO_CANCEL_RUN) starts looking for
+ * orders `minutes` overdue: where the last one stopped (see
+ * recordWatchdogRun), or on a first run LOOK_BACK_MULTIPLE × minutes back.
+ * Returns { since, first }.
+ */
+export async function watchdogRunStart(projectId, token, { merchantId, branchId }, run, minutes, now = new Date()) {
+  const doc = await firestoreGetDocument(projectId, token, `merchants/${merchantId}/branches/${branchId}/${RUNS_COLLECTION}/${run}`);
+  const through = doc ? firestoreFields(doc.fields).handledThrough : null;
+  if (through instanceof Date) return { since: through, first: false };
+  return { since: new Date(now.getTime() - LOOK_BACK_MULTIPLE * minutes * 60 * 1000), first: true };
+}
+
+/**
+ * Records the time up to which every order of `run` has been handled; the
+ * next pass starts there.
+ */
+export async function recordWatchdogRun(projectId, token, { merchantId, branchId }, run, through) {
+  const name = firestoreDocName(projectId, `merchants/${merchantId}/branches/${branchId}/${RUNS_COLLECTION}/${run}`);
+  await firestoreCommit(projectId, token, [setWrite(name, { handledThrough: through, updatedAt: serverTimestamp() })]);
+}
@@ -1,13 +1,12 @@
 // lib/core/branding/branding_admin_page.dart
-import 'dart:convert';
 import 'dart:typed_data';
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:file_picker/file_picker.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
-import 'package:http/http.dart' as http;
 
+import '../services/image_service.dart';
 import 'branding.dart';
 import 'branding_providers.dart';
 
@@ -15,10 +14,6 @@ import 'branding_providers.dart';
 const String kAppHost =
     String.fromEnvironment('APP_HOST', defaultValue: 'https://localhost');
 
-/// Cloudinary (unsigned) config for logo uploads.
-const String _kCloudName = 'dkirkzbfa';
-const String _kUnsignedPreset = 'unsigned_products';
-
 class BrandingAdminPage extends ConsumerStatefulWidget {
   const BrandingAdminPage({super.key});
   @override
@@ -303,19 +298,15 @@ class _BrandingAdminPageState extends ConsumerState<BrandingAdminPage> {
       return;
     }
 
-    if (_kCloudName.isEmpty || _kUnsignedPreset.isEmpty) {
-      if (!mounted) return;
-      ScaffoldMessenger.of(context).showSnackBar(
-        const SnackBar(
-          content: Text(
-              'Cloudinary not configured. Set CLOUDINARY_CLOUD & CLOUDINARY_PRESET.'),
-        ),
-      );
-      return;
-    }
-
     try {
-      final url = await _uploadToCloudinary(bytes, filename: file.name);
+      // Signed by the worker for branch admins (see ImageService)
+      final url = await ImageService.upload(
+        merchantId: ref.read(merchantIdProvider),
+        branchId: ref.read(branchIdProvider),
+        kind: ImageUploadKind.logo,
+        bytes: bytes,
+        filename: file.name,
+      );
       await brandingRef.set({'logoUrl': url}, SetOptions(merge: true));
       setState(() => _logoUrl = url);
       if (!mounted) return;
@@ -330,27 +321,6 @@ class _BrandingAdminPageState extends ConsumerState<BrandingAdminPage> {
     }
   }
 
-  Future<String> _uploadToCloudinary(Uint8List bytes, {String? filename}) async {
-    final uri =
-        Uri.parse('https://api.cloudinary.com/v1_1/$_kCloudName/image/upload');
-
-    final req = http.MultipartRequest('POST', uri)
-      ..fields['upload_preset'] = _kUnsignedPreset
-      ..files.add(http.MultipartFile.fromBytes(
-        'file',
-        bytes,
-        filename: filename ?? 'logo.png',
-      ));
-
-    final res = await req.send();
-    final body = await http.Response.fromStream(res);
-    if (body.statusCode >= 200 && body.statusCode < 300) {
-      final Map<String, dynamic> json = jsonDecode(body.body);
-      return (json['secure_url'] ?? json['url']) as String;
-    }
-    throw Exception('HTTP ${body.statusCode}: ${body.body}');
-  }
-
   String _sanitizeHex(String raw) {
     var s = raw.trim();
     if (s.isEmpty) throw Exception('Color cannot be empty');
@@ -384,7 +354,7 @@ class _LogoCard extends StatelessWidget {
             ? ClipRRect(
                 borderRadius: BorderRadius.circular(8),
                 child: Image.network(
-                  url!,
+                  ImageService.variantUrl(url!, ImageVariant.card),
                   height: 72,
                   fit: BoxFit.contain,
                   errorBuilder: (_, __, ___) =>
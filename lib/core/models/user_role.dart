@@ -34,21 +34,31 @@ class RoleData {
   final DateTime createdAt;
   final String? createdBy;
 
+  /// Role document id (the user's Firebase UID), when read from Firestore
+  final String? userId;
+
+  /// E.164 number allowed to send order commands over WhatsApp
+  final String? whatsappNumber;
+
   const RoleData({
     required this.role,
     required this.email,
     required this.displayName,
     required this.createdAt,
     this.createdBy,
+    this.userId,
+    this.whatsappNumber,
   });
 
-  factory RoleData.fromFirestore(Map<String, dynamic> data) {
+  factory RoleData.fromFirestore(Map<String, dynamic> data, {String? id}) {
     return RoleData(
       role: UserRole.fromString(data['role'] as String? ?? 'staff'),
       email: data['email'] as String? ?? '',
       displayName: data['displayName'] as String? ?? '',
       createdAt: (data['createdAt'] as Timestamp?)?.toDate() ?? DateTime.now(),
       createdBy: data['createdBy'] as String?,
+      userId: id,
+      whatsappNumber: data['whatsappNumber'] as String?,
     );
   }
 
@@ -59,6 +69,7 @@ class RoleData {
       'displayName': displayName,
       'createdAt': Timestamp.fromDate(createdAt),
       if (createdBy != null) 'createdBy': createdBy,
+      if (whatsappNumber != null) 'whatsappNumber': whatsappNumber,
     };
   }
 
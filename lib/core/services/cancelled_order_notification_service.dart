@@ -3,7 +3,6 @@ import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:flutter/foundation.dart';
 import 'package:intl/intl.dart';
 import 'email_service.dart';
-import '../config/email_config.dart';
 
 /// Service to listen for cancelled orders and send email notifications
 class CancelledOrderNotificationService {
@@ -12,7 +11,7 @@ class CancelledOrderNotificationService {
   DateTime? _serviceStartTime;
 
   /// Start listening for cancelled orders
-  /// Email notifications will be sent to EmailConfig.defaultEmail
+  /// Emails go to the branch's report recipients (resolved by the worker)
   void startListening({
     required String merchantId,
     required String branchId,
@@ -25,7 +24,6 @@ class CancelledOrderNotificationService {
     // This prevents sending emails for old cancelled orders
     _serviceStartTime = DateTime.now();
     debugPrint('[CancelledOrderNotificationService] Started listening for cancelled orders after $_serviceStartTime');
-    debugPrint('[CancelledOrderNotificationService] All emails will be sent to: ${EmailConfig.defaultEmail}');
 
     _subscription = FirebaseFirestore.instance
         .collection('merchants/$merchantId/branches/$branchId/orders')
@@ -54,6 +52,8 @@ class CancelledOrderNotificationService {
 
           // Send cancellation notification
           _sendCancellationNotification(
+            merchantId: merchantId,
+            branchId: branchId,
             orderId: orderId,
             orderData: orderData,
             merchantName: merchantName,
@@ -71,8 +71,10 @@ class CancelledOrderNotificationService {
   }
 
   /// Send email notification for a cancelled order
-  /// Always sends to EmailConfig.defaultEmail
+  /// Sent to the branch's report recipients
   Future<void> _sendCancellationNotification({
+    required String merchantId,
+    required String branchId,
     required String orderId,
     required Map<String, dynamic> orderData,
     required String merchantName,
@@ -118,6 +120,8 @@ class CancelledOrderNotificationService {
       }
 
       final result = await EmailService.sendOrderCancellation(
+        merchantId: merchantId,
+        branchId: branchId,
         orderNo: orderNo,
         table: table,
         items: items,
@@ -125,7 +129,6 @@ class CancelledOrderNotificationService {
         timestamp: timestamp,
         merchantName: merchantName,
         dashboardUrl: 'https://sweetweb.web.app/merchant',
-        toEmail: EmailConfig.defaultEmail, // ALWAYS use default email
         cancellationReason: cancellationReason,
         fulfillmentType: fulfillmentType,
         carPlate: carPlate,
@@ -133,7 +136,7 @@ class CancelledOrderNotificationService {
       );
 
       if (result.success) {
-        debugPrint('[CancelledOrderNotificationService] ✅ Cancellation email sent for order $orderNo to ${EmailConfig.defaultEmail}: ${result.messageId}');
+        debugPrint('[CancelledOrderNotificationService] ✅ Cancellation email sent for order $orderNo: ${result.messageId}');
       } else {
         debugPrint('[CancelledOrderNotificationService] ❌ Failed to send cancellation email for order $orderNo: ${result.error}');
       }
@@ -1,11 +1,28 @@
 import 'dart:convert';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:http/http.dart' as http;
 import '../config/email_config.dart';
 
 /// Email service for sending notifications and reports via Cloudflare Worker
+///
+/// The worker verifies the caller's Firebase ID token and, for merchant
+/// emails and reports, the caller's role on merchantId/branchId. Merchant
+/// emails go to the branch's report recipients (config/reports), resolved by
+/// the worker; dashboardUrl must be https on one of its DASHBOARD_ORIGINS.
 class EmailService {
+  /// Request headers including the current user's Firebase ID token
+  static Future<Map<String, String>> _headers() async {
+    final idToken = await FirebaseAuth.instance.currentUser?.getIdToken();
+    return {
+      'Content-Type': 'application/json',
+      if (idToken != null) 'Authorization': 'Bearer $idToken',
+    };
+  }
+
   /// Send order notification email
   static Future<EmailResult> sendOrderNotification({
+    required String merchantId,
+    required String branchId,
     required String orderNo,
     String? table,
     required List<OrderItem> items,
@@ -13,7 +30,6 @@ class EmailService {
     required String timestamp,
     required String merchantName,
     required String dashboardUrl,
-    required String toEmail,
     String? fulfillmentType,
     String? carPlate,
     String? deliveryAddress,
@@ -26,9 +42,11 @@ class EmailService {
     try {
       final response = await http.post(
         Uri.parse(EmailConfig.orderNotificationEndpoint),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _headers(),
         body: jsonEncode({
           'action': 'order-notification',
+          'merchantId': merchantId,
+          'branchId': branchId,
           'data': {
             'orderNo': orderNo,
             'table': table,
@@ -37,7 +55,6 @@ class EmailService {
             'timestamp': timestamp,
             'merchantName': merchantName,
             'dashboardUrl': dashboardUrl,
-            'toEmail': toEmail,
             'fulfillmentType': fulfillmentType,
             'carPlate': carPlate,
             'deliveryAddress': deliveryAddress,
@@ -63,6 +80,8 @@ class EmailService {
 
   /// Send order cancellation email
   static Future<EmailResult> sendOrderCancellation({
+    required String merchantId,
+    required String branchId,
     required String orderNo,
     String? table,
     required List<OrderItem> items,
@@ -70,7 +89,6 @@ class EmailService {
     required String timestamp,
     required String merchantName,
     required String dashboardUrl,
-    required String toEmail,
     String? cancellationReason,
     String? fulfillmentType,
     String? carPlate,
@@ -84,9 +102,11 @@ class EmailService {
     try {
       final response = await http.post(
         Uri.parse(EmailConfig.orderNotificationEndpoint),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _headers(),
         body: jsonEncode({
           'action': 'order-cancellation',
+          'merchantId': merchantId,
+          'branchId': branchId,
           'data': {
             'orderNo': orderNo,
             'table': table,
@@ -95,7 +115,6 @@ class EmailService {
             'timestamp': timestamp,
             'merchantName': merchantName,
             'dashboardUrl': dashboardUrl,
-            'toEmail': toEmail,
             'cancellationReason': cancellationReason,
             'fulfillmentType': fulfillmentType,
             'carPlate': carPlate,
@@ -120,16 +139,12 @@ class EmailService {
     }
   }
 
-  /// Send customer order confirmation email
+  /// Send customer order confirmation email for the signed-in user's own
+  /// order; the worker reads the order and emails its customerEmail.
   static Future<EmailResult> sendCustomerConfirmation({
-    required String orderNo,
-    String? table,
-    required List<OrderItem> items,
-    required double subtotal,
-    required String timestamp,
-    required String merchantName,
-    String? estimatedTime,
-    required String toEmail,
+    required String merchantId,
+    required String branchId,
+    required String orderId,
   }) async {
     if (!EmailConfig.isConfigured) {
       return EmailResult.error(
@@ -139,19 +154,12 @@ class EmailService {
     try {
       final response = await http.post(
         Uri.parse(EmailConfig.orderNotificationEndpoint),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _headers(),
         body: jsonEncode({
           'action': 'customer-confirmation',
-          'data': {
-            'orderNo': orderNo,
-            'table': table,
-            'items': items.map((item) => item.toJson()).toList(),
-            'subtotal': subtotal,
-            'timestamp': timestamp,
-            'merchantName': merchantName,
-            'estimatedTime': estimatedTime,
-            'toEmail': toEmail,
-          },
+          'merchantId': merchantId,
+          'branchId': branchId,
+          'data': {'orderId': orderId},
         }),
       );
 
@@ -171,8 +179,11 @@ class EmailService {
     }
   }
 
-  /// Send sales report email
+  /// Send sales report email to [toEmail], which must be the caller's own
+  /// verified email or one of the branch's report recipients
   static Future<EmailResult> sendReport({
+    required String merchantId,
+    required String branchId,
     required String merchantName,
     required String dateRange,
     required int totalOrders,
@@ -192,9 +203,11 @@ class EmailService {
     try {
       final response = await http.post(
         Uri.parse(EmailConfig.reportEndpoint),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _headers(),
         body: jsonEncode({
           'action': 'report',
+          'merchantId': merchantId,
+          'branchId': branchId,
           'data': {
             'merchantName': merchantName,
             'dateRange': dateRange,
@@ -0,0 +1,101 @@
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:firebase_auth/firebase_auth.dart';
+import 'package:http/http.dart' as http;
+
+import '../config/email_config.dart';
+
+/// Sizes served by the worker's GET /img/{variant} (see cloudflare-worker/images.js).
+enum ImageVariant { thumb, card, hero }
+
+/// What an upload is for; picks the Cloudinary folder the worker signs.
+enum ImageUploadKind { product, logo, banner }
+
+/// Image uploads and display URLs, both through the Cloudflare Worker.
+///
+/// - upload(): asks the worker for signed upload parameters (branch admins
+///   only, POST /images/sign), then posts the file to Cloudinary with them.
+/// - variantUrl(): the resized, WebP/AVIF copy of a stored image URL.
+class ImageService {
+  /// Uploads [bytes] for [kind] on the branch; returns the image's secure_url.
+  static Future<String> upload({
+    required String merchantId,
+    required String branchId,
+    required ImageUploadKind kind,
+    required Uint8List bytes,
+    String? filename,
+  }) async {
+    final idToken = await FirebaseAuth.instance.currentUser?.getIdToken();
+    if (idToken == null) throw StateError('Sign in to upload images.');
+
+    final signResponse = await http.post(
+      Uri.parse('${EmailConfig.workerUrl}/images/sign'),
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer $idToken',
+      },
+      body: jsonEncode({
+        'merchantId': merchantId,
+        'branchId': branchId,
+        'kind': kind.name,
+      }),
+    );
+    final Map<String, dynamic> signed;
+    try {
+      signed = jsonDecode(signResponse.body) as Map<String, dynamic>;
+    } catch (_) {
+      throw StateError('Image service unavailable (HTTP ${signResponse.statusCode}).');
+    }
+    if (signResponse.statusCode != 200 || signed['success'] != true) {
+      throw StateError(signed['error']?.toString() ?? 'Could not start the upload.');
+    }
+
+    final fields = (signed['fields'] as Map).map(
+      (k, v) => MapEntry(k.toString(), v.toString()),
+    );
+    final req = http.MultipartRequest('POST', Uri.parse(signed['uploadUrl'] as String))
+      ..fields.addAll(fields)
+      ..files.add(http.MultipartFile.fromBytes(
+        'file',
+        bytes,
+        filename: filename ?? '${kind.name}.png',
+      ));
+
+    final res = await http.Response.fromStream(await req.send());
+    if (res.statusCode != 200 && res.statusCode != 201) {
+      throw Exception('Cloudinary upload failed ${res.statusCode}: ${res.body}');
+    }
+    final url = (jsonDecode(res.body) as Map<String, dynamic>)['secure_url'] as String?;
+    if (url == null || url.isEmpty) {
+      throw Exception('No secure_url in Cloudinary response');
+    }
+    return url;
+  }
+
+  /// Cloudinary cloud the worker resizes (its CLOUDINARY_CLOUD_NAME).
+  static const cloudName =
+      String.fromEnvironment('CLOUDINARY_CLOUD', defaultValue: 'dkirkzbfa');
+
+  /// [url] resized to [variant] at [devicePixelRatio] (1-3) by the worker.
+  /// Only images uploaded to [cloudName] are rewritten; anything else
+  /// (assets, data: URLs, other hosts) is returned as is.
+  static String variantUrl(
+    String url,
+    ImageVariant variant, {
+    double devicePixelRatio = 1,
+  }) {
+    final src = url.trim();
+    final uri = Uri.tryParse(src);
+    final ours = uri != null &&
+        uri.scheme == 'https' &&
+        uri.host == 'res.cloudinary.com' &&
+        uri.path.startsWith('/$cloudName/image/upload/');
+    if (!ours || !EmailConfig.isConfigured) return src;
+
+    final dpr = devicePixelRatio.clamp(1, 3).ceil();
+    return Uri.parse('${EmailConfig.workerUrl}/img/${variant.name}').replace(
+      queryParameters: {'src': src, if (dpr > 1) 'dpr': '$dpr'},
+    ).toString();
+  }
+}
@@ -3,7 +3,6 @@ import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:flutter/foundation.dart';
 import 'package:intl/intl.dart';
 import 'email_service.dart';
-import '../config/email_config.dart';
 
 /// Service to listen for new orders and send email notifications
 class OrderNotificationService {
@@ -12,7 +11,7 @@ class OrderNotificationService {
   DateTime? _serviceStartTime;
 
   /// Start listening for new orders
-  /// Email notifications will ALWAYS be sent to EmailConfig.defaultEmail
+  /// Emails go to the branch's report recipients (resolved by the worker)
   void startListening({
     required String merchantId,
     required String branchId,
@@ -25,7 +24,6 @@ class OrderNotificationService {
     // This prevents sending emails for old orders and avoids rate limiting
     _serviceStartTime = DateTime.now();
     debugPrint('[OrderNotificationService] Started listening for orders created after $_serviceStartTime');
-    debugPrint('[OrderNotificationService] All emails will be sent to: ${EmailConfig.defaultEmail}');
 
     _subscription = FirebaseFirestore.instance
         .collection('merchants/$merchantId/branches/$branchId/orders')
@@ -48,6 +46,8 @@ class OrderNotificationService {
 
           // Send notification with delay to respect rate limits (2 req/sec)
           _sendOrderNotification(
+            merchantId: merchantId,
+            branchId: branchId,
             orderId: orderId,
             orderData: change.doc.data()!,
             merchantName: merchantName,
@@ -65,8 +65,10 @@ class OrderNotificationService {
   }
 
   /// Send email notification for a new order
-  /// Always sends to EmailConfig.defaultEmail
+  /// Sent to the branch's report recipients
   Future<void> _sendOrderNotification({
+    required String merchantId,
+    required String branchId,
     required String orderId,
     required Map<String, dynamic> orderData,
     required String merchantName,
@@ -111,6 +113,8 @@ class OrderNotificationService {
       }
 
       final result = await EmailService.sendOrderNotification(
+        merchantId: merchantId,
+        branchId: branchId,
         orderNo: orderNo,
         table: table,
         items: items,
@@ -118,14 +122,13 @@ class OrderNotificationService {
         timestamp: timestamp,
         merchantName: merchantName,
         dashboardUrl: 'https://sweetweb.web.app/merchant',
-        toEmail: EmailConfig.defaultEmail, // ALWAYS use default email
         fulfillmentType: fulfillmentType,
         carPlate: carPlate,
         deliveryAddress: deliveryAddress,
       );
 
       if (result.success) {
-        debugPrint('[OrderNotificationService] ✅ Email sent for order $orderNo to ${EmailConfig.defaultEmail}: ${result.messageId}');
+        debugPrint('[OrderNotificationService] ✅ Email sent for order $orderNo: ${result.messageId}');
       } else {
         // Check if it's a rate limit error
         final error = result.error ?? '';
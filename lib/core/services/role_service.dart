@@ -44,7 +44,7 @@ final currentUserRoleProvider = StreamProvider<RoleData?>((ref) {
       debugPrint('[RoleService] No role document found for user');
       return null;
     }
-    return RoleData.fromFirestore(doc.data()!);
+    return RoleData.fromFirestore(doc.data()!, id: doc.id);
   }).handleError((error) {
     // If there's a permission error, return null instead of crashing
     debugPrint('[RoleService] ❌ Error loading role: $error');
@@ -102,7 +102,7 @@ class RoleService {
   Stream<List<RoleData>> getAllUsers() {
     return _rolesCollection.snapshots().map((snapshot) {
       return snapshot.docs
-          .map((doc) => RoleData.fromFirestore(doc.data() as Map<String, dynamic>))
+          .map((doc) => RoleData.fromFirestore(doc.data() as Map<String, dynamic>, id: doc.id))
           .toList();
     });
   }
@@ -111,7 +111,7 @@ class RoleService {
   Future<RoleData?> getUserRole(String userId) async {
     final doc = await _rolesCollection.doc(userId).get();
     if (!doc.exists || doc.data() == null) return null;
-    return RoleData.fromFirestore(doc.data() as Map<String, dynamic>);
+    return RoleData.fromFirestore(doc.data() as Map<String, dynamic>, id: doc.id);
   }
 
   /// Add or update a user role
@@ -121,6 +121,7 @@ class RoleService {
     required String email,
     required String displayName,
     String? createdBy,
+    String? whatsappNumber,
   }) async {
     final data = RoleData(
       role: role,
@@ -128,6 +129,7 @@ class RoleService {
       displayName: displayName,
       createdAt: DateTime.now(),
       createdBy: createdBy,
+      whatsappNumber: whatsappNumber,
     );
 
     await _rolesCollection.doc(userId).set(data.toFirestore());
@@ -138,6 +140,15 @@ class RoleService {
     await _rolesCollection.doc(userId).delete();
   }
 
+  /// Link (or with null, unlink) the WhatsApp number this user sends
+  /// order commands from ("accept ORD-042", handled by the Worker)
+  Future<void> setWhatsAppNumber(String userId, String? whatsappNumber) async {
+    await _rolesCollection.doc(userId).update({
+      'whatsappNumber': whatsappNumber ?? FieldValue.delete(),
+      'updatedAt': FieldValue.serverTimestamp(),
+    });
+  }
+
   /// Update user's role
   Future<void> updateUserRole(String userId, UserRole newRole) async {
     await _rolesCollection.doc(userId).update({
@@ -8,7 +8,11 @@ import '../../sweets/data/sweet.dart';
 import '../../categories/data/category.dart' as cat;
 import '../../../core/config/slug_routing.dart';
 
-/// Service for computing analytics from orders
+/// Service for computing analytics.
+///
+/// Past days come from the worker's daily rollups
+/// (`analyticsDaily/{yyyy-mm-dd}`, see cloudflare-worker/analytics.js); today
+/// and any day without a rollup yet are computed from its orders the same way.
 class AnalyticsService {
   AnalyticsService({
     required this.merchantId,
@@ -22,6 +26,16 @@ class AnalyticsService {
   String get _m => merchantId;
   String get _b => branchId;
 
+  static const _completedStatuses = {
+    om.OrderStatus.served,
+    om.OrderStatus.ready,
+    om.OrderStatus.preparing,
+    om.OrderStatus.accepted,
+  };
+
+  DocumentReference<Map<String, dynamic>> get _branch =>
+      _fs.collection('merchants').doc(_m).collection('branches').doc(_b);
+
   /// Compute complete analytics dashboard for a date range
   Future<AnalyticsDashboard> computeAnalytics({
     required DateRange dateRange,
@@ -46,37 +60,19 @@ class AnalyticsService {
         debugPrint('[Analytics] Computing for $startDate to $endDate');
       }
 
-      // Fetch orders in date range
-      final ordersQuery = _fs
-          .collection('merchants')
-          .doc(_m)
-          .collection('branches')
-          .doc(_b)
-          .collection('orders')
-          .where('createdAt', isGreaterThanOrEqualTo: Timestamp.fromDate(startDate))
-          .where('createdAt', isLessThanOrEqualTo: Timestamp.fromDate(endDate))
-          .orderBy('createdAt', descending: true);
-
-      final ordersSnapshot = await ordersQuery.get();
-
-      if (kDebugMode) {
-        debugPrint('[Analytics] Found ${ordersSnapshot.docs.length} orders');
-      }
+      final days = await _fetchDays(startDate, endDate);
 
       // Fetch products and categories for enrichment
       final products = await _fetchProducts();
       final categories = await _fetchCategories();
 
-      // Parse orders
-      final orders = ordersSnapshot.docs.map(_parseOrder).toList();
-
       // Compute all metrics
-      final sales = _computeSalesAnalytics(orders);
-      final productPerf = _computeProductPerformance(orders, products);
-      final categoryPerf = _computeCategoryPerformance(orders, products, categories);
-      final hourly = _computeHourlyDistribution(orders);
-      final daily = _computeDailyTrends(orders, startDate, endDate);
-      final customerInsights = _computeCustomerInsights(orders, startDate);
+      final sales = _computeSalesAnalytics(days);
+      final productPerf = _computeProductPerformance(days, products);
+      final categoryPerf = _computeCategoryPerformance(days, products, categories);
+      final hourly = _computeHourlyDistribution(days);
+      final daily = _computeDailyTrends(days, startDate, endDate);
+      final customerInsights = _computeCustomerInsights(days);
 
       return AnalyticsDashboard(
         dateRange: dateRange,
@@ -98,15 +94,114 @@ class AnalyticsService {
     }
   }
 
+  /// One summary per day of the range: the rollup when there is one (never
+  /// for today, which is still changing), otherwise computed from orders.
+  Future<List<_DaySummary>> _fetchDays(DateTime startDate, DateTime endDate) async {
+    final firstDay = DateTime(startDate.year, startDate.month, startDate.day);
+    final lastDay = DateTime(endDate.year, endDate.month, endDate.day);
+    final now = DateTime.now();
+    final today = DateTime(now.year, now.month, now.day);
+
+    final rollupsSnapshot = await _branch
+        .collection('analyticsDaily')
+        .where('date', isGreaterThanOrEqualTo: _dateKey(firstDay))
+        .where('date', isLessThanOrEqualTo: _dateKey(lastDay))
+        .get();
+
+    final rollups = <String, _DaySummary>{
+      for (final doc in rollupsSnapshot.docs)
+        doc.id: _DaySummary.fromRollup(_parseDateKey(doc.id), doc.data()),
+    };
+
+    final days = <_DaySummary>[];
+    final missing = <DateTime>[];
+    for (var day = firstDay; !day.isAfter(lastDay); day = DateTime(day.year, day.month, day.day + 1)) {
+      final rollup = rollups[_dateKey(day)];
+      if (rollup != null && day.isBefore(today)) {
+        days.add(rollup);
+      } else {
+        missing.add(day);
+      }
+    }
+
+    if (kDebugMode) {
+      debugPrint('[Analytics] ${days.length} days from rollups, ${missing.length} from orders');
+    }
+
+    // One orders query per run of consecutive days without a rollup
+    final computed = <_DaySummary>[];
+    var rangeStart = 0;
+    for (var i = 0; i < missing.length; i++) {
+      final endsRun = i == missing.length - 1 ||
+          missing[i + 1] != DateTime(missing[i].year, missing[i].month, missing[i].day + 1);
+      if (!endsRun) continue;
+      computed.addAll(await _summarizeOrders(missing.sublist(rangeStart, i + 1)));
+      rangeStart = i + 1;
+    }
+    await _markNewCustomers(computed);
+    days.addAll(computed);
+
+    days.sort((a, b) => a.date.compareTo(b.date));
+    return days;
+  }
+
+  /// Summaries of consecutive `days` (local midnights), built from their orders.
+  Future<List<_DaySummary>> _summarizeOrders(List<DateTime> days) async {
+    final start = days.first;
+    final end = DateTime(days.last.year, days.last.month, days.last.day + 1);
+    final ordersSnapshot = await _branch
+        .collection('orders')
+        .where('createdAt', isGreaterThanOrEqualTo: Timestamp.fromDate(start))
+        .where('createdAt', isLessThan: Timestamp.fromDate(end))
+        .orderBy('createdAt', descending: true)
+        .get();
+
+    if (kDebugMode) {
+      debugPrint('[Analytics] Found ${ordersSnapshot.docs.length} orders from ${_dateKey(start)}');
+    }
+
+    final summaries = {for (final day in days) day: _DaySummary(date: day)};
+    for (final order in ordersSnapshot.docs.map(_parseOrder)) {
+      final day = DateTime(order.createdAt.year, order.createdAt.month, order.createdAt.day);
+      summaries[day]?.add(order, completed: _completedStatuses.contains(order.status));
+    }
+
+    return summaries.values.toList();
+  }
+
+  /// A customer is new on the day of their first order at the branch, as
+  /// recorded in `customerFirstOrders/{uid}` (written by the worker with the
+  /// first order; customers without one ordered before it existed).
+  Future<void> _markNewCustomers(List<_DaySummary> summaries) async {
+    final userIds = <String>{for (final s in summaries) ...s.customerIds}.toList();
+    final firstOrders = <String, DateTime>{};
+
+    // whereIn takes at most 30 values
+    for (var i = 0; i < userIds.length; i += 30) {
+      final chunk = userIds.sublist(i, i + 30 > userIds.length ? userIds.length : i + 30);
+      final snapshot = await _branch
+          .collection('customerFirstOrders')
+          .where(FieldPath.documentId, whereIn: chunk)
+          .get();
+      for (final doc in snapshot.docs) {
+        final firstOrderAt = (doc.data()['firstOrderAt'] as Timestamp?)?.toDate();
+        if (firstOrderAt != null) firstOrders[doc.id] = firstOrderAt;
+      }
+    }
+
+    for (final summary in summaries) {
+      for (final userId in summary.customerIds) {
+        final firstOrderAt = firstOrders[userId];
+        if (firstOrderAt != null && !firstOrderAt.isBefore(summary.date)) {
+          summary.newCustomerIds.add(userId);
+        }
+      }
+    }
+  }
+
   /// Fetch all products for the branch
   Future<Map<String, Sweet>> _fetchProducts() async {
-    final snapshot = await _fs
-        .collection('merchants')
-        .doc(_m)
-        .collection('branches')
-        .doc(_b)
-        .collection('menuItems')
-        .get();
+    final snapshot = await _branch.collection('menuItems').get();
 
     return Map.fromEntries(
       snapshot.docs.map((doc) => MapEntry(doc.id, Sweet.fromMap(doc.data(), id: doc.id))),
@@ -115,13 +210,7 @@ class AnalyticsService {
 
   /// Fetch all categories for the branch
   Future<Map<String, cat.Category>> _fetchCategories() async {
-    final snapshot = await _fs
-        .collection('merchants')
-        .doc(_m)
-        .collection('branches')
-        .doc(_b)
-        .collection('categories')
-        .get();
+    final snapshot = await _branch.collection('categories').get();
 
     return Map.fromEntries(
       snapshot.docs.map((doc) => MapEntry(doc.id, cat.Category.fromDoc(doc.id, doc.data()))),
@@ -170,71 +259,58 @@ class AnalyticsService {
   }
 
   /// Compute sales analytics
-  SalesAnalytics _computeSalesAnalytics(List<_OrderData> orders) {
-    if (orders.isEmpty) return SalesAnalytics.empty();
-
-    final completedStatuses = {
-      om.OrderStatus.served,
-      om.OrderStatus.ready,
-      om.OrderStatus.preparing,
-      om.OrderStatus.accepted,
-    };
-
-    final completedOrders = orders.where((o) => completedStatuses.contains(o.status)).toList();
-    final cancelledOrders = orders.where((o) => o.status == om.OrderStatus.cancelled).toList();
+  SalesAnalytics _computeSalesAnalytics(List<_DaySummary> days) {
+    final totalOrders = days.fold<int>(0, (sum, d) => sum + d.orderCount);
+    if (totalOrders == 0) return SalesAnalytics.empty();
 
-    final totalRevenue = completedOrders.fold<double>(0, (sum, o) => sum + o.subtotal);
-    final totalItems = completedOrders.fold<int>(
-      0,
-      (sum, o) => sum + o.items.fold<int>(0, (s, i) => s + i.qty),
-    );
+    final completedOrders = days.fold<int>(0, (sum, d) => sum + d.completedOrders);
+    final cancelledOrders = days.fold<int>(0, (sum, d) => sum + d.cancelledOrders);
+    final totalRevenue = days.fold<double>(0, (sum, d) => sum + d.revenue);
+    final totalItems = days.fold<int>(0, (sum, d) => sum + d.itemCount);
 
-    final avgOrderValue = completedOrders.isEmpty ? 0.0 : totalRevenue / completedOrders.length;
-    final completionRate = orders.isEmpty ? 0.0 : (completedOrders.length / orders.length) * 100;
+    final avgOrderValue = completedOrders == 0 ? 0.0 : totalRevenue / completedOrders;
+    final completionRate = (completedOrders / totalOrders) * 100;
 
     return SalesAnalytics(
       totalRevenue: double.parse(totalRevenue.toStringAsFixed(3)),
-      totalOrders: orders.length,
+      totalOrders: totalOrders,
       totalItems: totalItems,
       averageOrderValue: double.parse(avgOrderValue.toStringAsFixed(3)),
-      completedOrders: completedOrders.length,
-      cancelledOrders: cancelledOrders.length,
+      completedOrders: completedOrders,
+      cancelledOrders: cancelledOrders,
       completionRate: double.parse(completionRate.toStringAsFixed(1)),
     );
   }
 
-  /// Compute product performance
-  List<ProductPerformance> _computeProductPerformance(
-    List<_OrderData> orders,
-    Map<String, Sweet> products,
-  ) {
-    final completedStatuses = {
-      om.OrderStatus.served,
-      om.OrderStatus.ready,
-      om.OrderStatus.preparing,
-      om.OrderStatus.accepted,
-    };
-
-    final completedOrders = orders.where((o) => completedStatuses.contains(o.status)).toList();
-
-    // Aggregate by product
+  /// Item totals of completed orders across all days, by product id
+  Map<String, _ProductStats> _mergeItems(List<_DaySummary> days) {
     final Map<String, _ProductStats> stats = {};
-
-    for (final order in completedOrders) {
-      for (final item in order.items) {
-        final existing = stats[item.productId] ?? _ProductStats();
-        stats[item.productId] = _ProductStats(
-          quantitySold: existing.quantitySold + item.qty,
-          revenue: existing.revenue + (item.price * item.qty),
-          orderCount: existing.orderCount + 1,
+    for (final day in days) {
+      for (final e in day.items.entries) {
+        final existing = stats[e.key] ?? _ProductStats(name: e.value.name);
+        stats[e.key] = _ProductStats(
+          name: existing.name,
+          quantitySold: existing.quantitySold + e.value.quantitySold,
+          revenue: existing.revenue + e.value.revenue,
+          orderCount: existing.orderCount + e.value.orderCount,
         );
       }
     }
+    return stats;
+  }
+
+  /// Compute product performance
+  List<ProductPerformance> _computeProductPerformance(
+    List<_DaySummary> days,
+    Map<String, Sweet> products,
+  ) {
+    final stats = _mergeItems(days);
 
     // Convert to performance objects
     final performances = stats.entries.map((e) {
       final product = products[e.key];
-      final name = product?.name ?? 'Unknown Product';
+      final name = product?.name ??
+          (e.value.name.isNotEmpty ? e.value.name : 'Unknown Product');
       final avgQty = e.value.orderCount > 0
           ? e.value.quantitySold / e.value.orderCount
           : 0.0;
@@ -257,37 +333,25 @@ class AnalyticsService {
 
   /// Compute category performance
   List<CategoryPerformance> _computeCategoryPerformance(
-    List<_OrderData> orders,
+    List<_DaySummary> days,
     Map<String, Sweet> products,
     Map<String, cat.Category> categories,
   ) {
-    final completedStatuses = {
-      om.OrderStatus.served,
-      om.OrderStatus.ready,
-      om.OrderStatus.preparing,
-      om.OrderStatus.accepted,
-    };
-
-    final completedOrders = orders.where((o) => completedStatuses.contains(o.status)).toList();
-
     // Aggregate by category
     final Map<String, _CategoryStats> stats = {};
     double totalRevenue = 0;
 
-    for (final order in completedOrders) {
-      for (final item in order.items) {
-        final product = products[item.productId];
-        final categoryId = product?.categoryId ?? 'uncategorized';
-        final revenue = item.price * item.qty;
-        totalRevenue += revenue;
-
-        final existing = stats[categoryId] ?? _CategoryStats();
-        stats[categoryId] = _CategoryStats(
-          quantitySold: existing.quantitySold + item.qty,
-          revenue: existing.revenue + revenue,
-          productIds: {...existing.productIds, item.productId},
-        );
-      }
+    for (final e in _mergeItems(days).entries) {
+      final product = products[e.key];
+      final categoryId = product?.categoryId ?? 'uncategorized';
+      totalRevenue += e.value.revenue;
+
+      final existing = stats[categoryId] ?? _CategoryStats();
+      stats[categoryId] = _CategoryStats(
+        quantitySold: existing.quantitySold + e.value.quantitySold,
+        revenue: existing.revenue + e.value.revenue,
+        productIds: {...existing.productIds, e.key},
+      );
     }
 
     // Convert to performance objects
@@ -313,119 +377,71 @@ class AnalyticsService {
   }
 
   /// Compute hourly distribution
-  List<HourlyDistribution> _computeHourlyDistribution(List<_OrderData> orders) {
-    final Map<int, _HourStats> hourStats = {};
-
-    for (final order in orders) {
-      final hour = order.createdAt.hour;
-      final existing = hourStats[hour] ?? _HourStats();
-      hourStats[hour] = _HourStats(
-        orderCount: existing.orderCount + 1,
-        revenue: existing.revenue + order.subtotal,
-      );
-    }
-
+  List<HourlyDistribution> _computeHourlyDistribution(List<_DaySummary> days) {
     // Create list for all 24 hours
     return List.generate(24, (hour) {
-      final stats = hourStats[hour] ?? _HourStats();
+      final orderCount = days.fold<int>(0, (sum, d) => sum + d.hourly[hour].orderCount);
+      final revenue = days.fold<double>(0, (sum, d) => sum + d.hourly[hour].revenue);
       return HourlyDistribution(
         hour: hour,
-        orderCount: stats.orderCount,
-        revenue: double.parse(stats.revenue.toStringAsFixed(3)),
+        orderCount: orderCount,
+        revenue: double.parse(revenue.toStringAsFixed(3)),
       );
     });
   }
 
   /// Compute daily trends
   List<DailyTrend> _computeDailyTrends(
-    List<_OrderData> orders,
+    List<_DaySummary> days,
     DateTime startDate,
     DateTime endDate,
   ) {
-    final completedStatuses = {
-      om.OrderStatus.served,
-      om.OrderStatus.ready,
-      om.OrderStatus.preparing,
-      om.OrderStatus.accepted,
-    };
-
-    final completedOrders = orders.where((o) => completedStatuses.contains(o.status)).toList();
-
-    // Aggregate by date
-    final Map<String, _DayStats> dayStats = {};
-
-    for (final order in completedOrders) {
-      final dateKey = _dateKey(order.createdAt);
-      final existing = dayStats[dateKey] ?? _DayStats(date: order.createdAt);
-      dayStats[dateKey] = _DayStats(
-        date: order.createdAt,
-        revenue: existing.revenue + order.subtotal,
-        orderCount: existing.orderCount + 1,
-      );
-    }
+    final byDate = {for (final d in days) _dateKey(d.date): d};
 
     // Fill in missing days with zero values
-    final days = endDate.difference(startDate).inDays + 1;
+    final dayCount = endDate.difference(startDate).inDays + 1;
     final trends = <DailyTrend>[];
 
-    for (var i = 0; i < days; i++) {
+    for (var i = 0; i < dayCount; i++) {
       final date = startDate.add(Duration(days: i));
-      final dateKey = _dateKey(date);
-      final stats = dayStats[dateKey] ?? _DayStats(date: date);
+      final summary = byDate[_dateKey(date)];
 
       trends.add(DailyTrend(
         date: DateTime(date.year, date.month, date.day),
-        revenue: double.parse(stats.revenue.toStringAsFixed(3)),
-        orderCount: stats.orderCount,
+        revenue: double.parse((summary?.revenue ?? 0).toStringAsFixed(3)),
+        orderCount: summary?.completedOrders ?? 0,
       ));
     }
 
     return trends;
   }
 
-  String _dateKey(DateTime date) => '${date.year}-${date.month}-${date.day}';
-
-  /// Compute customer insights
-  CustomerInsights _computeCustomerInsights(
-    List<_OrderData> orders,
-    DateTime periodStart,
-  ) {
-    if (orders.isEmpty) return CustomerInsights.empty();
-
-    // Group orders by user
-    final Map<String, List<_OrderData>> ordersByUser = {};
-    for (final order in orders) {
-      ordersByUser.putIfAbsent(order.userId, () => []).add(order);
-    }
+  /// yyyy-mm-dd, the rollup document id
+  String _dateKey(DateTime date) =>
+      '${date.year.toString().padLeft(4, '0')}-${date.month.toString().padLeft(2, '0')}-${date.day.toString().padLeft(2, '0')}';
 
-    final totalCustomers = ordersByUser.length;
+  DateTime _parseDateKey(String key) {
+    final parts = key.split('-').map(int.parse).toList();
+    return DateTime(parts[0], parts[1], parts[2]);
+  }
 
-    // Determine new vs returning (need orders before period start)
-    // For now, simplified: users with 1 order = new, >1 = returning
-    int newCustomers = 0;
-    int returningCustomers = 0;
+  /// Compute customer insights
+  CustomerInsights _computeCustomerInsights(List<_DaySummary> days) {
+    // Distinct customers over the range; new = first order at the branch in the range
+    final customers = <String>{for (final d in days) ...d.customerIds};
+    if (customers.isEmpty) return CustomerInsights.empty();
 
-    for (final userOrders in ordersByUser.values) {
-      if (userOrders.length == 1) {
-        newCustomers++;
-      } else {
-        returningCustomers++;
-      }
-    }
+    final newCustomers = <String>{for (final d in days) ...d.newCustomerIds}.length;
+    final totalCustomers = customers.length;
+    final returningCustomers = totalCustomers - newCustomers;
 
-    final retentionRate = totalCustomers > 0
-        ? (returningCustomers / totalCustomers) * 100
-        : 0.0;
+    final retentionRate = (returningCustomers / totalCustomers) * 100;
 
-    final totalOrders = orders.length;
-    final avgOrdersPerCustomer = totalCustomers > 0
-        ? totalOrders / totalCustomers
-        : 0.0;
+    final totalOrders = days.fold<int>(0, (sum, d) => sum + d.orderCount);
+    final avgOrdersPerCustomer = totalOrders / totalCustomers;
 
-    final totalRevenue = orders.fold<double>(0, (sum, o) => sum + o.subtotal);
-    final avgLifetimeValue = totalCustomers > 0
-        ? totalRevenue / totalCustomers
-        : 0.0;
+    final totalRevenue = days.fold<double>(0, (sum, d) => sum + d.revenue);
+    final avgLifetimeValue = totalRevenue / totalCustomers;
 
     return CustomerInsights(
       totalCustomers: totalCustomers,
@@ -472,11 +488,13 @@ class _OrderItemData {
 }
 
 class _ProductStats {
+  final String name;
   final int quantitySold;
   final double revenue;
   final int orderCount;
 
   _ProductStats({
+    this.name = '',
     this.quantitySold = 0,
     this.revenue = 0,
     this.orderCount = 0,
@@ -502,16 +520,84 @@ class _HourStats {
   _HourStats({this.orderCount = 0, this.revenue = 0});
 }
 
-class _DayStats {
+/// One day of the range, from an analyticsDaily rollup or from orders
+class _DaySummary {
   final DateTime date;
-  final double revenue;
-  final int orderCount;
+  int orderCount = 0;
+  int completedOrders = 0;
+  int cancelledOrders = 0;
+  int itemCount = 0;
+  double revenue = 0;
+  final Map<String, _ProductStats> items = {};
+  final List<_HourStats> hourly = List.generate(24, (_) => _HourStats());
+  final Set<String> customerIds = {};
+  final Set<String> newCustomerIds = {};
+
+  _DaySummary({required this.date});
+
+  factory _DaySummary.fromRollup(DateTime date, Map<String, dynamic> data) {
+    num n(dynamic v) => v is num ? v : 0;
+
+    final summary = _DaySummary(date: date)
+      ..orderCount = n(data['orderCount']).toInt()
+      ..completedOrders = n(data['completedOrders']).toInt()
+      ..cancelledOrders = n(data['cancelledOrders']).toInt()
+      ..itemCount = n(data['itemCount']).toInt()
+      ..revenue = n(data['revenue']).toDouble();
+
+    for (final m in ((data['items'] as List<dynamic>?) ?? []).whereType<Map<String, dynamic>>()) {
+      final productId = (m['productId'] as String?) ?? '';
+      if (productId.isEmpty) continue;
+      summary.items[productId] = _ProductStats(
+        name: (m['name'] as String?) ?? '',
+        quantitySold: n(m['qty']).toInt(),
+        revenue: n(m['revenue']).toDouble(),
+        orderCount: n(m['orders']).toInt(),
+      );
+    }
 
-  _DayStats({
-    required this.date,
-    this.revenue = 0,
-    this.orderCount = 0,
-  });
+    for (final m in ((data['hourly'] as List<dynamic>?) ?? []).whereType<Map<String, dynamic>>()) {
+      final hour = n(m['hour']).toInt();
+      if (hour < 0 || hour > 23) continue;
+      summary.hourly[hour] = _HourStats(
+        orderCount: n(m['orders']).toInt(),
+        revenue: n(m['revenue']).toDouble(),
+      );
+    }
+
+    summary.customerIds.addAll(((data['customerIds'] as List<dynamic>?) ?? []).whereType<String>());
+    summary.newCustomerIds.addAll(((data['newCustomerIds'] as List<dynamic>?) ?? []).whereType<String>());
+    return summary;
+  }
+
+  /// Same rules as the worker's rollup: revenue and items count completed orders only.
+  void add(_OrderData order, {required bool completed}) {
+    orderCount++;
+    if (order.status == om.OrderStatus.cancelled) cancelledOrders++;
+    if (order.userId.isNotEmpty) customerIds.add(order.userId);
+
+    final hour = order.createdAt.hour;
+    hourly[hour] = _HourStats(
+      orderCount: hourly[hour].orderCount + 1,
+      revenue: hourly[hour].revenue + (completed ? order.subtotal : 0),
+    );
+
+    if (!completed) return;
+
+    completedOrders++;
+    revenue += order.subtotal;
+    for (final item in order.items) {
+      if (item.productId.isEmpty) continue;
+      final existing = items[item.productId] ?? _ProductStats(name: item.name);
+      items[item.productId] = _ProductStats(
+        name: existing.name,
+        quantitySold: existing.quantitySold + item.qty,
+        revenue: existing.revenue + (item.price * item.qty),
+        orderCount: existing.orderCount + 1,
+      );
+      itemCount += item.qty;
+    }
+  }
 }
 
 /// Riverpod provider for analytics service
@@ -13,6 +13,7 @@ import '../../orders/data/active_orders_service.dart'
 import '../../orders/screens/order_status_page.dart';
 
 import '../../../core/config/app_config.dart';
+import '../../../core/services/image_service.dart';
 
 // Loyalty system
 import '../../loyalty/data/loyalty_models.dart';
@@ -204,9 +205,6 @@ class _CartSheetState extends ConsumerState<CartSheet> {
         table: orderTable,
         customerPhone: config.phoneRequired ? _checkoutData.phone : null,
         customerCarPlate: orderCarPlate,
-        loyaltyDiscount: loyaltySettings.enabled
-            ? _checkoutData.discount
-            : null,
         loyaltyPointsUsed: loyaltySettings.enabled
             ? _checkoutData.pointsToUse
             : null,
@@ -224,24 +222,8 @@ class _CartSheetState extends ConsumerState<CartSheet> {
         }
       }
 
-      // Redeem points (if using points for discount)
-      if (loyaltySettings.enabled &&
-          _checkoutData.pointsToUse > 0 &&
-          _checkoutData.phone.isNotEmpty) {
-        final loyaltyService = ref.read(loyaltyServiceProvider);
-        try {
-          await loyaltyService.redeemPoints(
-            phone: _checkoutData.phone,
-            pointsToRedeem: _checkoutData.pointsToUse,
-            orderId: order.orderId,
-          );
-        } catch (e) {
-          debugPrint('[Cart] Failed to redeem points: $e');
-          // Continue anyway - order is already created
-        }
-      }
-
-      // NOTE: Points are awarded when order is marked as 'served' in merchant dashboard
+      // Points used for the discount were reserved by the worker with the order.
+      // Points are earned when the order is marked as 'served' in merchant dashboard
 
       // Clear the cart after successful order
       ref.read(cartControllerProvider.notifier).clear();
@@ -844,7 +826,7 @@ class _CartRow extends ConsumerWidget {
     if (src.isEmpty) return const SizedBox.shrink();
     if (_looksLikeNetwork(src)) {
       return Image.network(
-        src,
+        ImageService.variantUrl(src, ImageVariant.thumb),
         fit: BoxFit.contain,
         filterQuality: FilterQuality.high,
         gaplessPlayback: true,
@@ -166,7 +166,7 @@ class LoyaltySettings {
 class PointsTransaction {
   final String transactionId;
   final String phone;
-  final String type; // 'earned' or 'redeemed'
+  final String type; // 'earned', 'redeemed' or 'refunded'
   final int points;
   final String? orderId;
   final DateTime createdAt;
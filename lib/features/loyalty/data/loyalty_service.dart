@@ -1,8 +1,13 @@
+import 'dart:convert';
+
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:flutter/foundation.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
+import 'package:http/http.dart' as http;
 
 import 'loyalty_models.dart';
+import '../../../core/config/email_config.dart';
 import '../../../core/config/slug_routing.dart';
 
 /// Service for managing loyalty points and customer profiles
@@ -121,155 +126,34 @@ class LoyaltyService {
     }
   }
 
-  /// Award points for an order (called after order creation)
-  Future<void> awardPoints({
-    required String phone,
-    required String carPlate,
-    required double orderAmount,
-    required String orderId,
-  }) async {
+  /// Settles an order's loyalty points through the worker
+  /// (POST /loyalty/settle): earns points once the order is served and
+  /// refunds the points reserved at checkout once it is cancelled.
+  ///
+  /// Balances and pointsTransactions are only written by the worker.
+  /// Safe to call more than once for the same order.
+  Future<void> settleOrder(String orderId) async {
     try {
-      final settings = await getLoyaltySettings();
-      if (!settings.enabled) return;
-
-      final pointsEarned = settings.calculatePointsEarned(orderAmount);
-      if (pointsEarned <= 0) return;
-
-      final normalizedPhone = _normalizePhone(phone);
-      final normalizedCarPlate = carPlate.trim().toUpperCase();
-
-      final customerRef = _fs
-          .collection('merchants')
-          .doc(_m)
-          .collection('branches')
-          .doc(_b)
-          .collection('customers')
-          .doc(normalizedPhone);
-
-      await _fs.runTransaction((transaction) async {
-        final customerDoc = await transaction.get(customerRef);
-
-        if (customerDoc.exists) {
-          // Update existing customer
-          final current = CustomerProfile.fromMap(customerDoc.data()!);
-          final updated = current.copyWith(
-            carPlate: normalizedCarPlate,
-            points: current.points + pointsEarned,
-            totalSpent: current.totalSpent + orderAmount,
-            orderCount: current.orderCount + 1,
-            lastOrderAt: DateTime.now(),
-          );
-          transaction.update(customerRef, updated.toMap());
-        } else {
-          // Create new customer
-          final newCustomer = CustomerProfile(
-            phone: normalizedPhone,
-            carPlate: normalizedCarPlate,
-            points: pointsEarned,
-            totalSpent: orderAmount,
-            orderCount: 1,
-            lastOrderAt: DateTime.now(),
-          );
-          transaction.set(customerRef, newCustomer.toMap());
-        }
-
-        // Log transaction
-        final transactionRef = _fs
-            .collection('merchants')
-            .doc(_m)
-            .collection('branches')
-            .doc(_b)
-            .collection('pointsTransactions')
-            .doc();
-
-        transaction.set(transactionRef, {
-          'phone': normalizedPhone,
-          'type': 'earned',
-          'points': pointsEarned,
-          'orderId': orderId,
-          'createdAt': FieldValue.serverTimestamp(),
-          'note': 'Earned $pointsEarned points from order $orderId',
-        });
-      });
-
-      if (kDebugMode) {
-        debugPrint('[LoyaltyService] Awarded $pointsEarned points to $normalizedPhone');
+      final idToken = await FirebaseAuth.instance.currentUser?.getIdToken();
+      final response = await http.post(
+        Uri.parse('${EmailConfig.workerUrl}/loyalty/settle'),
+        headers: {
+          'Content-Type': 'application/json',
+          if (idToken != null) 'Authorization': 'Bearer $idToken',
+        },
+        body: jsonEncode({'merchantId': _m, 'branchId': _b, 'orderId': orderId}),
+      );
+
+      if (response.statusCode != 200) {
+        throw Exception('Loyalty settle failed (HTTP ${response.statusCode}): ${response.body}');
       }
-    } catch (e, st) {
-      if (kDebugMode) {
-        debugPrint('[LoyaltyService] Error awarding points: $e\n$st');
-      }
-      rethrow;
-    }
-  }
-
-  /// Redeem points (called during checkout)
-  Future<void> redeemPoints({
-    required String phone,
-    required int pointsToRedeem,
-    required String orderId,
-  }) async {
-    try {
-      final settings = await getLoyaltySettings();
-      if (!settings.enabled) {
-        throw Exception('Loyalty program is not enabled');
-      }
-
-      if (pointsToRedeem < settings.minPointsToRedeem) {
-        throw Exception('Minimum ${settings.minPointsToRedeem} points required to redeem');
-      }
-
-      final normalizedPhone = _normalizePhone(phone);
-      final customerRef = _fs
-          .collection('merchants')
-          .doc(_m)
-          .collection('branches')
-          .doc(_b)
-          .collection('customers')
-          .doc(normalizedPhone);
-
-      await _fs.runTransaction((transaction) async {
-        final customerDoc = await transaction.get(customerRef);
-
-        if (!customerDoc.exists) {
-          throw Exception('Customer not found');
-        }
-
-        final current = CustomerProfile.fromMap(customerDoc.data()!);
-
-        if (current.points < pointsToRedeem) {
-          throw Exception('Insufficient points (have: ${current.points}, need: $pointsToRedeem)');
-        }
-
-        // Deduct points
-        final updated = current.copyWith(points: current.points - pointsToRedeem);
-        transaction.update(customerRef, updated.toMap());
-
-        // Log transaction
-        final transactionRef = _fs
-            .collection('merchants')
-            .doc(_m)
-            .collection('branches')
-            .doc(_b)
-            .collection('pointsTransactions')
-            .doc();
-
-        transaction.set(transactionRef, {
-          'phone': normalizedPhone,
-          'type': 'redeemed',
-          'points': -pointsToRedeem,
-          'orderId': orderId,
-          'createdAt': FieldValue.serverTimestamp(),
-          'note': 'Redeemed $pointsToRedeem points for order $orderId',
-        });
-      });
 
       if (kDebugMode) {
-        debugPrint('[LoyaltyService] Redeemed $pointsToRedeem points from $normalizedPhone');
+        debugPrint('[LoyaltyService] Settled order $orderId: ${response.body}');
       }
     } catch (e, st) {
       if (kDebugMode) {
-        debugPrint('[LoyaltyService] Error redeeming points: $e\n$st');
+        debugPrint('[LoyaltyService] Error settling order: $e\n$st');
       }
       rethrow;
     }
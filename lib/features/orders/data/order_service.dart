@@ -1,4 +1,5 @@
 import 'dart:async';
+import 'dart:convert';
 
 import 'package:flutter/foundation.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
@@ -8,14 +9,17 @@ import 'order_models.dart' as om;
 
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:firebase_auth/firebase_auth.dart';
+import 'package:http/http.dart' as http;
 
+import '../../../core/config/email_config.dart';
 import '../../../core/config/slug_routing.dart';
 import '../../../core/models/bahrain_address.dart';
 
 typedef Json = Map<String, dynamic>;
 
-/// OrderService (FREE plan):
-/// - createOrder(): writes directly to Firestore (no Cloud Functions).
+/// OrderService:
+/// - createOrder(): places the order through the Cloudflare Worker (POST /orders).
+/// - updateStatus(): staff status changes through the worker (POST /orders/status).
 /// - watchOrder(): streams the order doc from Firestore.
 class OrderService {
   OrderService({required this.merchantId, required this.branchId});
@@ -28,14 +32,12 @@ class OrderService {
   String get _m => merchantId;
   String get _b => branchId;
 
-  /// Creates an order by writing to Firestore (server-authoritative rules).
+  /// Places an order through the worker (POST /orders).
   ///
-  /// Firestore Rules will validate:
-  /// - userId matches current uid
-  /// - status == "pending"
-  /// - merchantId / branchId match path
-  /// - items is a non-empty list (bounded)
-  /// - Only staff can later update `status`
+  /// Only product IDs, quantities and notes are sent. The worker prices the
+  /// items from menuItems, rejects inactive ones, recomputes the loyalty
+  /// discount for [loyaltyPointsUsed] and allocates `orderNo`; the returned
+  /// order carries those server values.
   ///
   /// Validates fulfillment requirements:
   /// - carPickup requires customerCarPlate
@@ -47,12 +49,12 @@ class OrderService {
     String? table,
     String? customerPhone,
     String? customerCarPlate,
-    double? loyaltyDiscount,
+    String? customerEmail,
     int? loyaltyPointsUsed,
     Map<String, dynamic>? customerAddress,
   }) async {
-    final uid = FirebaseAuth.instance.currentUser?.uid;
-    if (uid == null) {
+    final user = FirebaseAuth.instance.currentUser;
+    if (user == null) {
       throw StateError('Not signed in; initialize anonymous auth first.');
     }
     if (items.isEmpty) {
@@ -85,13 +87,6 @@ class OrderService {
         break;
     }
 
-    // Subtotal rounded to 3 decimals (BHD)
-    final subtotal = double.parse(
-      items
-          .fold<num>(0, (s, it) => s + (it.price * it.qty))
-          .toStringAsFixed(3),
-    );
-
     try {
       if (kDebugMode) {
         debugPrint(
@@ -99,82 +94,59 @@ class OrderService {
         );
       }
 
-      final doc = _fs
-          .collection('merchants')
-          .doc(_m)
-          .collection('branches')
-          .doc(_b)
-          .collection('orders')
-          .doc();
-
-      // Get next order number using transaction
-      final counterDoc = _fs
-          .collection('merchants')
-          .doc(_m)
-          .collection('branches')
-          .doc(_b)
-          .collection('counters')
-          .doc('orders');
-
-      final String orderNo = await _fs.runTransaction<String>((transaction) async {
-        final counterSnap = await transaction.get(counterDoc);
-        final currentCount = counterSnap.exists ? (counterSnap.data()?['count'] ?? 0) : 0;
-        final nextCount = currentCount + 1;
-
-        // Update counter
-        transaction.set(counterDoc, {'count': nextCount}, SetOptions(merge: true));
-
-        // Format as ORD-001, ORD-002, etc.
-        return 'ORD-${nextCount.toString().padLeft(3, '0')}';
-      });
-
-      await doc.set({
-        'merchantId': _m,
-        'branchId': _b,
-        'userId': uid,
-        'status': 'pending',
-        'fulfillmentType': fulfillmentType.toFirestore(), // NEW: Canonical fulfillment type
-        'items': items.map((e) => {
-              'productId': e.productId,
-              'name': e.name,
-              'price': e.price,
-              'qty': e.qty,
-              if ((e.note ?? '').trim().isNotEmpty) 'note': e.note!.trim(),
-            }).toList(),
-        'subtotal': subtotal,
-        'currency': 'BHD',
-        'table': table,
-        'createdAt': FieldValue.serverTimestamp(),
-        'orderNo': orderNo, // Add generated order number
-        // Loyalty fields (optional)
-        if (customerPhone != null) 'customerPhone': customerPhone,
-        if (customerCarPlate != null) 'customerCarPlate': customerCarPlate,
-        if (loyaltyDiscount != null) 'loyaltyDiscount': loyaltyDiscount,
-        if (loyaltyPointsUsed != null) 'loyaltyPointsUsed': loyaltyPointsUsed,
-        // NEW: Additional checkout fields (optional)
-        if (customerAddress != null) 'customerAddress': customerAddress,
-        // WhatsApp notification tracking flags
-        'notifications': {
-          'waNewSent': false,
-          'waCancelSent': false,
+      final idToken = await user.getIdToken();
+      final response = await http.post(
+        Uri.parse('${EmailConfig.workerUrl}/orders'),
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer $idToken',
         },
-      });
-
-    return om.Order(
-      orderId: doc.id,
-      orderNo: orderNo,
-      status: om.OrderStatus.pending,
-      createdAt: DateTime.now(),
-      items: items,
-      subtotal: subtotal,
-      fulfillmentType: fulfillmentType,
-      table: table,
-      customerPhone: customerPhone,
-      customerCarPlate: customerCarPlate,
-      loyaltyDiscount: loyaltyDiscount,
-      loyaltyPointsUsed: loyaltyPointsUsed,
-      customerAddress: customerAddress != null ? BahrainAddress.fromMap(customerAddress) : null,
-    );
+        body: jsonEncode({
+          'merchantId': _m,
+          'branchId': _b,
+          'fulfillmentType': fulfillmentType.toFirestore(),
+          'items': items.map((e) => {
+                'productId': e.productId,
+                'qty': e.qty,
+                if ((e.note ?? '').trim().isNotEmpty) 'note': e.note!.trim(),
+              }).toList(),
+          if (table != null) 'table': table,
+          if (customerPhone != null) 'customerPhone': customerPhone,
+          if (customerCarPlate != null) 'customerCarPlate': customerCarPlate,
+          if (customerEmail != null) 'customerEmail': customerEmail,
+          if (loyaltyPointsUsed != null && loyaltyPointsUsed > 0)
+            'loyaltyPointsUsed': loyaltyPointsUsed,
+          if (customerAddress != null) 'customerAddress': customerAddress,
+        }),
+      );
+
+      final Json data;
+      try {
+        data = _safeJson(jsonDecode(response.body));
+      } catch (_) {
+        throw StateError('Order service unavailable (HTTP ${response.statusCode}).');
+      }
+      if (response.statusCode != 200 || data['success'] != true) {
+        throw StateError(_asString(data['error'], fallback: 'Could not place order.'));
+      }
+
+      final List<dynamic> rawItems = (data['items'] as List?) ?? const [];
+
+      return om.Order(
+        orderId: _asString(data['orderId']),
+        orderNo: _asString(data['orderNo'], fallback: '—'),
+        status: om.OrderStatus.pending,
+        createdAt: DateTime.now(),
+        items: rawItems.whereType<Map>().map((m) => _itemFromMap(_safeJson(m))).toList(),
+        subtotal: _asNum(data['subtotal']).toDouble(),
+        fulfillmentType: fulfillmentType,
+        table: table,
+        customerPhone: customerPhone,
+        customerCarPlate: customerCarPlate,
+        loyaltyDiscount: data['loyaltyDiscount'] != null ? _asNum(data['loyaltyDiscount']).toDouble() : null,
+        loyaltyPointsUsed: data['loyaltyPointsUsed'] != null ? _asNum(data['loyaltyPointsUsed']).toInt() : null,
+        customerAddress: customerAddress != null ? BahrainAddress.fromMap(customerAddress) : null,
+      );
     } catch (e, st) {
       if (kDebugMode) {
         debugPrint('createOrder(): Unexpected error: $e\n$st');
@@ -183,6 +155,44 @@ class OrderService {
     }
   }
 
+  /// Moves [orderId] to [status] through the worker (POST /orders/status),
+  /// which checks the transition, records who made it in the order's history
+  /// and settles loyalty points on served/cancelled. Branch staff only.
+  Future<void> updateStatus(
+    String orderId,
+    om.OrderStatus status, {
+    String? reason,
+  }) async {
+    final user = FirebaseAuth.instance.currentUser;
+    if (user == null) throw StateError('Not signed in.');
+
+    final idToken = await user.getIdToken();
+    final response = await http.post(
+      Uri.parse('${EmailConfig.workerUrl}/orders/status'),
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer $idToken',
+      },
+      body: jsonEncode({
+        'merchantId': _m,
+        'branchId': _b,
+        'orderId': orderId,
+        'status': status.name,
+        if (reason != null && reason.trim().isNotEmpty) 'reason': reason.trim(),
+      }),
+    );
+
+    final Json data;
+    try {
+      data = _safeJson(jsonDecode(response.body));
+    } catch (_) {
+      throw StateError('Order service unavailable (HTTP ${response.statusCode}).');
+    }
+    if (response.statusCode != 200 || data['success'] != true) {
+      throw StateError(_asString(data['error'], fallback: 'Could not update the order.'));
+    }
+  }
+
   /// Live stream of the order document.
   Stream<om.Order> watchOrder(String orderId) {
     final docRef = _orderDoc(orderId);
@@ -1,6 +1,8 @@
 import 'dart:math' as math;
 import 'package:flutter/material.dart';
 
+import '../../../core/services/image_service.dart';
+
 class SweetImage extends StatelessWidget {
   final String imageAsset;     // Can be a local asset path OR a full http(s)/data URL (even percent-encoded)
   final bool isActive;
@@ -39,6 +41,7 @@ class SweetImage extends StatelessWidget {
           dimension: side,
           child: RepaintBoundary(
             child: _smartImage(
+              context,
               imageAsset,
               fit: BoxFit.contain,
               side: side,
@@ -72,6 +75,7 @@ class SweetImage extends StatelessWidget {
   /// Loads either a network image (Cloudinary) or a local asset.
   /// Safely handles percent-encoded URLs and provides a soft placeholder if loading fails or empty.
   Widget _smartImage(
+    BuildContext context,
     String src, {
     required BoxFit fit,
     required double side,
@@ -80,8 +84,13 @@ class SweetImage extends StatelessWidget {
     if (cleaned.isEmpty) return _placeholder(side);
 
     if (_looksLikeNetwork(cleaned)) {
+      // The menu card size, not the uploaded original (see ImageService)
       return Image.network(
-        cleaned,
+        ImageService.variantUrl(
+          cleaned,
+          ImageVariant.card,
+          devicePixelRatio: MediaQuery.devicePixelRatioOf(context),
+        ),
         fit: fit,
         errorBuilder: (_, __, ___) => _placeholder(side),
       );
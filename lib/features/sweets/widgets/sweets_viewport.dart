@@ -18,6 +18,7 @@ import '../../categories/data/category.dart';
 // branding (for logo + nutrition note)
 import '../../../core/branding/branding_providers.dart';
 import '../../../core/branding/branding.dart';
+import '../../../core/services/image_service.dart';
 
 class SweetsViewport extends ConsumerStatefulWidget {
   final GlobalKey cartBadgeKey; // AppBar cart button key for fly animation end
@@ -729,7 +730,10 @@ class _SweetsViewportState extends ConsumerState<SweetsViewport>
                     child: (productImageUrl?.isNotEmpty ?? false)
                         ? ClipOval(
                             child: Image.network(
-                              productImageUrl!,
+                              ImageService.variantUrl(
+                                productImageUrl!,
+                                ImageVariant.thumb,
+                              ),
                               fit: BoxFit.cover,
                               errorBuilder: (_, __, ___) =>
                                   const Icon(Icons.shopping_bag_outlined),
@@ -1183,7 +1187,11 @@ class _LogoCard extends StatelessWidget {
       ),
       child: Center(
         child: Image.network(
-          url,
+          ImageService.variantUrl(
+            url,
+            ImageVariant.thumb,
+            devicePixelRatio: MediaQuery.devicePixelRatioOf(context),
+          ),
           width: icon,
           height: icon,
           fit: BoxFit.contain,
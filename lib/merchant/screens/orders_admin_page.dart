@@ -1,13 +1,11 @@
 // lib/merchant/screens/orders_admin_page.dart
 import 'package:cloud_firestore/cloud_firestore.dart';
-import 'package:firebase_auth/firebase_auth.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 
 import '../../core/branding/branding_providers.dart';
-import '../../core/services/role_service.dart';
 import '../../features/orders/data/order_models.dart' as om;
-import '../../features/loyalty/data/loyalty_service.dart';
+import '../../features/orders/data/order_service.dart';
 
 /// ===== Filters =====
 enum OrdersFilter { all, pending, preparing, ready, served, cancelled }
@@ -97,6 +95,9 @@ class _AdminOrder {
   // Cancellation
   final String? cancellationReason;
 
+  // WhatsApp alert that the worker gave up on (dead-lettered), if any
+  final String? notificationFailure;
+
   _AdminOrder({
     required this.id,
     required this.orderNo,
@@ -112,6 +113,7 @@ class _AdminOrder {
     this.loyaltyPointsUsed,
     this.customerAddress,
     this.cancellationReason,
+    this.notificationFailure,
   });
 }
 
@@ -225,11 +227,41 @@ final ordersStreamProvider =
         loyaltyPointsUsed: loyaltyPointsUsed,
         customerAddress: addressStr,
         cancellationReason: (data['cancellationReason'] as String?)?.trim(),
+        notificationFailure: _notificationFailure(data['notifications']),
       );
     }).toList();
   });
 });
 
+/// Describes a WhatsApp alert the worker stopped retrying (status "failed")
+/// or that Twilio reported as undelivered (deliveryStatus "failed")
+String? _notificationFailure(Object? notifications) {
+  if (notifications is! Map) return null;
+  String? describe(String prefix, String label) {
+    // Fan-out: one entry per recipient (kitchen, manager, driver, ...)
+    final perRecipient = notifications['${prefix}To'];
+    if (perRecipient is Map) {
+      final failed = perRecipient.entries
+          .where((e) =>
+              e.value is Map &&
+              (e.value['status'] == 'failed' || e.value['deliveryStatus'] == 'failed'))
+          .map((e) => e.key as String)
+          .toList();
+      if (failed.isNotEmpty) return '$label alert failed for ${failed.join(', ')}';
+    }
+
+    if (notifications['${prefix}DeliveryStatus'] == 'failed') {
+      final code = notifications['${prefix}DeliveryErrorCode'];
+      return code == null ? '$label alert not delivered' : '$label alert not delivered (error $code)';
+    }
+    if (notifications['${prefix}Status'] != 'failed') return null;
+    final error = (notifications['${prefix}LastError'] as String?)?.trim();
+    return error == null || error.isEmpty ? '$label alert failed' : '$label alert failed: $error';
+  }
+
+  return describe('waNew', 'New order') ?? describe('waCancel', 'Cancellation');
+}
+
 /// ===== Status helpers =====
 /// Format address map into a readable string
 String? _formatAddress(Map<String, dynamic> addressMap) {
@@ -596,6 +628,15 @@ class _OrderTile extends ConsumerWidget {
                     const SizedBox(width: 12),
                   ],
 
+                  // Failed WhatsApp alert indicator
+                  if (order.notificationFailure != null) ...[
+                    Tooltip(
+                      message: order.notificationFailure!,
+                      child: const Icon(Icons.notifications_off, size: 16, color: Colors.red),
+                    ),
+                    const SizedBox(width: 12),
+                  ],
+
                   // Loyalty discount indicator
                   if (order.loyaltyDiscount != null && order.loyaltyDiscount! > 0) ...[
                     Icon(Icons.loyalty, size: 16, color: Colors.orange),
@@ -1318,42 +1359,11 @@ class _QuickActionsState extends ConsumerState<_QuickActions> {
 
   Future<void> _acceptAndStartPreparing() async {
     setState(() => _busy = true);
-    final m = ref.read(merchantIdProvider);
-    final b = ref.read(branchIdProvider);
-    final doc = FirebaseFirestore.instance
-        .collection('merchants')
-        .doc(m)
-        .collection('branches')
-        .doc(b)
-        .collection('orders')
-        .doc(widget.order.id);
-
-    // Get current user info for audit logging
-    final currentUser = FirebaseAuth.instance.currentUser;
-    final roleData = ref.read(currentUserRoleProvider).value;
-    final auditFields = <String, dynamic>{};
-
-    if (currentUser != null) {
-      auditFields['updatedByUid'] = currentUser.uid;
-      if (roleData != null) {
-        auditFields['updatedByRole'] = roleData.role.name;
-        auditFields['updatedByEmail'] = roleData.email;
-      }
-    }
-
     try {
-      await doc.update({
-        'status': _toFirestore(om.OrderStatus.accepted),
-        'acceptedAt': FieldValue.serverTimestamp(),
-        'updatedAt': FieldValue.serverTimestamp(),
-        ...auditFields,
-      });
-      await doc.update({
-        'status': _toFirestore(om.OrderStatus.preparing),
-        'preparingAt': FieldValue.serverTimestamp(),
-        'updatedAt': FieldValue.serverTimestamp(),
-        ...auditFields,
-      });
+      // Two steps so the order's history shows who accepted it
+      final orders = _orderService();
+      await orders.updateStatus(widget.order.id, om.OrderStatus.accepted);
+      await orders.updateStatus(widget.order.id, om.OrderStatus.preparing);
     } finally {
       if (mounted) setState(() => _busy = false);
     }
@@ -1423,82 +1433,21 @@ class _QuickActionsState extends ConsumerState<_QuickActions> {
     }
 
     setState(() => _busy = true);
-    final m = ref.read(merchantIdProvider);
-    final b = ref.read(branchIdProvider);
-    final doc = FirebaseFirestore.instance
-        .collection('merchants')
-        .doc(m)
-        .collection('branches')
-        .doc(b)
-        .collection('orders')
-        .doc(widget.order.id);
-
-    // Get current user info for audit logging
-    final currentUser = FirebaseAuth.instance.currentUser;
-    final roleData = ref.read(currentUserRoleProvider).value;
-
     try {
-      final payload = <String, dynamic>{
-        'status': _toFirestore(newStatus),
-        'updatedAt': FieldValue.serverTimestamp(),
-      };
-
-      // Add audit logging fields
-      if (currentUser != null) {
-        payload['updatedByUid'] = currentUser.uid;
-        if (roleData != null) {
-          payload['updatedByRole'] = roleData.role.name;
-          payload['updatedByEmail'] = roleData.email;
-        }
-      }
-
-      switch (newStatus) {
-        case om.OrderStatus.preparing:
-          payload['preparingAt'] = FieldValue.serverTimestamp();
-          break;
-        case om.OrderStatus.ready:
-          payload['readyAt'] = FieldValue.serverTimestamp();
-          break;
-        case om.OrderStatus.served:
-          payload['servedAt'] = FieldValue.serverTimestamp();
-          break;
-        case om.OrderStatus.cancelled:
-          payload['cancelledAt'] = FieldValue.serverTimestamp();
-          if (cancellationReason != null) {
-            payload['cancellationReason'] = cancellationReason;
-          }
-          break;
-        case om.OrderStatus.pending:
-        case om.OrderStatus.accepted:
-          break;
-      }
-
-      await doc.update(payload);
-
-      // Award loyalty points when order is marked as served
-      if (newStatus == om.OrderStatus.served) {
-        final order = widget.order;
-        if (order.customerPhone != null && order.customerPhone!.isNotEmpty &&
-            order.customerCarPlate != null && order.customerCarPlate!.isNotEmpty) {
-          try {
-            final loyaltyService = ref.read(loyaltyServiceProvider);
-            // Final amount = subtotal - discount
-            final finalAmount = order.subtotal - (order.loyaltyDiscount ?? 0.0);
-
-            await loyaltyService.awardPoints(
-              phone: order.customerPhone!,
-              carPlate: order.customerCarPlate!,
-              orderAmount: finalAmount,
-              orderId: order.id,
-            );
-          } catch (e) {
-            debugPrint('[OrdersAdmin] Failed to award loyalty points: $e');
-            // Don't block the status update if points awarding fails
-          }
-        }
-      }
+      // The worker records the change in the order's history and settles
+      // loyalty points on served/cancelled
+      await _orderService().updateStatus(
+        widget.order.id,
+        newStatus,
+        reason: cancellationReason,
+      );
     } finally {
       if (mounted) setState(() => _busy = false);
     }
   }
+
+  OrderService _orderService() => OrderService(
+        merchantId: ref.read(merchantIdProvider),
+        branchId: ref.read(branchIdProvider),
+      );
 }
@@ -1,4 +1,3 @@
-import 'dart:convert';
 import 'dart:typed_data';
 
 import 'package:flutter/material.dart';
@@ -6,18 +5,17 @@ import 'package:flutter/foundation.dart' show debugPrint;
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:file_picker/file_picker.dart';
-import 'package:http/http.dart' as http;
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 
 import 'package:sweets_app/features/categories/screens/category_admin_page.dart';
 import '../../core/branding/branding_admin_page.dart';
+import '../../core/services/image_service.dart';
 import '../../features/loyalty/screens/loyalty_settings_page.dart';
 import '../../core/widgets/permission_gate.dart';
 
 /// Merchant product manager (Cloudinary + Firestore).
-/// Override at build time:
-///   --dart-define=CLOUDINARY_CLOUD=<cloud_name>
-///   --dart-define=CLOUDINARY_PRESET=<unsigned_preset>
+/// Images are uploaded with parameters the worker signs for branch admins
+/// (see ImageService).
 class ProductsScreen extends ConsumerWidget {
   final String merchantId;
   final String branchId;
@@ -318,7 +316,11 @@ class _ProductThumb extends StatelessWidget {
       clipBehavior: Clip.antiAlias,
       child: imageUrl.isNotEmpty
           ? Image.network(
-              imageUrl,
+              ImageService.variantUrl(
+                imageUrl,
+                ImageVariant.thumb,
+                devicePixelRatio: MediaQuery.devicePixelRatioOf(context),
+              ),
               fit: BoxFit.cover,
               errorBuilder: (_, __, ___) {
                 debugPrint('Thumbnail failed to load: $imageUrl');
@@ -363,12 +365,6 @@ class _ProductEditorSheetState extends ConsumerState<ProductEditorSheet> {
   String? _subCatId;   // parentId == _topCatId
   bool _catInitDone = false;
 
-  // Defaults to your account values; can be overridden with --dart-define.
-  static const _cloudName =
-      String.fromEnvironment('CLOUDINARY_CLOUD', defaultValue: 'dkirkzbfa');
-  static const _unsignedPreset =
-      String.fromEnvironment('CLOUDINARY_PRESET', defaultValue: 'unsigned_products');
-
   @override
   void initState() {
     super.initState();
@@ -399,16 +395,6 @@ class _ProductEditorSheetState extends ConsumerState<ProductEditorSheet> {
   }
 
   Future<void> _pickAndUpload() async {
-    if (_cloudName.isEmpty || _unsignedPreset.isEmpty) {
-      if (!mounted) return;
-      ScaffoldMessenger.of(context).showSnackBar(const SnackBar(
-        content: Text(
-          'Cloudinary not configured. Set CLOUDINARY_CLOUD & CLOUDINARY_PRESET.',
-        ),
-      ));
-      return;
-    }
-
     final res = await FilePicker.platform.pickFiles(
       type: FileType.image,
       withData: true,
@@ -422,29 +408,13 @@ class _ProductEditorSheetState extends ConsumerState<ProductEditorSheet> {
 
     setState(() => _busy = true);
     try {
-      final uri =
-          Uri.parse('https://api.cloudinary.com/v1_1/$_cloudName/image/upload');
-
-      final req = http.MultipartRequest('POST', uri)
-        ..fields['upload_preset'] = _unsignedPreset
-        ..fields['folder'] =
-            'sweets/${widget.merchantId}/${widget.branchId}/products'
-        ..files.add(
-          http.MultipartFile.fromBytes('file', bytes, filename: file.name),
-        );
-
-      final streamed = await req.send();
-      final body = await streamed.stream.bytesToString();
-
-      if (streamed.statusCode != 200 && streamed.statusCode != 201) {
-        throw Exception('Cloudinary upload failed ${streamed.statusCode}: $body');
-      }
-
-      final json = jsonDecode(body) as Map<String, dynamic>;
-      final url = json['secure_url'] as String?;
-      if (url == null || url.isEmpty) {
-        throw Exception('No secure_url in Cloudinary response');
-      }
+      final url = await ImageService.upload(
+        merchantId: widget.merchantId,
+        branchId: widget.branchId,
+        kind: ImageUploadKind.product,
+        bytes: bytes,
+        filename: file.name,
+      );
       setState(() => _imageUrl = url);
     } catch (e) {
       if (!mounted) return;
@@ -540,7 +510,13 @@ class _ProductEditorSheetState extends ConsumerState<ProductEditorSheet> {
                       clipBehavior: Clip.antiAlias,
                       child: _imageUrl == null
                           ? const Icon(Icons.add_a_photo)
-                          : Image.network(_imageUrl!, fit: BoxFit.cover),
+                          : Image.network(
+                              ImageService.variantUrl(
+                                _imageUrl!,
+                                ImageVariant.card,
+                              ),
+                              fit: BoxFit.cover,
+                            ),
                     ),
                   ),
                   const SizedBox(width: 12),
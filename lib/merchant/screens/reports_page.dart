@@ -209,6 +209,8 @@ class _ReportsPageState extends ConsumerState<ReportsPage> {
 
       // Send email via Cloudflare Worker
       final result = await EmailService.sendReport(
+        merchantId: merchantId,
+        branchId: branchId,
         merchantName: merchantName,
         dateRange: dateRange,
         totalOrders: ordersSnap.docs.length,
@@ -401,7 +403,7 @@ class _ReportsPageState extends ConsumerState<ReportsPage> {
                     hintText: 'merchant@example.com',
                     prefixIcon: const Icon(Icons.email_outlined),
                     border: const OutlineInputBorder(),
-                    helperText: 'Report will be sent to this email',
+                    helperText: 'Your own email or one of the scheduled report recipients',
                   ),
                   keyboardType: TextInputType.emailAddress,
                 ),
@@ -483,6 +485,11 @@ class _ReportsPageState extends ConsumerState<ReportsPage> {
 
                 const SizedBox(height: 24),
 
+                // Daily / weekly emails sent by the worker
+                const _ScheduledReportsCard(),
+
+                const SizedBox(height: 24),
+
                 // Info card
                 Card(
                   color: theme.colorScheme.surfaceContainerHighest,
@@ -526,6 +533,267 @@ class _ReportsPageState extends ConsumerState<ReportsPage> {
   }
 }
 
+/// Edits config/reports (see cloudflare-worker/reports.js) and shows the
+/// last period the worker sent from reportRuns/{daily|weekly}.
+class _ScheduledReportsCard extends ConsumerStatefulWidget {
+  const _ScheduledReportsCard();
+
+  @override
+  ConsumerState<_ScheduledReportsCard> createState() => _ScheduledReportsCardState();
+}
+
+class _ScheduledReportsCardState extends ConsumerState<_ScheduledReportsCard> {
+  static const _weekdays = [
+    'sunday',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+  ];
+  static const _maxRecipients = 10;
+
+  final _recipientsController = TextEditingController();
+  final _timezoneController = TextEditingController();
+  bool _loading = true;
+  bool _saving = false;
+  bool _enabled = false;
+  bool _daily = true;
+  bool _weekly = false;
+  String _weeklyDay = 'sunday';
+  TimeOfDay _sendTime = const TimeOfDay(hour: 8, minute: 0);
+  Map<String, Map<String, dynamic>> _runs = {};
+
+  String get _branchPath =>
+      'merchants/${ref.read(merchantIdProvider)}/branches/${ref.read(branchIdProvider)}';
+
+  @override
+  void initState() {
+    super.initState();
+    _load();
+  }
+
+  @override
+  void dispose() {
+    _recipientsController.dispose();
+    _timezoneController.dispose();
+    super.dispose();
+  }
+
+  Future<void> _load() async {
+    try {
+      final fs = FirebaseFirestore.instance;
+      final config = (await fs.doc('$_branchPath/config/reports').get()).data() ?? {};
+      final runs = await fs.collection('$_branchPath/reportRuns').get();
+
+      final time = RegExp(r'^(\d{2}):(\d{2})$').firstMatch((config['sendTime'] as String?) ?? '');
+      if (!mounted) return;
+      setState(() {
+        _enabled = config['enabled'] == true;
+        _daily = config['daily'] as bool? ?? true;
+        _weekly = config['weekly'] as bool? ?? false;
+        _weeklyDay = _weekdays.contains(config['weeklyDay']) ? config['weeklyDay'] as String : 'sunday';
+        if (time != null) {
+          _sendTime = TimeOfDay(hour: int.parse(time.group(1)!), minute: int.parse(time.group(2)!));
+        }
+        _recipientsController.text =
+            ((config['recipients'] as List<dynamic>?) ?? []).whereType<String>().join(', ');
+        _timezoneController.text = (config['timezone'] as String?) ?? '';
+        _runs = {for (final d in runs.docs) d.id: d.data()};
+        _loading = false;
+      });
+    } catch (e) {
+      if (mounted) setState(() => _loading = false);
+    }
+  }
+
+  Future<void> _save() async {
+    final recipients = _recipientsController.text
+        .split(RegExp(r'[,;\s]+'))
+        .map((e) => e.trim().toLowerCase())
+        .where((e) => e.isNotEmpty)
+        .toSet()
+        .toList();
+    final emailRe = RegExp(r'^[^\s@]+@[^\s@]+\.[^\s@]+$');
+
+    String? error;
+    if (_enabled && recipients.isEmpty) {
+      error = 'Add at least one recipient email';
+    } else if (recipients.any((e) => !emailRe.hasMatch(e))) {
+      error = 'Invalid email: ${recipients.firstWhere((e) => !emailRe.hasMatch(e))}';
+    } else if (recipients.length > _maxRecipients) {
+      error = 'At most $_maxRecipients recipients';
+    } else if (_enabled && !_daily && !_weekly) {
+      error = 'Choose daily, weekly or both';
+    }
+    if (error != null) {
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(content: Text(error), backgroundColor: Colors.red),
+      );
+      return;
+    }
+
+    setState(() => _saving = true);
+    try {
+      final timezone = _timezoneController.text.trim();
+      await FirebaseFirestore.instance.doc('$_branchPath/config/reports').set({
+        'enabled': _enabled,
+        'recipients': recipients,
+        'daily': _daily,
+        'weekly': _weekly,
+        'weeklyDay': _weeklyDay,
+        'sendTime': '${_sendTime.hour.toString().padLeft(2, '0')}:${_sendTime.minute.toString().padLeft(2, '0')}',
+        // Empty → Worker uses the branch timezone (Asia/Bahrain by default)
+        'timezone': timezone.isEmpty ? FieldValue.delete() : timezone,
+        'updatedAt': FieldValue.serverTimestamp(),
+        'updatedBy': FirebaseAuth.instance.currentUser?.uid,
+      }, SetOptions(merge: true));
+
+      if (mounted) {
+        ScaffoldMessenger.of(context).showSnackBar(
+          const SnackBar(
+            content: Text('Report schedule saved!'),
+            backgroundColor: Colors.green,
+          ),
+        );
+      }
+    } catch (e) {
+      if (mounted) {
+        ScaffoldMessenger.of(context).showSnackBar(
+          SnackBar(content: Text('Failed to save schedule: $e'), backgroundColor: Colors.red),
+        );
+      }
+    } finally {
+      if (mounted) setState(() => _saving = false);
+    }
+  }
+
+  Future<void> _pickSendTime() async {
+    final picked = await showTimePicker(context: context, initialTime: _sendTime);
+    if (picked != null) setState(() => _sendTime = picked);
+  }
+
+  String _runLabel(String kind) {
+    final run = _runs[kind];
+    if (run == null) return 'Not sent yet';
+    final lastSent = run['lastSentPeriod'] as String?;
+    final status = run['status'] as String?;
+    final parts = <String>[
+      lastSent != null ? 'Last sent: period from $lastSent' : 'Not sent yet',
+      if (status == 'failed') 'last attempt failed: ${run['lastError'] ?? 'unknown error'}',
+    ];
+    return parts.join(' · ');
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final theme = Theme.of(context);
+
+    if (_loading) {
+      return const Card(
+        child: Padding(
+          padding: EdgeInsets.all(16),
+          child: Center(child: CircularProgressIndicator()),
+        ),
+      );
+    }
+
+    return Card(
+      child: Padding(
+        padding: const EdgeInsets.all(16),
+        child: Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          children: [
+            SwitchListTile(
+              contentPadding: EdgeInsets.zero,
+              title: Text(
+                'Scheduled Reports',
+                style: theme.textTheme.titleMedium?.copyWith(fontWeight: FontWeight.bold),
+              ),
+              subtitle: const Text('Email a sales summary with a CSV of all orders'),
+              value: _enabled,
+              onChanged: (v) => setState(() => _enabled = v),
+            ),
+            if (_enabled) ...[
+              CheckboxListTile(
+                contentPadding: EdgeInsets.zero,
+                title: const Text('Daily (yesterday\'s orders)'),
+                subtitle: Text(_runLabel('daily')),
+                value: _daily,
+                onChanged: (v) => setState(() => _daily = v ?? false),
+              ),
+              CheckboxListTile(
+                contentPadding: EdgeInsets.zero,
+                title: const Text('Weekly (the previous 7 days)'),
+                subtitle: Text(_runLabel('weekly')),
+                value: _weekly,
+                onChanged: (v) => setState(() => _weekly = v ?? false),
+              ),
+              if (_weekly)
+                DropdownButtonFormField<String>(
+                  value: _weeklyDay,
+                  decoration: const InputDecoration(
+                    labelText: 'Weekly report day',
+                    border: OutlineInputBorder(),
+                  ),
+                  items: _weekdays
+                      .map((d) => DropdownMenuItem(
+                            value: d,
+                            child: Text('${d[0].toUpperCase()}${d.substring(1)}'),
+                          ))
+                      .toList(),
+                  onChanged: (v) => setState(() => _weeklyDay = v ?? 'sunday'),
+                ),
+              const SizedBox(height: 12),
+              OutlinedButton.icon(
+                onPressed: _pickSendTime,
+                icon: const Icon(Icons.schedule),
+                label: Text('Send at ${_sendTime.format(context)}'),
+              ),
+              const SizedBox(height: 12),
+              TextField(
+                controller: _recipientsController,
+                decoration: const InputDecoration(
+                  labelText: 'Recipients',
+                  hintText: 'owner@example.com, manager@example.com',
+                  prefixIcon: Icon(Icons.group_outlined),
+                  border: OutlineInputBorder(),
+                  helperText: 'Comma-separated, up to 10',
+                ),
+                keyboardType: TextInputType.emailAddress,
+              ),
+              const SizedBox(height: 12),
+              TextField(
+                controller: _timezoneController,
+                decoration: const InputDecoration(
+                  labelText: 'Timezone (optional)',
+                  hintText: 'Asia/Bahrain',
+                  prefixIcon: Icon(Icons.public),
+                  border: OutlineInputBorder(),
+                  helperText: 'Leave empty to use the branch timezone',
+                ),
+              ),
+            ],
+            const SizedBox(height: 12),
+            FilledButton.tonalIcon(
+              onPressed: _saving ? null : _save,
+              icon: _saving
+                  ? const SizedBox(
+                      width: 18,
+                      height: 18,
+                      child: CircularProgressIndicator(strokeWidth: 2),
+                    )
+                  : const Icon(Icons.save_outlined),
+              label: Text(_saving ? 'Saving...' : 'Save Schedule'),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+}
+
 class _ItemStats {
   final String name;
   final int count;
@@ -19,6 +19,9 @@ class SettingsPage extends ConsumerStatefulWidget {
 
 class _SettingsPageState extends ConsumerState<SettingsPage> {
   final _whatsappNumberController = TextEditingController();
+  final _telegramChatIdController = TextEditingController();
+  final _newOrderTemplateController = TextEditingController();
+  final _cancelledTemplateController = TextEditingController();
   bool _whatsappEnabled = false;
   bool _isLoading = true;
   bool _isSaving = false;
@@ -31,6 +34,65 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
   bool _tableRequired = false;
   bool _addressRequired = false;
 
+  // Customer status updates (sent by the Worker to the order's phone)
+  static const _customerStatusLabels = {
+    'accepted': 'Accepted',
+    'preparing': 'Preparing',
+    'ready': 'Ready',
+    'served': 'Served / Delivered',
+  };
+  // Message language: 'en', 'ar' or 'both' (English then Arabic)
+  static const _languageLabels = {
+    'en': 'English',
+    'ar': 'العربية',
+    'both': 'English + العربية',
+  };
+  String _messageLanguage = 'en';
+
+  // Alert channel providers, see cloudflare-worker/channels/
+  static const _channelLabels = {
+    'twilio_whatsapp': 'WhatsApp (Twilio)',
+    'meta_whatsapp': 'WhatsApp Cloud API',
+    'twilio_sms': 'SMS (Twilio)',
+    'telegram': 'Telegram',
+  };
+  String _alertChannel = 'twilio_whatsapp';
+  String? _fallbackChannel;
+
+  // Extra alert recipients (kitchen, manager, driver, ...). When the list is
+  // empty the Worker sends everything to the WhatsApp number above.
+  List<Map<String, dynamic>> _recipients = [];
+  bool _arabicDigits = false;
+
+  // Must match MAX_TEMPLATE_LENGTH in cloudflare-worker/templates.js
+  static const _maxTemplateLength = 1500;
+  bool _customerNotifyEnabled = false;
+  Set<String> _customerStatuses = {'ready'};
+  String _customerChannel = 'whatsapp';
+
+  // Order watchdog (see cloudflare-worker/watchdog.js): minutes an order may
+  // stay in each status before recipients taking overdue alerts are told.
+  // Defaults must match DEFAULT_MINUTES there; an empty field turns one off.
+  static const _watchdogDefaultMinutes = {
+    'pending': 10,
+    'accepted': 10,
+    'preparing': 40,
+    'ready': 20,
+  };
+  static const _watchdogStatusLabels = {
+    'pending': 'Pending',
+    'accepted': 'Accepted',
+    'preparing': 'Preparing',
+    'ready': 'Ready',
+  };
+  static const _maxWatchdogMinutes = 24 * 60;
+  bool _watchdogEnabled = false;
+  final _watchdogMinutesControllers = {
+    for (final entry in _watchdogDefaultMinutes.entries)
+      entry.key: TextEditingController(text: '${entry.value}'),
+  };
+  final _autoCancelController = TextEditingController();
+
   @override
   void initState() {
     super.initState();
@@ -40,6 +102,13 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
   @override
   void dispose() {
     _whatsappNumberController.dispose();
+    _telegramChatIdController.dispose();
+    _newOrderTemplateController.dispose();
+    _cancelledTemplateController.dispose();
+    for (final controller in _watchdogMinutesControllers.values) {
+      controller.dispose();
+    }
+    _autoCancelController.dispose();
     super.dispose();
   }
 
@@ -68,6 +137,64 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
             final data = notificationsDoc.data();
             _whatsappEnabled = data?['whatsappEnabled'] ?? false;
             _whatsappNumberController.text = data?['whatsappNumber'] ?? '';
+            _telegramChatIdController.text = data?['telegramChatId'] ?? '';
+
+            final channel = data?['channel'];
+            _alertChannel = _channelLabels.containsKey(channel) ? channel as String : 'twilio_whatsapp';
+            final fallback = data?['fallbackChannel'];
+            _fallbackChannel =
+                _channelLabels.containsKey(fallback) && fallback != _alertChannel ? fallback as String : null;
+
+            final language = data?['language'];
+            _messageLanguage =
+                _languageLabels.containsKey(language) ? language as String : 'en';
+            _arabicDigits = data?['arabicDigits'] == true;
+
+            final recipients = data?['recipients'];
+            if (recipients is List) {
+              _recipients = recipients
+                  .whereType<Map>()
+                  .map((r) => Map<String, dynamic>.from(r))
+                  .toList();
+            }
+
+            final templates = data?['templates'];
+            if (templates is Map) {
+              _newOrderTemplateController.text = templates['new'] is String ? templates['new'] : '';
+              _cancelledTemplateController.text =
+                  templates['cancelled'] is String ? templates['cancelled'] : '';
+            }
+
+            final customer = data?['customerNotifications'];
+            if (customer is Map) {
+              _customerNotifyEnabled = customer['enabled'] == true;
+              final statuses = customer['statuses'];
+              if (statuses is List) {
+                _customerStatuses = statuses
+                    .whereType<String>()
+                    .where(_customerStatusLabels.containsKey)
+                    .toSet();
+              }
+              final customerChannel = customer['channel'];
+              _customerChannel =
+                  customerChannel == 'sms' || customerChannel == 'twilio_sms' ? 'sms' : 'whatsapp';
+            }
+
+            final watchdog = data?['watchdog'];
+            if (watchdog is Map) {
+              _watchdogEnabled = watchdog['enabled'] == true;
+              final minutes = watchdog['minutes'];
+              if (minutes is Map) {
+                for (final entry in _watchdogMinutesControllers.entries) {
+                  if (!minutes.containsKey(entry.key)) continue;
+                  final m = minutes[entry.key];
+                  entry.value.text = m is num && m > 0 ? '${m.toInt()}' : '';
+                }
+              }
+              final cancelAfter = watchdog['autoCancelPendingAfter'];
+              _autoCancelController.text =
+                  cancelAfter is num && cancelAfter > 0 ? '${cancelAfter.toInt()}' : '';
+            }
           }
           // Set checkout fields config
           _phoneRequired = checkoutFieldsConfig.phoneRequired;
@@ -111,7 +238,11 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
 
       // Validate WhatsApp number if enabled
       final whatsappNumber = _whatsappNumberController.text.trim();
-      if (_whatsappEnabled && !_validateE164(whatsappNumber)) {
+      final telegramChatId = _telegramChatIdController.text.trim();
+      final hasTelegramChat = _usesTelegram && telegramChatId.isNotEmpty;
+      final needsNumber =
+          (_recipients.isEmpty && !hasTelegramChat) || whatsappNumber.isNotEmpty;
+      if (_whatsappEnabled && needsNumber && !_validateE164(whatsappNumber)) {
         setState(() {
           _errorMessage =
               'Invalid WhatsApp number. Use E.164 format (e.g., +973XXXXXXXX)';
@@ -119,6 +250,13 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
         });
         return;
       }
+      if (hasTelegramChat && !_validateTelegramChatId(telegramChatId)) {
+        setState(() {
+          _errorMessage = 'Invalid Telegram chat ID. Use the numeric ID (e.g., -1001234567890) or @channel';
+          _isSaving = false;
+        });
+        return;
+      }
 
       // Validate that at least one identification field is required
       if (!_phoneRequired && !_plateNumberRequired && !_tableRequired && !_addressRequired) {
@@ -129,15 +267,80 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
         return;
       }
 
-      // Save WhatsApp notification settings
+      if (_customerNotifyEnabled && _customerStatuses.isEmpty) {
+        setState(() {
+          _errorMessage = 'Select at least one order status to notify customers about';
+          _isSaving = false;
+        });
+        return;
+      }
+
+      // Empty watchdog fields are saved as 0 (no alert) / null (never cancel)
+      int? parseMinutes(String text) {
+        final m = int.tryParse(text.trim());
+        return m != null && m >= 0 && m <= _maxWatchdogMinutes ? m : null;
+      }
+
+      final watchdogMinutes = <String, int?>{
+        for (final entry in _watchdogMinutesControllers.entries)
+          entry.key: entry.value.text.trim().isEmpty ? 0 : parseMinutes(entry.value.text),
+      };
+      final autoCancelText = _autoCancelController.text.trim();
+      final autoCancelAfter = autoCancelText.isEmpty ? 0 : parseMinutes(autoCancelText);
+      if (watchdogMinutes.containsValue(null) || autoCancelAfter == null) {
+        setState(() {
+          _errorMessage = 'Watchdog times must be whole minutes up to $_maxWatchdogMinutes';
+          _isSaving = false;
+        });
+        return;
+      }
+
+      final newOrderTemplate = _newOrderTemplateController.text.trim();
+      final cancelledTemplate = _cancelledTemplateController.text.trim();
+      if (newOrderTemplate.length > _maxTemplateLength ||
+          cancelledTemplate.length > _maxTemplateLength) {
+        setState(() {
+          _errorMessage = 'Message templates must be at most $_maxTemplateLength characters';
+          _isSaving = false;
+        });
+        return;
+      }
+
+      // Save notification settings. Merge so settings managed elsewhere
+      // (e.g. by the Worker admin tools) are kept.
       await FirebaseFirestore.instance
           .doc('merchants/$merchantId/branches/$branchId/config/notifications')
           .set({
         'whatsappEnabled': _whatsappEnabled,
         'whatsappNumber': _whatsappEnabled ? whatsappNumber : '',
+        'channel': _alertChannel,
+        'fallbackChannel': _fallbackChannel ?? FieldValue.delete(),
+        'telegramChatId': hasTelegramChat ? telegramChatId : FieldValue.delete(),
+        'customerNotifications': {
+          'enabled': _customerNotifyEnabled,
+          'statuses': _customerStatusLabels.keys
+              .where(_customerStatuses.contains)
+              .toList(),
+          'channel': _customerChannel,
+        },
+        'watchdog': {
+          'enabled': _watchdogEnabled,
+          'minutes': watchdogMinutes,
+          'autoCancelPendingAfter': autoCancelAfter > 0 ? autoCancelAfter : null,
+        },
+        'recipients': _recipients,
+        'language': _messageLanguage,
+        'arabicDigits': _arabicDigits,
+        // Empty template → Worker falls back to its built-in message
+        'templates': {
+          'new': newOrderTemplate.isEmpty ? FieldValue.delete() : newOrderTemplate,
+          'cancelled': cancelledTemplate.isEmpty
+              ? FieldValue.delete()
+              : cancelledTemplate,
+        },
         'updatedAt': FieldValue.serverTimestamp(),
         'updatedBy': uid,
-      });
+      }, SetOptions(merge: true));
 
       // Save checkout fields configuration
       final checkoutFieldsService = ref.read(checkoutFieldsServiceProvider);
@@ -173,6 +376,59 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
     }
   }
 
+  bool get _usesTelegram => _alertChannel == 'telegram' || _fallbackChannel == 'telegram';
+
+  bool _validateTelegramChatId(String id) =>
+      RegExp(r'^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$').hasMatch(id);
+
+  String _describeRecipient(Map<String, dynamic> r) {
+    final parts = <String>[];
+    final events = (r['events'] as List?)?.cast<String>() ?? const ['new', 'cancelled'];
+    final alerts = [
+      if (events.contains('new')) 'New orders',
+      if (events.contains('cancelled')) 'Cancellations',
+      if (events.contains('overdue')) 'Overdue',
+    ];
+    parts.add(alerts.length == 3 ? 'All alerts' : alerts.join(' + '));
+    final types = (r['fulfillmentTypes'] as List?)?.cast<String>();
+    if (types != null && types.isNotEmpty) {
+      parts.add(types.map((t) => t.replaceAll('_', ' ')).join('/'));
+    }
+    final minTotal = r['minTotal'];
+    if (minTotal is num && minTotal > 0) {
+      parts.add('≥ ${minTotal.toStringAsFixed(3)} BHD');
+    }
+    final quiet = r['quietHours'];
+    if (quiet is Map && quiet['start'] != null && quiet['end'] != null) {
+      parts.add('quiet ${quiet['start']}–${quiet['end']}');
+    }
+    if (r['enabled'] == false) parts.add('off');
+    return parts.join(' · ');
+  }
+
+  Future<void> _editRecipient(int? index) async {
+    final existing = index == null ? null : _recipients[index];
+    final result = await showDialog<Map<String, dynamic>>(
+      context: context,
+      builder: (context) => _RecipientDialog(
+        initial: existing,
+        takenIds: {
+          for (var i = 0; i < _recipients.length; i++)
+            if (i != index) '${_recipients[i]['id']}',
+        },
+      ),
+    );
+    if (result == null || !mounted) return;
+
+    setState(() {
+      if (index == null) {
+        _recipients.add(result);
+      } else {
+        _recipients[index] = result;
+      }
+    });
+  }
+
   @override
   Widget build(BuildContext context) {
     final theme = Theme.of(context);
@@ -273,6 +529,73 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
 
                         const SizedBox(height: 16),
 
+                        // Channel provider and optional fallback
+                        Row(
+                          children: [
+                            Expanded(
+                              child: DropdownButtonFormField<String>(
+                                value: _alertChannel,
+                                decoration: const InputDecoration(
+                                  labelText: 'Send via',
+                                  border: OutlineInputBorder(),
+                                ),
+                                items: _channelLabels.entries
+                                    .map((e) => DropdownMenuItem(value: e.key, child: Text(e.value)))
+                                    .toList(),
+                                onChanged: _whatsappEnabled
+                                    ? (value) => setState(() {
+                                          _alertChannel = value ?? 'twilio_whatsapp';
+                                          if (_fallbackChannel == _alertChannel) _fallbackChannel = null;
+                                        })
+                                    : null,
+                              ),
+                            ),
+                            const SizedBox(width: 12),
+                            Expanded(
+                              child: DropdownButtonFormField<String?>(
+                                value: _fallbackChannel,
+                                decoration: const InputDecoration(
+                                  labelText: 'Fallback',
+                                  border: OutlineInputBorder(),
+                                ),
+                                items: [
+                                  const DropdownMenuItem<String?>(value: null, child: Text('None')),
+                                  ..._channelLabels.entries
+                                      .where((e) => e.key != _alertChannel)
+                                      .map((e) => DropdownMenuItem<String?>(value: e.key, child: Text(e.value))),
+                                ],
+                                onChanged: _whatsappEnabled
+                                    ? (value) => setState(() => _fallbackChannel = value)
+                                    : null,
+                              ),
+                            ),
+                          ],
+                        ),
+                        Padding(
+                          padding: const EdgeInsets.only(top: 4, bottom: 16),
+                          child: Text(
+                            'The fallback is used when a message cannot be delivered on the first channel.',
+                            style: theme.textTheme.bodySmall?.copyWith(
+                              color: theme.colorScheme.onSurfaceVariant,
+                            ),
+                          ),
+                        ),
+
+                        if (_usesTelegram) ...[
+                          TextField(
+                            controller: _telegramChatIdController,
+                            decoration: InputDecoration(
+                              labelText: 'Telegram Chat ID',
+                              hintText: '-1001234567890',
+                              prefixIcon: const Icon(Icons.send),
+                              border: const OutlineInputBorder(),
+                              helperText: 'Chat or group the bot was added to',
+                              enabled: _whatsappEnabled,
+                            ),
+                          ),
+                          const SizedBox(height: 16),
+                        ],
+
                         // WhatsApp number input
                         TextField(
                           controller: _whatsappNumberController,
@@ -281,13 +604,166 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
                             hintText: '+973XXXXXXXX',
                             prefixIcon: const Icon(Icons.phone),
                             border: const OutlineInputBorder(),
-                            helperText:
-                                'E.164 format with country code (e.g., +973 for Bahrain)',
+                            helperText: _recipients.isEmpty
+                                ? 'E.164 format with country code (e.g., +973 for Bahrain)'
+                                : 'Optional when recipients are set below',
                             enabled: _whatsappEnabled,
                           ),
                           keyboardType: TextInputType.phone,
                         ),
 
+                        const SizedBox(height: 16),
+
+                        // Alert recipients with their own routing rules
+                        Row(
+                          children: [
+                            Text(
+                              'Recipients',
+                              style: theme.textTheme.titleMedium,
+                            ),
+                            const Spacer(),
+                            TextButton.icon(
+                              onPressed: _whatsappEnabled && _recipients.length < 20
+                                  ? () => _editRecipient(null)
+                                  : null,
+                              icon: const Icon(Icons.person_add_alt),
+                              label: const Text('Add'),
+                            ),
+                          ],
+                        ),
+                        if (_recipients.isEmpty)
+                          Text(
+                            'Add the kitchen, a manager or drivers to send each of them only the alerts they need.',
+                            style: theme.textTheme.bodySmall?.copyWith(
+                              color: theme.colorScheme.onSurfaceVariant,
+                            ),
+                          ),
+                        for (var i = 0; i < _recipients.length; i++)
+                          ListTile(
+                            contentPadding: EdgeInsets.zero,
+                            leading: Icon(
+                              _recipients[i]['enabled'] == false
+                                  ? Icons.person_off_outlined
+                                  : Icons.person_outline,
+                            ),
+                            title: Text(
+                              '${_recipients[i]['name'] ?? 'Recipient'} · '
+                              '${_recipients[i]['phone'] ?? 'Telegram ${_recipients[i]['telegramChatId'] ?? ''}'}',
+                            ),
+                            subtitle: Text(_describeRecipient(_recipients[i])),
+                            trailing: Row(
+                              mainAxisSize: MainAxisSize.min,
+                              children: [
+                                IconButton(
+                                  icon: const Icon(Icons.edit_outlined),
+                                  tooltip: 'Edit',
+                                  onPressed: _whatsappEnabled
+                                      ? () => _editRecipient(i)
+                                      : null,
+                                ),
+                                IconButton(
+                                  icon: const Icon(Icons.delete_outline),
+                                  tooltip: 'Remove',
+                                  onPressed: _whatsappEnabled
+                                      ? () => setState(() => _recipients.removeAt(i))
+                                      : null,
+                                ),
+                              ],
+                            ),
+                          ),
+
+                        const SizedBox(height: 16),
+
+                        // Message language (also used for customer updates)
+                        DropdownButtonFormField<String>(
+                          value: _messageLanguage,
+                          decoration: const InputDecoration(
+                            labelText: 'Message Language',
+                            prefixIcon: Icon(Icons.translate),
+                            border: OutlineInputBorder(),
+                          ),
+                          items: [
+                            for (final entry in _languageLabels.entries)
+                              DropdownMenuItem(
+                                value: entry.key,
+                                child: Text(entry.value),
+                              ),
+                          ],
+                          onChanged: (value) {
+                            if (value == null) return;
+                            setState(() {
+                              _messageLanguage = value;
+                            });
+                          },
+                        ),
+                        if (_messageLanguage != 'en')
+                          SwitchListTile(
+                            contentPadding: EdgeInsets.zero,
+                            value: _arabicDigits,
+                            onChanged: (value) {
+                              setState(() {
+                                _arabicDigits = value;
+                              });
+                            },
+                            title: const Text('Arabic-Indic Digits'),
+                            subtitle: const Text(
+                              'Show prices and quantities as ٣٫٥٠٠ instead of 3.500 in Arabic messages',
+                            ),
+                          ),
+
+                        const SizedBox(height: 16),
+
+                        // Custom message templates (optional)
+                        ExpansionTile(
+                          tilePadding: EdgeInsets.zero,
+                          leading: const Icon(Icons.text_snippet_outlined),
+                          title: const Text('Message Templates'),
+                          subtitle: const Text(
+                            'Leave empty to use the default layout for each order type',
+                          ),
+                          childrenPadding: const EdgeInsets.only(bottom: 8),
+                          children: [
+                            TextField(
+                              controller: _newOrderTemplateController,
+                              enabled: _whatsappEnabled,
+                              minLines: 3,
+                              maxLines: 8,
+                              maxLength: _maxTemplateLength,
+                              decoration: const InputDecoration(
+                                labelText: 'New order message',
+                                hintText: '🔔 New order {{orderNo}}\n{{items}}\nTotal: {{total}} {{currency}}',
+                                border: OutlineInputBorder(),
+                                alignLabelWithHint: true,
+                              ),
+                            ),
+                            const SizedBox(height: 12),
+                            TextField(
+                              controller: _cancelledTemplateController,
+                              enabled: _whatsappEnabled,
+                              minLines: 3,
+                              maxLines: 8,
+                              maxLength: _maxTemplateLength,
+                              decoration: const InputDecoration(
+                                labelText: 'Cancellation message',
+                                hintText: '❌ Order {{orderNo}} cancelled{{#reason}}: {{reason}}{{/reason}}',
+                                border: OutlineInputBorder(),
+                                alignLabelWithHint: true,
+                              ),
+                            ),
+                            const SizedBox(height: 8),
+                            Text(
+                              'Placeholders: {{orderNo}} {{fulfillment}} {{phone}} {{carPlate}} {{table}} '
+                              '{{address}} {{addressNotes}} {{items}} {{itemCount}} {{subtotal}} {{discount}} '
+                              '{{pointsUsed}} {{total}} {{currency}} {{reason}} {{cancelledBy}} {{branchName}}\n'
+                              'Wrap text in {{#name}}…{{/name}} to show it only when that value is set. '
+                              'A template with an unknown placeholder is ignored and the default is sent.',
+                              style: theme.textTheme.bodySmall?.copyWith(
+                                color: theme.colorScheme.onSurfaceVariant,
+                              ),
+                            ),
+                          ],
+                        ),
+
                         const SizedBox(height: 24),
 
                         // Info box
@@ -325,7 +801,7 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
                                     Text(
                                       '• Instant WhatsApp messages when new orders arrive\n'
                                       '• Notifications when orders are cancelled\n'
-                                      '• Order details including items, table, and customer info',
+                                      '• Order details laid out per order type: items, table, car plate or delivery address, loyalty discount and total',
                                       style: theme.textTheme.bodySmall,
                                     ),
                                   ],
@@ -372,6 +848,203 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
 
                 const SizedBox(height: 24),
 
+                // Customer Status Updates Section
+                Card(
+                  child: Padding(
+                    padding: const EdgeInsets.all(16),
+                    child: Column(
+                      crossAxisAlignment: CrossAxisAlignment.start,
+                      children: [
+                        Row(
+                          children: [
+                            Icon(
+                              Icons.sms_outlined,
+                              color: theme.colorScheme.primary,
+                              size: 28,
+                            ),
+                            const SizedBox(width: 12),
+                            Text(
+                              'Customer Updates',
+                              style: theme.textTheme.titleLarge?.copyWith(
+                                fontWeight: FontWeight.bold,
+                              ),
+                            ),
+                          ],
+                        ),
+                        const SizedBox(height: 8),
+                        Text(
+                          'Message customers on their phone number when their order moves forward',
+                          style: theme.textTheme.bodyMedium?.copyWith(
+                            color: theme.colorScheme.onSurfaceVariant,
+                          ),
+                        ),
+                        const Divider(height: 32),
+
+                        SwitchListTile(
+                          value: _customerNotifyEnabled,
+                          onChanged: (value) {
+                            setState(() {
+                              _customerNotifyEnabled = value;
+                            });
+                          },
+                          title: const Text('Notify Customers'),
+                          subtitle: const Text(
+                            'Only orders with a customer phone number are notified',
+                          ),
+                          secondary: Icon(
+                            _customerNotifyEnabled
+                                ? Icons.notifications_active
+                                : Icons.notifications_off,
+                          ),
+                        ),
+
+                        const SizedBox(height: 8),
+                        Text('Notify when the order is:',
+                            style: theme.textTheme.bodyMedium),
+                        const SizedBox(height: 8),
+                        Wrap(
+                          spacing: 8,
+                          runSpacing: 8,
+                          children: [
+                            for (final entry in _customerStatusLabels.entries)
+                              FilterChip(
+                                label: Text(entry.value),
+                                selected: _customerStatuses.contains(entry.key),
+                                onSelected: _customerNotifyEnabled
+                                    ? (selected) {
+                                        setState(() {
+                                          if (selected) {
+                                            _customerStatuses.add(entry.key);
+                                          } else {
+                                            _customerStatuses.remove(entry.key);
+                                          }
+                                        });
+                                      }
+                                    : null,
+                              ),
+                          ],
+                        ),
+
+                        const SizedBox(height: 16),
+                        SegmentedButton<String>(
+                          segments: const [
+                            ButtonSegment(
+                              value: 'whatsapp',
+                              label: Text('WhatsApp'),
+                              icon: Icon(Icons.chat_bubble_outline),
+                            ),
+                            ButtonSegment(
+                              value: 'sms',
+                              label: Text('SMS'),
+                              icon: Icon(Icons.sms_outlined),
+                            ),
+                          ],
+                          selected: {_customerChannel},
+                          onSelectionChanged: _customerNotifyEnabled
+                              ? (selection) {
+                                  setState(() {
+                                    _customerChannel = selection.first;
+                                  });
+                                }
+                              : null,
+                        ),
+                      ],
+                    ),
+                  ),
+                ),
+
+                const SizedBox(height: 24),
+
+                // Order Watchdog Section
+                Card(
+                  child: Padding(
+                    padding: const EdgeInsets.all(16),
+                    child: Column(
+                      crossAxisAlignment: CrossAxisAlignment.start,
+                      children: [
+                        Row(
+                          children: [
+                            Icon(
+                              Icons.timer_outlined,
+                              color: theme.colorScheme.primary,
+                              size: 28,
+                            ),
+                            const SizedBox(width: 12),
+                            Text(
+                              'Order Watchdog',
+                              style: theme.textTheme.titleLarge?.copyWith(
+                                fontWeight: FontWeight.bold,
+                              ),
+                            ),
+                          ],
+                        ),
+                        const SizedBox(height: 8),
+                        Text(
+                          'Alert recipients who take overdue alerts when an order sits in one status too long',
+                          style: theme.textTheme.bodyMedium?.copyWith(
+                            color: theme.colorScheme.onSurfaceVariant,
+                          ),
+                        ),
+                        const Divider(height: 32),
+
+                        SwitchListTile(
+                          value: _watchdogEnabled,
+                          onChanged: (value) {
+                            setState(() {
+                              _watchdogEnabled = value;
+                            });
+                          },
+                          title: const Text('Watch for Stuck Orders'),
+                          subtitle: const Text(
+                            'One alert per order and status; leave a time empty to skip that status',
+                          ),
+                          secondary: Icon(
+                            _watchdogEnabled ? Icons.alarm_on : Icons.alarm_off,
+                          ),
+                        ),
+
+                        const SizedBox(height: 8),
+                        Wrap(
+                          spacing: 12,
+                          runSpacing: 12,
+                          children: [
+                            for (final entry in _watchdogMinutesControllers.entries)
+                              SizedBox(
+                                width: 120,
+                                child: TextField(
+                                  controller: entry.value,
+                                  enabled: _watchdogEnabled,
+                                  decoration: InputDecoration(
+                                    labelText: _watchdogStatusLabels[entry.key],
+                                    suffixText: 'min',
+                                    border: const OutlineInputBorder(),
+                                  ),
+                                  keyboardType: TextInputType.number,
+                                ),
+                              ),
+                          ],
+                        ),
+
+                        const SizedBox(height: 16),
+                        TextField(
+                          controller: _autoCancelController,
+                          enabled: _watchdogEnabled,
+                          decoration: const InputDecoration(
+                            labelText: 'Auto-cancel Pending Orders After',
+                            helperText:
+                                'Empty = never. The customer is told their order was cancelled.',
+                            suffixText: 'min',
+                            border: OutlineInputBorder(),
+                          ),
+                          keyboardType: TextInputType.number,
+                        ),
+                      ],
+                    ),
+                  ),
+                ),
+
+                const SizedBox(height: 24),
+
                 // Checkout Fields Configuration Section
                 Card(
                   child: Padding(
@@ -683,3 +1356,294 @@ class _SettingsPageState extends ConsumerState<SettingsPage> {
     );
   }
 }
+
+/// Add/edit one alert recipient. Returns the recipient map stored in
+/// config/notifications.recipients (see cloudflare-worker/recipients.js).
+class _RecipientDialog extends StatefulWidget {
+  const _RecipientDialog({this.initial, required this.takenIds});
+
+  final Map<String, dynamic>? initial;
+  final Set<String> takenIds;
+
+  @override
+  State<_RecipientDialog> createState() => _RecipientDialogState();
+}
+
+class _RecipientDialogState extends State<_RecipientDialog> {
+  final _nameController = TextEditingController();
+  final _phoneController = TextEditingController();
+  final _telegramController = TextEditingController();
+  final _minTotalController = TextEditingController();
+  bool _enabled = true;
+  bool _newOrders = true;
+  bool _cancellations = true;
+  bool _overdue = false;
+  bool _deliveryOnly = false;
+  TimeOfDay? _quietStart;
+  TimeOfDay? _quietEnd;
+  String? _language;
+  String? _error;
+
+  @override
+  void initState() {
+    super.initState();
+    final r = widget.initial;
+    if (r == null) return;
+
+    _nameController.text = r['name'] as String? ?? '';
+    _phoneController.text = r['phone'] as String? ?? '';
+    _telegramController.text = r['telegramChatId'] as String? ?? '';
+    final minTotal = r['minTotal'];
+    if (minTotal is num && minTotal > 0) _minTotalController.text = '$minTotal';
+    _enabled = r['enabled'] != false;
+    final events = (r['events'] as List?)?.cast<String>();
+    if (events != null) {
+      _newOrders = events.contains('new');
+      _cancellations = events.contains('cancelled');
+      _overdue = events.contains('overdue');
+    }
+    final types = (r['fulfillmentTypes'] as List?)?.cast<String>();
+    _deliveryOnly = types != null && types.length == 1 && types.first == 'delivery';
+    final quiet = r['quietHours'];
+    if (quiet is Map) {
+      _quietStart = _parseTime(quiet['start']);
+      _quietEnd = _parseTime(quiet['end']);
+    }
+    final language = r['language'];
+    _language = language is String ? language : null;
+  }
+
+  @override
+  void dispose() {
+    _nameController.dispose();
+    _phoneController.dispose();
+    _telegramController.dispose();
+    _minTotalController.dispose();
+    super.dispose();
+  }
+
+  static TimeOfDay? _parseTime(Object? value) {
+    final m = RegExp(r'^(\d{2}):(\d{2})$').firstMatch('${value ?? ''}');
+    if (m == null) return null;
+    return TimeOfDay(hour: int.parse(m.group(1)!), minute: int.parse(m.group(2)!));
+  }
+
+  static String _formatTime(TimeOfDay t) =>
+      '${t.hour.toString().padLeft(2, '0')}:${t.minute.toString().padLeft(2, '0')}';
+
+  String _idFor(String name) {
+    final existing = widget.initial?['id'];
+    if (existing is String && existing.isNotEmpty) return existing;
+
+    var base = name.toLowerCase().replaceAll(RegExp(r'[^a-z0-9]+'), '_');
+    base = base.replaceAll(RegExp(r'^_+|_+$'), '');
+    if (base.isEmpty || !RegExp(r'^[a-z_]').hasMatch(base)) base = 'r$base';
+    var id = base;
+    for (var n = 2; widget.takenIds.contains(id); n++) {
+      id = '${base}_$n';
+    }
+    return id;
+  }
+
+  Future<void> _pickTime(bool start) async {
+    final picked = await showTimePicker(
+      context: context,
+      initialTime: (start ? _quietStart : _quietEnd) ??
+          (start ? const TimeOfDay(hour: 23, minute: 0) : const TimeOfDay(hour: 7, minute: 0)),
+    );
+    if (picked == null) return;
+    setState(() {
+      if (start) {
+        _quietStart = picked;
+      } else {
+        _quietEnd = picked;
+      }
+    });
+  }
+
+  void _save() {
+    final name = _nameController.text.trim();
+    final phone = _phoneController.text.trim();
+    final telegramChatId = _telegramController.text.trim();
+    final minTotalText = _minTotalController.text.trim();
+    final minTotal = minTotalText.isEmpty ? null : double.tryParse(minTotalText);
+
+    String? error;
+    if (name.isEmpty) {
+      error = 'Enter a name (e.g. Kitchen)';
+    } else if (phone.isEmpty && telegramChatId.isEmpty) {
+      error = 'Enter a WhatsApp number or a Telegram chat ID';
+    } else if (phone.isNotEmpty && !RegExp(r'^\+[1-9]\d{7,14}$').hasMatch(phone)) {
+      error = 'Invalid WhatsApp number. Use E.164 format (e.g., +973XXXXXXXX)';
+    } else if (telegramChatId.isNotEmpty &&
+        !RegExp(r'^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$').hasMatch(telegramChatId)) {
+      error = 'Invalid Telegram chat ID';
+    } else if (!_newOrders && !_cancellations && !_overdue) {
+      error = 'Pick at least one alert type';
+    } else if (minTotalText.isNotEmpty && (minTotal == null || minTotal < 0)) {
+      error = 'Minimum total must be a positive amount';
+    } else if ((_quietStart == null) != (_quietEnd == null)) {
+      error = 'Set both the start and end of quiet hours';
+    }
+    if (error != null) {
+      setState(() => _error = error);
+      return;
+    }
+
+    Navigator.pop(context, <String, dynamic>{
+      'id': _idFor(name),
+      'name': name,
+      if (phone.isNotEmpty) 'phone': phone,
+      if (telegramChatId.isNotEmpty) 'telegramChatId': telegramChatId,
+      'enabled': _enabled,
+      'events': [
+        if (_newOrders) 'new',
+        if (_cancellations) 'cancelled',
+        if (_overdue) 'overdue',
+      ],
+      if (_deliveryOnly) 'fulfillmentTypes': ['delivery'],
+      if (minTotal != null && minTotal > 0) 'minTotal': minTotal,
+      if (_quietStart != null && _quietEnd != null)
+        'quietHours': {
+          'start': _formatTime(_quietStart!),
+          'end': _formatTime(_quietEnd!),
+        },
+      if (_language != null) 'language': _language,
+    });
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: Text(widget.initial == null ? 'Add Recipient' : 'Edit Recipient'),
+      content: SizedBox(
+        width: 420,
+        child: SingleChildScrollView(
+          child: Column(
+            mainAxisSize: MainAxisSize.min,
+            crossAxisAlignment: CrossAxisAlignment.stretch,
+            children: [
+              TextField(
+                controller: _nameController,
+                decoration: const InputDecoration(
+                  labelText: 'Name',
+                  hintText: 'Kitchen, Manager, Driver…',
+                ),
+                textCapitalization: TextCapitalization.words,
+              ),
+              const SizedBox(height: 12),
+              TextField(
+                controller: _phoneController,
+                decoration: const InputDecoration(
+                  labelText: 'WhatsApp Number',
+                  hintText: '+973XXXXXXXX',
+                ),
+                keyboardType: TextInputType.phone,
+              ),
+              const SizedBox(height: 12),
+              TextField(
+                controller: _telegramController,
+                decoration: const InputDecoration(
+                  labelText: 'Telegram Chat ID (optional)',
+                  hintText: '-1001234567890',
+                ),
+              ),
+              SwitchListTile(
+                contentPadding: EdgeInsets.zero,
+                value: _enabled,
+                onChanged: (v) => setState(() => _enabled = v),
+                title: const Text('Enabled'),
+              ),
+              CheckboxListTile(
+                contentPadding: EdgeInsets.zero,
+                value: _newOrders,
+                onChanged: (v) => setState(() => _newOrders = v ?? false),
+                title: const Text('New orders'),
+              ),
+              CheckboxListTile(
+                contentPadding: EdgeInsets.zero,
+                value: _cancellations,
+                onChanged: (v) => setState(() => _cancellations = v ?? false),
+                title: const Text('Cancellations'),
+              ),
+              CheckboxListTile(
+                contentPadding: EdgeInsets.zero,
+                value: _overdue,
+                onChanged: (v) => setState(() => _overdue = v ?? false),
+                title: const Text('Overdue orders'),
+                subtitle: const Text('When the order watchdog is on'),
+              ),
+              SwitchListTile(
+                contentPadding: EdgeInsets.zero,
+                value: _deliveryOnly,
+                onChanged: (v) => setState(() => _deliveryOnly = v),
+                title: const Text('Delivery orders only'),
+              ),
+              TextField(
+                controller: _minTotalController,
+                decoration: const InputDecoration(
+                  labelText: 'Only orders from (BHD)',
+                  hintText: 'e.g. 20.000',
+                  helperText: 'Leave empty for all orders',
+                ),
+                keyboardType: const TextInputType.numberWithOptions(decimal: true),
+              ),
+              const SizedBox(height: 12),
+              Row(
+                children: [
+                  const Expanded(child: Text('Quiet hours')),
+                  TextButton(
+                    onPressed: () => _pickTime(true),
+                    child: Text(_quietStart == null ? 'From' : _formatTime(_quietStart!)),
+                  ),
+                  const Text('–'),
+                  TextButton(
+                    onPressed: () => _pickTime(false),
+                    child: Text(_quietEnd == null ? 'To' : _formatTime(_quietEnd!)),
+                  ),
+                  if (_quietStart != null || _quietEnd != null)
+                    IconButton(
+                      icon: const Icon(Icons.clear),
+                      tooltip: 'No quiet hours',
+                      onPressed: () => setState(() {
+                        _quietStart = null;
+                        _quietEnd = null;
+                      }),
+                    ),
+                ],
+              ),
+              DropdownButtonFormField<String?>(
+                value: _language,
+                decoration: const InputDecoration(labelText: 'Language'),
+                items: const [
+                  DropdownMenuItem(value: null, child: Text('Branch default')),
+                  DropdownMenuItem(value: 'en', child: Text('English')),
+                  DropdownMenuItem(value: 'ar', child: Text('العربية')),
+                  DropdownMenuItem(value: 'both', child: Text('English + العربية')),
+                ],
+                onChanged: (v) => setState(() => _language = v),
+              ),
+              if (_error != null) ...[
+                const SizedBox(height: 12),
+                Text(
+                  _error!,
+                  style: TextStyle(color: Theme.of(context).colorScheme.error),
+                ),
+              ],
+            ],
+          ),
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: () => Navigator.pop(context),
+          child: const Text('Cancel'),
+        ),
+        ElevatedButton(
+          onPressed: _save,
+          child: const Text('Save'),
+        ),
+      ],
+    );
+  }
+}
@@ -91,20 +91,35 @@ class _UserManagementContent extends ConsumerWidget {
                 ),
                 title: Text(user.displayName.isNotEmpty ? user.displayName : user.email),
                 subtitle: Text(
-                  '${user.role.displayName}${user.email.isNotEmpty ? " • ${user.email}" : ""}',
+                  '${user.role.displayName}${user.email.isNotEmpty ? " • ${user.email}" : ""}'
+                  '${user.whatsappNumber != null ? " • WhatsApp ${user.whatsappNumber}" : ""}',
                 ),
-                trailing: user.role == UserRole.admin
-                    ? const Chip(
-                        label: Text('Admin'),
-                        backgroundColor: Colors.purple,
-                        labelStyle: TextStyle(color: Colors.white),
-                      )
-                    : IconButton(
-                        icon: const Icon(Icons.delete_outline),
-                        color: Colors.red,
-                        tooltip: 'Remove access',
-                        onPressed: () => _confirmRemoveUser(context, ref, user),
+                trailing: Row(
+                  mainAxisSize: MainAxisSize.min,
+                  children: [
+                    if (user.userId != null)
+                      IconButton(
+                        icon: Icon(
+                          user.whatsappNumber != null ? Icons.phonelink_ring : Icons.phonelink_setup,
+                        ),
+                        color: user.whatsappNumber != null ? Colors.green : null,
+                        tooltip: 'WhatsApp commands',
+                        onPressed: () => _showWhatsAppDialog(context, ref, user),
                       ),
+                    user.role == UserRole.admin
+                        ? const Chip(
+                            label: Text('Admin'),
+                            backgroundColor: Colors.purple,
+                            labelStyle: TextStyle(color: Colors.white),
+                          )
+                        : IconButton(
+                            icon: const Icon(Icons.delete_outline),
+                            color: Colors.red,
+                            tooltip: 'Remove access',
+                            onPressed: () => _confirmRemoveUser(context, ref, user),
+                          ),
+                  ],
+                ),
               );
             },
           );
@@ -117,6 +132,7 @@ class _UserManagementContent extends ConsumerWidget {
     final emailController = TextEditingController();
     final nameController = TextEditingController();
     final passwordController = TextEditingController();
+    final whatsappController = TextEditingController();
 
     showDialog(
       context: context,
@@ -163,6 +179,18 @@ class _UserManagementContent extends ConsumerWidget {
                 obscureText: true,
               ),
               const SizedBox(height: 12),
+              TextField(
+                controller: whatsappController,
+                decoration: const InputDecoration(
+                  labelText: 'WhatsApp Number (Optional)',
+                  hintText: '+973XXXXXXXX',
+                  helperText: 'Lets them accept or cancel orders by WhatsApp',
+                  border: OutlineInputBorder(),
+                  prefixIcon: Icon(Icons.phone_android),
+                ),
+                keyboardType: TextInputType.phone,
+              ),
+              const SizedBox(height: 12),
               Container(
                 padding: const EdgeInsets.all(12),
                 decoration: BoxDecoration(
@@ -196,6 +224,7 @@ class _UserManagementContent extends ConsumerWidget {
               final email = emailController.text.trim();
               final name = nameController.text.trim();
               final password = passwordController.text.trim();
+              final whatsappNumber = whatsappController.text.trim();
 
               if (email.isEmpty) {
                 ScaffoldMessenger.of(context).showSnackBar(
@@ -218,8 +247,22 @@ class _UserManagementContent extends ConsumerWidget {
                 return;
               }
 
+              if (whatsappNumber.isNotEmpty && !_isE164(whatsappNumber)) {
+                ScaffoldMessenger.of(context).showSnackBar(
+                  const SnackBar(content: Text('WhatsApp number must be in E.164 format (e.g., +973XXXXXXXX)')),
+                );
+                return;
+              }
+
               Navigator.pop(context);
-              _addStaffUser(context, ref, email, name, password);
+              _addStaffUser(
+                context,
+                ref,
+                email,
+                name,
+                password,
+                whatsappNumber.isEmpty ? null : whatsappNumber,
+              );
             },
             child: const Text('Add Staff'),
           ),
@@ -234,6 +277,7 @@ class _UserManagementContent extends ConsumerWidget {
     String email,
     String displayName,
     String password,
+    String? whatsappNumber,
   ) async {
     final roleService = ref.read(roleServiceProvider);
     if (roleService == null) return;
@@ -287,6 +331,7 @@ class _UserManagementContent extends ConsumerWidget {
         email: email,
         displayName: displayName,
         createdBy: currentUser.uid,
+        whatsappNumber: whatsappNumber,
       );
 
       // Sign out the new user and back in as admin
@@ -364,6 +409,87 @@ class _UserManagementContent extends ConsumerWidget {
     }
   }
 
+  static bool _isE164(String number) => RegExp(r'^\+[1-9]\d{7,14}$').hasMatch(number);
+
+  /// Link the phone a team member sends WhatsApp order commands from
+  void _showWhatsAppDialog(BuildContext context, WidgetRef ref, RoleData user) {
+    final controller = TextEditingController(text: user.whatsappNumber ?? '');
+
+    showDialog(
+      context: context,
+      builder: (dialogContext) => AlertDialog(
+        title: const Text('WhatsApp Commands'),
+        content: Column(
+          mainAxisSize: MainAxisSize.min,
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            Text(
+              'Messages from this number can update orders as '
+              '${user.displayName.isNotEmpty ? user.displayName : user.email}, e.g. '
+              '"accept ORD-042", "ready ORD-042" or "cancel ORD-042 out of stock".',
+              style: const TextStyle(fontSize: 14),
+            ),
+            const SizedBox(height: 16),
+            TextField(
+              controller: controller,
+              decoration: const InputDecoration(
+                labelText: 'WhatsApp Number',
+                hintText: '+973XXXXXXXX',
+                helperText: 'Leave empty to unlink',
+                border: OutlineInputBorder(),
+                prefixIcon: Icon(Icons.phone_android),
+              ),
+              keyboardType: TextInputType.phone,
+            ),
+          ],
+        ),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.pop(dialogContext),
+            child: const Text('Cancel'),
+          ),
+          FilledButton(
+            onPressed: () async {
+              final number = controller.text.trim();
+              if (number.isNotEmpty && !_isE164(number)) {
+                ScaffoldMessenger.of(context).showSnackBar(
+                  const SnackBar(content: Text('WhatsApp number must be in E.164 format (e.g., +973XXXXXXXX)')),
+                );
+                return;
+              }
+
+              Navigator.pop(dialogContext);
+              final roleService = ref.read(roleServiceProvider);
+              if (roleService == null || user.userId == null) return;
+
+              try {
+                await roleService.setWhatsAppNumber(user.userId!, number.isEmpty ? null : number);
+                if (context.mounted) {
+                  ScaffoldMessenger.of(context).showSnackBar(
+                    SnackBar(
+                      content: Text(number.isEmpty ? 'WhatsApp number unlinked' : 'WhatsApp number linked'),
+                      backgroundColor: Colors.green,
+                    ),
+                  );
+                }
+              } catch (e) {
+                if (context.mounted) {
+                  ScaffoldMessenger.of(context).showSnackBar(
+                    SnackBar(
+                      content: Text('Failed to update WhatsApp number: $e'),
+                      backgroundColor: Colors.red,
+                    ),
+                  );
+                }
+              }
+            },
+            child: const Text('Save'),
+          ),
+        ],
+      ),
+    );
+  }
+
   void _confirmRemoveUser(BuildContext context, WidgetRef ref, RoleData user) {
     showDialog(
       context: context,
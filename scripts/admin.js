@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/* scripts/admin.js
+   Admin CLI for merchants, branches, slugs, roles, menus and branch config.
+
+   Usage:
+     node scripts/admin.js <command> <subcommand> [args] [flags]
+     npm run admin -- slug check --emulator
+
+   Global flags:
+     --project <id>  Firebase project (default: GCLOUD_PROJECT, the service
+                     account's project, then .firebaserc)
+     --emulator      use the Firestore/Auth emulators from firebase.json
+     --dry-run       print the writes instead of committing them
+     --json          print one JSON object ({ ok, command, result, writes, ... })
+     -y, --yes       apply without asking (commands that show a diff first,
+                     like menu import, prompt on a terminal and need --yes
+                     otherwise)
+
+   Credentials (see lib/firebase.js): FIREBASE_SERVICE_ACCOUNT_BASE64 or
+   Application Default Credentials. No serviceAccount.json needed.
+*/
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const { CliError } = require('./lib/cli');
+const { connect } = require('./lib/firebase');
+const { WritePlan } = require('./lib/plan');
+
+const COMMANDS = {
+  merchant: require('./commands/merchant'),
+  branch: require('./commands/branch'),
+  slug: require('./commands/slug'),
+  role: require('./commands/role'),
+  menu: require('./commands/menu'),
+  config: require('./commands/config'),
+};
+
+const GLOBAL_OPTIONS = {
+  project: { type: 'string' },
+  emulator: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usage(commandName) {
+  const names = commandName ? [commandName] : Object.keys(COMMANDS);
+  const lines = ['Usage: node scripts/admin.js <command> <subcommand> [args] [--project <id>] [--emulator] [--dry-run] [--json] [--yes]', ''];
+  for (const name of names) {
+    lines.push(`${name}: ${COMMANDS[name].summary}`);
+    for (const sub of Object.values(COMMANDS[name].subcommands)) lines.push(`  ${sub.usage}`);
+  }
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  const [commandName, subName, ...rest] = argv;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    if (!commandName || commandName === 'help' || commandName.startsWith('-')) return { help: usage() };
+    throw new CliError(`Unknown command "${commandName}"`, { usage: usage() });
+  }
+  const sub = command.subcommands[subName];
+  if (!sub) {
+    if (!subName || subName === 'help' || subName.startsWith('-')) return { help: usage(commandName) };
+    throw new CliError(`Unknown subcommand "${commandName} ${subName}"`, { usage: usage(commandName) });
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...sub.options }, allowPositionals: true });
+  } catch (e) {
+    throw new CliError(e.message, { usage: sub.usage });
+  }
+  const { values: opts, positionals } = parsed;
+  if (opts.help) return { help: sub.usage };
+
+  const { db, auth, projectId, emulator } = connect({ project: opts.project, emulator: opts.emulator });
+  const plan = new WritePlan(db, { dryRun: !!opts['dry-run'] });
+  if (!opts.json) console.error(target({ project: projectId, emulator, dryRun: plan.dryRun }));
+
+  const lines = [];
+  const ctx = {
+    db,
+    auth,
+    plan,
+    exitCode: 0,
+    log: (line) => lines.push(line),
+    confirm: (question) => confirm(question, { lines, opts, dryRun: plan.dryRun }),
+  };
+
+  let result;
+  try {
+    result = await sub.run(ctx, positionals, opts);
+  } catch (e) {
+    if (e instanceof CliError && !e.usage) e.usage = sub.usage;
+    throw e;
+  }
+  const written = await plan.commit();
+
+  return {
+    json: !!opts.json,
+    exitCode: ctx.exitCode,
+    lines,
+    output: {
+      ok: ctx.exitCode === 0,
+      command: `${commandName} ${subName}`,
+      project: projectId,
+      emulator,
+      dryRun: plan.dryRun,
+      result,
+      writes: plan.toJSON(),
+      written,
+    },
+  };
+}
+
+/**
+ * Asks before a command queues its writes, showing the lines logged so far.
+ * --dry-run and --yes answer yes; without a terminal to ask on, --yes is required.
+ */
+async function confirm(question, { lines, opts, dryRun }) {
+  if (dryRun || opts.yes) return true;
+  if (!process.stdin.isTTY) throw new CliError(`${question} Pass --yes to apply without a prompt, or --dry-run to preview`);
+
+  const out = opts.json ? process.stderr : process.stdout;
+  for (const line of lines.splice(0)) out.write(`${line}\n`);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+function target({ project, emulator, dryRun }) {
+  return `[${project}${emulator ? ` @ emulator ${emulator}` : ''}${dryRun ? ', dry run' : ''}]`;
+}
+
+main(process.argv.slice(2))
+  .then((run) => {
+    if (run.help) {
+      console.log(run.help);
+      process.exit(0);
+    }
+
+    if (run.json) {
+      console.log(JSON.stringify(run.output, null, 2));
+    } else {
+      for (const line of run.lines) console.log(line);
+      if (run.output.dryRun && run.output.writes.length > 0) {
+        console.log(`\nDry run: ${run.output.writes.length} write(s) not committed:`);
+        for (const w of run.output.writes) console.log(`  ${w.op.padEnd(6)} ${w.path}${w.data ? ` ${JSON.stringify(w.data)}` : ''}`);
+      } else if (run.output.written > 0) {
+        console.log(`${run.output.written} write(s) committed`);
+      }
+    }
+    // firebase-admin keeps its channels open; exit like the old scripts did
+    process.exit(run.exitCode);
+  })
+  .catch((e) => {
+    const isUsage = e instanceof CliError;
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify({ ok: false, error: e.message }, null, 2));
+    } else {
+      console.error(`Error: ${e.message}`);
+      if (isUsage && e.usage) console.error(e.usage.startsWith('Usage:') ? e.usage : `Usage: ${e.usage}`);
+      if (!isUsage && process.env.DEBUG) console.error(e);
+    }
+    process.exit(isUsage ? 2 : 1);
+  });
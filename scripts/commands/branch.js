@@ -0,0 +1,104 @@
+/* scripts/commands/branch.js */
+
+const { CliError, assertId, branchPath, parseBranch } = require('../lib/cli');
+const { loadMenu, planMenu } = require('../lib/menu');
+const { assignSlug, slugify, uniqueSlug } = require('../lib/slugs');
+const { syncMenu } = require('../lib/sync');
+
+// Config shared by a merchant's branches; notifications/reports/email hold per-branch recipients and numbers
+const CLONED_CONFIG = ['branding', 'loyalty', 'checkoutFields'];
+
+module.exports = {
+  summary: 'Create or clone branches (with branding and a slug)',
+  subcommands: {
+    create: {
+      usage: 'branch create <merchantId>/<branchId> [--name <name>] [--title <title>] [--slug <slug>]',
+      options: {
+        name: { type: 'string' },
+        title: { type: 'string' },
+        slug: { type: 'string' },
+      },
+      async run(ctx, [target], opts) {
+        const ids = parseBranch(target);
+        const { merchantId, branchId } = ids;
+        const path = branchPath(ids);
+
+        if (!(await ctx.db.doc(`merchants/${merchantId}`).get()).exists) {
+          throw new CliError(`Merchant ${merchantId} does not exist (run: merchant create ${merchantId})`);
+        }
+        if ((await ctx.db.doc(path).get()).exists) throw new CliError(`Branch ${merchantId}/${branchId} already exists`);
+
+        const name = opts.name || branchId;
+        const title = opts.title || name;
+        const slug = opts.slug || (await uniqueSlug(ctx.db, slugify(title) || slugify(`${merchantId}-${branchId}`), ids));
+
+        ctx.plan.create(path, { name, createdAt: ctx.plan.now });
+        ctx.plan.create(`${path}/config/branding`, { title, updatedAt: ctx.plan.now });
+        await assignSlug(ctx.db, ctx.plan, { ...ids, slug, title });
+
+        ctx.log(`+ ${path} (${name})`);
+        ctx.log(`+ ${path}/config/branding (title: ${title})`);
+        ctx.log(`+ slugs/${slug} -> ${merchantId}/${branchId}`);
+        return { merchantId, branchId, name, title, slug };
+      },
+    },
+
+    clone: {
+      usage: 'branch clone <merchantId>/<sourceBranchId> <newBranchId> [--name <name>] [--title <title>] [--slug <slug>]   (menu, categories, branding, loyalty, checkout fields)',
+      options: {
+        name: { type: 'string' },
+        title: { type: 'string' },
+        slug: { type: 'string' },
+      },
+      async run(ctx, [source, newBranchId], opts) {
+        const from = parseBranch(source);
+        const ids = { merchantId: from.merchantId, branchId: assertId(newBranchId, 'newBranchId') };
+        const { merchantId, branchId } = ids;
+        const path = branchPath(ids);
+        if (branchId === from.branchId) throw new CliError('The new branch needs its own id');
+        if ((await ctx.db.doc(path).get()).exists) throw new CliError(`Branch ${merchantId}/${branchId} already exists`);
+
+        const [sourceBranch, ...configs] = await Promise.all([
+          ctx.db.doc(branchPath(from)).get(),
+          ...CLONED_CONFIG.map((doc) => ctx.db.doc(`${branchPath(from)}/config/${doc}`).get()),
+        ]);
+        const menu = await loadMenu(ctx.db, from);
+        if (!sourceBranch.exists && menu.items.size === 0) throw new CliError(`Branch ${merchantId}/${from.branchId} does not exist`);
+
+        const name = opts.name || branchId;
+        const sourceTitle = configs[0].exists ? configs[0].get('title') : null;
+        const title = opts.title || (sourceTitle ? `${sourceTitle} ${name}` : name);
+        const slug = opts.slug || (await uniqueSlug(ctx.db, slugify(title) || slugify(`${merchantId}-${branchId}`), ids));
+
+        // menuSource: where `menu sync` pulls this branch's menu from
+        ctx.plan.create(path, { name, menuSource: from.branchId, createdAt: ctx.plan.now });
+        ctx.log(`+ ${path} (${name}, menu from ${from.branchId})`);
+        CLONED_CONFIG.forEach((doc, i) => {
+          if (!configs[i].exists && doc !== 'branding') return;
+          const { updatedAt, updatedBy, ...data } = configs[i].exists ? configs[i].data() : {};
+          if (doc === 'branding') data.title = title;
+          ctx.plan.create(`${path}/config/${doc}`, { ...data, updatedAt: ctx.plan.now, updatedBy: 'admin-cli' });
+          ctx.log(`+ ${path}/config/${doc}`);
+        });
+
+        const diff = syncMenu(menu, { items: new Map(), categories: new Map() }, { ...ids, sourceBranchId: from.branchId });
+        planMenu(ctx.plan, ids, diff);
+        ctx.log(`+ ${diff.categories.creates.length} categor${diff.categories.creates.length === 1 ? 'y' : 'ies'}, ${diff.items.creates.length} menu item(s)`);
+
+        await assignSlug(ctx.db, ctx.plan, { ...ids, slug, title });
+        ctx.log(`+ slugs/${slug} -> ${merchantId}/${branchId}`);
+        return {
+          merchantId,
+          branchId,
+          source: from.branchId,
+          name,
+          title,
+          slug,
+          config: CLONED_CONFIG.filter((doc, i) => configs[i].exists || doc === 'branding'),
+          categories: diff.categories.creates.length,
+          items: diff.items.creates.length,
+        };
+      },
+    },
+  },
+};
@@ -0,0 +1,76 @@
+/* scripts/commands/config.js
+   Branch config docs: merchants/{m}/branches/{b}/config/{doc}
+   (branding, notifications, loyalty, checkoutFields, reports, ...).
+*/
+
+const admin = require('firebase-admin');
+
+const { CliError, assertId, branchPath, parseBranch, parseValue } = require('../lib/cli');
+const { toPlain } = require('../lib/plan');
+
+function readField(data, fieldPath) {
+  return fieldPath.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), data);
+}
+
+function setPath(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+/** ["a.b=1", "c=x"] → { a: { b: 1 }, c: "x" } */
+function assignmentsToData(assignments) {
+  const data = {};
+  for (const assignment of assignments) {
+    const eq = assignment.indexOf('=');
+    if (eq <= 0) throw new CliError(`Expected key=value, got "${assignment}"`);
+    setPath(data, assignment.slice(0, eq), parseValue(assignment.slice(eq + 1)));
+  }
+  return data;
+}
+
+module.exports = {
+  summary: 'Read and write branch config docs',
+  subcommands: {
+    get: {
+      usage: 'config get <merchantId>/<branchId> <doc> [field.path]',
+      options: {},
+      async run(ctx, [target, docId, fieldPath]) {
+        const ids = parseBranch(target);
+        const path = `${branchPath(ids)}/config/${assertId(docId, 'config doc')}`;
+
+        const snap = await ctx.db.doc(path).get();
+        if (!snap.exists) throw new CliError(`${path} does not exist`);
+
+        const value = toPlain(fieldPath ? readField(snap.data(), fieldPath) : snap.data());
+        ctx.log(JSON.stringify(value ?? null, null, 2));
+        return { path, field: fieldPath || null, value: value ?? null };
+      },
+    },
+
+    set: {
+      usage: 'config set <merchantId>/<branchId> <doc> key=value... [--unset <field.path>]...   (values are JSON when they parse)',
+      options: { unset: { type: 'string', multiple: true } },
+      async run(ctx, [target, docId, ...assignments], opts) {
+        const ids = parseBranch(target);
+        const path = `${branchPath(ids)}/config/${assertId(docId, 'config doc')}`;
+        const unset = opts.unset || [];
+        if (assignments.length === 0 && unset.length === 0) throw new CliError('Nothing to set: pass key=value or --unset');
+
+        // Merged map by map, so "recipients.0" style keys are not supported: set the whole array
+        const data = assignmentsToData(assignments);
+        for (const fieldPath of unset) setPath(data, fieldPath, admin.firestore.FieldValue.delete());
+
+        ctx.plan.set(path, { ...data, updatedAt: ctx.plan.now, updatedBy: 'admin-cli' }, { merge: true });
+        ctx.log(`~ ${path}`);
+        for (const a of assignments) ctx.log(`  ${a}`);
+        for (const u of unset) ctx.log(`  ${u} (deleted)`);
+        return { path, data: toPlain(data) };
+      },
+    },
+  },
+};
@@ -0,0 +1,204 @@
+/* scripts/commands/menu.js
+   Replaces scripts/seed-menu.prod.js. Items are written with the fields the
+   menuItems create rule requires (merchantId, branchId, name, price, isActive).
+   import/export move a whole branch menu (items + categories) as JSON or CSV;
+   the formats are described in lib/menu.js. sync pushes one branch's menu to
+   the others, keeping their local overrides (lib/sync.js).
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { CliError, assertId, branchPath, parseBranch } = require('../lib/cli');
+const {
+  changeCount,
+  detectFormat,
+  diffMenu,
+  formatDiff,
+  loadMenu,
+  menuToCsv,
+  menuToJson,
+  parseMenu,
+  planMenu,
+} = require('../lib/menu');
+const { slugify } = require('../lib/slugs');
+const { syncMenu } = require('../lib/sync');
+
+const DEMO_MENU = path.join(__dirname, '..', 'data', 'demo-menu.json');
+
+// Optional menuItems fields passed through from the file (see products_screen.dart)
+const OPTIONAL_FIELDS = ['categoryId', 'imageUrl', 'description', 'tags', 'sort', 'calories', 'protein', 'carbs', 'fat', 'sugar'];
+
+function readItems(file) {
+  let items;
+  try {
+    items = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new CliError(`Cannot read ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(items)) throw new CliError(`${file} must contain a JSON array of items`);
+
+  return items.map((it, i) => {
+    const name = typeof it?.name === 'string' ? it.name.trim() : '';
+    if (!name) throw new CliError(`${file}[${i}]: name is required`);
+    if (typeof it.price !== 'number' || !(it.price >= 0)) throw new CliError(`${file}[${i}]: price must be a number >= 0`);
+
+    const item = {
+      id: assertId(it.id || slugify(name), `${file}[${i}].id`),
+      name,
+      price: Number(it.price.toFixed(3)), // BHD, 3dp
+      isActive: it.isActive !== false,
+    };
+    for (const field of OPTIONAL_FIELDS) {
+      if (it[field] !== undefined) item[field] = it[field];
+    }
+    return item;
+  });
+}
+
+module.exports = {
+  summary: 'Seed, import, export and sync branch menus',
+  subcommands: {
+    seed: {
+      usage: 'menu seed <merchantId>/<branchId> [--file <items.json>]   (default: scripts/data/demo-menu.json)',
+      options: { file: { type: 'string' } },
+      async run(ctx, [target], opts) {
+        const ids = parseBranch(target);
+        const file = opts.file ? path.resolve(opts.file) : DEMO_MENU;
+        const items = readItems(file);
+
+        const col = `${branchPath(ids)}/menuItems`;
+        const refs = items.map((it) => ctx.db.doc(`${col}/${it.id}`));
+        const existing = refs.length > 0 ? await ctx.db.getAll(...refs) : [];
+
+        items.forEach(({ id, ...fields }, i) => {
+          const data = { ...fields, merchantId: ids.merchantId, branchId: ids.branchId, updatedAt: ctx.plan.now };
+          if (!existing[i].exists) data.createdAt = ctx.plan.now;
+          ctx.plan.set(`${col}/${id}`, data, { merge: true });
+          ctx.log(`${existing[i].exists ? '=' : '+'} ${col}/${id}  ${fields.name}  ${fields.price.toFixed(3)}`);
+        });
+
+        ctx.log(`${items.length} item(s) for ${ids.merchantId}/${ids.branchId}`);
+        return { ...ids, file: path.relative(process.cwd(), file), items: items.map((it, i) => ({ ...it, created: !existing[i].exists })) };
+      },
+    },
+
+    export: {
+      usage: 'menu export <merchantId>/<branchId> [--format json|csv] [--out <file>]   (default: JSON on stdout)',
+      options: { format: { type: 'string' }, out: { type: 'string' } },
+      async run(ctx, [target], opts) {
+        const ids = parseBranch(target);
+        const format = opts.out || opts.format ? detectFormat(opts.format, opts.out) : 'json';
+        const menu = await loadMenu(ctx.db, ids);
+
+        const json = menuToJson(menu);
+        let text = `${JSON.stringify(json, null, 2)}\n`;
+        let warnings = [];
+        if (format === 'csv') ({ csv: text, warnings } = menuToCsv(menu));
+        for (const w of warnings) console.error(`warning: ${w}`);
+
+        const counts = `${json.items.length} item(s), ${json.categories.length} categor${json.categories.length === 1 ? 'y' : 'ies'}`;
+        if (opts.out) {
+          fs.writeFileSync(path.resolve(opts.out), text);
+          ctx.log(`${counts} from ${ids.merchantId}/${ids.branchId} → ${opts.out}`);
+        } else {
+          ctx.log(text.replace(/\r?\n$/, ''));
+        }
+        return { ...ids, format, out: opts.out || null, ...json, warnings };
+      },
+    },
+
+    import: {
+      usage: 'menu import <merchantId>/<branchId> <file.json|file.csv> [--format json|csv] [--keep-missing] [--yes]',
+      options: { format: { type: 'string' }, 'keep-missing': { type: 'boolean' } },
+      async run(ctx, [target, file], opts) {
+        const ids = parseBranch(target);
+        if (!file) throw new CliError('Missing <file>');
+        const format = detectFormat(opts.format, file);
+        let text;
+        try {
+          text = fs.readFileSync(path.resolve(file), 'utf8');
+        } catch (e) {
+          throw new CliError(`Cannot read ${file}: ${e.message}`);
+        }
+
+        const current = await loadMenu(ctx.db, ids);
+        const incoming = parseMenu(text, format, current);
+        const diff = diffMenu(current, incoming, ids, { keepMissing: !!opts['keep-missing'] });
+        for (const line of formatDiff(diff)) ctx.log(line);
+
+        const changes = changeCount(diff);
+        const result = { ...ids, file, format, changes, diff, applied: false };
+        if (changes === 0) {
+          ctx.log('Menu is up to date');
+          return result;
+        }
+        if (!(await ctx.confirm(`Apply ${changes} change(s) to ${ids.merchantId}/${ids.branchId}?`))) {
+          ctx.log('Aborted: nothing written');
+          ctx.exitCode = 1;
+          return result;
+        }
+
+        planMenu(ctx.plan, ids, diff);
+        return { ...result, applied: !ctx.plan.dryRun };
+      },
+    },
+
+    sync: {
+      usage: 'menu sync <merchantId>/<sourceBranchId> [branchId...] [--force] [--yes]   (default: every branch cloned from the source)',
+      options: { force: { type: 'boolean' } },
+      async run(ctx, [source, ...branchIds], opts) {
+        const from = parseBranch(source);
+        const { merchantId } = from;
+        let targets = branchIds.map((b) => assertId(b, 'branchId'));
+        if (targets.length === 0) {
+          const snap = await ctx.db.collection(`merchants/${merchantId}/branches`).where('menuSource', '==', from.branchId).get();
+          targets = snap.docs.map((d) => d.id);
+          if (targets.length === 0) {
+            throw new CliError(`No branch of ${merchantId} syncs from ${from.branchId}: name the branches, or create them with branch clone`);
+          }
+        }
+        if (targets.includes(from.branchId)) throw new CliError(`${from.branchId} is the source branch`);
+
+        const sourceMenu = await loadMenu(ctx.db, from);
+        // An empty source would switch off every synced item everywhere
+        if (sourceMenu.items.size === 0) throw new CliError(`${merchantId}/${from.branchId} has no menu items`);
+
+        const branches = [];
+        for (const branchId of targets) {
+          const ids = { merchantId, branchId };
+          const [branch, menu] = await Promise.all([ctx.db.doc(branchPath(ids)).get(), loadMenu(ctx.db, ids)]);
+          if (!branch.exists && menu.items.size === 0) throw new CliError(`Branch ${merchantId}/${branchId} does not exist (see branch clone)`);
+
+          const diff = syncMenu(sourceMenu, menu, { ...ids, sourceBranchId: from.branchId, force: !!opts.force });
+          branches.push({ ids, diff, link: branch.get('menuSource') !== from.branchId });
+          ctx.log(`${merchantId}/${branchId} ← ${from.branchId}`);
+          for (const line of formatDiff(diff)) ctx.log(`  ${line}`);
+        }
+
+        const changes = branches.reduce((n, b) => n + changeCount(b.diff), 0);
+        const result = {
+          merchantId,
+          source: from.branchId,
+          force: !!opts.force,
+          changes,
+          branches: branches.map(({ ids, diff }) => ({ branchId: ids.branchId, changes: changeCount(diff), diff })),
+          applied: false,
+        };
+        if (changes > 0 && !(await ctx.confirm(`Apply ${changes} change(s) to ${branches.length} branch(es)?`))) {
+          ctx.log('Aborted: nothing written');
+          ctx.exitCode = 1;
+          return result;
+        }
+        if (changes === 0) ctx.log('Every branch is up to date');
+
+        // Sync bookkeeping (menuSync bases, menuSource) is written even when nothing visible changed
+        for (const { ids, diff, link } of branches) {
+          planMenu(ctx.plan, ids, diff);
+          if (link) ctx.plan.set(branchPath(ids), { menuSource: from.branchId, updatedAt: ctx.plan.now }, { merge: true });
+        }
+        return { ...result, applied: changes > 0 && !ctx.plan.dryRun };
+      },
+    },
+  },
+};
@@ -0,0 +1,24 @@
+/* scripts/commands/merchant.js */
+
+const { CliError, assertId } = require('../lib/cli');
+
+module.exports = {
+  summary: 'Create merchants',
+  subcommands: {
+    create: {
+      usage: 'merchant create <merchantId> [--name <name>]',
+      options: { name: { type: 'string' } },
+      async run(ctx, [id], opts) {
+        const merchantId = assertId(id, 'merchantId');
+        if ((await ctx.db.doc(`merchants/${merchantId}`).get()).exists) {
+          throw new CliError(`Merchant ${merchantId} already exists`);
+        }
+
+        const name = opts.name || merchantId;
+        ctx.plan.create(`merchants/${merchantId}`, { name, createdAt: ctx.plan.now });
+        ctx.log(`+ merchants/${merchantId} (${name})`);
+        return { merchantId, name };
+      },
+    },
+  },
+};
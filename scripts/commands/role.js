@@ -0,0 +1,80 @@
+/* scripts/commands/role.js
+   Role docs: merchants/{m}/branches/{b}/roles/{uid}, shaped like
+   RoleData.toFirestore() in lib/core/models/user_role.dart.
+*/
+
+const { CliError, branchPath, parseBranch } = require('../lib/cli');
+
+const ROLES = ['admin', 'staff'];
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+/** Firebase Auth user for an email or uid. */
+async function findUser(auth, who) {
+  if (!who) throw new CliError('Missing <uid|email>');
+  try {
+    return who.includes('@') ? await auth.getUserByEmail(who) : await auth.getUser(who);
+  } catch (e) {
+    if (e?.code === 'auth/user-not-found') throw new CliError(`No Firebase Auth user ${who}`);
+    throw e;
+  }
+}
+
+module.exports = {
+  summary: 'Grant or revoke branch access (admin / staff)',
+  subcommands: {
+    grant: {
+      usage: 'role grant <merchantId>/<branchId> <uid|email> --role admin|staff [--name <displayName>] [--whatsapp <+E164>]',
+      options: {
+        role: { type: 'string' },
+        name: { type: 'string' },
+        whatsapp: { type: 'string' },
+      },
+      async run(ctx, [target, who], opts) {
+        const ids = parseBranch(target);
+        if (!ROLES.includes(opts.role)) throw new CliError(`--role must be one of ${ROLES.join(', ')}`);
+        if (opts.whatsapp && !E164.test(opts.whatsapp)) {
+          throw new CliError('--whatsapp must be an E.164 number like +97312345678');
+        }
+
+        const user = await findUser(ctx.auth, who);
+        const path = `${branchPath(ids)}/roles/${user.uid}`;
+        const existing = await ctx.db.doc(path).get();
+
+        const data = {
+          role: opts.role,
+          email: user.email || existing.get('email') || '',
+          displayName: opts.name || user.displayName || existing.get('displayName') || user.email || user.uid,
+        };
+        if (opts.whatsapp) data.whatsappNumber = opts.whatsapp;
+
+        if (existing.exists) {
+          ctx.plan.set(path, { ...data, updatedAt: ctx.plan.now }, { merge: true });
+        } else {
+          ctx.plan.create(path, { ...data, createdAt: ctx.plan.now, createdBy: 'admin-cli' });
+        }
+
+        const from = existing.exists && existing.get('role') !== opts.role ? ` (was ${existing.get('role')})` : '';
+        ctx.log(`${existing.exists ? '=' : '+'} ${data.email || user.uid} is ${opts.role} at ${ids.merchantId}/${ids.branchId}${from}`);
+        return { ...ids, uid: user.uid, ...data, previousRole: existing.exists ? existing.get('role') || null : null };
+      },
+    },
+
+    revoke: {
+      usage: 'role revoke <merchantId>/<branchId> <uid|email>',
+      options: {},
+      async run(ctx, [target, who]) {
+        const ids = parseBranch(target);
+        // A deleted Auth user can still hold a role doc: a uid is enough to revoke
+        const uid = who && !who.includes('@') ? who : (await findUser(ctx.auth, who)).uid;
+        const path = `${branchPath(ids)}/roles/${uid}`;
+
+        const existing = await ctx.db.doc(path).get();
+        if (!existing.exists) throw new CliError(`${who} has no role at ${ids.merchantId}/${ids.branchId}`);
+
+        ctx.plan.delete(path);
+        ctx.log(`- ${existing.get('email') || uid} (${existing.get('role')}) at ${ids.merchantId}/${ids.branchId}`);
+        return { ...ids, uid, role: existing.get('role') || null };
+      },
+    },
+  },
+};
@@ -0,0 +1,100 @@
+/* scripts/commands/slug.js
+   Replaces scripts/seed-slugs.js and scripts/backfill-slugs.js: `slug check --fix`
+   gives every branch a slug the same way they did (branch.slug, else the
+   branding title, else "{m}-{b}", made unique with -1, -2, ...).
+*/
+
+const { CliError, assertId, parseBranch } = require('../lib/cli');
+const { assignSlug, auditSlugs, desiredSlug, listSlugs, slugify, uniqueSlug } = require('../lib/slugs');
+
+module.exports = {
+  summary: 'Manage /slugs pretty links',
+  subcommands: {
+    set: {
+      usage: 'slug set <merchantId>/<branchId> <slug> [--title <title>]',
+      options: { title: { type: 'string' } },
+      async run(ctx, [target, slug], opts) {
+        const ids = parseBranch(target);
+        if (!slug) throw new CliError('Missing <slug>');
+
+        let assigned;
+        try {
+          assigned = await assignSlug(ctx.db, ctx.plan, { ...ids, slug, title: opts.title });
+        } catch (e) {
+          throw new CliError(e.message);
+        }
+
+        ctx.log(`${assigned.created ? '+' : '='} slugs/${slug} -> ${ids.merchantId}/${ids.branchId}`);
+        if (assigned.previous) ctx.log(`  (slugs/${assigned.previous} still points here)`);
+        return { ...ids, ...assigned };
+      },
+    },
+
+    list: {
+      usage: 'slug list [--merchant <merchantId>]',
+      options: { merchant: { type: 'string' } },
+      async run(ctx, _args, opts) {
+        const merchantId = opts.merchant ? assertId(opts.merchant, 'merchantId') : undefined;
+        const slugs = await listSlugs(ctx.db, { merchantId });
+
+        for (const s of slugs) ctx.log(`${s.slug.padEnd(32)} ${s.merchantId}/${s.branchId}${s.title ? `  ${s.title}` : ''}`);
+        ctx.log(`${slugs.length} slug(s)`);
+        return { slugs };
+      },
+    },
+
+    check: {
+      usage: 'slug check [--fix]',
+      options: { fix: { type: 'boolean' } },
+      async run(ctx, _args, opts) {
+        const audit = await auditSlugs(ctx.db);
+        const fixed = [];
+        // Slugs queued in this run are not in Firestore yet
+        const reserved = new Set();
+        const ensuredMerchants = new Set();
+
+        if (opts.fix) {
+          for (const p of audit.problems) {
+            if (p.type !== 'missing' && p.type !== 'mismatch') continue;
+            const ids = { merchantId: p.merchantId, branchId: p.branchId };
+            const base = p.type === 'missing' ? await desiredSlug(ctx.db, p.merchantId, p.branchId) : slugify(p.slug);
+            const slug = await uniqueSlug(ctx.db, base || slugify(`${p.merchantId}-${p.branchId}`), { ...ids, reserved });
+            reserved.add(slug);
+            await assignSlug(ctx.db, ctx.plan, { ...ids, slug });
+
+            // Branches found only through their subcollections get parent docs, as backfill-slugs did
+            if (!ensuredMerchants.has(p.merchantId)) {
+              ensuredMerchants.add(p.merchantId);
+              if (!(await ctx.db.doc(`merchants/${p.merchantId}`).get()).exists) {
+                ctx.plan.set(`merchants/${p.merchantId}`, { createdAt: ctx.plan.now }, { merge: true });
+              }
+            }
+            fixed.push({ ...ids, slug });
+            ctx.log(`+ slugs/${slug} -> ${p.merchantId}/${p.branchId}`);
+          }
+        }
+
+        const remaining = opts.fix ? audit.problems.filter((p) => p.type === 'dangling' || p.type === 'invalid') : audit.problems;
+        for (const p of remaining) ctx.log(`! ${describe(p)}`);
+        ctx.log(`${audit.branches} branch(es), ${audit.slugs} slug(s), ${remaining.length} problem(s)${opts.fix ? `, ${fixed.length} fixed` : ''}`);
+
+        if (remaining.length > 0) ctx.exitCode = 1;
+        return { ...audit, fixed, remaining };
+      },
+    },
+  },
+};
+
+function describe(p) {
+  const branch = `${p.merchantId}/${p.branchId}`;
+  switch (p.type) {
+    case 'missing':
+      return p.slug ? `${branch}: slug "${p.slug}" has no /slugs doc` : `${branch}: no slug`;
+    case 'mismatch':
+      return `${branch}: slug "${p.slug}" points to ${p.pointsTo}`;
+    case 'dangling':
+      return `slugs/${p.slug} points to missing branch ${branch}`;
+    default:
+      return `slugs/${p.slug} is not a valid slug`;
+  }
+}
@@ -0,0 +1,43 @@
+/* scripts/lib/cli.js
+   Argument helpers shared by the admin CLI commands.
+*/
+
+// Usage mistakes (bad arguments, unknown command): printed with the usage line, exit code 2
+class CliError extends Error {
+  constructor(message, { usage = null } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.usage = usage;
+  }
+}
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+function assertId(value, label) {
+  if (!value) throw new CliError(`Missing ${label}`);
+  if (!ID_PATTERN.test(value)) throw new CliError(`Invalid ${label} "${value}": use letters, digits, "_" and "-"`);
+  return value;
+}
+
+/** "merchantId/branchId" → { merchantId, branchId } */
+function parseBranch(value) {
+  if (!value) throw new CliError('Missing <merchantId>/<branchId>');
+  const [merchantId, branchId, ...rest] = String(value).split('/');
+  if (rest.length > 0) throw new CliError(`Expected <merchantId>/<branchId>, got "${value}"`);
+  return { merchantId: assertId(merchantId, 'merchantId'), branchId: assertId(branchId, 'branchId') };
+}
+
+function branchPath({ merchantId, branchId }) {
+  return `merchants/${merchantId}/branches/${branchId}`;
+}
+
+/** "42" → 42, "true" → true, '{"a":1}' → { a: 1 }, anything else stays a string. */
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return raw;
+  }
+}
+
+module.exports = { CliError, assertId, branchPath, parseBranch, parseValue };
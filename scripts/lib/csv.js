@@ -0,0 +1,73 @@
+/* scripts/lib/csv.js
+   Just enough RFC 4180 for spreadsheet exports: quoted fields, "" escapes,
+   newlines inside quotes, CRLF or LF line endings and an Excel BOM.
+*/
+
+/** CSV text → rows of strings (blank lines dropped). */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+/** CSV text → [{ column: value }] keyed by the header row. Row numbers are 1-based, header included. */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  return {
+    columns,
+    records: rows.map((cells, i) => ({
+      row: i + 2,
+      values: Object.fromEntries(columns.map((c, j) => [c, (cells[j] ?? '').trim()])),
+    })),
+  };
+}
+
+function quote(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** [{ column: value }] → CSV text with a header row (CRLF, like spreadsheets write it). */
+function toCsv(columns, records) {
+  const lines = [columns.map(quote).join(',')];
+  for (const record of records) lines.push(columns.map((c) => quote(record[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, parseCsvRecords, toCsv };
@@ -0,0 +1,75 @@
+/* scripts/lib/firebase.js
+   firebase-admin setup shared by the admin CLI.
+
+   Project:     --project, else GCLOUD_PROJECT, else the service account's
+                project, else the "default" project in .firebaserc
+   Credentials: FIREBASE_SERVICE_ACCOUNT_BASE64 (same secret as the worker),
+                else Application Default Credentials
+                (GOOGLE_APPLICATION_CREDENTIALS or `gcloud auth application-default login`)
+   Emulator:    --emulator uses the Firestore and Auth emulators from
+                firebase.json (FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST
+                win when set); no credentials needed
+*/
+
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function emulatorHost(name, fallbackPort) {
+  const cfg = readJson('firebase.json')?.emulators?.[name] || {};
+  return `${cfg.host || '127.0.0.1'}:${cfg.port || fallbackPort}`;
+}
+
+function serviceAccountFromEnv() {
+  const b64 = process.env.FIREBASE_SERVICE_ACCOUNT_BASE64;
+  if (!b64) return null;
+  try {
+    return JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+  } catch (_) {
+    throw new Error('FIREBASE_SERVICE_ACCOUNT_BASE64 is not valid base64 JSON');
+  }
+}
+
+/**
+ * Initializes firebase-admin once and returns { db, auth, projectId, emulator }
+ * (emulator: the Firestore emulator host, or null for a real project).
+ */
+function connect({ project, emulator = false } = {}) {
+  if (emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST ||= emulatorHost('firestore', 8080);
+    process.env.FIREBASE_AUTH_EMULATOR_HOST ||= emulatorHost('auth', 9099);
+  }
+  const emulatorAt = process.env.FIRESTORE_EMULATOR_HOST || null;
+
+  const serviceAccount = emulatorAt ? null : serviceAccountFromEnv();
+  const projectId =
+    project ||
+    process.env.GCLOUD_PROJECT ||
+    serviceAccount?.project_id ||
+    readJson('.firebaserc')?.projects?.default;
+  if (!projectId) throw new Error('No project: pass --project or set GCLOUD_PROJECT');
+
+  if (admin.apps.length === 0) {
+    const options = { projectId };
+    if (!emulatorAt) {
+      options.credential = serviceAccount
+        ? admin.credential.cert(serviceAccount)
+        : admin.credential.applicationDefault();
+    }
+    admin.initializeApp(options);
+  }
+
+  return { db: admin.firestore(), auth: admin.auth(), projectId, emulator: emulatorAt };
+}
+
+module.exports = { connect };
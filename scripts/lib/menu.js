@@ -0,0 +1,511 @@
+/* scripts/lib/menu.js
+   Branch menu import/export: menuItems and categories as JSON or CSV,
+   validated like the menuItems create rule, diffed against Firestore and
+   queued on a WritePlan.
+
+   JSON: { "categories": [{ id, name, parentId, sort, isActive, translations }],
+           "items": [{ id, name, price, categoryId, imageUrl, tags, sort, isActive,
+                       calories, protein, carbs, fat, sugar, translations }] }
+         (translations: { "ar": { "name": "..." } }; JSON only, CSV leaves them as stored)
+         (a bare array is read as items only, like scripts/data/demo-menu.json)
+   CSV:  one row per item. "category" and "subcategory" hold category names,
+         which are matched case-insensitively and created when missing; tags
+         are comma-separated inside the cell.
+
+   A field left out (or an empty CSV cell) keeps the stored value; JSON null
+   clears it. Items without an id are matched by name, else get one from
+   slugify(name).
+*/
+
+const admin = require('firebase-admin');
+
+const { CliError, assertId, branchPath } = require('./cli');
+const { parseCsvRecords, toCsv } = require('./csv');
+const { toPlain } = require('./plan');
+const { slugify } = require('./slugs');
+
+const FORMATS = ['json', 'csv'];
+const MAX_REPORTED_ERRORS = 20;
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+// Each parser gets a JSON value or a CSV string and returns the stored value, or throws
+function name(v) {
+  if (typeof v !== 'string' || !v.trim()) throw new Error('must be a non-empty string');
+  return v.trim();
+}
+
+function number(v, { min = 0, integer = false, dp = null } = {}) {
+  const n = typeof v === 'string' ? Number(v) : v;
+  if (typeof n !== 'number' || !Number.isFinite(n)) throw new Error(`must be a number, got ${JSON.stringify(v)}`);
+  if (integer && !Number.isInteger(n)) throw new Error(`must be a whole number, got ${v}`);
+  if (min !== null && n < min) throw new Error(`must be >= ${min}, got ${v}`);
+  return dp === null ? n : Number(n.toFixed(dp));
+}
+
+function boolean(v) {
+  if (typeof v === 'boolean') return v;
+  const s = String(v).toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(s)) return true;
+  if (['false', 'no', 'n', '0'].includes(s)) return false;
+  throw new Error(`must be true or false, got ${JSON.stringify(v)}`);
+}
+
+function id(v) {
+  try {
+    return assertId(String(v), 'id');
+  } catch (e) {
+    throw new Error(`is not a valid document id (${JSON.stringify(v)})`);
+  }
+}
+
+function url(v) {
+  if (typeof v !== 'string' || !/^https?:\/\/\S+$/.test(v.trim())) throw new Error(`must be an http(s) URL, got ${JSON.stringify(v)}`);
+  return v.trim();
+}
+
+function tags(v) {
+  const list = typeof v === 'string' ? v.split(',') : v;
+  if (!Array.isArray(list) || list.some((t) => typeof t !== 'string')) throw new Error('must be a list of strings');
+  return [...new Set(list.map((t) => t.trim()).filter(Boolean))];
+}
+
+const nutrient = (v) => number(v, { dp: 2 });
+
+// { "ar": { "name": "..." } }: names per language, served by the worker's GET /api/v1/menu/{slug}?lang=
+function translations(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('must be an object of language code → { name }');
+  const out = {};
+  for (const [lang, t] of Object.entries(v)) {
+    if (!/^[a-z]{2,3}$/i.test(lang)) throw new Error(`has an invalid language code ${JSON.stringify(lang)}`);
+    if (!t || typeof t.name !== 'string' || !t.name.trim()) throw new Error(`${lang}.name must be a non-empty string`);
+    out[lang.toLowerCase()] = { name: t.name.trim() };
+  }
+  return out;
+}
+
+// menuItems fields, as written by products_screen.dart (price is BHD with 3dp)
+const ITEM_FIELDS = {
+  name,
+  price: (v) => number(v, { dp: 3 }),
+  isActive: boolean,
+  categoryId: id,
+  imageUrl: url,
+  tags,
+  sort: (v) => number(v, { min: null, integer: true }),
+  calories: (v) => number(v, { integer: true }),
+  protein: nutrient,
+  carbs: nutrient,
+  fat: nutrient,
+  sugar: nutrient,
+  translations,
+};
+
+// categories fields, as written by category_admin_page.dart
+const CATEGORY_FIELDS = {
+  name,
+  parentId: id,
+  sort: (v) => number(v, { min: null, integer: true }),
+  isActive: boolean,
+  translations,
+};
+
+const CSV_COLUMNS = ['id', 'name', 'price', 'category', 'subcategory', 'imageUrl', 'tags', 'sort', 'isActive', 'calories', 'protein', 'carbs', 'fat', 'sugar'];
+
+/** Validates one record against a field table; problems go to `errors` as "label: field ...". */
+function normalize(raw, fields, label, errors) {
+  const out = {};
+  const invalid = new Set();
+  for (const key of Object.keys(raw)) {
+    if (key !== 'id' && !(key in fields)) errors.push(`${label}: unknown field "${key}"`);
+  }
+  for (const [field, parse] of Object.entries({ id, ...fields })) {
+    const value = typeof raw[field] === 'string' ? raw[field].trim() : raw[field];
+    if (value === undefined || value === '') continue;
+    try {
+      out[field] = value === null ? null : parse(value);
+    } catch (e) {
+      invalid.add(field);
+      errors.push(`${label}: ${field} ${e.message}`);
+    }
+  }
+  // name (and price for items) are required by the menuItems create rule; an import always sends them
+  for (const field of ['name', 'price']) {
+    if (field in fields && !invalid.has(field) && (out[field] === undefined || out[field] === null)) {
+      errors.push(`${label}: ${field} is required`);
+    }
+  }
+  // Listed in the file means on the menu, unless it says otherwise
+  if (out.isActive === undefined || out.isActive === null) out.isActive = true;
+  if (out.id === null) delete out.id;
+  return out;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/** csv or json, from --format or the file extension. */
+function detectFormat(format, file) {
+  const chosen = (format || (file || '').split('.').pop() || '').toLowerCase();
+  if (!FORMATS.includes(chosen)) {
+    throw new CliError(format ? `--format must be one of ${FORMATS.join(', ')}` : `Cannot tell the format of ${file}: pass --format json|csv`);
+  }
+  return chosen;
+}
+
+/** The branch's current menu: { items: Map(id → data), categories: Map(id → data) }. */
+async function loadMenu(db, ids) {
+  const base = branchPath(ids);
+  const [items, categories] = await Promise.all([
+    db.collection(`${base}/menuItems`).get(),
+    db.collection(`${base}/categories`).get(),
+  ]);
+  return {
+    items: new Map(items.docs.map((d) => [d.id, d.data()])),
+    categories: new Map(categories.docs.map((d) => [d.id, d.data()])),
+  };
+}
+
+function uniqueId(base, taken) {
+  let candidate = base;
+  for (let n = 1; taken.has(candidate); n++) candidate = `${base}-${n}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Parses and validates an import file against the current menu.
+ * Returns { items, categories, fullCategories } where `fullCategories` says
+ * the file lists every category (JSON with a "categories" key), so the ones
+ * left out can be deactivated. Throws a CliError listing every problem.
+ */
+function parseMenu(text, format, current) {
+  const errors = [];
+  const parsed = format === 'csv' ? parseCsvMenu(text, current, errors) : parseJsonMenu(text, errors);
+  if (errors.length === 0) {
+    resolveIds(parsed, current, errors);
+    checkReferences(parsed, current, errors);
+  }
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (errors.length > shown.length) shown.push(`... and ${errors.length - shown.length} more`);
+    throw new CliError(`Invalid menu (${errors.length} problem(s)):\n  ${shown.join('\n  ')}`);
+  }
+  return parsed;
+}
+
+function parseJsonMenu(text, errors) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new CliError(`Invalid JSON: ${e.message}`);
+  }
+  const rawItems = Array.isArray(doc) ? doc : doc?.items;
+  const rawCategories = Array.isArray(doc) ? undefined : doc?.categories;
+  if (!Array.isArray(rawItems)) throw new CliError('Expected { "items": [...], "categories": [...] } or an array of items');
+  if (rawCategories !== undefined && !Array.isArray(rawCategories)) throw new CliError('"categories" must be an array');
+
+  const records = (list, label) =>
+    list.filter((raw, i) => {
+      if (raw && typeof raw === 'object' && !Array.isArray(raw)) return true;
+      errors.push(`${label}[${i}]: expected an object`);
+      return false;
+    });
+
+  return {
+    categories: records(rawCategories || [], 'categories').map((raw, i) => ({
+      parentId: null, // top level unless it says otherwise (the app orders by parentId)
+      ...normalize(raw, CATEGORY_FIELDS, `categories[${i}]`, errors),
+    })),
+    items: records(rawItems, 'items').map((raw, i) => normalize(raw, ITEM_FIELDS, `items[${i}]`, errors)),
+    fullCategories: rawCategories !== undefined,
+  };
+}
+
+function parseCsvMenu(text, current, errors) {
+  let columns;
+  let records;
+  try {
+    ({ columns, records } = parseCsvRecords(text));
+  } catch (e) {
+    throw new CliError(`Invalid CSV: ${e.message}`);
+  }
+  for (const c of columns) {
+    if (!CSV_COLUMNS.includes(c)) errors.push(`unknown column "${c}" (expected ${CSV_COLUMNS.join(', ')})`);
+  }
+  for (const c of ['name', 'price']) {
+    if (!columns.includes(c)) errors.push(`missing column "${c}"`);
+  }
+  if (errors.length > 0) return { categories: [], items: [], fullCategories: false };
+
+  const categories = categoryNames(current.categories);
+  const items = records.map(({ row, values: { category, subcategory, ...raw } }) => {
+    const label = `row ${row}`;
+    if (subcategory && !category) errors.push(`${label}: subcategory "${subcategory}" needs a category`);
+    const item = normalize(raw, ITEM_FIELDS, label, errors);
+    if (category) {
+      const parentId = categories.resolve(category, null);
+      item.categoryId = subcategory ? categories.resolve(subcategory, parentId) : parentId;
+    }
+    return item;
+  });
+  return { categories: categories.touched(), items, fullCategories: false };
+}
+
+/** Finds categories by (parent, name), adding new ones after their siblings. */
+function categoryNames(existing) {
+  const key = (parentId, categoryName) => `${parentId || ''}/${categoryName.toLowerCase()}`;
+  const byKey = new Map();
+  const sorted = [...existing].sort(([, a], [, b]) => (a.sort ?? 0) - (b.sort ?? 0));
+  for (const [catId, data] of sorted) {
+    const k = key(data.parentId, String(data.name || ''));
+    if (!byKey.has(k)) byKey.set(k, catId);
+  }
+  const taken = new Set(existing.keys());
+  const touched = new Map();
+
+  const nextSort = (parentId) =>
+    1 + Math.max(-1, ...[...existing.values(), ...touched.values()].filter((c) => (c.parentId || null) === parentId).map((c) => c.sort ?? 0));
+
+  return {
+    resolve(categoryName, parentId) {
+      const k = key(parentId, categoryName);
+      const found = byKey.get(k);
+      if (found) {
+        // An item on the menu needs its category visible
+        if (existing.get(found)?.isActive === false && !touched.has(found)) {
+          touched.set(found, { id: found, name: existing.get(found).name, isActive: true });
+        }
+        return found;
+      }
+      const newId = uniqueId(slugify(categoryName) || 'category', taken);
+      touched.set(newId, { id: newId, name: categoryName, parentId, sort: nextSort(parentId), isActive: true });
+      byKey.set(k, newId);
+      return newId;
+    },
+    touched: () => [...touched.values()],
+  };
+}
+
+/** Gives id-less items the id of the stored item with the same name, else a fresh one; rejects duplicates. */
+function resolveIds({ items, categories }, current, errors) {
+  const byName = new Map();
+  for (const [itemId, data] of current.items) {
+    const k = String(data.name || '').toLowerCase();
+    if (k && !byName.has(k)) byName.set(k, itemId);
+  }
+  const taken = new Set([...current.items.keys(), ...items.filter((it) => it.id).map((it) => it.id)]);
+  for (const item of items) {
+    if (!item.id) item.id = byName.get(item.name.toLowerCase()) || uniqueId(slugify(item.name) || 'item', taken);
+  }
+  const categoryTaken = new Set([...current.categories.keys(), ...categories.filter((c) => c.id).map((c) => c.id)]);
+  for (const category of categories) {
+    if (!category.id) category.id = uniqueId(slugify(category.name) || 'category', categoryTaken);
+  }
+
+  for (const [list, label] of [[items, 'item'], [categories, 'category']]) {
+    const seen = new Set();
+    for (const entry of list) {
+      if (seen.has(entry.id)) errors.push(`${label} "${entry.id}" appears more than once`);
+      seen.add(entry.id);
+    }
+  }
+}
+
+/** categoryId/parentId must point at a known category; categories nest two levels deep at most. */
+function checkReferences({ items, categories, fullCategories }, current, errors) {
+  const known = new Map(fullCategories ? [] : current.categories);
+  for (const c of categories) known.set(c.id, { ...known.get(c.id), ...c });
+
+  for (const c of categories) {
+    if (!c.parentId) continue;
+    const parent = known.get(c.parentId);
+    if (c.parentId === c.id) errors.push(`category "${c.id}" cannot be its own parent`);
+    else if (!parent) errors.push(`category "${c.id}": unknown parentId "${c.parentId}"`);
+    else if (parent.parentId) errors.push(`category "${c.id}": parent "${c.parentId}" is itself a subcategory (two levels at most)`);
+  }
+  for (const item of items) {
+    if (item.categoryId && !known.has(item.categoryId)) errors.push(`item "${item.id}": unknown categoryId "${item.categoryId}"`);
+  }
+}
+
+// ============================================================================
+// DIFF & APPLY
+// ============================================================================
+
+// Maps come back from Firestore with their keys sorted, so compare them key by key
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+  return value ?? null;
+}
+
+/** Stored and incoming values compare equal (missing and null are the same). */
+function sameValue(a, b) {
+  return JSON.stringify(canonical(toPlain(a))) === JSON.stringify(canonical(toPlain(b)));
+}
+
+function diffCollection(existing, incoming, { deactivateMissing }) {
+  const diff = { creates: [], updates: [], deactivations: [], unchanged: 0 };
+  const listed = new Set();
+  for (const { id: docId, ...data } of incoming) {
+    listed.add(docId);
+    const stored = existing.get(docId);
+    if (!stored) {
+      diff.creates.push({ id: docId, data });
+      continue;
+    }
+    const changes = {};
+    for (const [field, to] of Object.entries(data)) {
+      if (!sameValue(stored[field], to)) changes[field] = { from: toPlain(stored[field]) ?? null, to };
+    }
+    if (Object.keys(changes).length > 0) diff.updates.push({ id: docId, name: data.name ?? stored.name ?? '', changes });
+    else diff.unchanged++;
+  }
+  if (deactivateMissing) {
+    for (const [docId, stored] of existing) {
+      if (!listed.has(docId) && stored.isActive !== false) diff.deactivations.push({ id: docId, name: stored.name ?? '' });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Creates, updates and deactivations for items and categories. Items missing
+ * from the file are deactivated unless `keepMissing`; categories only when
+ * the file lists all of them. Items always carry merchantId/branchId so older
+ * docs without them are fixed up too.
+ */
+function diffMenu(current, incoming, ids, { keepMissing = false } = {}) {
+  const items = incoming.items.map((item) => ({ ...item, merchantId: ids.merchantId, branchId: ids.branchId }));
+  return {
+    categories: diffCollection(current.categories, incoming.categories, { deactivateMissing: !keepMissing && incoming.fullCategories }),
+    items: diffCollection(current.items, items, { deactivateMissing: !keepMissing }),
+  };
+}
+
+/** Creates, updates and deactivations across both collections (kept overrides don't count). */
+function changeCount(diff) {
+  return Object.values(diff).reduce((n, d) => n + d.creates.length + d.updates.length + d.deactivations.length, 0);
+}
+
+// parentId stays as an explicit null: categories_repo.dart orders by it, which skips docs without the field
+const KEEP_NULL = new Set(['parentId']);
+
+function storedValue(field, value) {
+  return value === null && !KEEP_NULL.has(field) ? admin.firestore.FieldValue.delete() : value;
+}
+
+/**
+ * Queues the diff on the plan: categories first, so new items never point at
+ * a missing category. Updates and deactivations may carry `also` (fields
+ * written alongside but not shown), and a diff may list `rebase` writes with
+ * no visible change (see lib/sync.js).
+ */
+function planMenu(plan, ids, diff) {
+  const base = branchPath(ids);
+  for (const [collection, d] of [['categories', diff.categories], ['menuItems', diff.items]]) {
+    for (const { id: docId, data } of d.creates) {
+      const fields = Object.fromEntries(Object.entries(data).filter(([field, v]) => v !== null || KEEP_NULL.has(field)));
+      plan.create(`${base}/${collection}/${docId}`, { ...fields, createdAt: plan.now, updatedAt: plan.now });
+    }
+    for (const { id: docId, changes, also } of d.updates) {
+      const fields = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, storedValue(field, to)]));
+      plan.update(`${base}/${collection}/${docId}`, { ...fields, ...also, updatedAt: plan.now });
+    }
+    for (const { id: docId, also } of d.deactivations) {
+      plan.update(`${base}/${collection}/${docId}`, { isActive: false, ...also, updatedAt: plan.now });
+    }
+    for (const { id: docId, data } of d.rebase || []) {
+      plan.update(`${base}/${collection}/${docId}`, data);
+    }
+  }
+}
+
+/** Human-readable diff lines: "+ id  name", "~ id  name  field: from → to", "- id  name", "= id  name (kept)". */
+function formatDiff(diff) {
+  const show = (v) => (v === null || v === undefined ? '∅' : JSON.stringify(v));
+  const lines = [];
+  for (const [label, d] of [['Categories', diff.categories], ['Items', diff.items]]) {
+    const kept = d.kept ? `, ${d.kept.length} with local overrides kept` : '';
+    lines.push(`${label}: ${d.creates.length} new, ${d.updates.length} changed, ${d.deactivations.length} deactivated, ${d.unchanged} unchanged${kept}`);
+    for (const { id: docId, data } of d.creates) {
+      lines.push(`  + ${docId}  ${data.name}${typeof data.price === 'number' ? `  ${data.price.toFixed(3)}` : ''}`);
+    }
+    for (const { id: docId, name: docName, changes } of d.updates) {
+      lines.push(`  ~ ${docId}  ${docName}`);
+      for (const [field, { from, to }] of Object.entries(changes)) lines.push(`      ${field}: ${show(from)} → ${show(to)}`);
+    }
+    for (const { id: docId, name: docName } of d.deactivations) lines.push(`  - ${docId}  ${docName}`);
+    for (const { id: docId, name: docName, fields } of d.kept || []) {
+      lines.push(`  = ${docId}  ${docName}  (kept)`);
+      for (const [field, { local, source }] of Object.entries(fields)) lines.push(`      ${field}: ${show(local)} here, ${show(source)} at source`);
+    }
+  }
+  return lines;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+function pick(docId, data, fields) {
+  const out = { id: docId };
+  for (const field of Object.keys(fields)) {
+    if (data[field] !== undefined && data[field] !== null) out[field] = toPlain(data[field]);
+  }
+  return out;
+}
+
+const bySort = ([aId, a], [bId, b]) => (a.sort ?? 0) - (b.sort ?? 0) || String(a.name || aId).localeCompare(String(b.name || bId));
+
+/** The menu in the import JSON shape (top-level categories first). */
+function menuToJson(menu) {
+  const categories = [...menu.categories].sort((a, b) => (a[1].parentId ? 1 : 0) - (b[1].parentId ? 1 : 0) || bySort(a, b));
+  return {
+    categories: categories.map(([docId, data]) => ({ ...pick(docId, data, CATEGORY_FIELDS), parentId: data.parentId || null })),
+    items: [...menu.items].sort(bySort).map(([docId, data]) => pick(docId, data, ITEM_FIELDS)),
+  };
+}
+
+/** The menu as CSV, one row per item with category names. Returns { csv, warnings }. */
+function menuToCsv(menu) {
+  const warnings = [];
+  const records = [...menu.items].sort(bySort).map(([docId, data]) => {
+    const { categoryId, tags: itemTags, ...rest } = pick(docId, data, ITEM_FIELDS);
+    const record = { ...rest, tags: (itemTags || []).join(', ') };
+    const category = categoryId && menu.categories.get(categoryId);
+    const parent = category?.parentId && menu.categories.get(category.parentId);
+    if (categoryId && !category) {
+      warnings.push(`item "${docId}": category "${categoryId}" does not exist; left blank`);
+    } else if (parent) {
+      Object.assign(record, { category: parent.name, subcategory: category.name });
+    } else if (category) {
+      record.category = category.name;
+    }
+    return record;
+  });
+  return { csv: toCsv(CSV_COLUMNS, records), warnings };
+}
+
+module.exports = {
+  CATEGORY_FIELDS,
+  CSV_COLUMNS,
+  FORMATS,
+  ITEM_FIELDS,
+  changeCount,
+  detectFormat,
+  diffMenu,
+  formatDiff,
+  loadMenu,
+  menuToCsv,
+  menuToJson,
+  parseMenu,
+  planMenu,
+  sameValue,
+};
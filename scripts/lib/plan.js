@@ -0,0 +1,89 @@
+/* scripts/lib/plan.js
+   Commands queue their writes on a WritePlan instead of writing directly, so
+   --dry-run can print exactly what would be written and a real run commits
+   everything in batches of 500.
+*/
+
+const admin = require('firebase-admin');
+
+const MAX_BATCH_WRITES = 500;
+
+class WritePlan {
+  constructor(db, { dryRun = false } = {}) {
+    this.db = db;
+    this.dryRun = dryRun;
+    this.ops = [];
+    // Placeholder for "the time of the write"; rendered as "<serverTimestamp>" in plans
+    this.now = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  /** Replaces the doc, or with { merge: true } only the given fields. */
+  set(path, data, { merge = false } = {}) {
+    this.ops.push({ op: merge ? 'merge' : 'set', path, data });
+  }
+
+  /** Fails the commit if the doc already exists. */
+  create(path, data) {
+    this.ops.push({ op: 'create', path, data });
+  }
+
+  /** Dotted field paths; fails the commit if the doc does not exist. */
+  update(path, data) {
+    this.ops.push({ op: 'update', path, data });
+  }
+
+  delete(path) {
+    this.ops.push({ op: 'delete', path });
+  }
+
+  get size() {
+    return this.ops.length;
+  }
+
+  /** Commits the queued writes (nothing in dry-run mode). Returns the number of writes. */
+  async commit() {
+    if (this.dryRun) return 0;
+
+    for (let i = 0; i < this.ops.length; i += MAX_BATCH_WRITES) {
+      const batch = this.db.batch();
+      for (const { op, path, data } of this.ops.slice(i, i + MAX_BATCH_WRITES)) {
+        const ref = this.db.doc(path);
+        if (op === 'set') batch.set(ref, data);
+        else if (op === 'merge') batch.set(ref, data, { merge: true });
+        else if (op === 'create') batch.create(ref, data);
+        else if (op === 'update') batch.update(ref, data);
+        else batch.delete(ref);
+      }
+      await batch.commit();
+    }
+    return this.ops.length;
+  }
+
+  /** The queued writes as plain JSON ([{ op, path, data }]). */
+  toJSON() {
+    return this.ops.map(({ op, path, data }) => (data === undefined ? { op, path } : { op, path, data: toPlain(data) }));
+  }
+}
+
+/** Firestore values (Timestamps, FieldValues, references) as JSON-friendly values. */
+function toPlain(value) {
+  if (value === null || value === undefined) return value ?? null;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof admin.firestore.FieldValue) return fieldValueLabel(value);
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof admin.firestore.GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+function fieldValueLabel(fieldValue) {
+  if (fieldValue.isEqual(admin.firestore.FieldValue.serverTimestamp())) return '<serverTimestamp>';
+  if (fieldValue.isEqual(admin.firestore.FieldValue.delete())) return '<delete>';
+  return '<transform>';
+}
+
+module.exports = { MAX_BATCH_WRITES, WritePlan, toPlain };
@@ -0,0 +1,164 @@
+/* scripts/lib/slugs.js
+   Pretty links: /slugs/{slug} → { merchantId, branchId, title }, resolved by
+   the app (lib/core/config/slug_routing.dart). The branch doc keeps its
+   current slug in `slug`; older slugs stay mapped so printed links and QR
+   codes keep working.
+*/
+
+const MAX_SLUG_LENGTH = 64;
+
+function slugify(s) {
+  return String(s || '')
+    .normalize('NFKD') // split accents
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-') // non-word -> dash
+    .replace(/^-+|-+$/g, '')
+    .replace(/-+/g, '-')
+    .toLowerCase()
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+function isValidSlug(s) {
+  return typeof s === 'string' && s.length <= MAX_SLUG_LENGTH && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(s);
+}
+
+function ownsSlug(data, merchantId, branchId) {
+  return !!data && data.merchantId === merchantId && data.branchId === branchId;
+}
+
+/** The slug a branch should get: its current one, else its branding title, else "{m}-{b}". */
+async function desiredSlug(db, merchantId, branchId) {
+  const branch = await db.doc(`merchants/${merchantId}/branches/${branchId}`).get();
+  const current = branch.exists ? slugify(branch.get('slug')) : '';
+  if (current) return current;
+
+  const title = await brandingTitle(db, merchantId, branchId);
+  return slugify(title) || slugify(`${merchantId}-${branchId}`);
+}
+
+/**
+ * `base`, or `base-1`, `base-2`, ... : the first slug that is free or already
+ * points at this branch. `reserved` holds slugs already taken but not written yet.
+ */
+async function uniqueSlug(db, base, { merchantId, branchId, reserved = new Set() } = {}) {
+  let s = base;
+  let n = 0;
+  while (true) {
+    const snap = reserved.has(s) ? null : await db.doc(`slugs/${s}`).get();
+    if (snap && (!snap.exists || ownsSlug(snap.data(), merchantId, branchId))) return s;
+    n++;
+    s = `${base}-${n}`;
+  }
+}
+
+async function brandingTitle(db, merchantId, branchId) {
+  const snap = await db.doc(`merchants/${merchantId}/branches/${branchId}/config/branding`).get();
+  const title = snap.exists ? snap.get('title') : null;
+  return typeof title === 'string' && title.trim() ? title.trim() : null;
+}
+
+/**
+ * Points `slug` at the branch and makes it the branch's current slug.
+ * Throws when the slug belongs to another branch. Returns
+ * { slug, created, previous } (previous: the branch's old slug, if any).
+ */
+async function assignSlug(db, plan, { merchantId, branchId, slug, title }) {
+  if (!isValidSlug(slug)) {
+    throw new Error(`Invalid slug "${slug}": use lowercase letters, digits and single dashes (max ${MAX_SLUG_LENGTH})`);
+  }
+
+  const existing = await db.doc(`slugs/${slug}`).get();
+  if (existing.exists && !ownsSlug(existing.data(), merchantId, branchId)) {
+    const other = existing.data() || {};
+    throw new Error(`Slug "${slug}" already points to ${other.merchantId}/${other.branchId}`);
+  }
+
+  const branch = await db.doc(`merchants/${merchantId}/branches/${branchId}`).get();
+  const previous = branch.exists && branch.get('slug') !== slug ? branch.get('slug') || null : null;
+  const resolvedTitle = title || (await brandingTitle(db, merchantId, branchId)) || existing.get('title') || null;
+
+  if (existing.exists) {
+    plan.set(`slugs/${slug}`, { title: resolvedTitle, updatedAt: plan.now }, { merge: true });
+  } else {
+    plan.create(`slugs/${slug}`, { merchantId, branchId, title: resolvedTitle, createdAt: plan.now, updatedAt: plan.now });
+  }
+  plan.set(`merchants/${merchantId}/branches/${branchId}`, { slug, updatedAt: plan.now }, { merge: true });
+
+  return { slug, created: !existing.exists, previous };
+}
+
+/** Every /slugs doc as [{ slug, merchantId, branchId, title }]. */
+async function listSlugs(db, { merchantId } = {}) {
+  let query = db.collection('slugs');
+  if (merchantId) query = query.where('merchantId', '==', merchantId);
+  const snap = await query.get();
+  return snap.docs.map((d) => ({
+    slug: d.id,
+    merchantId: d.get('merchantId') || null,
+    branchId: d.get('branchId') || null,
+    title: d.get('title') || null,
+  }));
+}
+
+/**
+ * Every merchants/{m}/branches/{b}, including branches that only exist as
+ * the parent of subcollections (no branch doc yet).
+ */
+async function listBranches(db) {
+  const branches = [];
+  for (const merchant of await db.collection('merchants').listDocuments()) {
+    for (const branch of await merchant.collection('branches').listDocuments()) {
+      branches.push({ merchantId: merchant.id, branchId: branch.id });
+    }
+  }
+  return branches;
+}
+
+/**
+ * Slug problems across the project:
+ *   missing   branch has no slug (or its slug doc is gone)
+ *   mismatch  branch.slug points to another branch
+ *   dangling  slug points to a branch that does not exist
+ *   invalid   slug id that isValidSlug rejects
+ */
+async function auditSlugs(db) {
+  const slugs = await listSlugs(db);
+  const bySlug = new Map(slugs.map((s) => [s.slug, s]));
+  const branches = await listBranches(db);
+  const branchKeys = new Set(branches.map((b) => `${b.merchantId}/${b.branchId}`));
+  const problems = [];
+
+  for (const { merchantId, branchId } of branches) {
+    const snap = await db.doc(`merchants/${merchantId}/branches/${branchId}`).get();
+    const slug = snap.exists ? snap.get('slug') : null;
+    const mapping = slug ? bySlug.get(slug) : null;
+
+    if (!slug || !mapping) {
+      problems.push({ type: 'missing', merchantId, branchId, slug: slug || null });
+    } else if (!ownsSlug(mapping, merchantId, branchId)) {
+      problems.push({ type: 'mismatch', merchantId, branchId, slug, pointsTo: `${mapping.merchantId}/${mapping.branchId}` });
+    }
+  }
+
+  for (const s of slugs) {
+    if (!isValidSlug(s.slug)) problems.push({ type: 'invalid', slug: s.slug, merchantId: s.merchantId, branchId: s.branchId });
+    if (!branchKeys.has(`${s.merchantId}/${s.branchId}`)) {
+      problems.push({ type: 'dangling', slug: s.slug, merchantId: s.merchantId, branchId: s.branchId });
+    }
+  }
+
+  return { branches: branches.length, slugs: slugs.length, problems };
+}
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  assignSlug,
+  auditSlugs,
+  desiredSlug,
+  isValidSlug,
+  listBranches,
+  listSlugs,
+  slugify,
+  uniqueSlug,
+};
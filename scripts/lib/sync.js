@@ -0,0 +1,160 @@
+/* scripts/lib/sync.js
+   Keeps branches of one merchant on the menu of a source branch (usually
+   "main"). Every synced item and category remembers what it was last synced to:
+
+     menuSync: { branchId: 'main', id: '<source doc id>', base: { name, price, isActive, ... } }
+
+   so each field is a three-way merge. A field the branch still has at its
+   last synced value follows the source; a field the branch changed since (a
+   local price, an item switched off) is an override and is kept. Docs the
+   branch added itself (no menuSync) are never touched.
+
+   Branches cloned with `branch clone` keep their source in
+   merchants/{m}/branches/{b}.menuSource, which `menu sync` uses by default.
+*/
+
+const { CATEGORY_FIELDS, ITEM_FIELDS, sameValue: same } = require('./menu');
+const { toPlain } = require('./plan');
+
+const SYNC_FIELD = 'menuSync';
+
+function pick(data, fields) {
+  return Object.fromEntries(Object.keys(fields).map((field) => [field, toPlain(data[field]) ?? null]));
+}
+
+function syncedFrom(data, sourceBranchId) {
+  const sync = data?.[SYNC_FIELD];
+  return sync && sync.branchId === sourceBranchId ? sync : null;
+}
+
+/**
+ * source doc id → target doc id. Docs already synced keep their link; the
+ * rest are matched by id, then by name (and parent, for categories) among the
+ * branch's own docs, else get the source id (suffixed when it is taken).
+ */
+function linkDocs(source, target, sourceBranchId, sameParent = () => true) {
+  const links = new Map();
+  const claimed = new Set();
+  for (const [targetId, data] of target) {
+    const sync = syncedFrom(data, sourceBranchId);
+    if (sync) {
+      links.set(sync.id, targetId);
+      claimed.add(targetId);
+    }
+  }
+
+  const free = (targetId) => !claimed.has(targetId) && !target.get(targetId)?.[SYNC_FIELD];
+  const lower = (s) => String(s || '').trim().toLowerCase();
+  for (const [sourceId, data] of source) {
+    if (links.has(sourceId)) continue;
+    let targetId = target.has(sourceId) && free(sourceId) ? sourceId : null;
+    if (!targetId) {
+      const match = [...target].find(([id, t]) => free(id) && lower(t.name) === lower(data.name) && sameParent(t, data));
+      targetId = match ? match[0] : null;
+    }
+    if (!targetId) {
+      targetId = sourceId;
+      for (let n = 1; target.has(targetId) || claimed.has(targetId); n++) targetId = `${sourceId}-${n}`;
+    }
+    links.set(sourceId, targetId);
+    claimed.add(targetId);
+  }
+  return links;
+}
+
+/**
+ * One collection's sync, in the diff shape planMenu/formatDiff take, plus
+ *   kept    [{ id, name, fields: { field: { local, source } } }]  overrides left alone
+ *   rebase  [{ id, data }]  menuSync refreshes with no visible change
+ */
+function syncCollection({ source, target, fields, links, sourceBranchId, translate, extra = {}, force = false }) {
+  const diff = { creates: [], updates: [], deactivations: [], kept: [], rebase: [], unchanged: 0 };
+
+  for (const [sourceId, data] of source) {
+    const targetId = links.get(sourceId);
+    const want = translate(pick(data, fields));
+    const sync = { branchId: sourceBranchId, id: sourceId, base: want };
+    const current = target.get(targetId);
+    if (!current) {
+      diff.creates.push({ id: targetId, data: { ...want, ...extra, [SYNC_FIELD]: sync } });
+      continue;
+    }
+
+    const base = force ? null : syncedFrom(current, sourceBranchId)?.base;
+    const changes = {};
+    const kept = {};
+    for (const field of Object.keys(fields)) {
+      const local = toPlain(current[field]) ?? null;
+      if (same(local, want[field])) continue;
+      // No base yet (a branch set up by hand): every difference counts as an override
+      if (force || (base && same(local, base[field]))) changes[field] = { from: local, to: want[field] };
+      else kept[field] = { local, source: want[field] };
+    }
+    for (const [field, value] of Object.entries(extra)) {
+      if (!same(current[field], value)) changes[field] = { from: toPlain(current[field]) ?? null, to: value };
+    }
+
+    const name = current.name ?? want.name ?? '';
+    const rebase = same(current[SYNC_FIELD], sync) ? {} : { [SYNC_FIELD]: sync };
+    if (Object.keys(kept).length > 0) diff.kept.push({ id: targetId, name, fields: kept });
+    if (Object.keys(changes).length > 0) {
+      diff.updates.push({ id: targetId, name, changes, also: rebase });
+    } else {
+      diff.unchanged++;
+      if (rebase[SYNC_FIELD]) diff.rebase.push({ id: targetId, data: rebase });
+    }
+  }
+
+  // Removed from the source: switch off, unless the branch turned it back on itself
+  for (const [targetId, current] of target) {
+    const sync = syncedFrom(current, sourceBranchId);
+    if (!sync || source.has(sync.id) || current.isActive === false) continue;
+    const gone = { ...sync, base: { ...sync.base, isActive: false } };
+    if (force || sync.base?.isActive !== false) {
+      diff.deactivations.push({ id: targetId, name: current.name ?? '', also: { [SYNC_FIELD]: gone } });
+    } else {
+      diff.kept.push({ id: targetId, name: current.name ?? '', fields: { isActive: { local: true, source: false } } });
+    }
+  }
+  return diff;
+}
+
+/**
+ * The changes that bring `target` (a branch's loadMenu()) in line with
+ * `source`. `force` takes the source value everywhere, dropping overrides.
+ */
+function syncMenu(source, target, { merchantId, branchId, sourceBranchId, force = false }) {
+  // Categories first: items point at them, and subcategories at their parents
+  const parentName = (categories, parentId) => (parentId ? String(categories.get(parentId)?.name || '').toLowerCase() : '');
+  const categoryLinks = linkDocs(
+    source.categories,
+    target.categories,
+    sourceBranchId,
+    (t, s) => parentName(target.categories, t.parentId) === parentName(source.categories, s.parentId),
+  );
+  const mapCategory = (categoryId) => (categoryId ? categoryLinks.get(categoryId) || categoryId : null);
+
+  return {
+    categories: syncCollection({
+      source: source.categories,
+      target: target.categories,
+      fields: CATEGORY_FIELDS,
+      links: categoryLinks,
+      sourceBranchId,
+      force,
+      translate: (data) => ({ ...data, parentId: mapCategory(data.parentId) }),
+    }),
+    items: syncCollection({
+      source: source.items,
+      target: target.items,
+      fields: ITEM_FIELDS,
+      links: linkDocs(source.items, target.items, sourceBranchId),
+      sourceBranchId,
+      force,
+      translate: (data) => ({ ...data, categoryId: mapCategory(data.categoryId) }),
+      extra: { merchantId, branchId },
+    }),
+  };
+}
+
+module.exports = { SYNC_FIELD, syncMenu };